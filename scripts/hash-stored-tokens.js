@@ -0,0 +1,98 @@
+/**
+ * Hash Stored Tokens Script
+ *
+ * Blacklisted tokens and active sessions used to store access tokens as-is
+ * in a `token` field. This replaces each of them with its SHA-256 hash
+ * (`tokenHash`) so revoked tokens stay revoked and signed-in users keep
+ * their sessions, and drops the old blacklist `token` indexes (their unique
+ * index would reject every new entry). Safe to run more than once.
+ * Run with: node scripts/hash-stored-tokens.js
+ */
+
+import dotenv from "dotenv";
+import connectDB from "../src/config/db.js";
+import BlacklistedToken from "../src/models/BlacklistedToken.js";
+import User from "../src/models/User.js";
+import { hashToken } from "../src/services/tokenService.js";
+
+// Load environment variables
+dotenv.config();
+
+const hashSessionTokens = async () => {
+  let updated = 0;
+  const cursor = User.collection.find({
+    "activeSessions.token": { $exists: true },
+  });
+
+  for await (const user of cursor) {
+    const activeSessions = user.activeSessions.map(({ token, ...session }) =>
+      token ? { ...session, tokenHash: hashToken(token) } : session
+    );
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { activeSessions } }
+    );
+    updated++;
+  }
+
+  console.log(`✅ Hashed session tokens of ${updated} users`);
+};
+
+const hashStoredTokens = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    console.log("🔧 Hashing session tokens...");
+    await hashSessionTokens();
+
+    console.log("🔧 Hashing blacklisted tokens...");
+
+    const collection = BlacklistedToken.collection;
+    const [existing] = await collection.db
+      .listCollections({ name: collection.collectionName })
+      .toArray();
+    if (!existing) {
+      console.log("✅ No blacklisted tokens yet, nothing to do");
+      process.exit(0);
+    }
+
+    for (const index of await collection.indexes()) {
+      if (index.key.token) {
+        await collection.dropIndex(index.name);
+        console.log(`🗑️  Dropped index ${index.name}`);
+      }
+    }
+
+    let updated = 0;
+    const cursor = collection.find({ token: { $exists: true } });
+    for await (const entry of cursor) {
+      const tokenHash = hashToken(entry.token);
+      const duplicate = await collection.findOne({
+        tokenHash,
+        _id: { $ne: entry._id },
+      });
+
+      if (duplicate) {
+        await collection.deleteOne({ _id: entry._id });
+      } else {
+        await collection.updateOne(
+          { _id: entry._id },
+          { $set: { tokenHash }, $unset: { token: "" } }
+        );
+      }
+      updated++;
+    }
+
+    await BlacklistedToken.syncIndexes();
+
+    console.log(`✅ Hashed ${updated} blacklisted tokens`);
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error hashing stored tokens:", error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+hashStoredTokens();
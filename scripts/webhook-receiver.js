@@ -0,0 +1,102 @@
+/**
+ * Local Webhook Receiver
+ *
+ * Listens for webhook deliveries, checks their signature and prints them.
+ * Start the server with WEBHOOK_ALLOWED_HOSTS=localhost, register
+ * http://localhost:4000/webhooks as a webhook URL in the admin panel, then
+ * run with the secret shown on creation:
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+ * Set RECEIVER_STATUS=500 to make every delivery fail (retry testing).
+ */
+
+import crypto from "crypto";
+import http from "http";
+
+// Deliveries older than this are rejected (replayed requests)
+const TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Check the X-Webhook-Signature header of a delivery
+ * @param {String} secret - Webhook secret
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {String} body - Raw request body
+ * @returns {Boolean} Whether the signature is valid and recent
+ */
+export const verifyWebhookSignature = (secret, headers, body) => {
+  const timestamp = headers["x-webhook-timestamp"];
+  const signature = headers["x-webhook-signature"] || "";
+  if (!timestamp || !signature.startsWith("sha256=")) return false;
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  const received = signature.slice("sha256=".length);
+
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+  );
+};
+
+/**
+ * Create a receiver server. Options are read on every request, so the
+ * secret and status can change while it runs.
+ * @param {Object} options - { secret, status: () => Number, onDelivery }
+ * @returns {Object} HTTP server (not listening yet)
+ */
+export const createWebhookReceiver = (options) =>
+  http.createServer((req, res) => {
+    const { secret, status = () => 200, onDelivery = () => {} } = options;
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const verified = secret
+        ? verifyWebhookSignature(secret, req.headers, body)
+        : null;
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // Kept as null: reported as an invalid payload
+      }
+
+      onDelivery({ headers: req.headers, body, payload, verified });
+
+      const code = verified === false ? 401 : status();
+      res.writeHead(code, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ received: code < 300 }));
+    });
+  });
+
+// Run the receiver if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.env.PORT) || 4000;
+  const secret = process.env.WEBHOOK_SECRET;
+  const responseStatus = parseInt(process.env.RECEIVER_STATUS) || 200;
+
+  if (!secret) {
+    console.log("⚠️  WEBHOOK_SECRET is not set: signatures are not checked");
+  }
+
+  createWebhookReceiver({
+    secret,
+    status: () => responseStatus,
+    onDelivery: ({ headers, payload, verified }) => {
+      const signature =
+        verified === null ? "unchecked" : verified ? "valid" : "INVALID";
+      console.log(
+        `🪝 ${headers["x-webhook-event"]} (${headers["x-webhook-delivery"]}), signature ${signature}`
+      );
+      console.log(JSON.stringify(payload, null, 2));
+    },
+  }).listen(port, () => {
+    console.log(`👂 Webhook receiver listening on http://localhost:${port}`);
+  });
+}
@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import AdminRole from "../models/AdminRole.js";
+import { startMailWorker } from "../services/mailOutboxService.js";
+import { startRealtimeFanout } from "../services/realtimeService.js";
+import { startScheduler } from "../services/schedulerService.js";
+import { startWebhookWorker } from "../services/webhookService.js";
 import { logger } from "../utils/logger.js";
 
 // Function to clean up expired sessions from users
@@ -59,7 +64,6 @@ const cleanupExpiredSessions = async () => {
           console.log(
             `⏱️  Duration: ${Math.round(sessionDuration / 1000 / 60)} minutes`
           );
-          console.log(`🔑 Token: ${session.token.substring(0, 20)}...`);
           console.log("=".repeat(60) + "\n");
         });
 
@@ -101,6 +105,9 @@ const connectDB = async () => {
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
 
+    // Make sure the built-in admin roles exist
+    await AdminRole.ensureDefaults();
+
     // Schedule periodic cleanup of expired sessions
     // Run every 24 hours (86400000 ms) for full cleanup
     setInterval(cleanupExpiredSessions, 86400000);
@@ -110,6 +117,20 @@ const connectDB = async () => {
 
     // Run initial cleanup
     cleanupExpiredSessions();
+
+    // Deadline enforcement and reminders (one instance at a time)
+    startScheduler();
+
+    // Send queued emails
+    startMailWorker();
+
+    // Send queued webhook deliveries
+    startWebhookWorker();
+
+    // Push new events to the open SSE streams of this instance
+    startRealtimeFanout().catch((error) =>
+      logger.error(`Realtime fan-out failed to start: ${error.message}`)
+    );
   } catch (error) {
     logger.error(`MongoDB connection error: ${error.message}`);
     process.exit(1);
@@ -6,8 +6,49 @@ export default {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || "development",
   jwtSecret: process.env.JWT_SECRET || "super-secret-key",
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "7d",
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "15m",
   jwtRefreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
   mongoUri: process.env.MONGO_URI || "mongodb://localhost:27017/codeandcashdb",
   maxActiveSessions: parseInt(process.env.MAX_ACTIVE_SESSIONS || "5"),
+  maxApiKeysPerUser: parseInt(process.env.MAX_API_KEYS_PER_USER || "10"),
+  loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || "5"),
+  loginIpMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || "20"),
+  loginBackoffAfter: parseInt(process.env.LOGIN_BACKOFF_AFTER || "3"),
+  loginAttemptWindow: process.env.LOGIN_ATTEMPT_WINDOW || "15m",
+  loginLockoutDuration: process.env.LOGIN_LOCKOUT_DURATION || "15m",
+  clientUrl: process.env.CLIENT_URL || "http://localhost:3000",
+  passwordResetExpiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || "10m",
+  emailVerificationExpiresIn:
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h",
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || "Code and Cash",
+  impersonationExpiresIn: process.env.IMPERSONATION_EXPIRES_IN || "30m",
+  twoFactorChallengeExpiresIn:
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  mailTransport: process.env.MAIL_TRANSPORT || "file",
+  mailFrom: process.env.MAIL_FROM || "Code and Cash <no-reply@codeandcash.com>",
+  mailOutboxFile: process.env.MAIL_OUTBOX_FILE || "outbox/mail.jsonl",
+  mailWorkerInterval: process.env.MAIL_WORKER_INTERVAL || "10s",
+  mailMaxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || "5"),
+  smtpHost: process.env.SMTP_HOST || "localhost",
+  smtpPort: parseInt(process.env.SMTP_PORT || "1025"),
+  smtpSecure: process.env.SMTP_SECURE === "true",
+  smtpUser: process.env.SMTP_USER,
+  smtpPass: process.env.SMTP_PASS,
+  webhookWorkerInterval: process.env.WEBHOOK_WORKER_INTERVAL || "5s",
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6"),
+  webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000"),
+  // Hosts webhooks may target even though they resolve to a private,
+  // loopback or link-local address (e.g. "localhost" for local receivers)
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  schedulerEnabled: process.env.SCHEDULER_ENABLED !== "false",
+  schedulerInterval: process.env.SCHEDULER_INTERVAL || "5m",
+  deadlineReminderOffsets: (process.env.DEADLINE_REMINDER_OFFSETS || "72h,24h")
+    .split(",")
+    .map((offset) => offset.trim())
+    .filter(Boolean),
+  realtimeAdapter: process.env.REALTIME_ADAPTER || "auto",
+  realtimePollInterval: process.env.REALTIME_POLL_INTERVAL || "2s",
 };
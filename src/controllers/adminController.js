@@ -1,12 +1,33 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { ADMIN_PERMISSIONS } from "../models/AdminRole.js";
+import AuditLog from "../models/AuditLog.js";
 import Task from "../models/Task.js";
 import TaskApplication from "../models/TaskApplication.js";
 import User from "../models/User.js";
+import {
+  getApplicationTimeline,
+  recordApplicationEvent,
+} from "../services/applicationTimelineService.js";
+import { recordAudit, snapshot } from "../services/auditService.js";
+import {
+  decideDeadlineExtension as applyExtensionDecision,
+  EXTENSION_DECISIONS,
+} from "../services/deadlineExtensionService.js";
+import { getAdminPermissions } from "../services/permissionService.js";
+import {
+  assignTaskToApplication,
+  claimTask,
+  releaseTask,
+  REMAINING_APPLICANT_ACTIONS,
+  syncTaskApplicants,
+} from "../services/taskAssignmentService.js";
+import { dispatchTaskCreatedWebhook } from "../services/webhookService.js";
 import AppError from "../utils/appError.js";
 import catchAsync from "../utils/catchAsync.js";
 import { logger } from "../utils/logger.js";
+import runInTransaction from "../utils/transaction.js";
 
 /**
  * Get all completed tasks with user and file info (for admin dashboard)
@@ -61,6 +82,7 @@ export const checkAdminAccess = catchAsync(async (req, res) => {
         email: req.user.email,
         role: req.user.role,
       },
+      permissions: await getAdminPermissions(req.user),
     },
   });
 });
@@ -388,20 +410,24 @@ export const reviewApplicationSubmission = catchAsync(async (req, res) => {
     });
   }
 
-  if (application.status !== "submitted") {
-    return res.status(400).json({
-      status: "error",
-      message: "Application must be in submitted status to be reviewed",
-    });
-  }
+  const before = snapshot("application", application);
 
-  // Update application status based on review
-  application.status = status === "accepted" ? "completed" : "needs_revision";
+  // Update application status based on review (only submitted work can be
+  // reviewed; the transition table rejects anything else with a 409).
+  // Accepting a milestone other than the last one keeps the work going.
+  const reviewedMilestoneId = application.latestSubmissionRound()?.milestoneId;
+  application.transitionTo(application.statusAfterReview(status), {
+    changedBy: req.user._id,
+    note: comments,
+    metadata: reviewedMilestoneId && { milestoneId: reviewedMilestoneId },
+  });
 
-  // If application is now completed, also mark the Task as completed
-  if (application.status === "completed" && application.taskId) {
-    await Task.findByIdAndUpdate(application.taskId, { status: "completed" });
-  }
+  // The reviewed round keeps its verdict and can no longer change
+  application.reviewLatestSubmissionRound({
+    verdict: status,
+    comments,
+    reviewedBy: req.user._id,
+  });
 
   // Update admin review information
   application.adminReview = {
@@ -411,7 +437,27 @@ export const reviewApplicationSubmission = catchAsync(async (req, res) => {
     comments: comments || "",
   };
 
-  await application.save();
+  // If application is now completed, also mark the Task as completed (only
+  // once the review itself is saved)
+  await runInTransaction(async (session) => {
+    await application.save({ session });
+    if (application.status === "completed" && application.taskId) {
+      await Task.updateOne(
+        { _id: application.taskId._id },
+        { $set: { status: "completed" } },
+        { session }
+      );
+    }
+  });
+
+  await recordAudit(req, {
+    action: "REVIEW_SUBMISSION",
+    entityType: "application",
+    entityId: application._id,
+    before,
+    after: snapshot("application", application),
+    metadata: { taskId: application.taskId?._id, verdict: status },
+  });
 
   logger.info(
     `✅ Admin ${req.user.email} reviewed application ${applicationId} with status ${status}`
@@ -424,6 +470,8 @@ export const reviewApplicationSubmission = catchAsync(async (req, res) => {
       applicationId,
       status: application.status,
       adminReview: application.adminReview,
+      round: application.latestSubmissionRound(),
+      milestones: application.milestones,
       task: application.taskId,
       user: application.userId,
     },
@@ -440,6 +488,7 @@ export const createTask = catchAsync(async (req, res) => {
     category,
     difficulty,
     payout,
+    milestones,
     deadline,
     requirements,
     tags,
@@ -470,12 +519,21 @@ export const createTask = catchAsync(async (req, res) => {
     deadline: deadline ? new Date(deadline) : null,
     requirements: requirements || [],
     tags: tags || [],
+    milestones: milestones || [],
     createdBy: req.user._id,
     isActive: true,
   });
 
   await task.save();
 
+  await recordAudit(req, {
+    action: "CREATE_TASK",
+    entityType: "task",
+    entityId: task._id,
+    after: snapshot("task", task),
+  });
+  await dispatchTaskCreatedWebhook(task);
+
   logger.info(`✅ Admin ${req.user.email} created new task: ${title}`);
 
   res.status(201).json({
@@ -525,6 +583,13 @@ export const deleteUser = catchAsync(async (req, res) => {
 
   await User.findByIdAndDelete(userId);
 
+  await recordAudit(req, {
+    action: "DELETE_USER",
+    entityType: "user",
+    entityId: user._id,
+    before: snapshot("user", user),
+  });
+
   logger.info(
     `🗑️ Admin ${req.user.email} deleted user: ${user.name} (${user.email})`
   );
@@ -551,6 +616,13 @@ export const deleteTask = catchAsync(async (req, res) => {
 
   await Task.findByIdAndDelete(taskId);
 
+  await recordAudit(req, {
+    action: "DELETE_TASK",
+    entityType: "task",
+    entityId: task._id,
+    before: snapshot("task", task),
+  });
+
   logger.info(`🗑️ Admin ${req.user.email} deleted task: ${task.title}`);
 
   res.status(200).json({
@@ -611,6 +683,8 @@ export const getAllApplications = catchAsync(async (req, res) => {
     progress: app.progress,
     submissionCount: app.submissions?.length || 0,
     submissions: app.submissions || [], // Ensure submissions is included
+    bid: app.bid,
+    agreedAmount: app.agreedAmount,
     paymentStatus: app.paymentStatus,
     expectedDelivery: app.expectedDelivery,
     actualDelivery: app.actualDelivery,
@@ -684,10 +758,18 @@ export const getApplicationDetails = catchAsync(async (req, res, next) => {
     progress: application.progress,
     submissionCount: application.submissions?.length || 0,
     submissions: application.submissions || [], // Ensure submissions is included
+    bid: application.bid,
+    agreedAmount: application.agreedAmount,
+    milestones: application.milestones || [],
     paymentStatus: application.paymentStatus,
     expectedDelivery: application.expectedDelivery,
+    overdueAt: application.overdueAt,
+    deadlineExtensions: application.deadlineExtensions || [],
     actualDelivery: application.actualDelivery,
     feedback: application.feedback,
+    statusHistory: application.statusHistory || [],
+    allowedTransitions: application.allowedTransitions(),
+    timeline: await getApplicationTimeline(application._id),
     task: application.taskId
       ? {
           id: application.taskId._id,
@@ -730,13 +812,21 @@ export const getApplicationDetails = catchAsync(async (req, res, next) => {
  */
 export const updateApplicationStatus = catchAsync(async (req, res) => {
   const { applicationId } = req.params;
-  const { status, feedback } = req.body;
+  const {
+    status,
+    feedback,
+    remainingApplicants = "keep",
+    remainingApplicantsMessage,
+  } = req.body;
 
+  // Completion only happens by approving the work (review endpoint)
   const validStatuses = [
     "pending",
+    "shortlisted",
+    "interview",
+    "waitlisted",
     "accepted",
     "rejected",
-    "completed",
     "cancelled",
   ];
   if (!validStatuses.includes(status)) {
@@ -746,6 +836,22 @@ export const updateApplicationStatus = catchAsync(async (req, res) => {
     });
   }
 
+  if (!REMAINING_APPLICANT_ACTIONS.includes(remainingApplicants)) {
+    return res.status(400).json({
+      status: "error",
+      message: `Invalid remainingApplicants. Must be one of: ${REMAINING_APPLICANT_ACTIONS.join(
+        ", "
+      )}`,
+    });
+  }
+
+  if (remainingApplicantsMessage && remainingApplicantsMessage.length > 500) {
+    return res.status(400).json({
+      status: "error",
+      message: "remainingApplicantsMessage cannot exceed 500 characters",
+    });
+  }
+
   const application = await TaskApplication.findById(applicationId)
     .populate("taskId", "title")
     .populate("userId", "name email");
@@ -757,8 +863,13 @@ export const updateApplicationStatus = catchAsync(async (req, res) => {
     });
   }
 
+  const before = snapshot("application", application);
+
   // Update application status
-  application.status = status;
+  application.transitionTo(status, {
+    changedBy: req.user._id,
+    note: feedback,
+  });
   if (feedback) {
     application.feedback = {
       comment: feedback,
@@ -766,18 +877,41 @@ export const updateApplicationStatus = catchAsync(async (req, res) => {
     };
   }
 
-  // If accepted, update task to mark user as assigned
+  // If accepted, assign the task (409 unless it is still open and
+  // unassigned) and close the other applicants in the same transaction
+  let closedApplications = [];
   if (status === "accepted") {
-    await Task.findByIdAndUpdate(application.taskId._id, {
-      assignedTo: application.userId._id,
-      status: "in_progress",
+    closedApplications = await assignTaskToApplication(application, {
+      changedBy: req.user._id,
+      remainingApplicants,
+      message: remainingApplicantsMessage,
     });
+  } else {
+    await application.save();
+    await syncTaskApplicants(application.taskId?._id, [application]);
   }
 
-  await application.save();
+  await recordAudit(req, {
+    action: "UPDATE_APPLICATION_STATUS",
+    entityType: "application",
+    entityId: application._id,
+    before,
+    after: snapshot("application", application),
+    metadata: {
+      taskId: application.taskId?._id,
+      ...(status === "accepted" && {
+        remainingApplicants,
+        closedApplications: closedApplications.map((closed) => closed._id),
+      }),
+    },
+  });
 
   logger.info(
-    `✅ Admin ${req.user.email} updated application ${applicationId} to ${status}`
+    `✅ Admin ${req.user.email} updated application ${applicationId} to ${status}${
+      closedApplications.length > 0
+        ? ` (${closedApplications.length} other applicants ${closedApplications[0].status})`
+        : ""
+    }`
   );
 
   res.status(200).json({
@@ -785,6 +919,11 @@ export const updateApplicationStatus = catchAsync(async (req, res) => {
     message: "Application status updated successfully",
     data: {
       application,
+      closedApplications: closedApplications.map((closed) => ({
+        applicationId: closed._id,
+        userId: closed.userId,
+        status: closed.status,
+      })),
     },
   });
 });
@@ -793,13 +932,22 @@ export const updateApplicationStatus = catchAsync(async (req, res) => {
  * Bulk update application status
  */
 export const bulkUpdateApplicationStatus = catchAsync(async (req, res) => {
-  const { applicationIds, status, feedback } = req.body;
+  const {
+    applicationIds,
+    status,
+    feedback,
+    remainingApplicants = "keep",
+    remainingApplicantsMessage,
+  } = req.body;
 
+  // Completion only happens by approving the work (review endpoint)
   const validStatuses = [
     "pending",
+    "shortlisted",
+    "interview",
+    "waitlisted",
     "accepted",
     "rejected",
-    "completed",
     "cancelled",
   ];
   if (!validStatuses.includes(status)) {
@@ -809,6 +957,22 @@ export const bulkUpdateApplicationStatus = catchAsync(async (req, res) => {
     });
   }
 
+  if (!REMAINING_APPLICANT_ACTIONS.includes(remainingApplicants)) {
+    return res.status(400).json({
+      status: "error",
+      message: `Invalid remainingApplicants. Must be one of: ${REMAINING_APPLICANT_ACTIONS.join(
+        ", "
+      )}`,
+    });
+  }
+
+  if (remainingApplicantsMessage && remainingApplicantsMessage.length > 500) {
+    return res.status(400).json({
+      status: "error",
+      message: "remainingApplicantsMessage cannot exceed 500 characters",
+    });
+  }
+
   if (
     !applicationIds ||
     !Array.isArray(applicationIds) ||
@@ -823,7 +987,7 @@ export const bulkUpdateApplicationStatus = catchAsync(async (req, res) => {
   const applications = await TaskApplication.find({
     _id: { $in: applicationIds },
   })
-    .populate("taskId", "title")
+    .populate("taskId", "title status assignedTo")
     .populate("userId", "name email");
 
   if (applications.length === 0) {
@@ -833,25 +997,145 @@ export const bulkUpdateApplicationStatus = catchAsync(async (req, res) => {
     });
   }
 
-  // Update all applications
+  // Check every transition first: an invalid one rejects the whole batch
+  const invalid = applications
+    .filter((application) => !application.canTransitionTo(status))
+    .map((application) => ({
+      applicationId: application._id,
+      currentStatus: application.status,
+      allowedTransitions: application.allowedTransitions(),
+    }));
+
+  if (invalid.length > 0) {
+    return res.status(409).json({
+      status: "fail",
+      message: `${invalid.length} of ${applications.length} applications cannot be moved to ${status}`,
+      details: { requestedStatus: status, invalid },
+    });
+  }
+
+  // A task can only be assigned once: one application per task, and only
+  // tasks that are still open and unassigned
+  if (status === "accepted") {
+    const taskIds = applications.map((application) =>
+      String(application.taskId?._id)
+    );
+    const duplicated = [
+      ...new Set(taskIds.filter((id, index) => taskIds.indexOf(id) !== index)),
+    ];
+    if (duplicated.length > 0) {
+      return res.status(409).json({
+        status: "fail",
+        message: "Only one application per task can be accepted",
+        details: { duplicatedTasks: duplicated },
+      });
+    }
+
+    const unavailable = applications
+      .filter(
+        (application) =>
+          application.taskId?.status !== "open" ||
+          application.taskId?.assignedTo
+      )
+      .map((application) => ({
+        applicationId: application._id,
+        taskId: application.taskId?._id,
+        taskStatus: application.taskId?.status,
+      }));
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        status: "fail",
+        message: `${unavailable.length} of ${applications.length} applications are on tasks that are no longer open for new assignments`,
+        details: { unavailable },
+      });
+    }
+  }
+
+  const befores = applications.map((application) =>
+    snapshot("application", application)
+  );
   for (const application of applications) {
-    application.status = status;
+    application.transitionTo(status, {
+      changedBy: req.user._id,
+      note: feedback,
+    });
     if (feedback) {
       application.feedback = {
         comment: feedback,
         providedAt: new Date(),
       };
     }
+  }
+
+  // Apply the batch in one transaction (on replica sets); accepting goes
+  // through the same assignment as a single accept. Every task is claimed
+  // before any applicant is closed. Without a transaction, claims that were
+  // not followed by a saved acceptance are released when the batch fails
+  // (see assignTaskToApplication for what that leaves behind).
+  const closedApplications = [];
+  await runInTransaction(async (session) => {
+    closedApplications.length = 0;
+
+    // Claimed tasks whose acceptance was not saved (still-unsaved status)
+    const claimedTasks = [];
+    const releaseUnassigned = async () => {
+      if (session) return;
+      await Promise.all(
+        applications
+          .slice(0, claimedTasks.length)
+          .filter((application) => application.isModified("status"))
+          .map((application) => releaseTask(application))
+      );
+    };
 
-    // If accepted, update task to mark user as assigned
     if (status === "accepted") {
-      await Task.findByIdAndUpdate(application.taskId._id, {
-        assignedTo: application.userId._id,
-        status: "in_progress",
-      });
+      try {
+        for (const application of applications) {
+          claimedTasks.push(await claimTask(application, { session }));
+        }
+      } catch (error) {
+        await releaseUnassigned();
+        throw error;
+      }
     }
 
-    await application.save();
+    for (const [index, application] of applications.entries()) {
+      if (status === "accepted") {
+        try {
+          const closed = await assignTaskToApplication(application, {
+            changedBy: req.user._id,
+            remainingApplicants,
+            message: remainingApplicantsMessage,
+            session,
+            task: claimedTasks[index],
+          });
+          closedApplications.push(...closed);
+        } catch (error) {
+          await releaseUnassigned();
+          throw error;
+        }
+      } else {
+        await application.save({ session });
+        await syncTaskApplicants(application.taskId?._id, [application], {
+          session,
+        });
+      }
+    }
+  });
+
+  for (const [index, application] of applications.entries()) {
+    await recordAudit(req, {
+      action: "BULK_UPDATE_APPLICATION_STATUS",
+      entityType: "application",
+      entityId: application._id,
+      before: befores[index],
+      after: snapshot("application", application),
+      metadata: {
+        taskId: application.taskId?._id,
+        batchSize: applications.length,
+        ...(status === "accepted" && { remainingApplicants }),
+      },
+    });
   }
 
   logger.info(
@@ -864,6 +1148,332 @@ export const bulkUpdateApplicationStatus = catchAsync(async (req, res) => {
     data: {
       updatedCount: applications.length,
       status,
+      closedApplications: closedApplications.map((closed) => ({
+        applicationId: closed._id,
+        userId: closed.userId,
+        status: closed.status,
+      })),
+    },
+  });
+});
+
+/**
+ * Update the payment status of a completed application
+ */
+export const updatePaymentStatus = catchAsync(async (req, res) => {
+  const { applicationId } = req.params;
+  const { paymentStatus, milestoneId } = req.body;
+
+  const validStatuses = ["pending", "paid", "disputed"];
+  if (!validStatuses.includes(paymentStatus)) {
+    return res.status(400).json({
+      status: "error",
+      message: `Invalid payment status. Must be one of: ${validStatuses.join(
+        ", "
+      )}`,
+    });
+  }
+
+  const application = await TaskApplication.findById(applicationId);
+  if (!application) {
+    return res.status(404).json({
+      status: "error",
+      message: "Application not found",
+    });
+  }
+
+  // Milestone applications are paid milestone by milestone
+  const hasMilestones = application.milestones?.length > 0;
+  const milestone = milestoneId && application.findMilestone(milestoneId);
+
+  if (hasMilestones && !milestoneId) {
+    return res.status(400).json({
+      status: "error",
+      message: "This application is paid per milestone: provide a milestoneId",
+    });
+  }
+
+  if (milestoneId && !milestone) {
+    return res.status(404).json({
+      status: "error",
+      message: "Milestone not found on this application",
+    });
+  }
+
+  const payable = milestone
+    ? milestone.status === "accepted"
+    : application.status === "completed";
+  if (!payable) {
+    return res.status(400).json({
+      status: "error",
+      message: milestone
+        ? "Only accepted milestones can be paid"
+        : "Only completed applications can be paid",
+    });
+  }
+
+  const previousStatus = milestone
+    ? milestone.paymentStatus
+    : application.paymentStatus;
+
+  // Setting the same status again would record (and email) a second payment
+  if (previousStatus === paymentStatus) {
+    return res.status(409).json({
+      status: "fail",
+      message: milestone
+        ? `This milestone's payment status is already ${paymentStatus}`
+        : `This application's payment status is already ${paymentStatus}`,
+    });
+  }
+
+  const before = snapshot("application", application);
+  const paymentDate = paymentStatus === "paid" ? new Date() : undefined;
+
+  if (milestone) {
+    milestone.paymentStatus = paymentStatus;
+    milestone.paymentDate = paymentDate;
+    application.refreshPaymentStatus();
+  } else {
+    application.paymentStatus = paymentStatus;
+    application.paymentDate = paymentDate;
+  }
+  await application.save();
+
+  await recordApplicationEvent(application._id, {
+    type: paymentStatus === "paid" ? "paid" : "payment_status_changed",
+    actor: req.user._id,
+    metadata: {
+      from: previousStatus,
+      to: paymentStatus,
+      amount: milestone ? milestone.amount : application.agreedAmount,
+      ...(milestone && { milestoneId: milestone.milestoneId }),
+    },
+  });
+
+  await recordAudit(req, {
+    action: "UPDATE_PAYMENT_STATUS",
+    entityType: "application",
+    entityId: application._id,
+    before,
+    after: snapshot("application", application),
+  });
+
+  logger.info(
+    `💰 Admin ${req.user.email} set payment status of application ${applicationId} to ${paymentStatus}`
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Payment status updated successfully",
+    data: {
+      applicationId: application._id,
+      agreedAmount: application.agreedAmount,
+      paymentStatus: application.paymentStatus,
+      paymentDate: application.paymentDate,
+      ...(milestone && { milestone }),
+    },
+  });
+});
+
+/**
+ * Schedule an interview slot for an application in the interview stage
+ */
+export const scheduleInterview = catchAsync(async (req, res) => {
+  const { applicationId } = req.params;
+  const { start, end, location, notes } = req.body;
+
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  if (!start || !end || isNaN(startDate) || isNaN(endDate)) {
+    return res.status(400).json({
+      status: "error",
+      message: "Interview start and end must be valid dates",
+    });
+  }
+  if (endDate <= startDate) {
+    return res.status(400).json({
+      status: "error",
+      message: "Interview end must be after its start",
+    });
+  }
+  if (startDate <= new Date()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Interviews can only be scheduled in the future",
+    });
+  }
+
+  const application = await TaskApplication.findById(applicationId);
+  if (!application) {
+    return res.status(404).json({
+      status: "error",
+      message: "Application not found",
+    });
+  }
+
+  if (application.status !== "interview") {
+    return res.status(409).json({
+      status: "fail",
+      message: `Move the application to the interview stage before scheduling (current status: ${application.status})`,
+    });
+  }
+
+  const before = snapshot("application", application);
+
+  application.interviews.push({
+    start: startDate,
+    end: endDate,
+    location,
+    notes,
+    scheduledBy: req.user._id,
+  });
+  await application.save();
+  const interview = application.interviews[application.interviews.length - 1];
+
+  await recordApplicationEvent(application._id, {
+    type: "interview_scheduled",
+    actor: req.user._id,
+    metadata: { interviewId: interview._id, start: startDate, end: endDate },
+  });
+
+  await recordAudit(req, {
+    action: "SCHEDULE_INTERVIEW",
+    entityType: "application",
+    entityId: application._id,
+    before,
+    after: snapshot("application", application),
+  });
+
+  logger.info(
+    `📅 Admin ${req.user.email} scheduled an interview for application ${applicationId} at ${startDate.toISOString()}`
+  );
+
+  res.status(201).json({
+    status: "success",
+    message: "Interview scheduled successfully",
+    data: {
+      interview,
+    },
+  });
+});
+
+/**
+ * Cancel an interview slot (kept so calendar exports cancel the event)
+ */
+export const cancelInterview = catchAsync(async (req, res) => {
+  const { applicationId, interviewId } = req.params;
+
+  const application = await TaskApplication.findById(applicationId);
+  if (!application) {
+    return res.status(404).json({
+      status: "error",
+      message: "Application not found",
+    });
+  }
+
+  const interview = application.interviews.id(interviewId);
+  if (!interview) {
+    return res.status(404).json({
+      status: "error",
+      message: "Interview not found",
+    });
+  }
+
+  if (interview.cancelledAt) {
+    return res.status(400).json({
+      status: "error",
+      message: "Interview is already cancelled",
+    });
+  }
+
+  const before = snapshot("application", application);
+
+  interview.cancelledAt = new Date();
+  await application.save();
+
+  await recordApplicationEvent(application._id, {
+    type: "interview_cancelled",
+    actor: req.user._id,
+    metadata: { interviewId: interview._id, start: interview.start },
+  });
+
+  await recordAudit(req, {
+    action: "CANCEL_INTERVIEW",
+    entityType: "application",
+    entityId: application._id,
+    before,
+    after: snapshot("application", application),
+  });
+
+  logger.info(
+    `📅 Admin ${req.user.email} cancelled interview ${interviewId} of application ${applicationId}`
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Interview cancelled successfully",
+    data: {
+      interview,
+    },
+  });
+});
+
+/**
+ * Approve or deny a freelancer's deadline extension request
+ */
+export const decideDeadlineExtension = catchAsync(async (req, res) => {
+  const { applicationId, extensionId } = req.params;
+  const { decision, note } = req.body;
+
+  if (!EXTENSION_DECISIONS.includes(decision)) {
+    return res.status(400).json({
+      status: "error",
+      message: `Decision must be one of: ${EXTENSION_DECISIONS.join(", ")}`,
+    });
+  }
+
+  if (note && note.length > 500) {
+    return res.status(400).json({
+      status: "error",
+      message: "Note cannot exceed 500 characters",
+    });
+  }
+
+  const application = await TaskApplication.findById(applicationId);
+  if (!application) {
+    return res.status(404).json({
+      status: "error",
+      message: "Application not found",
+    });
+  }
+
+  const before = snapshot("application", application);
+
+  const extension = await applyExtensionDecision(application, extensionId, {
+    decision,
+    note,
+    decidedBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "DECIDE_DEADLINE_EXTENSION",
+    entityType: "application",
+    entityId: application._id,
+    before,
+    after: snapshot("application", application),
+    metadata: { extensionId: extension._id, decision },
+  });
+
+  logger.info(
+    `⏳ Admin ${req.user.email} ${decision} extension ${extensionId} of application ${applicationId}`
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: `Extension request ${decision} successfully`,
+    data: {
+      extension,
+      expectedDelivery: application.expectedDelivery,
     },
   });
 });
@@ -926,14 +1536,57 @@ export const updateUserDetails = catchAsync(async (req, res) => {
     });
   }
 
+  // Granting admin rights and any change to an admin account (role, email,
+  // deactivation) are role-management actions: whoever controls the account
+  // gets its permissions. A new admin gets full access, so the caller needs
+  // every permission involved.
+  const grantsAdmin = role === "admin" && user.role !== "admin";
+  if (grantsAdmin || user.role === "admin") {
+    if (!req.adminPermissions?.includes("roles:manage")) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. Missing permission: roles:manage",
+      });
+    }
+
+    const involved = grantsAdmin
+      ? ADMIN_PERMISSIONS
+      : await getAdminPermissions(user);
+    if (involved.some((p) => !req.adminPermissions.includes(p))) {
+      return res.status(403).json({
+        status: "error",
+        message:
+          "Access denied. You cannot change accounts with permissions you don't hold",
+      });
+    }
+  }
+
+  if (email && email !== user.email && (await User.exists({ email }))) {
+    return res.status(409).json({
+      status: "fail",
+      message: "Email already in use",
+    });
+  }
+
+  const before = snapshot("user", user);
+
   // Update user fields
   if (name) user.name = name;
   if (email) user.email = email;
   if (role) user.role = role;
+  if (role && role !== "admin") user.adminRole = undefined;
   if (typeof isActive === "boolean") user.isActive = isActive;
 
   await user.save();
 
+  await recordAudit(req, {
+    action: "UPDATE_USER",
+    entityType: "user",
+    entityId: user._id,
+    before,
+    after: snapshot("user", user),
+  });
+
   logger.info(`✅ Admin ${req.user.email} updated user: ${userId}`);
 
   res.status(200).json({
@@ -994,6 +1647,112 @@ export const getTaskDetails = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Compare the proposals (bids) made on a task side by side
+ */
+export const getTaskProposals = catchAsync(async (req, res) => {
+  const { taskId } = req.params;
+  const { sortBy = "amount", sortOrder = "asc", status } = req.query;
+
+  const sortFields = ["amount", "deliveryDate", "appliedAt", "milestones"];
+  if (!sortFields.includes(sortBy)) {
+    return res.status(400).json({
+      status: "error",
+      message: `Invalid sortBy. Must be one of: ${sortFields.join(", ")}`,
+    });
+  }
+
+  const task = await Task.findById(taskId).select(
+    "title payout deadline status assignedTo"
+  );
+  if (!task) {
+    return res.status(404).json({
+      status: "error",
+      message: "Task not found",
+    });
+  }
+
+  const filter = { taskId };
+  if (status && status !== "all") {
+    filter.status = status;
+  }
+
+  const applications = await TaskApplication.find(filter).populate(
+    "userId",
+    "name email username skills hourlyRate"
+  );
+
+  // Applications without a bid are compared at the task's payout and
+  // deadline, which is what they implicitly accept
+  const proposals = applications.map((application) => {
+    const amount = application.bid?.amount ?? task.payout;
+    const deliveryDate = application.bid?.deliveryDate || task.deadline;
+    return {
+      applicationId: application._id,
+      status: application.status,
+      appliedAt: application.appliedAt,
+      message: application.message,
+      hasBid: application.bid?.amount !== undefined,
+      amount,
+      discountFromPayout: task.payout ? task.payout - amount : 0,
+      discountPercent: task.payout
+        ? Math.round(((task.payout - amount) / task.payout) * 100)
+        : 0,
+      deliveryDate,
+      daysBeforeDeadline:
+        deliveryDate && task.deadline
+          ? Math.floor(
+              (new Date(task.deadline) - new Date(deliveryDate)) /
+                (1000 * 60 * 60 * 24)
+            )
+          : null,
+      milestones: application.bid?.milestones || [],
+      agreedAmount: application.agreedAmount,
+      user: application.userId,
+    };
+  });
+
+  const sortValue = {
+    amount: (proposal) => proposal.amount,
+    deliveryDate: (proposal) =>
+      proposal.deliveryDate
+        ? new Date(proposal.deliveryDate).getTime()
+        : Number.MAX_SAFE_INTEGER,
+    appliedAt: (proposal) => new Date(proposal.appliedAt).getTime(),
+    milestones: (proposal) => proposal.milestones.length,
+  }[sortBy];
+  const direction = sortOrder === "desc" ? -1 : 1;
+  proposals.sort((a, b) => (sortValue(a) - sortValue(b)) * direction);
+
+  const amounts = proposals.map((proposal) => proposal.amount);
+
+  logger.info(
+    `📊 Admin ${req.user.email} compared ${proposals.length} proposals for task ${taskId}`
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      task,
+      proposals,
+      summary: {
+        total: proposals.length,
+        withBid: proposals.filter((proposal) => proposal.hasBid).length,
+        lowestAmount: amounts.length > 0 ? Math.min(...amounts) : null,
+        highestAmount: amounts.length > 0 ? Math.max(...amounts) : null,
+        averageAmount:
+          amounts.length > 0
+            ? Math.round(
+                (amounts.reduce((sum, amount) => sum + amount, 0) /
+                  amounts.length) *
+                  100
+              ) / 100
+            : null,
+      },
+    },
+  });
+});
+
 /**
  * Update task details
  */
@@ -1009,6 +1768,8 @@ export const updateTaskDetails = catchAsync(async (req, res) => {
     });
   }
 
+  const before = snapshot("task", task);
+
   // Update task fields
   Object.keys(updateData).forEach((key) => {
     if (updateData[key] !== undefined) {
@@ -1018,6 +1779,14 @@ export const updateTaskDetails = catchAsync(async (req, res) => {
 
   await task.save();
 
+  await recordAudit(req, {
+    action: "UPDATE_TASK",
+    entityType: "task",
+    entityId: task._id,
+    before,
+    after: snapshot("task", task),
+  });
+
   logger.info(`✅ Admin ${req.user.email} updated task: ${taskId}`);
 
   res.status(200).json({
@@ -1036,35 +1805,71 @@ export const getAdminActivityLogs = catchAsync(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const skip = (page - 1) * limit;
+  const { adminId, entityType, entityId, action, requestId, from, to } =
+    req.query;
 
-  // This would typically come from a dedicated audit log collection
-  // For now, we'll return a placeholder response
-  const logs = [
-    {
-      id: "1",
-      adminId: req.user._id,
-      adminName: req.user.name,
-      action: "UPDATE_APPLICATION_STATUS",
-      entityType: "application",
-      entityId: "app123",
-      details: "Changed status from pending to accepted",
-      timestamp: new Date(),
-    },
-    // Add more log entries as needed
-  ];
+  // Build filter object
+  const filter = {};
+  if (adminId) {
+    filter.actor = adminId;
+  }
+  if (entityType && entityType !== "all") {
+    filter.entityType = entityType;
+  }
+  if (entityId) {
+    filter.entityId = entityId;
+  }
+  if (action && action !== "ALL") {
+    filter.action = action;
+  }
+  if (requestId) {
+    filter.requestId = requestId;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+      return res.status(400).json({
+        status: "error",
+        message: "from and to must be valid dates",
+      });
+    }
+  }
+
+  const [logs, totalLogs] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(totalLogs / limit);
 
   logger.info(`📋 Admin ${req.user.email} retrieved activity logs`);
 
   res.status(200).json({
     status: "success",
     data: {
-      logs,
+      logs: logs.map((log) => ({
+        id: log._id,
+        adminId: log.actor,
+        adminName: log.actorName,
+        adminEmail: log.actorEmail,
+        action: log.action,
+        entityType: log.entityType,
+        entityId: log.entityId,
+        changes: log.changes,
+        metadata: log.metadata,
+        ipAddress: log.ipAddress,
+        userAgent: log.userAgent,
+        requestId: log.requestId,
+        timestamp: log.createdAt,
+      })),
       pagination: {
         currentPage: page,
-        totalPages: 1,
-        totalLogs: logs.length,
-        hasNext: false,
-        hasPrev: false,
+        totalPages,
+        totalLogs,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
       },
     },
   });
@@ -1224,6 +2029,56 @@ export const getApplicationSubmissionDetails = catchAsync(async (req, res) => {
     status: "success",
     data: {
       application,
+      submissionRounds: application.getSubmissionRounds(),
+    },
+  });
+});
+
+/**
+ * Compare a submission round with the previous one (defaults to the
+ * latest round)
+ */
+export const compareSubmissionRounds = catchAsync(async (req, res) => {
+  const { applicationId } = req.params;
+
+  const application = await TaskApplication.findById(applicationId)
+    .populate("taskId", "title")
+    .populate("userId", "name email");
+
+  if (!application) {
+    return res.status(404).json({
+      status: "error",
+      message: "Application not found",
+    });
+  }
+
+  const latest = application.latestSubmissionRound();
+  const round = req.query.round
+    ? parseInt(req.query.round, 10)
+    : latest?.number;
+
+  const comparison = round ? application.compareSubmissionRounds(round) : null;
+  if (!comparison) {
+    return res.status(404).json({
+      status: "error",
+      message: req.query.round
+        ? `Submission round ${req.query.round} not found`
+        : "This application has no submission rounds yet",
+    });
+  }
+
+  logger.info(
+    `🔍 Admin ${req.user.email} compared submission round ${round} of application ${applicationId}`
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      applicationId,
+      task: application.taskId,
+      user: application.userId,
+      totalRounds: application.submissionRounds.length,
+      ...comparison,
     },
   });
 });
@@ -0,0 +1,320 @@
+import AdminRole, { ADMIN_PERMISSIONS } from "../models/AdminRole.js";
+import User from "../models/User.js";
+import { recordAudit, snapshot } from "../services/auditService.js";
+import { getAdminPermissions } from "../services/permissionService.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Check a permission list from a request body
+ * @param {Array} permissions - Requested permissions
+ * @returns {String|null} Error message, or null if valid
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return "Permissions must be an array";
+  }
+  const unknown = permissions.filter((p) => !ADMIN_PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(", ")}`;
+  }
+  return null;
+};
+
+/**
+ * Permissions the current admin cannot hand out because they don't hold
+ * them (no one can grant more than they have)
+ * @param {Object} req - Request (requirePermission sets adminPermissions)
+ * @param {Array} permissions - Permissions to grant
+ * @returns {Promise<Array>} Permissions the caller lacks
+ */
+const ungrantablePermissions = async (req, permissions) => {
+  const granted = req.adminPermissions || (await getAdminPermissions(req.user));
+  return permissions.filter((permission) => !granted.includes(permission));
+};
+
+/**
+ * @desc    List admin roles and the available permissions
+ * @route   GET /api/admin/roles
+ * @access  Private/Admin (roles:manage)
+ */
+export const getAdminRoles = catchAsync(async (req, res) => {
+  const [roles, assignedCounts] = await Promise.all([
+    AdminRole.find().sort({ isSystem: -1, name: 1 }),
+    User.aggregate([
+      { $match: { role: "admin", adminRole: { $ne: null } } },
+      { $group: { _id: "$adminRole", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByRole = Object.fromEntries(
+    assignedCounts.map(({ _id, count }) => [_id.toString(), count])
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      roles: roles.map((role) => ({
+        id: role._id,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: role.isSystem,
+        assignedAdmins: countByRole[role._id.toString()] || 0,
+        updatedAt: role.updatedAt,
+      })),
+      availablePermissions: ADMIN_PERMISSIONS,
+    },
+  });
+});
+
+/**
+ * @desc    Create an admin role
+ * @route   POST /api/admin/roles
+ * @access  Private/Admin (roles:manage)
+ */
+export const createAdminRole = catchAsync(async (req, res, next) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (!name) {
+    return next(new AppError("Role name is required", 400));
+  }
+
+  const permissionError = validatePermissions(permissions);
+  if (permissionError) {
+    return next(new AppError(permissionError, 400));
+  }
+
+  const ungrantable = await ungrantablePermissions(req, permissions);
+  if (ungrantable.length > 0) {
+    return next(
+      new AppError(
+        `You cannot grant permissions you don't hold: ${ungrantable.join(", ")}`,
+        403
+      )
+    );
+  }
+
+  if (await AdminRole.exists({ name: String(name).toLowerCase().trim() })) {
+    return next(new AppError("A role with this name already exists", 400));
+  }
+
+  const role = await AdminRole.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "CREATE_ADMIN_ROLE",
+    entityType: "admin_role",
+    entityId: role._id,
+    after: snapshot("admin_role", role),
+  });
+
+  logger.info(`🛡️ Admin ${req.user.email} created admin role: ${role.name}`, {
+    permissions: role.permissions,
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: "Role created successfully",
+    data: { role },
+  });
+});
+
+/**
+ * @desc    Update an admin role's description or permissions
+ * @route   PUT /api/admin/roles/:roleId
+ * @access  Private/Admin (roles:manage)
+ */
+export const updateAdminRole = catchAsync(async (req, res, next) => {
+  const { description, permissions } = req.body;
+
+  const role = await AdminRole.findById(req.params.roleId);
+  if (!role) {
+    return next(new AppError("Role not found", 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError("Built-in roles cannot be modified", 400));
+  }
+
+  const before = snapshot("admin_role", role);
+
+  // Editing your own role would let you grant yourself anything
+  if (req.user.adminRole?.equals(role._id)) {
+    return next(new AppError("You cannot modify your own admin role", 403));
+  }
+
+  if (permissions !== undefined) {
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return next(new AppError(permissionError, 400));
+    }
+
+    const added = permissions.filter((p) => !role.permissions.includes(p));
+    const ungrantable = await ungrantablePermissions(req, added);
+    if (ungrantable.length > 0) {
+      return next(
+        new AppError(
+          `You cannot grant permissions you don't hold: ${ungrantable.join(", ")}`,
+          403
+        )
+      );
+    }
+
+    role.permissions = [...new Set(permissions)];
+  }
+  if (description !== undefined) role.description = description;
+
+  await role.save();
+
+  await recordAudit(req, {
+    action: "UPDATE_ADMIN_ROLE",
+    entityType: "admin_role",
+    entityId: role._id,
+    before,
+    after: snapshot("admin_role", role),
+  });
+
+  logger.info(`🛡️ Admin ${req.user.email} updated admin role: ${role.name}`, {
+    permissions: role.permissions,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Role updated successfully",
+    data: { role },
+  });
+});
+
+/**
+ * @desc    Delete an admin role that is not assigned to anyone
+ * @route   DELETE /api/admin/roles/:roleId
+ * @access  Private/Admin (roles:manage)
+ */
+export const deleteAdminRole = catchAsync(async (req, res, next) => {
+  const role = await AdminRole.findById(req.params.roleId);
+  if (!role) {
+    return next(new AppError("Role not found", 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError("Built-in roles cannot be deleted", 400));
+  }
+
+  const assignedAdmins = await User.countDocuments({ adminRole: role._id });
+  if (assignedAdmins > 0) {
+    return next(
+      new AppError(
+        `This role is assigned to ${assignedAdmins} admin(s). Reassign them first.`,
+        400
+      )
+    );
+  }
+
+  await AdminRole.findByIdAndDelete(role._id);
+
+  await recordAudit(req, {
+    action: "DELETE_ADMIN_ROLE",
+    entityType: "admin_role",
+    entityId: role._id,
+    before: snapshot("admin_role", role),
+  });
+
+  logger.info(`🗑️ Admin ${req.user.email} deleted admin role: ${role.name}`);
+
+  res.status(200).json({
+    status: "success",
+    message: "Role deleted successfully",
+  });
+});
+
+/**
+ * @desc    Assign an admin role to an admin user (null = full access)
+ * @route   PUT /api/admin/users/:userId/admin-role
+ * @access  Private/Admin (roles:manage)
+ */
+export const assignAdminRole = catchAsync(async (req, res, next) => {
+  const { roleId } = req.body;
+
+  if (req.params.userId === req.user._id.toString()) {
+    return next(new AppError("You cannot change your own admin role", 400));
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (user.role !== "admin") {
+    return next(
+      new AppError("Admin roles can only be assigned to admin users", 400)
+    );
+  }
+
+  let role = null;
+  if (roleId) {
+    role = await AdminRole.findById(roleId);
+    if (!role) {
+      return next(new AppError("Role not found", 404));
+    }
+  }
+
+  // Only hand out (and only take away) access the caller holds: the new
+  // role (no role = full access) and the admin's current permissions must
+  // both be within the caller's own
+  const currentPermissions = await getAdminPermissions(user);
+  const ungrantable = await ungrantablePermissions(req, [
+    ...new Set([
+      ...(role ? role.permissions : ADMIN_PERMISSIONS),
+      ...currentPermissions,
+    ]),
+  ]);
+  if (ungrantable.length > 0) {
+    return next(
+      new AppError(
+        `You cannot change the role of this admin: it involves permissions you don't hold (${ungrantable.join(", ")})`,
+        403
+      )
+    );
+  }
+
+  const before = snapshot("user", user);
+
+  user.adminRole = role ? role._id : undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action: "ASSIGN_ADMIN_ROLE",
+    entityType: "user",
+    entityId: user._id,
+    before,
+    after: snapshot("user", user),
+    metadata: { roleName: role ? role.name : null },
+  });
+
+  logger.info(
+    `🛡️ Admin ${req.user.email} set admin role of ${user.email} to ${
+      role ? role.name : "full access"
+    }`
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Admin role assigned successfully",
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        adminRole: role
+          ? { id: role._id, name: role.name, permissions: role.permissions }
+          : null,
+      },
+    },
+  });
+});
@@ -0,0 +1,260 @@
+import config from "../config/index.js";
+import ApiKey, {
+  ADMIN_API_KEY_SCOPES,
+  API_KEY_SCOPES,
+} from "../models/ApiKey.js";
+import { generateApiKey } from "../services/apiKeyService.js";
+import { recordAudit, snapshot } from "../services/auditService.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Shape an API key for responses (never includes the key or its hash)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} Public key details
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  isActive: apiKey.isActive,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * @desc    Create a personal API key (the key is only returned once)
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+export const createApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return next(
+      new AppError("Please provide a name and at least one scope", 400)
+    );
+  }
+
+  const unknownScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return next(
+      new AppError(
+        `Unknown scopes: ${unknownScopes.join(", ")}. Valid scopes: ${API_KEY_SCOPES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  if (
+    req.user.role !== "admin" &&
+    scopes.some((scope) => ADMIN_API_KEY_SCOPES.includes(scope))
+  ) {
+    return next(new AppError("Only admins can create keys with admin scopes", 403));
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 365) {
+      return next(
+        new AppError("expiresInDays must be a number between 1 and 365", 400)
+      );
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    userId: req.user._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (activeKeys >= config.maxApiKeysPerUser) {
+    return next(
+      new AppError(
+        `You can have at most ${config.maxApiKeysPerUser} active API keys. Revoke one first.`,
+        400
+      )
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    userId: req.user._id,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  logger.info(`🔑 API key created for user: ${req.user.email}`, {
+    apiKeyId: apiKey._id,
+    scopes: apiKey.scopes,
+    expiresAt,
+  });
+
+  res.status(201).json({
+    status: "success",
+    message:
+      "API key created. Copy it now: it will not be shown again. Send it in the X-API-Key header.",
+    data: {
+      key,
+      apiKey: formatApiKey(apiKey),
+    },
+  });
+});
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+export const getMyApiKeys = catchAsync(async (req, res) => {
+  const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      apiKeys: apiKeys.map(formatApiKey),
+      availableScopes: API_KEY_SCOPES.filter(
+        (scope) =>
+          req.user.role === "admin" || !ADMIN_API_KEY_SCOPES.includes(scope)
+      ),
+    },
+  });
+});
+
+/**
+ * @desc    Revoke one of the current user's API keys
+ * @route   DELETE /api/auth/api-keys/:keyId
+ * @access  Private
+ */
+export const revokeMyApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.keyId,
+    userId: req.user._id,
+  });
+
+  if (!apiKey) {
+    return next(new AppError("API key not found", 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new AppError("API key is already revoked", 400));
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+
+  logger.info(`🔑 API key revoked by owner: ${req.user.email}`, {
+    apiKeyId: apiKey._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "API key revoked",
+    data: { apiKey: formatApiKey(apiKey) },
+  });
+});
+
+/**
+ * @desc    List API keys across all users
+ * @route   GET /api/admin/api-keys
+ * @access  Private/Admin
+ */
+export const getAllApiKeys = catchAsync(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const { userId, active } = req.query;
+
+  // Build filter object
+  const filter = {};
+  if (userId) {
+    filter.userId = userId;
+  }
+  if (active === "true") {
+    filter.revokedAt = null;
+    filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+
+  const [apiKeys, total] = await Promise.all([
+    ApiKey.find(filter)
+      .populate("userId", "name email role")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    ApiKey.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      apiKeys: apiKeys.map((apiKey) => ({
+        ...formatApiKey(apiKey),
+        user: apiKey.userId,
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Revoke any user's API key
+ * @route   DELETE /api/admin/api-keys/:keyId
+ * @access  Private/Admin
+ */
+export const revokeApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.keyId);
+
+  if (!apiKey) {
+    return next(new AppError("API key not found", 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new AppError("API key is already revoked", 400));
+  }
+
+  const before = snapshot("api_key", apiKey);
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+
+  await recordAudit(req, {
+    action: "REVOKE_API_KEY",
+    entityType: "api_key",
+    entityId: apiKey._id,
+    before,
+    after: snapshot("api_key", apiKey),
+    metadata: { ownerId: apiKey.userId },
+  });
+
+  logger.info(`🔑 API key revoked by admin: ${req.user.email}`, {
+    apiKeyId: apiKey._id,
+    ownerId: apiKey.userId,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "API key revoked",
+    data: { apiKey: formatApiKey(apiKey) },
+  });
+});
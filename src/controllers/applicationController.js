@@ -1,20 +1,30 @@
+import fs from "fs";
 import {
   deleteUploadedFile,
   getFilesInfo,
 } from "../middlewares/submissionUpload.js";
+import ApplicationMessage from "../models/ApplicationMessage.js";
 import CompletedTask from "../models/CompletedTask.js";
 import Task from "../models/Task.js";
-import TaskApplication from "../models/TaskApplication.js";
+import TaskApplication, {
+  hiringStageFor,
+  upcomingInterviews,
+} from "../models/TaskApplication.js";
+import { getApplicationTimeline as loadApplicationTimeline } from "../services/applicationTimelineService.js";
+import { requestDeadlineExtension as createDeadlineExtension } from "../services/deadlineExtensionService.js";
+import { notifyApplicationMessage } from "../services/notificationService.js";
 import AppError from "../utils/appError.js";
+import { buildCalendar } from "../utils/icalendar.js";
 import catchAsync from "../utils/catchAsync.js";
 import { logger } from "../utils/logger.js";
+import runInTransaction from "../utils/transaction.js";
 
 /**
  * Apply to a task
  */
 export const applyToTask = catchAsync(async (req, res, next) => {
   const { taskId } = req.params;
-  const { message } = req.body;
+  const { message, bid } = req.body;
   const userId = req.user._id;
 
   // Check if task exists and is available - handle both ObjectId and numeric ID
@@ -58,18 +68,33 @@ export const applyToTask = catchAsync(async (req, res, next) => {
     return next(new AppError("You have already applied to this task", 400));
   }
 
+  if (bid && bid.amount > task.payout) {
+    return next(
+      new AppError(
+        `Your bid cannot exceed the task payout of $${task.payout}`,
+        400
+      )
+    );
+  }
+
   // Create new application
   const application = await TaskApplication.create({
     userId,
     taskId,
     message,
-    expectedDelivery: task.deadline,
+    bid,
+    expectedDelivery: bid?.deliveryDate || task.deadline,
   });
 
   // Update task to include this user in applicants
-  await Task.findByIdAndUpdate(taskId, {
-    $addToSet: { applicants: userId },
-  });
+  await Task.updateOne(
+    { _id: taskId, "applicants.user": { $ne: userId } },
+    {
+      $push: {
+        applicants: { user: userId, appliedAt: application.appliedAt },
+      },
+    }
+  );
 
   // Populate the application with task and user details
   const populatedApplication = await TaskApplication.findById(application._id)
@@ -139,10 +164,14 @@ export const getMyAppliedTasks = catchAsync(async (req, res, next) => {
       id: app._id,
       applicationId: app._id,
       status: app.status,
+      hiringStage: hiringStageFor(app.status),
+      upcomingInterviews: upcomingInterviews(app.interviews),
       appliedAt: app.appliedAt,
       message: app.message,
       progress: app.progress,
       submissionCount: app.submissions?.length || 0,
+      bid: app.bid,
+      agreedAmount: app.agreedAmount,
       paymentStatus: app.paymentStatus,
       expectedDelivery: app.expectedDelivery,
       actualDelivery: app.actualDelivery,
@@ -230,15 +259,23 @@ export const getApplicationDetails = catchAsync(async (req, res, next) => {
     id: application._id,
     applicationId: application._id,
     status: application.status,
+    hiringStage: hiringStageFor(application.status),
+    interviews: application.interviews || [],
     appliedAt: application.appliedAt,
     message: application.message,
     progress: application.progress,
     submissionCount: application.submissions?.length || 0,
+    bid: application.bid,
+    agreedAmount: application.agreedAmount,
     paymentStatus: application.paymentStatus,
     expectedDelivery: application.expectedDelivery,
     actualDelivery: application.actualDelivery,
     daysSinceApplication: application.daysSinceApplication,
     daysUntilDeadline: application.daysUntilDeadline,
+    statusHistory: application.statusHistory || [],
+    allowedTransitions: application.allowedTransitions(),
+    overdueAt: application.overdueAt,
+    deadlineExtensions: application.deadlineExtensions || [],
 
     // Task details
     task: application.taskId
@@ -262,8 +299,13 @@ export const getApplicationDetails = catchAsync(async (req, res, next) => {
     // Feedback
     feedback: application.feedback,
 
-    // All submissions
+    // Agreed milestones and the one to deliver next
+    milestones: application.milestones || [],
+    currentMilestone: application.currentMilestone(),
+
+    // All submissions, and the same files grouped by submission round
     submissions: application.submissions || [],
+    submissionRounds: application.getSubmissionRounds(),
 
     // User details
     user: application.userId,
@@ -283,11 +325,21 @@ export const submitFiles = catchAsync(async (req, res, next) => {
   const { applicationId } = req.params;
   const userId = req.user._id;
   const files = req.files;
+  const note = req.body.note?.trim();
 
   if (!files || files.length === 0) {
     return next(new AppError("Please upload at least one file", 400));
   }
 
+  // The note arrives with the multipart body, so it can only be checked
+  // once the files are on disk
+  if (note && note.length > 1000) {
+    files.forEach((file) => deleteUploadedFile(file.path));
+    return next(
+      new AppError("Submission note cannot exceed 1000 characters", 400)
+    );
+  }
+
   // Find the application
   const application = await TaskApplication.findOne({
     _id: applicationId,
@@ -301,26 +353,51 @@ export const submitFiles = catchAsync(async (req, res, next) => {
   }
 
   if (!application.canSubmitFiles()) {
+    files.forEach((file) => deleteUploadedFile(file.path));
     return next(
       new AppError("You cannot submit files for this application", 400)
     );
   }
 
+  // Milestones are delivered in order
+  const milestone = application.currentMilestone();
+  if (
+    req.body.milestoneId &&
+    !milestone?.milestoneId.equals(req.body.milestoneId)
+  ) {
+    files.forEach((file) => deleteUploadedFile(file.path));
+    return next(
+      new AppError(
+        milestone
+          ? `Milestones are delivered in order: the current milestone is "${milestone.title}"`
+          : "This application has no milestone to deliver",
+        409
+      )
+    );
+  }
+
   try {
     // Get file information
     const fileInfo = getFilesInfo(files);
 
-    // Add files to application submissions
-    application.submissions.push(...fileInfo);
+    // Every submit opens a new round holding its own files and note
+    const round = application.addSubmissionRound(fileInfo, { note });
 
-    // Update status to submitted when files are uploaded
+    // Update status to submitted when files are uploaded (also after a
+    // revision request)
     let markCompleted = false;
-    if (application.status === "accepted") {
-      application.status = "submitted";
-      // If you want to mark as completed immediately, set to "completed" here and set markCompleted = true
-      // application.status = "completed";
-      // markCompleted = true;
-    }
+    application.transitionTo("submitted", {
+      changedBy: userId,
+      note,
+      metadata: {
+        round: round.number,
+        milestoneId: round.milestoneId,
+        files: fileInfo.map((file) => ({
+          originalName: file.originalName,
+          size: file.size,
+        })),
+      },
+    });
 
     // Update progress if this is the first submission
     if (application.progress === 0) {
@@ -357,6 +434,7 @@ export const submitFiles = catchAsync(async (req, res, next) => {
       message: "Files submitted successfully",
       data: {
         applicationId: application._id,
+        round: application.getSubmissionRound(round.number),
         submittedFiles: fileInfo,
         totalSubmissions: application.submissions.length,
         progress: application.progress,
@@ -405,8 +483,19 @@ export const updateProgress = catchAsync(async (req, res, next) => {
   });
 });
 
+// Statuses an applicant can withdraw from. Work handed in for review
+// (submitted, needs_revision) can't be pulled back.
+const WITHDRAWABLE_STATUSES = [
+  "pending",
+  "shortlisted",
+  "interview",
+  "waitlisted",
+  "accepted",
+];
+
 /**
- * Withdraw application
+ * Withdraw application. When the applicant held the task, it is unassigned
+ * and opened again.
  */
 export const withdrawApplication = catchAsync(async (req, res, next) => {
   const { applicationId } = req.params;
@@ -421,17 +510,32 @@ export const withdrawApplication = catchAsync(async (req, res, next) => {
     return next(new AppError("Application not found", 404));
   }
 
-  if (!["pending", "accepted"].includes(application.status)) {
+  if (!WITHDRAWABLE_STATUSES.includes(application.status)) {
     return next(new AppError("You cannot withdraw this application", 400));
   }
 
   // Update application status
-  application.status = "cancelled";
-  await application.save();
+  application.transitionTo("cancelled", {
+    changedBy: userId,
+    note: "Withdrawn by applicant",
+  });
+
+  await runInTransaction(async (session) => {
+    await application.save({ session });
 
-  // Remove user from task applicants
-  await Task.findByIdAndUpdate(application.taskId, {
-    $pull: { applicants: userId },
+    // Free the task if the applicant was assigned to it
+    await Task.updateOne(
+      { _id: application.taskId, assignedTo: userId },
+      { $set: { assignedTo: null, status: "open" } },
+      { session }
+    );
+
+    // Remove user from task applicants
+    await Task.updateOne(
+      { _id: application.taskId },
+      { $pull: { applicants: { user: userId } } },
+      { session }
+    );
   });
 
   res.status(200).json({
@@ -506,6 +610,15 @@ export const deleteSubmissionFile = catchAsync(async (req, res, next) => {
     return next(new AppError("Submission file not found", 404));
   }
 
+  if (application.isSubmissionLocked(submission)) {
+    return next(
+      new AppError(
+        "This file belongs to a reviewed submission round and cannot be deleted",
+        409
+      )
+    );
+  }
+
   // Delete the physical file
   deleteUploadedFile(submission.path);
 
@@ -524,6 +637,340 @@ export const deleteSubmissionFile = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Load an application the user takes part in: the applicant or the task's
+ * client. Anyone else gets a 404; admins use the /api/admin routes.
+ */
+const findParticipantApplication = async (applicationId, user) => {
+  const application = await TaskApplication.findById(applicationId).populate(
+    "taskId",
+    "title clientId"
+  );
+
+  const isApplicant = application?.userId.equals(user._id);
+  const isClient = application?.taskId?.clientId?.equals(user._id);
+  if (!application || (!isApplicant && !isClient)) {
+    throw new AppError("Application not found", 404);
+  }
+
+  return application;
+};
+
+/**
+ * Get the event timeline of an application
+ * (applicant or the task's client)
+ */
+export const getApplicationTimeline = catchAsync(async (req, res, next) => {
+  const application = await findParticipantApplication(
+    req.params.applicationId,
+    req.user
+  );
+
+  const timeline = await loadApplicationTimeline(application._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Application timeline retrieved successfully",
+    data: {
+      applicationId: application._id,
+      status: application.status,
+      task: application.taskId
+        ? { id: application.taskId._id, title: application.taskId.title }
+        : null,
+      timeline,
+    },
+  });
+});
+
+/**
+ * Export the application's interview slots as an .ics calendar
+ * (applicant or the task's client)
+ */
+export const exportInterviewCalendar = catchAsync(async (req, res, next) => {
+  const application = await findParticipantApplication(
+    req.params.applicationId,
+    req.user
+  );
+
+  const title = application.taskId?.title || "Task";
+  const calendar = buildCalendar(
+    application.interviews.map((interview) => ({
+      uid: `interview-${interview._id}@codeandcash`,
+      start: interview.start,
+      end: interview.end,
+      summary: `Interview: ${title}`,
+      description: interview.notes,
+      location: interview.location,
+      cancelled: !!interview.cancelledAt,
+    })),
+    { name: `Interviews - ${title}` }
+  );
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="interviews-${application._id}.ics"`
+  );
+  res.status(200).send(calendar);
+});
+
+/**
+ * Request a later delivery date (the accepted freelancer)
+ */
+export const requestDeadlineExtension = catchAsync(async (req, res, next) => {
+  const { applicationId } = req.params;
+  const { newDate, reason } = req.body;
+
+  const application = await TaskApplication.findOne({
+    _id: applicationId,
+    userId: req.user._id,
+  });
+
+  if (!application) {
+    return next(new AppError("Application not found", 404));
+  }
+
+  const extension = await createDeadlineExtension(application, {
+    requestedDate: newDate,
+    reason,
+    requestedBy: req.user._id,
+  });
+
+  logger.info(
+    `⏳ User ${req.user.email} requested a deadline extension for application ${applicationId}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Extension request submitted successfully",
+    data: { extension },
+  });
+});
+
+/**
+ * Get the deadline extension history of an application
+ * (applicant or the task's client)
+ */
+export const getDeadlineExtensions = catchAsync(async (req, res, next) => {
+  const application = await findParticipantApplication(
+    req.params.applicationId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Extension requests retrieved successfully",
+    data: {
+      applicationId: application._id,
+      expectedDelivery: application.expectedDelivery,
+      daysUntilDeadline: application.daysUntilDeadline,
+      extensions: application.deadlineExtensions,
+    },
+  });
+});
+
+/**
+ * Shape a thread message for the frontend (attachment paths stay private)
+ * @param {Object} message - ApplicationMessage with sender populated
+ * @param {Object} user - Current user
+ * @returns {Object} Message
+ */
+const formatMessage = (message, user) => {
+  const senderId = message.sender?._id || message.sender;
+  const isMine = senderId.equals(user._id);
+
+  return {
+    id: message._id,
+    sender: message.sender?._id
+      ? { id: message.sender._id, name: message.sender.name }
+      : { id: message.sender },
+    senderRole: message.senderRole,
+    isMine,
+    body: message.body,
+    attachments: message.attachments.map((attachment) => ({
+      id: attachment._id,
+      originalName: attachment.originalName,
+      size: attachment.size,
+      mimetype: attachment.mimetype,
+    })),
+    readBy: message.readBy,
+    read: isMine || message.readBy.some((r) => r.user.equals(user._id)),
+    createdAt: message.createdAt,
+  };
+};
+
+/**
+ * Get an application's message thread, newest first
+ * (applicant or the task's client)
+ */
+export const getApplicationMessages = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const application = await findParticipantApplication(
+    req.params.applicationId,
+    req.user
+  );
+
+  const currentPage = parseInt(page);
+  const limitNum = parseInt(limit);
+  const filter = { applicationId: application._id };
+
+  const [messages, totalCount, unreadCount] = await Promise.all([
+    ApplicationMessage.find(filter)
+      .populate("sender", "name")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((currentPage - 1) * limitNum)
+      .limit(limitNum),
+    ApplicationMessage.countDocuments(filter),
+    ApplicationMessage.countDocuments({
+      ...filter,
+      sender: { $ne: req.user._id },
+      "readBy.user": { $ne: req.user._id },
+    }),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  res.status(200).json({
+    success: true,
+    message: "Messages retrieved successfully",
+    data: {
+      applicationId: application._id,
+      messages: messages.map((message) => formatMessage(message, req.user)),
+      unreadCount,
+      pagination: {
+        currentPage,
+        totalPages,
+        totalCount,
+        hasNext: currentPage < totalPages,
+        hasPrev: currentPage > 1,
+        nextPage: currentPage < totalPages ? currentPage + 1 : null,
+        prevPage: currentPage > 1 ? currentPage - 1 : null,
+      },
+    },
+  });
+});
+
+/**
+ * Post a message, with optional attachments, to an application's thread
+ * (applicant or the task's client)
+ */
+export const sendApplicationMessage = catchAsync(async (req, res, next) => {
+  const files = req.files || [];
+  const body = req.body.body?.trim();
+  const discardFiles = () =>
+    files.forEach((file) => deleteUploadedFile(file.path));
+
+  // The body arrives with the multipart form, so it can only be checked
+  // once the files are on disk
+  if (!body && files.length === 0) {
+    discardFiles();
+    return next(
+      new AppError("Please write a message or attach at least one file", 400)
+    );
+  }
+  if (body && body.length > 5000) {
+    discardFiles();
+    return next(new AppError("Message cannot exceed 5000 characters", 400));
+  }
+
+  let application;
+  try {
+    application = await findParticipantApplication(
+      req.params.applicationId,
+      req.user
+    );
+  } catch (error) {
+    discardFiles();
+    throw error;
+  }
+
+  const senderRole = application.userId.equals(req.user._id)
+    ? "applicant"
+    : "client";
+
+  let message;
+  try {
+    message = await ApplicationMessage.create({
+      applicationId: application._id,
+      sender: req.user._id,
+      senderRole,
+      body,
+      attachments: getFilesInfo(files),
+    });
+  } catch (error) {
+    discardFiles();
+    throw error;
+  }
+
+  await notifyApplicationMessage(application, message, req.user);
+
+  logger.info(
+    `💬 ${req.user.email} posted a message on application ${application._id}`,
+    { messageId: message._id, attachments: files.length }
+  );
+
+  await message.populate("sender", "name");
+
+  res.status(201).json({
+    success: true,
+    message: "Message sent successfully",
+    data: { message: formatMessage(message, req.user) },
+  });
+});
+
+/**
+ * Mark every message of an application's thread as read by the current user
+ */
+export const markApplicationMessagesRead = catchAsync(
+  async (req, res, next) => {
+    const application = await findParticipantApplication(
+      req.params.applicationId,
+      req.user
+    );
+
+    const result = await ApplicationMessage.updateMany(
+      {
+        applicationId: application._id,
+        sender: { $ne: req.user._id },
+        "readBy.user": { $ne: req.user._id },
+      },
+      { $push: { readBy: { user: req.user._id, readAt: new Date() } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Messages marked as read",
+      data: { updatedCount: result.modifiedCount },
+    });
+  }
+);
+
+/**
+ * Download a message attachment (applicant or the task's client)
+ */
+export const downloadMessageAttachment = catchAsync(async (req, res, next) => {
+  const application = await findParticipantApplication(
+    req.params.applicationId,
+    req.user
+  );
+
+  const message = await ApplicationMessage.findOne({
+    _id: req.params.messageId,
+    applicationId: application._id,
+  });
+  const attachment = message?.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new AppError("Attachment not found", 404));
+  }
+
+  if (!fs.existsSync(attachment.path)) {
+    return next(new AppError("File not found", 404));
+  }
+
+  res.download(attachment.path, attachment.originalName);
+});
+
 export default {
   applyToTask,
   getMyAppliedTasks,
@@ -533,4 +980,12 @@ export default {
   withdrawApplication,
   getMyApplicationStats,
   deleteSubmissionFile,
+  getApplicationTimeline,
+  exportInterviewCalendar,
+  requestDeadlineExtension,
+  getDeadlineExtensions,
+  getApplicationMessages,
+  sendApplicationMessage,
+  markApplicationMessagesRead,
+  downloadMessageAttachment,
 };
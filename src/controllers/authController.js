@@ -1,122 +1,64 @@
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 import config from "../config/index.js";
-import BlacklistedToken from "../models/BlacklistedToken.js";
 import User from "../models/User.js";
+import { escapeHtml } from "../services/emailTemplates.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+} from "../services/loginThrottleService.js";
+import { sendMail } from "../services/mailService.js";
+import {
+  blacklistSessionToken,
+  blacklistToken,
+  createUserSession,
+  isTokenBlacklisted,
+  revokeAllSessions,
+  revokeSessionFamily,
+  rotateSessionTokens,
+} from "../services/sessionService.js";
 import {
   calculateExpirationDate,
   generateToken,
+  hashToken,
   verifyToken,
 } from "../services/tokenService.js";
+import { verifyUserSecondFactor } from "../services/totpService.js";
 import AppError from "../utils/appError.js";
 import catchAsync from "../utils/catchAsync.js";
 import { logger } from "../utils/logger.js";
 
 /**
- * Create a session token for the user
- * @param {Object} user - User document
- * @param {String} userAgent - User agent string from request
- * @param {String} ipAddress - IP address of the user
- * @returns {Object} token and user data
+ * Generate a new verification token for the user and email it
+ * @param {Object} user - User document (saved by this function)
  */
-const createUserSession = async (
-  user,
-  userAgent = "Unknown device",
-  ipAddress = "Unknown IP"
-) => {
-  // Generate JWT token
-  const tokenPayload = { userId: user._id, email: user.email };
-  const token = generateToken(tokenPayload, config.jwtExpiresIn);
-
-  // Calculate token expiration date
-  const expiresAt = calculateExpirationDate(config.jwtExpiresIn);
-
-  // Limit the number of active sessions
-  if (
-    user.activeSessions &&
-    user.activeSessions.length >= config.maxActiveSessions
-  ) {
-    // Sort by creation date and remove the oldest session
-    user.activeSessions.sort((a, b) => a.createdAt - b.createdAt);
-    const removedSession = user.activeSessions.shift();
-
-    // Calculate session duration
-    const sessionDuration = new Date() - new Date(removedSession.createdAt);
-
-    // Log session removal
-    logger.info(`🗑️  Session removed for user ${user.name} (${user.email})`, {
-      userId: user._id,
-      removedSessionDevice: removedSession.device,
-      removedSessionCreated: removedSession.createdAt,
-      sessionDuration: Math.round(sessionDuration / 1000 / 60) + " minutes",
-      reason: "Maximum sessions limit reached",
-    });
-
-    // Print session end message to console
-    console.log("\n" + "=".repeat(60));
-    console.log(`🗑️  SESSION ENDED (LIMIT REACHED)`);
-    console.log("=".repeat(60));
-    console.log(`👤 User: ${user.name} (${user.email})`);
-    console.log(`🆔 User ID: ${user._id}`);
-    console.log(`📱 Device: ${removedSession.device}`);
-    console.log(`🌐 IP Address: ${removedSession.ipAddress || "Unknown"}`);
-    console.log(
-      `⏰ Started: ${new Date(removedSession.createdAt).toISOString()}`
-    );
-    console.log(`⏰ Ended: ${new Date().toISOString()}`);
-    console.log(
-      `⏱️  Duration: ${Math.round(sessionDuration / 1000 / 60)} minutes`
-    );
-    console.log(`🎯 Reason: Maximum sessions limit reached`);
-    console.log(`🔑 Token: ${removedSession.token.substring(0, 20)}...`);
-    console.log("=".repeat(60) + "\n");
-  }
-
-  // Add the new session
-  user.activeSessions = user.activeSessions || [];
-  const sessionData = {
-    token,
-    expiresAt,
-    device: userAgent,
-    ipAddress,
-    createdAt: new Date(),
-  };
-
-  user.activeSessions.push(sessionData);
-
+const sendVerificationEmail = async (user) => {
+  // Only the hash of the token is stored; the raw token goes in the email
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpire = calculateExpirationDate(
+    config.emailVerificationExpiresIn
+  );
+  user.emailVerificationSentAt = new Date();
   await user.save({ validateBeforeSave: false });
 
-  // Log successful session creation
-  logger.info(`🔐 New session created for user: ${user.name} (${user.email})`, {
-    userId: user._id,
-    sessionId: sessionData._id,
-    device: userAgent,
-    ipAddress,
-    expiresAt,
-    totalActiveSessions: user.activeSessions.length,
+  const verifyUrl = `${config.clientUrl}/verify-email/${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Code and Cash email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address to start applying to tasks:",
+      "",
+      verifyUrl,
+      "",
+      `This link is valid for ${config.emailVerificationExpiresIn}.`,
+    ].join("\n"),
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address to start applying to tasks.</p><p><a href="${verifyUrl}">Verify my email</a> (valid for ${config.emailVerificationExpiresIn}).</p>`,
   });
-
-  // Print to console for immediate visibility
-  console.log("\n" + "=".repeat(60));
-  console.log(`🔐 USER SESSION CREATED`);
-  console.log("=".repeat(60));
-  console.log(`👤 User: ${user.name} (${user.email})`);
-  console.log(`🆔 User ID: ${user._id}`);
-  console.log(`📱 Device: ${userAgent}`);
-  console.log(`🌐 IP Address: ${ipAddress}`);
-  console.log(`⏰ Created: ${new Date().toISOString()}`);
-  console.log(`⏳ Expires: ${expiresAt.toISOString()}`);
-  console.log(`📊 Active Sessions: ${user.activeSessions.length}`);
-  console.log(`🔑 Token: ${token.substring(0, 20)}...`);
-  console.log("=".repeat(60) + "\n");
-
-  return {
-    token,
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-    },
-  };
 };
 
 /**
@@ -125,7 +67,12 @@ const createUserSession = async (
  * @access  Public
  */
 export const register = catchAsync(async (req, res, next) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, role = "user" } = req.body;
+
+  // Self-service sign-up can create freelancer or client accounts only
+  if (!["user", "client"].includes(role)) {
+    return next(new AppError("Role must be one of: user, client", 400));
+  }
 
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -154,11 +101,21 @@ export const register = catchAsync(async (req, res, next) => {
     username,
     email,
     password: hashedPassword,
+    role,
     activeSessions: [],
+    emailVerified: false,
   });
 
   await newUser.save();
 
+  // The account can log in right away but cannot apply to tasks until the
+  // email is verified. A failed email is not fatal: it can be resent.
+  try {
+    await sendVerificationEmail(newUser);
+  } catch (error) {
+    logger.error(`Verification email failed: ${error.message}`);
+  }
+
   // Create user session
   const userAgent = req.headers["user-agent"] || "Unknown device";
   const ipAddress =
@@ -166,7 +123,7 @@ export const register = catchAsync(async (req, res, next) => {
     req.connection.remoteAddress ||
     req.socket.remoteAddress ||
     "Unknown IP";
-  const { token, user } = await createUserSession(
+  const { token, refreshToken, user } = await createUserSession(
     newUser,
     userAgent,
     ipAddress
@@ -175,7 +132,8 @@ export const register = catchAsync(async (req, res, next) => {
   res.status(201).json({
     status: "success",
     token,
-    data: { user },
+    refreshToken,
+    data: { user: { ...user, role: newUser.role, emailVerified: false } },
   });
 });
 
@@ -192,38 +150,264 @@ export const login = catchAsync(async (req, res, next) => {
     return next(new AppError("Please provide email and password", 400));
   }
 
+  const ipAddress =
+    req.ip ||
+    req.connection.remoteAddress ||
+    req.socket.remoteAddress ||
+    "Unknown IP";
+
+  // Refuse early while the account or IP is locked out / backing off
+  const throttle = await checkLoginAllowed(email, ipAddress);
+  if (!throttle.allowed) {
+    res.set("Retry-After", String(throttle.retryAfter));
+    return next(
+      new AppError(
+        throttle.reason === "locked"
+          ? `Too many failed login attempts. Try again in ${Math.ceil(
+              throttle.retryAfter / 60
+            )} minute(s).`
+          : `Too many failed login attempts. Try again in ${throttle.retryAfter} second(s).`,
+        429
+      )
+    );
+  }
+
   // Find user by email with password field
   const user = await User.findOne({ email }).select("+password");
   if (!user) {
+    await recordLoginFailure(email, ipAddress, "Unknown account");
     return next(new AppError("Invalid credentials", 401));
   }
 
   // Compare password
   const isMatch = await bcrypt.compare(password, user.password);
   if (!isMatch) {
+    await recordLoginFailure(email, ipAddress, "Wrong password");
     return next(new AppError("Invalid credentials", 401));
   }
 
+  // With 2FA on, the password only earns a short-lived challenge token that
+  // must be exchanged together with a code at /api/auth/login/2fa
+  if (user.twoFactor?.enabled) {
+    const challengeToken = generateToken(
+      { userId: user._id, type: "2fa_challenge" },
+      config.twoFactorChallengeExpiresIn
+    );
+
+    logger.info(`🔐 2FA challenge issued for user: ${user.email}`);
+
+    return res.status(200).json({
+      status: "success",
+      twoFactorRequired: true,
+      challengeToken,
+      message: "Enter the code from your authenticator app",
+    });
+  }
+
+  // Counters are only cleared once every factor has been checked
+  await resetLoginFailures(email);
+
   // Create user session
   const userAgent = req.headers["user-agent"] || "Unknown device";
+  const {
+    token,
+    refreshToken,
+    user: userData,
+  } = await createUserSession(user, userAgent, ipAddress);
+
+  res.status(200).json({
+    status: "success",
+    token,
+    refreshToken,
+    data: { user: userData },
+  });
+});
+
+/**
+ * @desc    Complete a 2FA login with the challenge token and a code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+export const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    return next(
+      new AppError("Please provide the challenge token and a code", 400)
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    return next(
+      new AppError("Login challenge is invalid or has expired", 401)
+    );
+  }
+
+  if (decoded.type !== "2fa_challenge") {
+    return next(new AppError("Login challenge is invalid or has expired", 401));
+  }
+
+  // Challenge tokens are single use
+  if (await isTokenBlacklisted(challengeToken)) {
+    return next(new AppError("Login challenge has already been used", 401));
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.twoFactor?.enabled) {
+    return next(new AppError("Login challenge is invalid or has expired", 401));
+  }
+
   const ipAddress =
     req.ip ||
     req.connection.remoteAddress ||
     req.socket.remoteAddress ||
     "Unknown IP";
-  const { token, user: userData } = await createUserSession(
-    user,
-    userAgent,
-    ipAddress
-  );
+
+  // Codes are brute-forceable too: share the password lockout counters
+  const throttle = await checkLoginAllowed(user.email, ipAddress);
+  if (!throttle.allowed) {
+    res.set("Retry-After", String(throttle.retryAfter));
+    return next(
+      new AppError(
+        `Too many failed login attempts. Try again in ${throttle.retryAfter} second(s).`,
+        429
+      )
+    );
+  }
+
+  const method = verifyUserSecondFactor(user, code);
+  if (!method) {
+    logger.warn(`🚫 Invalid 2FA code for user: ${user.email}`, {
+      userId: user._id,
+      ip: ipAddress,
+    });
+    await recordLoginFailure(user.email, ipAddress, "Wrong 2FA code");
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  await resetLoginFailures(user.email);
+
+  await blacklistToken(challengeToken, user._id, "challenge");
+
+  if (method === "backup_code") {
+    logger.warn(`🔑 Backup code used to log in: ${user.email}`, {
+      userId: user._id,
+      backupCodesRemaining: user.twoFactor.backupCodes.length,
+    });
+  }
+
+  // Create user session (also persists the 2FA replay/backup code state)
+  const userAgent = req.headers["user-agent"] || "Unknown device";
+  const {
+    token,
+    refreshToken,
+    user: userData,
+  } = await createUserSession(user, userAgent, ipAddress);
 
   res.status(200).json({
     status: "success",
     token,
+    refreshToken,
     data: { user: userData },
   });
 });
 
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshSession = catchAsync(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(new AppError("Please provide a refresh token", 400));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    return next(
+      new AppError("Invalid or expired refresh token. Please log in again.", 401)
+    );
+  }
+
+  if (decoded.type !== "refresh" || !decoded.familyId) {
+    return next(new AppError("Invalid refresh token. Please log in again.", 401));
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return next(
+      new AppError("The user belonging to this token no longer exists.", 401)
+    );
+  }
+
+  // A refresh token that was already rotated out is being replayed:
+  // assume it was stolen and revoke the whole session family
+  const isBlacklisted = await isTokenBlacklisted(refreshToken);
+  const session = user.activeSessions.find(
+    (s) => s.familyId === decoded.familyId
+  );
+
+  if (
+    isBlacklisted ||
+    (session && session.refreshTokenHash !== hashToken(refreshToken))
+  ) {
+    await revokeSessionFamily(
+      user,
+      decoded.familyId,
+      "Refresh token reuse detected"
+    );
+    logger.warn(`🚫 Refresh token reuse detected`, {
+      userId: user._id,
+      familyId: decoded.familyId,
+      userAgent: req.headers["user-agent"],
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    return next(
+      new AppError("Refresh token has already been used. Please log in again.", 401)
+    );
+  }
+
+  if (!session) {
+    return next(
+      new AppError("Your session is no longer valid. Please log in again.", 401)
+    );
+  }
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    return next(
+      new AppError("Your session has expired. Please log in again.", 401)
+    );
+  }
+
+  const tokens = await rotateSessionTokens(user, session, refreshToken);
+
+  logger.info(`🔄 Session refreshed for user: ${user.name} (${user.email})`, {
+    userId: user._id,
+    familyId: session.familyId,
+    device: session.device,
+  });
+
+  res.status(200).json({
+    status: "success",
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+      },
+    },
+  });
+});
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
@@ -231,6 +415,7 @@ export const login = catchAsync(async (req, res, next) => {
  */
 export const logout = catchAsync(async (req, res, next) => {
   const token = req.token; // This will be set by the protect middleware
+  const tokenHash = hashToken(token);
   const userId = req.user._id;
   const userAgent = req.headers["user-agent"] || "Unknown device";
   const ipAddress =
@@ -248,25 +433,18 @@ export const logout = catchAsync(async (req, res, next) => {
 
   // Find the session being logged out
   const loggedOutSession = user.activeSessions.find(
-    (session) => session.token === token
+    (session) => session.tokenHash === tokenHash
   );
 
   // Remove the session from the user's active sessions
   user.activeSessions = user.activeSessions.filter(
-    (session) => session.token !== token
+    (session) => session.tokenHash !== tokenHash
   );
 
   await user.save();
 
   // Add the token to the blacklist
-  const decoded = verifyToken(token);
-  const expirationTime = new Date(decoded.exp * 1000); // Convert from seconds to milliseconds
-
-  await BlacklistedToken.create({
-    token,
-    userId,
-    expiresAt: expirationTime,
-  });
+  await blacklistToken(token, userId);
 
   // Log successful logout
   logger.info(`🚪 User logged out: ${user.name} (${user.email})`, {
@@ -318,7 +496,15 @@ export const getCurrentUser = catchAsync(async (req, res, next) => {
         name: req.user.name,
         email: req.user.email,
         role: req.user.role,
+        emailVerified: req.user.isEmailVerified(),
       },
+      // Set while an admin is acting as this user
+      impersonation: req.impersonation
+        ? {
+            adminId: req.impersonation.adminId,
+            readOnly: req.impersonation.readOnly,
+          }
+        : null,
     },
   });
 });
@@ -336,13 +522,16 @@ export const getUserSessions = catchAsync(async (req, res, next) => {
   }
 
   // Format sessions to return relevant info
+  const currentTokenHash = hashToken(req.token);
   const sessions = user.activeSessions.map((session) => ({
     id: session._id,
     device: session.device,
     ipAddress: session.ipAddress,
     createdAt: session.createdAt,
     expiresAt: session.expiresAt,
-    isCurrentSession: session.token === req.token,
+    kind: session.kind || "login",
+    impersonatedBy: session.impersonatedBy,
+    isCurrentSession: session.tokenHash === currentTokenHash,
     daysActive: Math.floor(
       (new Date() - new Date(session.createdAt)) / (1000 * 60 * 60 * 24)
     ),
@@ -401,24 +590,14 @@ export const logoutSession = catchAsync(async (req, res, next) => {
 
   // Check if it's the current session
   const sessionToRemove = user.activeSessions[sessionIndex];
-  const isCurrentSession = sessionToRemove.token === req.token;
-
-  // Get the token to blacklist
-  const tokenToBlacklist = sessionToRemove.token;
+  const isCurrentSession = sessionToRemove.tokenHash === hashToken(req.token);
 
   // Remove the session
   user.activeSessions.splice(sessionIndex, 1);
   await user.save();
 
-  // Add the token to blacklist
-  const decoded = verifyToken(tokenToBlacklist);
-  const expirationTime = new Date(decoded.exp * 1000);
-
-  await BlacklistedToken.create({
-    token: tokenToBlacklist,
-    userId,
-    expiresAt: expirationTime,
-  });
+  // Add the token to blacklist (its access token may already have expired)
+  await blacklistSessionToken(sessionToRemove, userId);
 
   // Log session termination
   const sessionDuration = new Date() - new Date(sessionToRemove.createdAt);
@@ -489,24 +668,10 @@ export const logoutAllSessions = catchAsync(async (req, res, next) => {
 
   const sessionCount = user.activeSessions.length;
 
-  // Add all tokens to blacklist
-  const blacklistPromises = user.activeSessions.map(async (session) => {
-    try {
-      const decoded = verifyToken(session.token);
-      const expirationTime = new Date(decoded.exp * 1000);
-
-      return BlacklistedToken.create({
-        token: session.token,
-        userId,
-        expiresAt: expirationTime,
-      });
-    } catch (error) {
-      // Token might be invalid or expired, just skip it
-      return Promise.resolve();
-    }
-  });
-
-  await Promise.all(blacklistPromises);
+  // Add all tokens to blacklist (expired ones are skipped)
+  await Promise.all(
+    user.activeSessions.map((session) => blacklistSessionToken(session, userId))
+  );
 
   // Clear all sessions
   user.activeSessions = [];
@@ -541,3 +706,193 @@ export const logoutAllSessions = catchAsync(async (req, res, next) => {
     message: "Logged out from all sessions",
   });
 });
+
+/**
+ * @desc    Send a password reset link to the user's email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, so the endpoint
+  // cannot be used to discover registered emails
+  const genericResponse = {
+    status: "success",
+    message:
+      "If an account exists for that email, a password reset link has been sent",
+  };
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Only the hash of the token is stored; the raw token goes in the email
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  user.resetPasswordToken = hashToken(resetToken);
+  user.resetPasswordExpire = calculateExpirationDate(
+    config.passwordResetExpiresIn
+  );
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${config.clientUrl}/reset-password/${resetToken}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your Code and Cash password",
+      text: [
+        `Hi ${user.name},`,
+        "",
+        "We received a request to reset your password.",
+        `Use the link below within ${config.passwordResetExpiresIn} to choose a new one:`,
+        "",
+        resetUrl,
+        "",
+        "If you did not request this, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password.</p><p><a href="${resetUrl}">Reset your password</a> (valid for ${config.passwordResetExpiresIn}).</p><p>If you did not request this, you can ignore this email.</p>`,
+    });
+  } catch (error) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.error(`Password reset email failed: ${error.message}`);
+    return next(
+      new AppError("Could not send the reset email. Please try again later.", 500)
+    );
+  }
+
+  logger.info(`🔑 Password reset requested for user: ${user.email}`, {
+    userId: user._id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    expiresAt: user.resetPasswordExpire,
+  });
+
+  res.status(200).json(genericResponse);
+});
+
+/**
+ * @desc    Reset password using the emailed token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  const user = await User.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpire: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return next(new AppError("Reset token is invalid or has expired", 400));
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+
+  // Tokens are single use
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Sign out everywhere: whoever knew the old password loses access
+  const revokedSessions = await revokeAllSessions(user, "Password reset");
+
+  logger.info(`🔑 Password reset completed for user: ${user.email}`, {
+    userId: user._id,
+    revokedSessions,
+    ipAddress: req.ip || req.connection.remoteAddress,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Password has been reset. Please log in with your new password.",
+  });
+});
+
+/**
+ * @desc    Verify email address using the emailed token
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpire: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return next(
+      new AppError("Verification link is invalid or has expired", 400)
+    );
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`✉️  Email verified for user: ${user.email}`, {
+    userId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Email verified successfully",
+  });
+});
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerification = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (user.isEmailVerified()) {
+    return next(new AppError("Your email address is already verified", 400));
+  }
+
+  // Throttle resends to one per minute
+  if (
+    user.emailVerificationSentAt &&
+    new Date() - new Date(user.emailVerificationSentAt) < 60 * 1000
+  ) {
+    return next(
+      new AppError(
+        "A verification email was just sent. Please wait a minute before requesting another.",
+        429
+      )
+    );
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`Verification email failed: ${error.message}`);
+    return next(
+      new AppError(
+        "Could not send the verification email. Please try again later.",
+        500
+      )
+    );
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Verification email sent",
+  });
+});
@@ -0,0 +1,80 @@
+import PlatformSetting from "../models/PlatformSetting.js";
+import { getAdminPermissions } from "../services/permissionService.js";
+import {
+  ADMIN_CHANNEL,
+  subscribe,
+  userChannel,
+} from "../services/realtimeService.js";
+import { decodeToken } from "../services/tokenService.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+// Comment line sent regularly so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Server-Sent Events stream of the current user's application updates and
+ * notifications. Admins who review submissions also get new submissions,
+ * unless the platform requires admin 2FA and they haven't enabled it (the
+ * same rule as the admin API).
+ * The stream ends when the access token expires; the client reconnects
+ * with a refreshed token.
+ */
+export const streamEvents = catchAsync(async (req, res, next) => {
+  const permissions = await getAdminPermissions(req.user);
+  const channels = [userChannel(req.user._id)];
+  let adminChannelError;
+  if (permissions.includes("submissions:review")) {
+    const settings = await PlatformSetting.getSettings();
+    if (req.user.twoFactor?.enabled || !settings.requireAdminTwoFactor) {
+      channels.push(ADMIN_CHANNEL);
+    } else {
+      adminChannelError =
+        "Two-factor authentication is required for admin accounts. Enable it at /api/auth/2fa/setup.";
+    }
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const send = (eventName, data) => {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const end = () => res.end();
+
+  res.write("retry: 5000\n\n");
+  send("ready", {
+    channels: channels.map((name) => name.split(":")[0]),
+    ...(adminChannelError && { adminChannelError }),
+  });
+
+  const unsubscribe = subscribe(channels, { send, end });
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL_MS
+  );
+
+  // API keys can't open streams, so there is always a token here
+  const { exp } = decodeToken(req.token);
+  const expiry = setTimeout(() => {
+    send("expired", { message: "Access token expired, reconnect" });
+    end();
+  }, Math.max(exp * 1000 - Date.now(), 0));
+
+  logger.info(`📡 Event stream opened for ${req.user.email}`);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+    logger.info(`📡 Event stream closed for ${req.user.email}`);
+  });
+});
+
+export default {
+  streamEvents,
+};
@@ -0,0 +1,136 @@
+import config from "../config/index.js";
+import User from "../models/User.js";
+import { recordAudit } from "../services/auditService.js";
+import {
+  blacklistToken,
+  createImpersonationSession,
+} from "../services/sessionService.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * @desc    Start a time-boxed session as another user ("log in as user")
+ * @route   POST /api/admin/users/:userId/impersonate
+ * @access  Private/Admin (users:impersonate, plus users:write for writes)
+ */
+export const startImpersonation = catchAsync(async (req, res, next) => {
+  const { readOnly = true, reason } = req.body;
+
+  // An API key must not turn into a full login session
+  if (req.apiKey) {
+    return next(
+      new AppError("Impersonation cannot be started with an API key", 403)
+    );
+  }
+
+  if (typeof readOnly !== "boolean") {
+    return next(new AppError("readOnly must be a boolean", 400));
+  }
+
+  // A writable session can change data on the user's behalf
+  if (!readOnly && !req.adminPermissions.includes("users:write")) {
+    return next(
+      new AppError(
+        "Access denied. Missing permission: users:write (required for writable impersonation)",
+        403
+      )
+    );
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return next(new AppError("You cannot impersonate yourself", 400));
+  }
+
+  if (user.role === "admin") {
+    return next(new AppError("Admin accounts cannot be impersonated", 403));
+  }
+
+  const { token, sessionId, expiresAt } = await createImpersonationSession(
+    req.user,
+    user,
+    {
+      readOnly,
+      userAgent: req.headers["user-agent"] || "Unknown device",
+      ipAddress: req.ip || req.connection.remoteAddress || "Unknown IP",
+    }
+  );
+
+  await recordAudit(req, {
+    action: "START_IMPERSONATION",
+    entityType: "user",
+    entityId: user._id,
+    metadata: { sessionId, readOnly, reason, expiresAt },
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: `You are now acting as ${user.email}${
+      readOnly ? " (read-only)" : ""
+    }. Call /api/auth/impersonation/stop when done.`,
+    data: {
+      token,
+      expiresAt,
+      expiresIn: config.impersonationExpiresIn,
+      readOnly,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    End the current impersonation session
+ * @route   POST /api/auth/impersonation/stop
+ * @access  Private (impersonation token)
+ */
+export const stopImpersonation = catchAsync(async (req, res, next) => {
+  if (!req.impersonation) {
+    return next(new AppError("This session is not an impersonation", 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  const session = user.activeSessions.id(req.impersonation.sessionId);
+
+  user.activeSessions = user.activeSessions.filter(
+    (s) => !s._id.equals(session._id)
+  );
+  await user.save({ validateBeforeSave: false });
+  await blacklistToken(req.token, user._id, "access");
+
+  // The admin, not the impersonated user, is the actor of this entry
+  const admin = await User.findById(req.impersonation.adminId);
+  if (admin) {
+    await recordAudit(req, {
+      action: "STOP_IMPERSONATION",
+      entityType: "user",
+      entityId: user._id,
+      actor: admin,
+      metadata: {
+        sessionId: req.impersonation.sessionId,
+        durationMinutes: session
+          ? Math.round((new Date() - new Date(session.createdAt)) / 60000)
+          : undefined,
+      },
+    });
+  }
+
+  logger.warn(
+    `🎭 Impersonation stopped: ${admin?.email || "unknown admin"} as ${user.email}`,
+    { sessionId: req.impersonation.sessionId }
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Impersonation ended",
+  });
+});
@@ -0,0 +1,139 @@
+import Notification from "../models/Notification.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+
+/**
+ * Shape a notification for the frontend
+ * @param {Object} notification - Notification document
+ * @returns {Object} Notification
+ */
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  entityType: notification.entityType,
+  entityId: notification.entityId,
+  metadata: notification.metadata,
+  read: !!notification.readAt,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+});
+
+/**
+ * Get the current user's notifications, newest first
+ */
+export const getNotifications = catchAsync(async (req, res, next) => {
+  const { unread, type, page = 1, limit = 20 } = req.query;
+
+  const filter = { recipient: req.user._id };
+  if (unread === "true") filter.readAt = null;
+  if (unread === "false") filter.readAt = { $ne: null };
+  if (type) filter.type = type;
+
+  const currentPage = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [notifications, totalCount, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((currentPage - 1) * limitNum)
+      .limit(limitNum),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ recipient: req.user._id, readAt: null }),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  res.status(200).json({
+    success: true,
+    message: "Notifications retrieved successfully",
+    data: {
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        currentPage,
+        totalPages,
+        totalCount,
+        hasNext: currentPage < totalPages,
+        hasPrev: currentPage > 1,
+        nextPage: currentPage < totalPages ? currentPage + 1 : null,
+        prevPage: currentPage > 1 ? currentPage - 1 : null,
+      },
+    },
+  });
+});
+
+/**
+ * Get the current user's unread notification count, in total and per type
+ */
+export const getUnreadCount = catchAsync(async (req, res, next) => {
+  const counts = await Notification.aggregate([
+    { $match: { recipient: req.user._id, readAt: null } },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+
+  const byType = Object.fromEntries(
+    counts.map(({ _id, count }) => [_id, count])
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Unread count retrieved successfully",
+    data: {
+      unreadCount: counts.reduce((total, { count }) => total + count, 0),
+      byType,
+    },
+  });
+});
+
+/**
+ * Mark one of the current user's notifications as read
+ */
+export const markNotificationRead = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOne({
+    _id: req.params.notificationId,
+    recipient: req.user._id,
+  });
+
+  if (!notification) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Notification marked as read",
+    data: { notification: formatNotification(notification) },
+  });
+});
+
+/**
+ * Mark all of the current user's notifications (optionally of one type)
+ * as read
+ */
+export const markAllNotificationsRead = catchAsync(async (req, res, next) => {
+  const filter = { recipient: req.user._id, readAt: null };
+  if (req.query.type) filter.type = req.query.type;
+
+  const result = await Notification.updateMany(filter, {
+    $set: { readAt: new Date() },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Notifications marked as read",
+    data: { markedCount: result.modifiedCount },
+  });
+});
+
+export default {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
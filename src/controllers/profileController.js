@@ -70,6 +70,7 @@ export const getProfile = catchAsync(async (req, res, next) => {
         bio: user.bio || "",
         profileImage: user.profileImage || null,
         profileImageUrl: getProfileImageUrl(user.profileImage, req),
+        emailPreferences: user.emailPreferences,
       },
     },
   });
@@ -93,6 +94,7 @@ export const updateProfile = catchAsync(async (req, res, next) => {
     usesWhatsApp,
     website,
     bio,
+    emailPreferences,
   } = req.body;
 
   // Check if username already exists for another user
@@ -154,6 +156,10 @@ export const updateProfile = catchAsync(async (req, res, next) => {
     }
   });
 
+  Object.entries(emailPreferences || {}).forEach(([category, enabled]) => {
+    updateData[`emailPreferences.${category}`] = enabled;
+  });
+
   // Update the user
   const updatedUser = await User.findByIdAndUpdate(
     userId,
@@ -184,6 +190,7 @@ export const updateProfile = catchAsync(async (req, res, next) => {
         bio: updatedUser.bio || "",
         profileImage: updatedUser.profileImage || null,
         profileImageUrl: getProfileImageUrl(updatedUser.profileImage, req),
+        emailPreferences: updatedUser.emailPreferences,
       },
     },
   });
@@ -0,0 +1,99 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+import { recordAudit, snapshot } from "../services/auditService.js";
+import { clearLockout } from "../services/loginThrottleService.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * @desc    List login lockouts and failure counters
+ * @route   GET /api/admin/security/lockouts
+ * @access  Private/Admin
+ */
+export const getLoginLockouts = catchAsync(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const { scope, active, search } = req.query;
+
+  // Build filter object
+  const filter = {};
+  if (scope && scope !== "all") {
+    filter.scope = scope;
+  }
+  // active=true: only keys that are locked right now
+  if (active === "true") {
+    filter.lockedUntil = { $gt: new Date() };
+  }
+  if (search) {
+    filter.identifier = { $regex: search, $options: "i" };
+  }
+
+  const [attempts, total] = await Promise.all([
+    LoginAttempt.find(filter)
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    LoginAttempt.countDocuments(filter),
+  ]);
+
+  const lockouts = attempts.map((attempt) => ({
+    id: attempt._id,
+    scope: attempt.scope,
+    identifier: attempt.identifier,
+    failures: attempt.failures,
+    isLocked: attempt.isLocked(),
+    lockedUntil: attempt.lockedUntil,
+    lockCount: attempt.lockCount,
+    nextAttemptAt: attempt.nextAttemptAt,
+    firstFailureAt: attempt.firstFailureAt,
+    lastFailureAt: attempt.lastFailureAt,
+    lastIpAddress: attempt.lastIpAddress,
+  }));
+
+  const totalPages = Math.ceil(total / limit);
+
+  logger.info(`📋 Admin ${req.user.email} retrieved ${lockouts.length} login lockouts`);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      lockouts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Clear a lockout / failure counter
+ * @route   DELETE /api/admin/security/lockouts/:lockoutId
+ * @access  Private/Admin
+ */
+export const clearLoginLockout = catchAsync(async (req, res, next) => {
+  const { lockoutId } = req.params;
+
+  const attempt = await LoginAttempt.findById(lockoutId);
+  if (!attempt) {
+    return next(new AppError("Lockout not found", 404));
+  }
+
+  await clearLockout(attempt, req.user);
+
+  await recordAudit(req, {
+    action: "CLEAR_LOGIN_LOCKOUT",
+    entityType: "login_lockout",
+    entityId: attempt._id,
+    before: snapshot("login_lockout", attempt),
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: `Lockout cleared for ${attempt.scope} ${attempt.identifier}`,
+  });
+});
@@ -1,4 +1,14 @@
 import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import TaskQuestion from "../models/TaskQuestion.js";
+import {
+  assignTaskToApplication,
+  OPEN_APPLICANT_STATUSES,
+  syncTaskApplicants,
+} from "../services/taskAssignmentService.js";
+import { decideDeadlineExtension } from "../services/deadlineExtensionService.js";
+import { notifyTaskQuestion } from "../services/notificationService.js";
+import { dispatchTaskCreatedWebhook } from "../services/webhookService.js";
 import AppError from "../utils/appError.js";
 import catchAsync from "../utils/catchAsync.js";
 import { logger } from "../utils/logger.js";
@@ -369,6 +379,21 @@ export const getTaskById = catchAsync(async (req, res, next) => {
     return next(new AppError("Task not found", 404));
   }
 
+  // Answered questions, newest answers first (the rest via /questions)
+  const answeredFilter = {
+    taskId: task._id,
+    answeredAt: { $ne: null },
+    hiddenAt: null,
+  };
+  const [answeredQuestions, answeredQuestionCount] = await Promise.all([
+    TaskQuestion.find(answeredFilter)
+      .populate("askedBy", "name")
+      .populate("answeredBy", "name")
+      .sort({ answeredAt: -1 })
+      .limit(20),
+    TaskQuestion.countDocuments(answeredFilter),
+  ]);
+
   // Helper function to format dates
   const formatDate = (date) => {
     if (!date) return "";
@@ -444,6 +469,10 @@ export const getTaskById = catchAsync(async (req, res, next) => {
       "Portfolio addition",
       "Professional development",
     ],
+    questions: answeredQuestions.map((question) =>
+      formatTaskQuestion(question)
+    ),
+    answeredQuestionCount,
   };
 
   res.status(200).json({
@@ -499,3 +528,615 @@ export const searchTasks = catchAsync(async (req, res, next) => {
   req.query = { ...filters, search: q };
   return getTasks(req, res, next);
 });
+
+// Fields a client may set on its own tasks
+const CLIENT_TASK_FIELDS = [
+  "title",
+  "description",
+  "company",
+  "category",
+  "difficulty",
+  "payout",
+  "milestones",
+  "duration",
+  "deadline",
+  "requirements",
+  "skills",
+  "tags",
+];
+
+// The terms an assigned freelancer agreed to
+const ASSIGNED_TASK_LOCKED_FIELDS = ["payout", "milestones"];
+
+/**
+ * Load a task and check that the current user owns it. Admins manage other
+ * clients' tasks through the /api/admin routes.
+ * @param {String} taskId - Task ID
+ * @param {Object} user - Current user
+ * @returns {Object} Task document
+ */
+const findOwnedTask = async (taskId, user) => {
+  const task = await Task.findById(taskId);
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+
+  if (!task.clientId.equals(user._id)) {
+    throw new AppError("You can only manage your own tasks", 403);
+  }
+
+  return task;
+};
+
+/**
+ * Create a task owned by the current client
+ */
+export const createTask = catchAsync(async (req, res, next) => {
+  const taskData = {};
+  CLIENT_TASK_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      taskData[field] = req.body[field];
+    }
+  });
+
+  const task = await Task.create({
+    ...taskData,
+    clientId: req.user._id,
+    status: "open",
+    isActive: true,
+  });
+  await dispatchTaskCreatedWebhook(task);
+
+  logger.info(`✅ Client ${req.user.email} created task: ${task.title}`, {
+    taskId: task._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Task created successfully",
+    data: { task },
+  });
+});
+
+/**
+ * Get tasks created by the current client
+ */
+export const getMyCreatedTasks = catchAsync(async (req, res, next) => {
+  const { status, page = 1, limit = 10 } = req.query;
+
+  // Build filter object
+  const filter = { clientId: req.user._id };
+  if (status && status !== "all") {
+    filter.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const [tasks, totalCount] = await Promise.all([
+    Task.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate("assignedTo", "name email avatar")
+      .lean(),
+    Task.countDocuments(filter),
+  ]);
+
+  // Application counts per task, by status
+  const applicationCounts = await TaskApplication.aggregate([
+    { $match: { taskId: { $in: tasks.map((task) => task._id) } } },
+    {
+      $group: {
+        _id: { taskId: "$taskId", status: "$status" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const countsByTask = {};
+  applicationCounts.forEach(({ _id, count }) => {
+    const key = _id.taskId.toString();
+    countsByTask[key] = countsByTask[key] || { total: 0 };
+    countsByTask[key][_id.status] = count;
+    countsByTask[key].total += count;
+  });
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+  const currentPage = parseInt(page);
+
+  res.status(200).json({
+    success: true,
+    message: "Created tasks retrieved successfully",
+    data: {
+      tasks: tasks.map((task) => ({
+        id: task._id,
+        title: task.title,
+        company: task.company,
+        category: task.category,
+        difficulty: task.difficulty,
+        payout: task.payout,
+        duration: task.duration,
+        status: task.status,
+        deadline: task.deadline,
+        createdAt: task.createdAt,
+        assignedTo: task.assignedTo,
+        applications: countsByTask[task._id.toString()] || { total: 0 },
+      })),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalCount,
+        hasNext: currentPage < totalPages,
+        hasPrev: currentPage > 1,
+      },
+    },
+  });
+});
+
+/**
+ * Update one of the current client's tasks
+ */
+export const updateTask = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+  const { status } = req.body;
+
+  if (task.status === "completed") {
+    return next(new AppError("Completed tasks cannot be edited", 400));
+  }
+
+  // Clients can reopen or cancel; progress statuses follow the applications
+  if (status !== undefined) {
+    if (!["open", "cancelled"].includes(status)) {
+      return next(
+        new AppError("Task status can only be set to open or cancelled", 400)
+      );
+    }
+    if (status === "open" && task.assignedTo) {
+      return next(
+        new AppError("A task with an assigned freelancer cannot be reopened", 400)
+      );
+    }
+    task.status = status;
+  }
+
+  const lockedField = ASSIGNED_TASK_LOCKED_FIELDS.find(
+    (field) => req.body[field] !== undefined
+  );
+  if (task.assignedTo && lockedField) {
+    return next(
+      new AppError(
+        `The ${lockedField} of an assigned task cannot be changed`,
+        400
+      )
+    );
+  }
+
+  CLIENT_TASK_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      task[field] = req.body[field];
+    }
+  });
+
+  if (status === "open" && task.deadline && task.deadline <= new Date()) {
+    return next(new AppError("Set a future deadline to reopen this task", 400));
+  }
+
+  await task.save();
+
+  logger.info(`✅ Client ${req.user.email} updated task: ${task._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: "Task updated successfully",
+    data: { task },
+  });
+});
+
+/**
+ * Delete one of the current client's tasks
+ */
+export const deleteTask = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+
+  if (task.assignedTo || ["in_progress", "completed"].includes(task.status)) {
+    return next(
+      new AppError(
+        "Tasks with an assigned freelancer cannot be deleted. Cancel the task instead.",
+        400
+      )
+    );
+  }
+
+  // Open applications to a deleted task are cancelled, not left dangling
+  const pendingApplications = await TaskApplication.find({
+    taskId: task._id,
+    status: { $in: [...OPEN_APPLICANT_STATUSES, "waitlisted"] },
+  });
+  for (const application of pendingApplications) {
+    application.transitionTo("cancelled", {
+      changedBy: req.user._id,
+      note: "Task deleted by client",
+    });
+    await application.save();
+  }
+  const modifiedCount = pendingApplications.length;
+
+  await Task.findByIdAndDelete(task._id);
+
+  logger.info(`🗑️ Client ${req.user.email} deleted task: ${task.title}`, {
+    cancelledApplications: modifiedCount,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task deleted successfully",
+    data: { cancelledApplications: modifiedCount },
+  });
+});
+
+/**
+ * Get the applicants of one of the current client's tasks
+ */
+export const getTaskApplicants = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+  const { status } = req.query;
+
+  const filter = { taskId: task._id };
+  if (status && status !== "all") {
+    filter.status = status;
+  }
+
+  const applications = await TaskApplication.find(filter)
+    .populate("userId", "name email username bio skills hourlyRate")
+    .sort({ appliedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Applicants retrieved successfully",
+    data: {
+      task: { id: task._id, title: task.title, status: task.status },
+      applicants: applications.map((application) => ({
+        applicationId: application._id,
+        status: application.status,
+        appliedAt: application.appliedAt,
+        message: application.message,
+        bid: application.bid,
+        agreedAmount: application.agreedAmount,
+        progress: application.progress,
+        user: application.userId,
+      })),
+    },
+  });
+});
+
+/**
+ * Accept or reject an applicant to one of the current client's tasks.
+ * Accepting can also reject or waitlist the other pending applicants.
+ */
+export const updateApplicantStatus = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+  const {
+    status,
+    feedback,
+    remainingApplicants = "keep",
+    remainingApplicantsMessage,
+  } = req.body;
+
+  if (!["accepted", "rejected"].includes(status)) {
+    return next(new AppError("Status must be one of: accepted, rejected", 400));
+  }
+
+  const application = await TaskApplication.findOne({
+    _id: req.params.applicationId,
+    taskId: task._id,
+  });
+
+  if (!application) {
+    return next(new AppError("Application not found for this task", 404));
+  }
+
+  application.transitionTo(status, {
+    changedBy: req.user._id,
+    note: feedback,
+  });
+  if (feedback) {
+    application.feedback = {
+      comment: feedback,
+      providedAt: new Date(),
+    };
+  }
+
+  // Keep the task's applicant entries and assignment in sync (accepting
+  // needs the task to be open and unassigned: 409 otherwise)
+  let closedApplications = [];
+  if (status === "accepted") {
+    closedApplications = await assignTaskToApplication(application, {
+      changedBy: req.user._id,
+      remainingApplicants,
+      message: remainingApplicantsMessage,
+    });
+  } else {
+    await application.save();
+    await syncTaskApplicants(task._id, [application]);
+  }
+
+  logger.info(
+    `✅ Client ${req.user.email} ${status} application ${application._id} on task ${task._id}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Application ${status} successfully`,
+    data: {
+      application,
+      closedApplications: closedApplications.map((closed) => ({
+        applicationId: closed._id,
+        userId: closed.userId,
+        status: closed.status,
+      })),
+    },
+  });
+});
+
+/**
+ * Approve or deny a deadline extension requested by the freelancer working
+ * on one of the current client's tasks
+ */
+export const decideApplicantExtension = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+  const { decision, note } = req.body;
+
+  const application = await TaskApplication.findOne({
+    _id: req.params.applicationId,
+    taskId: task._id,
+  });
+
+  if (!application) {
+    return next(new AppError("Application not found for this task", 404));
+  }
+
+  const extension = await decideDeadlineExtension(
+    application,
+    req.params.extensionId,
+    { decision, note, decidedBy: req.user._id }
+  );
+
+  logger.info(
+    `⏳ Client ${req.user.email} ${decision} extension ${extension._id} on application ${application._id}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Extension request ${decision} successfully`,
+    data: {
+      extension,
+      expectedDelivery: application.expectedDelivery,
+    },
+  });
+});
+
+// Unanswered questions one user can have open on a task
+const MAX_OPEN_QUESTIONS_PER_USER = 5;
+
+/**
+ * Shape a task question for responses. Moderation details are only for
+ * the task's owner.
+ * @param {Object} question - TaskQuestion with askedBy/answeredBy populated
+ * @param {Boolean} canModerate - Whether the viewer moderates the task
+ * @returns {Object} Question
+ */
+const formatTaskQuestion = (question, canModerate = false) => ({
+  id: question._id,
+  question: question.question,
+  askedBy: question.askedBy
+    ? { id: question.askedBy._id, name: question.askedBy.name }
+    : null,
+  askedAt: question.createdAt,
+  answer: question.answer || null,
+  answeredBy: question.answeredBy
+    ? { id: question.answeredBy._id, name: question.answeredBy.name }
+    : null,
+  answeredAt: question.answeredAt || null,
+  ...(canModerate && {
+    hidden: !!question.hiddenAt,
+    hiddenAt: question.hiddenAt,
+    hiddenReason: question.hiddenReason,
+  }),
+});
+
+/**
+ * Get the questions on a task, newest first. The task's owner also sees
+ * hidden questions.
+ */
+export const getTaskQuestions = catchAsync(async (req, res, next) => {
+  const { answered, page = 1, limit = 20 } = req.query;
+
+  const task = await Task.findById(req.params.id).select("clientId");
+  if (!task) {
+    return next(new AppError("Task not found", 404));
+  }
+
+  const canModerate = task.clientId.equals(req.user._id);
+
+  const filter = { taskId: task._id };
+  if (!canModerate) filter.hiddenAt = null;
+  if (answered === "true") filter.answeredAt = { $ne: null };
+  if (answered === "false") filter.answeredAt = null;
+
+  const currentPage = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [questions, totalCount] = await Promise.all([
+    TaskQuestion.find(filter)
+      .populate("askedBy", "name")
+      .populate("answeredBy", "name")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((currentPage - 1) * limitNum)
+      .limit(limitNum),
+    TaskQuestion.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  res.status(200).json({
+    success: true,
+    message: "Questions retrieved successfully",
+    data: {
+      questions: questions.map((question) =>
+        formatTaskQuestion(question, canModerate)
+      ),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalCount,
+        hasNext: currentPage < totalPages,
+        hasPrev: currentPage > 1,
+        nextPage: currentPage < totalPages ? currentPage + 1 : null,
+        prevPage: currentPage > 1 ? currentPage - 1 : null,
+      },
+    },
+  });
+});
+
+/**
+ * Ask a question about a task (any logged-in user)
+ */
+export const askTaskQuestion = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select(
+    "title clientId isActive"
+  );
+  if (!task || !task.isActive) {
+    return next(new AppError("Task not found", 404));
+  }
+
+  const openQuestions = await TaskQuestion.countDocuments({
+    taskId: task._id,
+    askedBy: req.user._id,
+    answeredAt: null,
+    hiddenAt: null,
+  });
+  if (openQuestions >= MAX_OPEN_QUESTIONS_PER_USER) {
+    return next(
+      new AppError(
+        `You already have ${MAX_OPEN_QUESTIONS_PER_USER} unanswered questions on this task`,
+        429
+      )
+    );
+  }
+
+  const question = await TaskQuestion.create({
+    taskId: task._id,
+    askedBy: req.user._id,
+    question: req.body.question,
+  });
+
+  await notifyTaskQuestion("asked", task, question);
+
+  logger.info(`❓ ${req.user.email} asked a question on task ${task._id}`, {
+    questionId: question._id,
+  });
+
+  await question.populate("askedBy", "name");
+
+  res.status(201).json({
+    success: true,
+    message: "Question posted successfully",
+    data: { question: formatTaskQuestion(question) },
+  });
+});
+
+/**
+ * Answer (or edit the answer to) a question on one of the current client's
+ * tasks
+ */
+export const answerTaskQuestion = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+
+  const question = await TaskQuestion.findOne({
+    _id: req.params.questionId,
+    taskId: task._id,
+  });
+  if (!question) {
+    return next(new AppError("Question not found for this task", 404));
+  }
+
+  if (question.hiddenAt) {
+    return next(
+      new AppError("Hidden questions cannot be answered. Unhide it first.", 400)
+    );
+  }
+
+  const firstAnswer = !question.answeredAt;
+  question.answer = req.body.answer;
+  question.answeredBy = req.user._id;
+  question.answeredAt = new Date();
+  await question.save();
+
+  if (firstAnswer) {
+    await notifyTaskQuestion("answered", task, question);
+  }
+
+  logger.info(
+    `💡 ${req.user.email} answered question ${question._id} on task ${task._id}`
+  );
+
+  await question.populate([
+    { path: "askedBy", select: "name" },
+    { path: "answeredBy", select: "name" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Question answered successfully",
+    data: { question: formatTaskQuestion(question, true) },
+  });
+});
+
+/**
+ * Hide an abusive question from the listing, or show it again
+ * (the task's owner)
+ */
+export const moderateTaskQuestion = catchAsync(async (req, res, next) => {
+  const task = await findOwnedTask(req.params.id, req.user);
+  const { action, reason } = req.body;
+
+  const question = await TaskQuestion.findOne({
+    _id: req.params.questionId,
+    taskId: task._id,
+  });
+  if (!question) {
+    return next(new AppError("Question not found for this task", 404));
+  }
+
+  if (action === "hide") {
+    question.hiddenAt = new Date();
+    question.hiddenBy = req.user._id;
+    question.hiddenReason = reason;
+  } else {
+    question.hiddenAt = undefined;
+    question.hiddenBy = undefined;
+    question.hiddenReason = undefined;
+  }
+  await question.save();
+
+  logger.info(
+    `🛡️ ${req.user.email} ${action === "hide" ? "hid" : "unhid"} question ${question._id} on task ${task._id}`,
+    { reason }
+  );
+
+  await question.populate([
+    { path: "askedBy", select: "name" },
+    { path: "answeredBy", select: "name" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message:
+      action === "hide"
+        ? "Question hidden successfully"
+        : "Question is visible again",
+    data: { question: formatTaskQuestion(question, true) },
+  });
+});
@@ -0,0 +1,280 @@
+import bcrypt from "bcryptjs";
+import config from "../config/index.js";
+import PlatformSetting from "../models/PlatformSetting.js";
+import User from "../models/User.js";
+import { recordAudit, snapshot } from "../services/auditService.js";
+import {
+  buildOtpauthUrl,
+  generateBackupCodes,
+  generateSecret,
+  verifyTotp,
+  verifyUserSecondFactor,
+} from "../services/totpService.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * @desc    Get 2FA status for the current user
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+export const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const settings = await PlatformSetting.getSettings();
+  const twoFactor = req.user.twoFactor || {};
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      enabled: !!twoFactor.enabled,
+      enabledAt: twoFactor.enabledAt,
+      backupCodesRemaining: twoFactor.backupCodes?.length || 0,
+      required: req.user.role === "admin" && settings.requireAdminTwoFactor,
+    },
+  });
+});
+
+/**
+ * @desc    Start 2FA enrollment: generate a secret and provisioning URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (user.twoFactor?.enabled) {
+    return next(
+      new AppError("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`🔐 2FA enrollment started for user: ${user.email}`);
+
+  res.status(200).json({
+    status: "success",
+    message:
+      "Scan the QR code with your authenticator app, then confirm with a code",
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email, config.twoFactorIssuer),
+    },
+  });
+});
+
+/**
+ * @desc    Confirm enrollment with a code and enable 2FA
+ * @route   POST /api/auth/2fa/verify
+ * @access  Private
+ */
+export const verifyTwoFactorSetup = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    return next(
+      new AppError("Start two-factor setup before verifying a code", 400)
+    );
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return next(new AppError("Invalid authentication code", 400));
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`🔐 2FA enabled for user: ${user.email}`, {
+    userId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message:
+      "Two-factor authentication enabled. Store these backup codes somewhere safe: they are shown only once.",
+    data: {
+      backupCodes: codes,
+    },
+  });
+});
+
+/**
+ * @desc    Generate a new set of backup codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+export const regenerateBackupCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (!user || !user.twoFactor?.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  if (!verifyUserSecondFactor(user, code)) {
+    return next(new AppError("Invalid authentication code", 400));
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor.backupCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`🔐 2FA backup codes regenerated for user: ${user.email}`);
+
+  res.status(200).json({
+    status: "success",
+    message: "New backup codes generated. Previous codes no longer work.",
+    data: {
+      backupCodes: codes,
+    },
+  });
+});
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return next(
+      new AppError("Please provide your password and an authentication code", 400)
+    );
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user || !user.twoFactor?.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    return next(new AppError("Current password is incorrect", 401));
+  }
+
+  if (!verifyUserSecondFactor(user, code)) {
+    return next(new AppError("Invalid authentication code", 400));
+  }
+
+  const settings = await PlatformSetting.getSettings();
+  if (user.role === "admin" && settings.requireAdminTwoFactor) {
+    return next(
+      new AppError(
+        "Two-factor authentication is required for admin accounts",
+        403
+      )
+    );
+  }
+
+  user.twoFactor = {
+    enabled: false,
+    backupCodes: [],
+    lastUsedStep: -1,
+  };
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`🔓 2FA disabled for user: ${user.email}`, {
+    userId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication disabled",
+  });
+});
+
+/**
+ * @desc    Get platform security settings
+ * @route   GET /api/admin/settings/security
+ * @access  Private/Admin
+ */
+export const getSecuritySettings = catchAsync(async (req, res) => {
+  const settings = await PlatformSetting.getSettings();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      requireAdminTwoFactor: settings.requireAdminTwoFactor,
+      updatedAt: settings.updatedAt,
+    },
+  });
+});
+
+/**
+ * @desc    Require (or stop requiring) 2FA for every admin account
+ * @route   PUT /api/admin/settings/security
+ * @access  Private/Admin
+ */
+export const updateSecuritySettings = catchAsync(async (req, res, next) => {
+  const { requireAdminTwoFactor } = req.body;
+
+  if (typeof requireAdminTwoFactor !== "boolean") {
+    return next(new AppError("requireAdminTwoFactor must be a boolean", 400));
+  }
+
+  // Don't let an admin lock themselves out of the admin panel
+  if (requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+    return next(
+      new AppError(
+        "Enable two-factor authentication on your own account first",
+        400
+      )
+    );
+  }
+
+  const settings = await PlatformSetting.getSettings();
+  const before = snapshot("settings", settings);
+  settings.requireAdminTwoFactor = requireAdminTwoFactor;
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  await recordAudit(req, {
+    action: "UPDATE_SECURITY_SETTINGS",
+    entityType: "settings",
+    entityId: settings.key,
+    before,
+    after: snapshot("settings", settings),
+  });
+
+  const adminsWithout2FA = requireAdminTwoFactor
+    ? await User.countDocuments({
+        role: "admin",
+        "twoFactor.enabled": { $ne: true },
+      })
+    : 0;
+
+  logger.info(
+    `🛡️ Admin ${req.user.email} set requireAdminTwoFactor to ${requireAdminTwoFactor}`
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Security settings updated",
+    data: {
+      requireAdminTwoFactor: settings.requireAdminTwoFactor,
+      adminsWithout2FA,
+    },
+  });
+});
@@ -0,0 +1,369 @@
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { recordAudit, snapshot } from "../services/auditService.js";
+import {
+  generateWebhookSecret,
+  pingWebhook,
+  redeliverWebhook,
+  validateWebhookTarget,
+} from "../services/webhookService.js";
+import AppError from "../utils/appError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Check an event list from a request body
+ * @param {Array} events - Requested events
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "Subscribe to at least one event";
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(", ")}. Valid events: ${WEBHOOK_EVENTS.join(", ")}`;
+  }
+  return null;
+};
+
+/**
+ * Shape a delivery for responses (the attempt log only in details)
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Boolean} withAttempts - Include the attempt log and payload
+ * @returns {Object} Delivery details
+ */
+const formatDelivery = (delivery, withAttempts = false) => ({
+  id: delivery._id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  deliveredAt: delivery.deliveredAt,
+  redeliveryOf: delivery.redeliveryOf,
+  createdAt: delivery.createdAt,
+  ...(withAttempts && {
+    payload: delivery.payload,
+    attemptLog: delivery.attemptLog,
+  }),
+});
+
+/**
+ * @desc    List webhooks and the events they can subscribe to
+ * @route   GET /api/admin/webhooks
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const getWebhooks = catchAsync(async (req, res) => {
+  const webhooks = await Webhook.find()
+    .populate("createdBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      webhooks,
+      availableEvents: WEBHOOK_EVENTS,
+    },
+  });
+});
+
+/**
+ * @desc    Register a webhook (the signing secret is only returned once)
+ * @route   POST /api/admin/webhooks
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const createWebhook = catchAsync(async (req, res, next) => {
+  const { name, url, events, description, active } = req.body;
+
+  if (!name || !url) {
+    return next(new AppError("Please provide a name and a URL", 400));
+  }
+
+  const eventError = validateEvents(events);
+  if (eventError) {
+    return next(new AppError(eventError, 400));
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return next(new AppError("active must be a boolean", 400));
+  }
+
+  const targetError = await validateWebhookTarget(url);
+  if (targetError) {
+    return next(new AppError(targetError, 400));
+  }
+
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    name,
+    url,
+    events: [...new Set(events)],
+    description,
+    active: active ?? true,
+    secret,
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "CREATE_WEBHOOK",
+    entityType: "webhook",
+    entityId: webhook._id,
+    after: snapshot("webhook", webhook),
+  });
+
+  logger.info(`🪝 Admin ${req.user.email} created webhook: ${webhook.name}`, {
+    url: webhook.url,
+    events: webhook.events,
+  });
+
+  webhook.secret = undefined;
+
+  res.status(201).json({
+    status: "success",
+    message:
+      "Webhook created. Copy the secret now: it will not be shown again. Use it to verify the X-Webhook-Signature header.",
+    data: { webhook, secret },
+  });
+});
+
+/**
+ * @desc    Update a webhook; { rotateSecret: true } issues a new secret
+ * @route   PUT /api/admin/webhooks/:webhookId
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const updateWebhook = catchAsync(async (req, res, next) => {
+  const { name, url, events, description, active, rotateSecret } = req.body;
+
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  const before = snapshot("webhook", webhook);
+
+  if (events !== undefined) {
+    const eventError = validateEvents(events);
+    if (eventError) {
+      return next(new AppError(eventError, 400));
+    }
+    webhook.events = [...new Set(events)];
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    return next(new AppError("active must be a boolean", 400));
+  }
+  if (url !== undefined) {
+    const targetError = await validateWebhookTarget(url);
+    if (targetError) {
+      return next(new AppError(targetError, 400));
+    }
+    webhook.url = url;
+  }
+  if (name !== undefined) webhook.name = name;
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) webhook.active = active;
+
+  let secret;
+  if (rotateSecret === true) {
+    secret = generateWebhookSecret();
+    webhook.secret = secret;
+  }
+
+  await webhook.save();
+
+  await recordAudit(req, {
+    action: "UPDATE_WEBHOOK",
+    entityType: "webhook",
+    entityId: webhook._id,
+    before,
+    after: snapshot("webhook", webhook),
+    metadata: { secretRotated: Boolean(secret) },
+  });
+
+  logger.info(`🪝 Admin ${req.user.email} updated webhook: ${webhook.name}`, {
+    secretRotated: Boolean(secret),
+  });
+
+  webhook.secret = undefined;
+
+  res.status(200).json({
+    status: "success",
+    message: secret
+      ? "Webhook updated. Copy the new secret now: it will not be shown again."
+      : "Webhook updated successfully",
+    data: { webhook, ...(secret && { secret }) },
+  });
+});
+
+/**
+ * @desc    Delete a webhook (pending deliveries are dropped)
+ * @route   DELETE /api/admin/webhooks/:webhookId
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const deleteWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  await Webhook.findByIdAndDelete(webhook._id);
+  await WebhookDelivery.updateMany(
+    { webhookId: webhook._id, status: "pending" },
+    { $set: { status: "failed", lastError: "Webhook was deleted" } }
+  );
+
+  await recordAudit(req, {
+    action: "DELETE_WEBHOOK",
+    entityType: "webhook",
+    entityId: webhook._id,
+    before: snapshot("webhook", webhook),
+  });
+
+  logger.info(`🗑️ Admin ${req.user.email} deleted webhook: ${webhook.name}`);
+
+  res.status(200).json({
+    status: "success",
+    message: "Webhook deleted successfully",
+  });
+});
+
+/**
+ * @desc    Send a test "ping" delivery to a webhook
+ * @route   POST /api/admin/webhooks/:webhookId/ping
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const pingWebhookEndpoint = catchAsync(async (req, res, next) => {
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  if (!webhook.active) {
+    return next(new AppError("Activate the webhook before pinging it", 400));
+  }
+
+  const delivery = await pingWebhook(webhook);
+
+  res.status(202).json({
+    status: "success",
+    message: "Ping queued",
+    data: { delivery: formatDelivery(delivery) },
+  });
+});
+
+/**
+ * @desc    List a webhook's deliveries (filter with ?status= and ?event=)
+ * @route   GET /api/admin/webhooks/:webhookId/deliveries
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const getWebhookDeliveries = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const { status, event } = req.query;
+
+  if (!(await Webhook.exists({ _id: req.params.webhookId }))) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  const filter = { webhookId: req.params.webhookId };
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      deliveries: deliveries.map((delivery) => formatDelivery(delivery)),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a delivery with its payload and every attempt
+ * @route   GET /api/admin/webhooks/:webhookId/deliveries/:deliveryId
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const getWebhookDelivery = catchAsync(async (req, res, next) => {
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    webhookId: req.params.webhookId,
+  });
+  if (!delivery) {
+    return next(new AppError("Delivery not found", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: { delivery: formatDelivery(delivery, true) },
+  });
+});
+
+/**
+ * @desc    Send a past delivery again (queued as a new delivery)
+ * @route   POST /api/admin/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * @access  Private/Admin (webhooks:manage)
+ */
+export const redeliverWebhookDelivery = catchAsync(async (req, res, next) => {
+  const [webhook, delivery] = await Promise.all([
+    Webhook.findById(req.params.webhookId),
+    WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhookId: req.params.webhookId,
+    }),
+  ]);
+  if (!webhook || !delivery) {
+    return next(new AppError("Delivery not found", 404));
+  }
+
+  if (!webhook.active) {
+    return next(
+      new AppError("Activate the webhook before redelivering to it", 400)
+    );
+  }
+
+  if (["pending", "sending"].includes(delivery.status)) {
+    return next(new AppError("This delivery has not finished yet", 400));
+  }
+
+  const redelivery = await redeliverWebhook(delivery);
+
+  await recordAudit(req, {
+    action: "REDELIVER_WEBHOOK",
+    entityType: "webhook",
+    entityId: webhook._id,
+    metadata: {
+      deliveryId: delivery._id,
+      redeliveryId: redelivery._id,
+      event: delivery.event,
+    },
+  });
+
+  logger.info(
+    `🪝 Admin ${req.user.email} redelivered ${delivery.event} delivery ${delivery._id} to webhook: ${webhook.name}`
+  );
+
+  res.status(202).json({
+    status: "success",
+    message: "Redelivery queued",
+    data: { delivery: formatDelivery(redelivery) },
+  });
+});
@@ -11,6 +11,11 @@ import { fileURLToPath } from "url";
 import connectDB from "./config/db.js";
 import config from "./config/index.js";
 import { errorHandler } from "./middlewares/errorHandler.js";
+import { requestId } from "./middlewares/requestId.js";
+import { stopMailWorker } from "./services/mailOutboxService.js";
+import { stopRealtimeFanout } from "./services/realtimeService.js";
+import { stopScheduler } from "./services/schedulerService.js";
+import { stopWebhookWorker } from "./services/webhookService.js";
 import { logger } from "./utils/logger.js";
 
 // Import routes
@@ -18,6 +23,8 @@ import adminRouter from "./routes/admin.js";
 import applicationRouter from "./routes/applications.js";
 import authRouter from "./routes/auth.js";
 import completedTaskRouter from "./routes/completedTask.js";
+import eventRouter from "./routes/events.js";
+import notificationRouter from "./routes/notifications.js";
 import profileRouter from "./routes/profile.js";
 import taskRouter from "./routes/tasks.js";
 
@@ -30,6 +37,8 @@ const app = express();
 connectDB();
 
 // Middleware
+app.use(requestId);
+
 // Configure CORS
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
@@ -39,8 +48,9 @@ app.use((req, res, next) => {
   );
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "X-Requested-With, Content-Type, Authorization"
+    "X-Requested-With, Content-Type, Authorization, X-API-Key, X-Request-Id"
   );
+  res.setHeader("Access-Control-Expose-Headers", "X-Request-Id, Retry-After");
   res.setHeader("Access-Control-Allow-Credentials", "true");
 
   if (req.method === "OPTIONS") {
@@ -66,6 +76,8 @@ app.use("/api/tasks", taskRouter);
 app.use("/api/applications", applicationRouter);
 app.use("/api/admin", adminRouter);
 app.use("/api/completed-tasks", completedTaskRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/events", eventRouter);
 
 // Health check route
 app.get("/health", (req, res) => {
@@ -139,7 +151,6 @@ const gracefulShutdown = async (signal) => {
           `⏱️  Duration: ${Math.round(sessionDuration / 1000 / 60)} minutes`
         );
         console.log(`🎯 Reason: Server shutdown`);
-        console.log(`🔑 Token: ${session.token.substring(0, 20)}...`);
         console.log("=".repeat(60) + "\n");
       });
     }
@@ -150,6 +161,12 @@ const gracefulShutdown = async (signal) => {
       );
     }
 
+    // Stop background jobs and hand their leases to other instances
+    await stopScheduler();
+    await stopRealtimeFanout();
+    stopMailWorker();
+    stopWebhookWorker();
+
     // Close server
     server.close(() => {
       console.log("📡 HTTP server closed");
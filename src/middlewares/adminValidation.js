@@ -0,0 +1,91 @@
+import { body, param, query } from "express-validator";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from "../models/AuditLog.js";
+import { checkValidation } from "./applicationValidation.js";
+
+/**
+ * Validation rules for updating a user from the admin panel
+ */
+export const validateUpdateUser = [
+  param("userId")
+    .isMongoId()
+    .withMessage("User ID must be a valid MongoDB ObjectId"),
+
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Name must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  body("email")
+    .optional()
+    .isString()
+    .withMessage("Email must be a string")
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .toLowerCase(),
+
+  body("role")
+    .optional()
+    .isIn(["user", "client", "admin"])
+    .withMessage("Role must be one of: user, client, admin"),
+
+  body("isActive")
+    .optional()
+    .custom((isActive) => typeof isActive === "boolean")
+    .withMessage("isActive must be true or false"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for listing the admin activity (audit) log
+ */
+export const validateGetActivityLogs = [
+  query("adminId")
+    .optional()
+    .isMongoId()
+    .withMessage("Admin ID must be a valid MongoDB ObjectId"),
+
+  query("action")
+    .optional()
+    .isString()
+    .withMessage("Action must be a single value")
+    .bail()
+    .toUpperCase()
+    .isIn([...AUDIT_ACTIONS, "ALL"])
+    .withMessage(`Action must be one of: all, ${AUDIT_ACTIONS.join(", ")}`),
+
+  query("entityType")
+    .optional()
+    .isIn([...AUDIT_ENTITY_TYPES, "all"])
+    .withMessage(
+      `Entity type must be one of: all, ${AUDIT_ENTITY_TYPES.join(", ")}`
+    ),
+
+  query(["entityId", "requestId"])
+    .optional()
+    .isString()
+    .withMessage("Must be a single value"),
+
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Must be a valid date"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Page must be an integer between 1 and 1000"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+
+  checkValidation,
+];
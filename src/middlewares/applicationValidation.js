@@ -34,6 +34,61 @@ export const validateApplyToTask = [
     .withMessage("Message cannot exceed 500 characters")
     .trim(),
 
+  // Optional bid; the payout ceiling is checked against the task
+  body("bid").optional().isObject().withMessage("Bid must be an object"),
+
+  body("bid.amount")
+    .if(body("bid").exists())
+    .notEmpty()
+    .withMessage("Bid amount is required")
+    .bail()
+    .isFloat({ min: 0 })
+    .withMessage("Bid amount must be a positive number")
+    .toFloat(),
+
+  body("bid.deliveryDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Delivery date must be a valid date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Delivery date must be in the future")
+    .toDate(),
+
+  body("bid.milestones")
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Milestones must be an array of 1 to 10 items")
+    .custom((milestones, { req }) => {
+      const total = milestones.reduce(
+        (sum, milestone) => sum + Number(milestone.amount || 0),
+        0
+      );
+      return Math.abs(total - Number(req.body.bid.amount)) < 0.01;
+    })
+    .withMessage("Milestone amounts must add up to the bid amount"),
+
+  body("bid.milestones.*.title")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Milestone title must be between 1 and 100 characters"),
+
+  body("bid.milestones.*.amount")
+    .isFloat({ min: 0 })
+    .withMessage("Milestone amount must be a positive number")
+    .toFloat(),
+
+  body("bid.milestones.*.dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Milestone due date must be a valid date")
+    .custom(
+      (value, { req }) =>
+        !req.body.bid.deliveryDate ||
+        new Date(value) <= new Date(req.body.bid.deliveryDate)
+    )
+    .withMessage("Milestone due dates cannot be after the delivery date")
+    .toDate(),
+
   checkValidation,
 ];
 
@@ -43,9 +98,19 @@ export const validateApplyToTask = [
 export const validateGetMyAppliedTasks = [
   query("status")
     .optional()
-    .isIn(["all", "pending", "accepted", "rejected", "completed", "cancelled"])
+    .isIn([
+      "all",
+      "pending",
+      "shortlisted",
+      "interview",
+      "waitlisted",
+      "accepted",
+      "rejected",
+      "completed",
+      "cancelled",
+    ])
     .withMessage(
-      "Status must be one of: all, pending, accepted, rejected, completed, cancelled"
+      "Status must be one of: all, pending, shortlisted, interview, waitlisted, accepted, rejected, completed, cancelled"
     ),
 
   query("page")
@@ -138,6 +203,85 @@ export const validateDeleteSubmissionFile = [
   checkValidation,
 ];
 
+/**
+ * Validation rules for requesting a deadline extension
+ */
+export const validateRequestDeadlineExtension = [
+  param("applicationId")
+    .isMongoId()
+    .withMessage("Application ID must be a valid MongoDB ObjectId"),
+
+  body("newDate")
+    .notEmpty()
+    .withMessage("New date is required")
+    .isISO8601()
+    .withMessage("New date must be a valid ISO 8601 date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("New date must be in the future")
+    .toDate(),
+
+  body("reason")
+    .notEmpty()
+    .withMessage("Reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters")
+    .trim(),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for reading an application's message thread
+ */
+export const validateGetApplicationMessages = [
+  param("applicationId")
+    .isMongoId()
+    .withMessage("Application ID must be a valid MongoDB ObjectId"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Page must be an integer between 1 and 1000"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for posting a message (the multipart body is checked in
+ * the controller, after the upload)
+ */
+export const validateSendApplicationMessage = [
+  param("applicationId")
+    .isMongoId()
+    .withMessage("Application ID must be a valid MongoDB ObjectId"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for downloading a message attachment
+ */
+export const validateDownloadMessageAttachment = [
+  param("applicationId")
+    .isMongoId()
+    .withMessage("Application ID must be a valid MongoDB ObjectId"),
+
+  param("messageId")
+    .isMongoId()
+    .withMessage("Message ID must be a valid MongoDB ObjectId"),
+
+  param("attachmentId")
+    .isMongoId()
+    .withMessage("Attachment ID must be a valid MongoDB ObjectId"),
+
+  checkValidation,
+];
+
 /**
  * Validation rules for task ID parameter
  */
@@ -157,6 +301,10 @@ export default {
   validateWithdrawApplication,
   validateSubmitFiles,
   validateDeleteSubmissionFile,
+  validateRequestDeadlineExtension,
+  validateGetApplicationMessages,
+  validateSendApplicationMessage,
+  validateDownloadMessageAttachment,
   validateTaskId,
   checkValidation,
 };
@@ -1,7 +1,14 @@
 import jwt from "jsonwebtoken";
 import config from "../config/index.js";
-import BlacklistedToken from "../models/BlacklistedToken.js";
 import User from "../models/User.js";
+import {
+  authenticateApiKey,
+  scopeForRequest,
+} from "../services/apiKeyService.js";
+import { recordAudit } from "../services/auditService.js";
+import { getAdminPermissions } from "../services/permissionService.js";
+import { isTokenBlacklisted } from "../services/sessionService.js";
+import { hashToken } from "../services/tokenService.js";
 import AppError from "../utils/appError.js";
 import catchAsync from "../utils/catchAsync.js";
 import { logger } from "../utils/logger.js";
@@ -16,6 +23,34 @@ export const protect = catchAsync(async (req, res, next) => {
     token = req.headers.authorization.split(" ")[1];
   }
 
+  // Personal API keys (CI and scripts) are accepted when no Bearer token is sent
+  if (!token && req.headers["x-api-key"]) {
+    const { apiKey, user } = await authenticateApiKey(
+      req.headers["x-api-key"],
+      req.ip || req.connection.remoteAddress
+    );
+
+    const requiredScope = scopeForRequest(req);
+    if (!requiredScope) {
+      return next(
+        new AppError("API keys cannot be used for this endpoint", 403)
+      );
+    }
+    if (!apiKey.hasScope(requiredScope)) {
+      return next(
+        new AppError(`This API key is missing the ${requiredScope} scope`, 403)
+      );
+    }
+    // A demoted admin's key loses its admin scopes with the role
+    if (requiredScope.startsWith("admin:") && user.role !== "admin") {
+      return next(new AppError("Access denied. Admin privileges required.", 403));
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    return next();
+  }
+
   if (!token) {
     return next(
       new AppError("You are not logged in. Please log in to get access.", 401)
@@ -23,8 +58,7 @@ export const protect = catchAsync(async (req, res, next) => {
   }
 
   // 2) Check if token is blacklisted
-  const isBlacklisted = await BlacklistedToken.findOne({ token });
-  if (isBlacklisted) {
+  if (await isTokenBlacklisted(token)) {
     logger.warn(`🚫 Blacklisted token used`, {
       token: token.substring(0, 20) + "...",
       userAgent: req.headers["user-agent"],
@@ -35,6 +69,9 @@ export const protect = catchAsync(async (req, res, next) => {
     );
   }
 
+  // Sessions only store the hash of their access token
+  const tokenHash = hashToken(token);
+
   // 3) Verify token
   let decoded;
   try {
@@ -51,8 +88,21 @@ export const protect = catchAsync(async (req, res, next) => {
           const user = await User.findById(expiredDecoded.userId);
           if (user) {
             const expiredSession = user.activeSessions.find(
-              (s) => s.token === token
+              (s) => s.tokenHash === tokenHash
             );
+            // The session outlives its access token: keep it so the client
+            // can exchange its refresh token at /api/auth/refresh
+            if (
+              expiredSession &&
+              new Date(expiredSession.expiresAt) > new Date()
+            ) {
+              return next(
+                new AppError(
+                  "Your access token has expired. Please refresh your session.",
+                  401
+                )
+              );
+            }
             if (expiredSession) {
               const sessionDuration =
                 new Date() - new Date(expiredSession.createdAt);
@@ -95,7 +145,7 @@ export const protect = catchAsync(async (req, res, next) => {
 
               // Remove expired session from user's active sessions
               user.activeSessions = user.activeSessions.filter(
-                (s) => s.token !== token
+                (s) => s.tokenHash !== tokenHash
               );
               await user.save();
             }
@@ -119,6 +169,11 @@ export const protect = catchAsync(async (req, res, next) => {
     );
   }
 
+  // Refresh and 2FA challenge tokens are not access tokens
+  if (decoded.type) {
+    return next(new AppError("Invalid token. Please log in again.", 401));
+  }
+
   // 4) Check if user still exists
   const currentUser = await User.findById(decoded.userId);
   if (!currentUser) {
@@ -129,7 +184,7 @@ export const protect = catchAsync(async (req, res, next) => {
 
   // 5) Check if the token is in the user's active sessions
   const currentSession = currentUser.activeSessions.find(
-    (session) => session.token === token
+    (session) => session.tokenHash === tokenHash
   );
 
   if (!currentSession) {
@@ -183,7 +238,7 @@ export const protect = catchAsync(async (req, res, next) => {
 
     // Remove expired session from user's active sessions
     currentUser.activeSessions = currentUser.activeSessions.filter(
-      (session) => session.token !== token
+      (session) => session.tokenHash !== tokenHash
     );
     await currentUser.save();
 
@@ -199,8 +254,139 @@ export const protect = catchAsync(async (req, res, next) => {
   //   method: req.method
   // });
 
-  // 6) Grant access to protected route
+  // 6) Impersonation sessions: flag the request, read-only unless allowed
+  if (currentSession.kind === "impersonation") {
+    req.impersonation = {
+      adminId: currentSession.impersonatedBy,
+      readOnly: currentSession.readOnly !== false,
+      sessionId: currentSession._id,
+    };
+
+    if (
+      req.impersonation.readOnly &&
+      !["GET", "HEAD"].includes(req.method) &&
+      !req.allowImpersonatedWrite
+    ) {
+      return next(
+        new AppError(
+          "This impersonation session is read-only. Stop impersonating to make changes.",
+          403
+        )
+      );
+    }
+
+    // Writes made on the user's behalf are audited with the admin as the
+    // actor (routes allowed in read-only sessions audit themselves)
+    if (!["GET", "HEAD"].includes(req.method) && !req.allowImpersonatedWrite) {
+      const admin = await User.findById(currentSession.impersonatedBy);
+      if (admin) {
+        res.on("finish", () =>
+          recordAudit(req, {
+            action: "IMPERSONATED_REQUEST",
+            entityType: "user",
+            entityId: currentUser._id,
+            actor: admin,
+            metadata: {
+              sessionId: currentSession._id,
+              method: req.method,
+              path: req.originalUrl,
+              statusCode: res.statusCode,
+            },
+          })
+        );
+      }
+    }
+  }
+
+  // 7) Grant access to protected route
   req.user = currentUser;
   req.token = token; // Attach token to req for logout functionality
   next();
 });
+
+/**
+ * Block users who have not verified their email address yet.
+ * Must run after protect.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified()) {
+    return next(
+      new AppError(
+        "Please verify your email address before continuing. Check your inbox or request a new verification email.",
+        403
+      )
+    );
+  }
+  next();
+};
+
+/**
+ * Only allow the given roles. Must run after protect.
+ * @param {...String} roles - Allowed roles
+ */
+export const restrictTo =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new AppError("You do not have permission to perform this action", 403)
+      );
+    }
+    next();
+  };
+
+/**
+ * Require every given admin permission. Must run after adminAuth.
+ * The granted permissions are attached as req.adminPermissions.
+ * @param {...String} permissions - Required permissions
+ */
+export const requirePermission = (...permissions) =>
+  catchAsync(async (req, res, next) => {
+    const granted = await getAdminPermissions(req.user);
+    const missing = permissions.filter(
+      (permission) => !granted.includes(permission)
+    );
+
+    if (missing.length > 0) {
+      logger.warn(`🚫 Admin permission denied for ${req.user.email}`, {
+        missing,
+        endpoint: req.originalUrl,
+        method: req.method,
+      });
+      return next(
+        new AppError(
+          `Access denied. Missing permission: ${missing.join(", ")}`,
+          403
+        )
+      );
+    }
+
+    req.adminPermissions = granted;
+    next();
+  });
+
+/**
+ * Let an impersonated session through protect's read-only check.
+ * Must run before protect (used by the stop-impersonation route).
+ */
+export const allowImpersonatedWrite = (req, res, next) => {
+  req.allowImpersonatedWrite = true;
+  next();
+};
+
+/**
+ * Refuse impersonated sessions, even writable ones. Must run after protect.
+ * For account-level changes (password, 2FA, sessions, API keys) that only
+ * the real user should make.
+ */
+export const refuseImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return next(
+      new AppError(
+        "This action is not available while impersonating a user",
+        403
+      )
+    );
+  }
+  next();
+};
@@ -0,0 +1,47 @@
+import { body, param } from "express-validator";
+import { checkValidation } from "./applicationValidation.js";
+
+/**
+ * Validation rules for requesting a password reset link
+ */
+export const validateForgotPassword = [
+  body("email")
+    .exists({ values: "falsy" })
+    .withMessage("Please provide your email address")
+    .bail()
+    .isString()
+    .withMessage("Email must be a string")
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .toLowerCase(),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for choosing a new password with a reset token
+ */
+export const validateResetPassword = [
+  param("token")
+    .isHexadecimal()
+    .withMessage("Reset token is invalid or has expired"),
+
+  body("password")
+    .isString()
+    .withMessage("Password must be a string")
+    .bail()
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+
+  body("passwordConfirm")
+    .optional()
+    .isString()
+    .withMessage("Password confirmation must be a string")
+    .bail()
+    .custom((passwordConfirm, { req }) => passwordConfirm === req.body.password)
+    .withMessage("Passwords do not match"),
+
+  checkValidation,
+];
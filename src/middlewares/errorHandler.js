@@ -38,6 +38,7 @@ const sendErrorProd = (err, res) => {
     res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      ...(err.details !== undefined && { details: err.details }),
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -0,0 +1,53 @@
+import { param, query } from "express-validator";
+import { NOTIFICATION_TYPES } from "../models/Notification.js";
+import { checkValidation } from "./applicationValidation.js";
+
+/**
+ * Validation rules for listing notifications
+ */
+export const validateGetNotifications = [
+  query("unread")
+    .optional()
+    .isBoolean()
+    .withMessage("Unread must be a boolean value"),
+
+  query("type")
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(", ")}`),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Page must be an integer between 1 and 1000"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for marking one notification as read
+ */
+export const validateNotificationId = [
+  param("notificationId")
+    .isMongoId()
+    .withMessage("Notification ID must be a valid MongoDB ObjectId"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for marking all notifications as read
+ */
+export const validateMarkAllRead = [
+  query("type")
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(", ")}`),
+
+  checkValidation,
+];
@@ -0,0 +1,31 @@
+import { body } from "express-validator";
+import { EMAIL_CATEGORIES } from "../models/User.js";
+import { checkValidation } from "./applicationValidation.js";
+
+/**
+ * Validation rules for updating the profile. Email preferences are partial
+ * updates: { applicationRejected: false }
+ */
+export const validateUpdateProfile = [
+  body("emailPreferences")
+    .optional()
+    .isObject({ strict: true })
+    .withMessage("Email preferences must be an object")
+    .bail()
+    .custom((preferences) =>
+      Object.keys(preferences).every((category) =>
+        EMAIL_CATEGORIES.includes(category)
+      )
+    )
+    .withMessage(
+      `Email preference categories must be one of: ${EMAIL_CATEGORIES.join(
+        ", "
+      )}`
+    ),
+
+  body("emailPreferences.*")
+    .custom((enabled) => typeof enabled === "boolean")
+    .withMessage("Email preferences must be true or false"),
+
+  checkValidation,
+];
@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+// Accept a caller-supplied ID only if it looks like one (no log injection)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+/**
+ * Tag every request with an ID (req.requestId, X-Request-Id response header)
+ * so log lines and audit entries can be traced back to a single request.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  req.requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  res.setHeader("X-Request-Id", req.requestId);
+  next();
+};
@@ -9,6 +9,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, "../../uploads");
 const submissionsDir = path.join(uploadsDir, "submissions");
+const messagesDir = path.join(uploadsDir, "messages");
 
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
@@ -18,6 +19,10 @@ if (!fs.existsSync(submissionsDir)) {
   fs.mkdirSync(submissionsDir, { recursive: true });
 }
 
+if (!fs.existsSync(messagesDir)) {
+  fs.mkdirSync(messagesDir, { recursive: true });
+}
+
 // Configure storage for task submissions
 const submissionStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -54,22 +59,51 @@ const submissionFileFilter = (req, file, cb) => {
   }
 };
 
+// Upload limits, shared by submissions and message attachments
+const submissionLimits = {
+  fileSize: 10 * 1024 * 1024, // 10MB limit
+  files: 5, // Maximum 5 files per submission
+};
+
 // Configure multer for task submissions
 const submissionUpload = multer({
   storage: submissionStorage,
   fileFilter: submissionFileFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 5, // Maximum 5 files per submission
+  limits: submissionLimits,
+});
+
+// Configure storage for application message attachments
+const messageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, messagesDir);
+  },
+  filename: (req, file, cb) => {
+    // Create unique filename: userId-applicationId-timestamp-random.extension
+    const extension = path.extname(file.originalname);
+    const suffix = Math.round(Math.random() * 1e9);
+    cb(
+      null,
+      `${req.user._id}-${req.params.applicationId}-${Date.now()}-${suffix}${extension}`
+    );
   },
 });
 
+// Message attachments follow the submission file rules
+const messageUpload = multer({
+  storage: messageStorage,
+  fileFilter: submissionFileFilter,
+  limits: submissionLimits,
+});
+
 // Middleware for multiple file uploads (task submissions) with any field name
 export const uploadTaskSubmission = submissionUpload.any();
 
 // Middleware for single file upload (task submissions)
 export const uploadSingleTaskSubmission = submissionUpload.any();
 
+// Middleware for application message attachments with any field name
+export const uploadMessageAttachments = messageUpload.any();
+
 // Error handling middleware for submission uploads
 export const handleSubmissionUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -139,6 +173,7 @@ export const getFilesInfo = (files) => {
 export default {
   uploadTaskSubmission,
   uploadSingleTaskSubmission,
+  uploadMessageAttachments,
   handleSubmissionUploadError,
   deleteUploadedFile,
   getFileInfo,
@@ -1,4 +1,6 @@
 import { body, param, query, validationResult } from "express-validator";
+import { EXTENSION_DECISIONS } from "../services/deadlineExtensionService.js";
+import { REMAINING_APPLICANT_ACTIONS } from "../services/taskAssignmentService.js";
 import AppError from "../utils/appError.js";
 
 /**
@@ -97,9 +99,16 @@ export const validateGetTasks = [
 
   query("status")
     .optional()
-    .isIn(["all", "open", "in_progress", "completed", "cancelled"])
+    .isIn([
+      "all",
+      "open",
+      "in_progress",
+      "completed",
+      "cancelled",
+      "expired",
+    ])
     .withMessage(
-      "Status must be one of: all, open, in_progress, completed, cancelled"
+      "Status must be one of: all, open, in_progress, completed, cancelled, expired"
     ),
 
   checkValidation,
@@ -122,6 +131,38 @@ export const validateGetTask = [
   checkValidation,
 ];
 
+/**
+ * Validation rules for task milestones (shared by create and update). The
+ * model checks that the amounts add up to the payout.
+ */
+const milestoneRules = [
+  body("milestones")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Milestones must be an array of at most 20 items"),
+
+  body("milestones.*.title")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Milestone title must be between 1 and 100 characters"),
+
+  body("milestones.*.amount")
+    .isFloat({ min: 0 })
+    .withMessage("Milestone amount must be a positive number")
+    .toFloat(),
+
+  body("milestones.*.dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Milestone due date must be a valid ISO 8601 date"),
+
+  body("milestones.*.acceptanceCriteria")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Acceptance criteria cannot exceed 1000 characters")
+    .trim(),
+];
+
 /**
  * Validation rules for creating a task
  */
@@ -237,6 +278,8 @@ export const validateCreateTask = [
     .isBoolean()
     .withMessage("Featured must be a boolean value"),
 
+  ...milestoneRules,
+
   checkValidation,
 ];
 
@@ -298,6 +341,163 @@ export const validateUpdateTask = [
       "Status must be one of: open, in_progress, completed, cancelled"
     ),
 
+  ...milestoneRules,
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for accepting or rejecting an applicant
+ */
+export const validateUpdateApplicantStatus = [
+  param("id")
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ObjectId"),
+
+  param("applicationId")
+    .isMongoId()
+    .withMessage("Application ID must be a valid MongoDB ObjectId"),
+
+  body("status")
+    .isIn(["accepted", "rejected"])
+    .withMessage("Status must be one of: accepted, rejected"),
+
+  body("feedback")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Feedback cannot exceed 500 characters")
+    .trim(),
+
+  body("remainingApplicants")
+    .optional()
+    .isIn(REMAINING_APPLICANT_ACTIONS)
+    .withMessage(
+      `Remaining applicants must be one of: ${REMAINING_APPLICANT_ACTIONS.join(
+        ", "
+      )}`
+    ),
+
+  body("remainingApplicantsMessage")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Remaining applicants message cannot exceed 500 characters")
+    .trim(),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for deciding on a deadline extension request
+ */
+export const validateDecideExtension = [
+  param("id")
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ObjectId"),
+
+  param("applicationId")
+    .isMongoId()
+    .withMessage("Application ID must be a valid MongoDB ObjectId"),
+
+  param("extensionId")
+    .isMongoId()
+    .withMessage("Extension ID must be a valid MongoDB ObjectId"),
+
+  body("decision")
+    .isIn(EXTENSION_DECISIONS)
+    .withMessage(`Decision must be one of: ${EXTENSION_DECISIONS.join(", ")}`),
+
+  body("note")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters")
+    .trim(),
+
+  checkValidation,
+];
+
+// Task ID parameter, shared by the question routes
+const taskIdParam = param("id")
+  .isMongoId()
+  .withMessage("Task ID must be a valid MongoDB ObjectId");
+
+const questionIdParam = param("questionId")
+  .isMongoId()
+  .withMessage("Question ID must be a valid MongoDB ObjectId");
+
+/**
+ * Validation rules for listing a task's questions
+ */
+export const validateGetTaskQuestions = [
+  taskIdParam,
+
+  query("answered")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Answered must be true or false"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Page must be an integer between 1 and 1000"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for asking a question about a task
+ */
+export const validateAskTaskQuestion = [
+  taskIdParam,
+
+  body("question")
+    .trim()
+    .notEmpty()
+    .withMessage("Question is required")
+    .isLength({ max: 1000 })
+    .withMessage("Question cannot exceed 1000 characters"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for answering a task question
+ */
+export const validateAnswerTaskQuestion = [
+  taskIdParam,
+  questionIdParam,
+
+  body("answer")
+    .trim()
+    .notEmpty()
+    .withMessage("Answer is required")
+    .isLength({ max: 2000 })
+    .withMessage("Answer cannot exceed 2000 characters"),
+
+  checkValidation,
+];
+
+/**
+ * Validation rules for hiding or unhiding a task question
+ */
+export const validateModerateTaskQuestion = [
+  taskIdParam,
+  questionIdParam,
+
+  body("action")
+    .isIn(["hide", "unhide"])
+    .withMessage("Action must be one of: hide, unhide"),
+
+  body("reason")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters")
+    .trim(),
+
   checkValidation,
 ];
 
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+export const ADMIN_PERMISSIONS = [
+  "users:read",
+  "users:write",
+  "users:delete",
+  "users:impersonate",
+  "tasks:read",
+  "tasks:write",
+  "tasks:delete",
+  "applications:read",
+  "applications:write",
+  "submissions:review",
+  "payments:manage",
+  "analytics:read",
+  "audit:read",
+  "security:manage",
+  "roles:manage",
+  "webhooks:manage",
+];
+
+// Built-in roles, created on startup and not editable through the API
+const DEFAULT_ROLES = [
+  {
+    name: "super_admin",
+    description: "Full access to every admin feature",
+    permissions: ADMIN_PERMISSIONS,
+  },
+  {
+    name: "support",
+    description: "Reviews submissions and looks up users, tasks and applications",
+    permissions: [
+      "users:read",
+      "tasks:read",
+      "applications:read",
+      "submissions:review",
+    ],
+  },
+];
+
+// A named bundle of admin permissions that can be assigned to admin users
+const adminRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9_-]{2,40}$/,
+        "Role name must be 2-40 characters: letters, numbers, _ or -",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Description cannot exceed 200 characters"],
+    },
+    permissions: [
+      {
+        type: String,
+        enum: {
+          values: ADMIN_PERMISSIONS,
+          message: `Permission must be one of: ${ADMIN_PERMISSIONS.join(", ")}`,
+        },
+      },
+    ],
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to create the built-in roles if they are missing
+adminRoleSchema.statics.ensureDefaults = async function () {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $set: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+};
+
+const AdminRole = mongoose.model("AdminRole", adminRoleSchema);
+
+export default AdminRole;
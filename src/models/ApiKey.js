@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+export const API_KEY_SCOPES = [
+  "tasks:read",
+  "tasks:write",
+  "applications:read",
+  "applications:write",
+  "profile:read",
+  "profile:write",
+  "admin:read",
+  "admin:write",
+];
+
+// Scopes only admins may put on a key
+export const ADMIN_API_KEY_SCOPES = ["admin:read", "admin:write"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxLength: [50, "API key name cannot exceed 50 characters"],
+    },
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: API_KEY_SCOPES,
+            message: `Scope must be one of: ${API_KEY_SCOPES.join(", ")}`,
+          },
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for whether the key can currently be used
+apiKeySchema.virtual("isActive").get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// A write scope also grants read access to the same resource
+apiKeySchema.methods.hasScope = function (scope) {
+  const [resource, access] = scope.split(":");
+  return (
+    this.scopes.includes(scope) ||
+    (access === "read" && this.scopes.includes(`${resource}:write`))
+  );
+};
+
+// Remove the hash when converting to JSON
+apiKeySchema.methods.toJSON = function () {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  return apiKeyObject;
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+export const APPLICATION_EVENT_TYPES = [
+  "applied",
+  "shortlisted",
+  "interview",
+  "interview_scheduled",
+  "interview_cancelled",
+  "waitlisted",
+  "accepted",
+  "rejected",
+  "submitted",
+  "revision_requested",
+  "resubmitted",
+  "milestone_accepted",
+  "completed",
+  "cancelled",
+  "extension_requested",
+  "extension_approved",
+  "extension_denied",
+  "deadline_reminder",
+  "overdue",
+  "paid",
+  "payment_status_changed",
+];
+
+// Append-only timeline of what happened to an application
+const applicationEventSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskApplication",
+      required: [true, "Application ID is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+      enum: {
+        values: APPLICATION_EVENT_TYPES,
+        message: "Invalid application event type",
+      },
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    fromStatus: String,
+    toStatus: String,
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "Event comment cannot exceed 1000 characters"],
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+applicationEventSchema.index({ applicationId: 1, createdAt: 1 });
+
+// Events are never edited or removed through the model
+const rejectChange = function (next) {
+  next(new Error("Application events are append-only"));
+};
+applicationEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany"],
+  rejectChange
+);
+
+const ApplicationEvent = mongoose.model(
+  "ApplicationEvent",
+  applicationEventSchema
+);
+
+export default ApplicationEvent;
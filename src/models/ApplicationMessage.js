@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// A message in an application's thread (applicant, task client, admins)
+const applicationMessageSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskApplication",
+      required: [true, "Application ID is required"],
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender is required"],
+    },
+    // The sender's part in the application when the message was sent
+    senderRole: {
+      type: String,
+      enum: ["applicant", "client", "admin"],
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxLength: [5000, "Message cannot exceed 5000 characters"],
+    },
+    attachments: [
+      {
+        filename: String,
+        originalName: String,
+        path: String,
+        size: Number,
+        mimetype: String,
+      },
+    ],
+    // Read receipts of everyone but the sender
+    readBy: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        readAt: Date,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+applicationMessageSchema.index({ applicationId: 1, createdAt: -1 });
+
+const ApplicationMessage = mongoose.model(
+  "ApplicationMessage",
+  applicationMessageSchema
+);
+
+export default ApplicationMessage;
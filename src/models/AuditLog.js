@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+// Everything an audit entry can record
+export const AUDIT_ACTIONS = [
+  "ASSIGN_ADMIN_ROLE",
+  "BULK_UPDATE_APPLICATION_STATUS",
+  "CANCEL_INTERVIEW",
+  "CLEAR_LOGIN_LOCKOUT",
+  "CREATE_ADMIN_ROLE",
+  "CREATE_TASK",
+  "CREATE_WEBHOOK",
+  "DECIDE_DEADLINE_EXTENSION",
+  "DELETE_ADMIN_ROLE",
+  "DELETE_TASK",
+  "DELETE_USER",
+  "DELETE_WEBHOOK",
+  "IMPERSONATED_REQUEST",
+  "REDELIVER_WEBHOOK",
+  "REVIEW_SUBMISSION",
+  "REVOKE_API_KEY",
+  "SCHEDULE_INTERVIEW",
+  "START_IMPERSONATION",
+  "STOP_IMPERSONATION",
+  "UPDATE_ADMIN_ROLE",
+  "UPDATE_APPLICATION_STATUS",
+  "UPDATE_PAYMENT_STATUS",
+  "UPDATE_SECURITY_SETTINGS",
+  "UPDATE_TASK",
+  "UPDATE_USER",
+  "UPDATE_WEBHOOK",
+];
+
+export const AUDIT_ENTITY_TYPES = [
+  "user",
+  "task",
+  "application",
+  "admin_role",
+  "settings",
+  "api_key",
+  "login_lockout",
+  "webhook",
+];
+
+// Append-only record of admin actions
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Actor is required"],
+    },
+    // Snapshot so entries stay readable after the admin is deleted
+    actorName: String,
+    actorEmail: String,
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      enum: { values: AUDIT_ACTIONS, message: "Invalid audit action" },
+    },
+    entityType: {
+      type: String,
+      required: [true, "Entity type is required"],
+      enum: {
+        values: AUDIT_ENTITY_TYPES,
+        message: "Invalid audit entity type",
+      },
+    },
+    entityId: {
+      type: String,
+      required: [true, "Entity ID is required"],
+    },
+    // Field-level diff: [{ field, before, after }]
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String,
+    requestId: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never edited or removed through the model
+const rejectChange = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany"],
+  rejectChange
+);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
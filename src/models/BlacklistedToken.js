@@ -2,7 +2,8 @@ import mongoose from 'mongoose';
 
 const blacklistedTokenSchema = new mongoose.Schema(
   {
-    token: {
+    // SHA-256 of the JWT; the token itself is never stored
+    tokenHash: {
       type: String,
       required: true,
       unique: true,
@@ -12,6 +13,12 @@ const blacklistedTokenSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    type: {
+      type: String,
+      enum: ['access', 'refresh', 'challenge'],
+      default: 'access',
+    },
+    familyId: String,
     expiresAt: {
       type: Date,
       required: true,
@@ -21,8 +28,8 @@ const blacklistedTokenSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Create a compound index for userId and token
-blacklistedTokenSchema.index({ userId: 1, token: 1 });
+// Create a compound index for userId and tokenHash
+blacklistedTokenSchema.index({ userId: 1, tokenHash: 1 });
 
 const BlacklistedToken = mongoose.model('BlacklistedToken', blacklistedTokenSchema);
 
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Lease locks for background jobs, so only one server instance runs a job
+// at a time. A holder that stops renewing loses the lease once it expires.
+const jobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    owner: {
+      type: String,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Take or renew the lease on a job
+ * @param {String} name - Job name
+ * @param {String} owner - Unique ID of the calling instance
+ * @param {Number} ttlMs - Lease duration in milliseconds
+ * @returns {Promise<Boolean>} Whether the caller holds the lease
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    await this.findOneAndUpdate(
+      { name, $or: [{ owner }, { lockedUntil: { $lte: now } }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with a lease held by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Give up a lease early (on shutdown)
+ * @param {String} name - Job name
+ * @param {String} owner - Unique ID of the calling instance
+ */
+jobLockSchema.statics.release = async function (name, owner) {
+  await this.deleteOne({ name, owner });
+};
+
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+
+export default JobLock;
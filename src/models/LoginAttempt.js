@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Failed login counters, shared by every server instance through Mongo.
+// One document per account (email) and one per client IP.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    identifier: {
+      type: String,
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    firstFailureAt: Date,
+    lastFailureAt: Date,
+    lastIpAddress: String,
+    // Exponential backoff: no attempt is accepted before this date
+    nextAttemptAt: Date,
+    // Temporary lockout after too many failures
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 }, // Counters disappear once the window has passed
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ scope: 1, lockedUntil: -1 });
+
+// Build the document key for a scope/identifier pair
+loginAttemptSchema.statics.keyFor = function (scope, identifier) {
+  return `${scope}:${identifier}`;
+};
+
+// Instance method to check if the lockout is still running
+loginAttemptSchema.methods.isLocked = function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
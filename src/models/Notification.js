@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "application_status",
+  "submission_review",
+  "new_applicant",
+  "deadline",
+  "payment",
+  "security",
+  "message",
+  "task_question",
+];
+
+// In-app notifications shown in a user's notification center
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      enum: {
+        values: NOTIFICATION_TYPES,
+        message: "Invalid notification type",
+      },
+    },
+    title: {
+      type: String,
+      required: [true, "Notification title is required"],
+      trim: true,
+      maxLength: [200, "Notification title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "Notification message cannot exceed 1000 characters"],
+    },
+    // What the notification is about, for linking in the UI
+    entityType: {
+      type: String,
+      enum: ["application", "task", "session"],
+    },
+    entityId: String,
+    metadata: mongoose.Schema.Types.Mixed,
+    readAt: Date,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Emails waiting to be sent (or already sent) by the mail worker. Writing
+// here instead of sending right away lets a failed send be retried and
+// lets emails be queued inside the transaction that caused them.
+const outboxEmailSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, "Recipient is required"],
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    text: String,
+    html: String,
+    // Template and preference category, when built from a template
+    template: String,
+    category: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A worker claimed the email until then; after that it is retried
+    lockedUntil: Date,
+    lastError: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ status: 1, lockedUntil: 1 });
+
+const OutboxEmail = mongoose.model("OutboxEmail", outboxEmailSchema);
+
+export default OutboxEmail;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Single document holding platform-wide settings managed by admins
+const platformSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "platform",
+      unique: true,
+    },
+    // Every role: "admin" account must have 2FA enabled to use admin routes
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get (or lazily create) the settings document
+platformSettingSchema.statics.getSettings = async function () {
+  return await this.findOneAndUpdate(
+    { key: "platform" },
+    { $setOnInsert: { key: "platform" } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const PlatformSetting = mongoose.model("PlatformSetting", platformSettingSchema);
+
+export default PlatformSetting;
@@ -50,6 +50,32 @@ const taskSchema = new mongoose.Schema(
       min: [0, "Payout cannot be negative"],
       max: [10000, "Payout cannot exceed $10,000"],
     },
+    // Optional ordered milestones splitting the payout. Each one is
+    // submitted, reviewed and paid on its own.
+    milestones: [
+      {
+        title: {
+          type: String,
+          required: [true, "Milestone title is required"],
+          trim: true,
+          maxLength: [100, "Milestone title cannot exceed 100 characters"],
+        },
+        amount: {
+          type: Number,
+          required: [true, "Milestone amount is required"],
+          min: [0, "Milestone amount cannot be negative"],
+        },
+        dueDate: Date,
+        acceptanceCriteria: {
+          type: String,
+          trim: true,
+          maxLength: [
+            1000,
+            "Acceptance criteria cannot exceed 1000 characters",
+          ],
+        },
+      },
+    ],
     duration: {
       type: Number,
       required: [true, "Duration is required"],
@@ -59,9 +85,15 @@ const taskSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["open", "in_progress", "completed", "cancelled"],
+        values: [
+          "open",
+          "in_progress",
+          "completed",
+          "cancelled",
+          "expired",
+        ],
         message:
-          "Status must be one of: open, in_progress, completed, cancelled",
+          "Status must be one of: open, in_progress, completed, cancelled, expired",
       },
       default: "open",
     },
@@ -97,7 +129,15 @@ const taskSchema = new mongoose.Schema(
         },
         status: {
           type: String,
-          enum: ["pending", "accepted", "rejected"],
+          enum: [
+            "pending",
+            "shortlisted",
+            "interview",
+            "waitlisted",
+            "accepted",
+            "rejected",
+            "cancelled",
+          ],
           default: "pending",
         },
       },
@@ -147,6 +187,15 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       validate: {
         validator: function (value) {
+          // Only a newly set deadline has to be in the future: a task whose
+          // deadline has passed must still be savable
+          if (
+            this instanceof mongoose.Document &&
+            !this.isNew &&
+            !this.isModified("deadline")
+          ) {
+            return true;
+          }
           return !value || value > new Date();
         },
         message: "Deadline must be in the future",
@@ -209,6 +258,23 @@ taskSchema.virtual("daysUntilDeadline").get(function () {
   return diffDays > 0 ? diffDays : 0;
 });
 
+// Milestones have to split the whole payout
+taskSchema.pre("validate", function (next) {
+  if (this.milestones?.length > 0) {
+    const total = this.milestones.reduce(
+      (sum, milestone) => sum + (milestone.amount || 0),
+      0
+    );
+    if (Math.abs(total - this.payout) >= 0.01) {
+      this.invalidate(
+        "milestones",
+        `Milestone amounts (${total}) must add up to the payout (${this.payout})`
+      );
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to calculate deadline if not provided
 taskSchema.pre("save", function (next) {
   if (!this.deadline && this.duration) {
@@ -1,4 +1,61 @@
 import mongoose from "mongoose";
+import {
+  eventTypeForTransition,
+  recordApplicationEvent,
+} from "../services/applicationTimelineService.js";
+import AppError from "../utils/appError.js";
+import { logger } from "../utils/logger.js";
+
+// The only allowed status changes. Every path that changes an application's
+// status goes through transitionTo(), which enforces this table.
+export const APPLICATION_TRANSITIONS = {
+  pending: [
+    "shortlisted",
+    "interview",
+    "accepted",
+    "rejected",
+    "waitlisted",
+    "cancelled",
+  ],
+  shortlisted: ["interview", "accepted", "rejected", "waitlisted", "cancelled"],
+  interview: ["accepted", "rejected", "waitlisted", "cancelled"],
+  waitlisted: ["accepted", "rejected", "cancelled"],
+  accepted: ["submitted", "cancelled"],
+  // submitted → accepted: a milestone was accepted and work goes on
+  submitted: ["completed", "needs_revision", "accepted", "cancelled"],
+  needs_revision: ["submitted", "cancelled"],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+};
+
+// Hiring stages an applicant moves through before the work starts
+export const HIRING_STAGES = ["pending", "shortlisted", "interview", "accepted"];
+
+/**
+ * Where an applicant stands in the hiring pipeline. Statuses past
+ * acceptance count as the last stage; closed applications have no step.
+ * Works on lean documents too.
+ */
+export const hiringStageFor = (status) => {
+  const hired = ["submitted", "needs_revision", "completed"].includes(status);
+  const index = HIRING_STAGES.indexOf(hired ? "accepted" : status);
+
+  return {
+    stage: hired ? "accepted" : status,
+    step: index >= 0 ? index + 1 : null,
+    totalSteps: HIRING_STAGES.length,
+  };
+};
+
+// Interview slots that are neither cancelled nor over, soonest first
+export const upcomingInterviews = (interviews = []) => {
+  const now = new Date();
+  return interviews
+    .filter((slot) => !slot.cancelledAt && new Date(slot.end) > now)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
 const taskApplicationSchema = new mongoose.Schema(
   {
     userId: {
@@ -16,6 +73,9 @@ const taskApplicationSchema = new mongoose.Schema(
       enum: {
         values: [
           "pending",
+          "shortlisted",
+          "interview",
+          "waitlisted",
           "accepted",
           "rejected",
           "submitted",
@@ -24,10 +84,34 @@ const taskApplicationSchema = new mongoose.Schema(
           "cancelled",
         ],
         message:
-          "Status must be one of: pending, accepted, rejected, submitted, completed, needs_revision, cancelled",
+          "Status must be one of: pending, shortlisted, interview, waitlisted, accepted, rejected, submitted, completed, needs_revision, cancelled",
       },
       default: "pending",
     },
+    // Append-only log of every status change
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxLength: [1000, "Status note cannot exceed 1000 characters"],
+        },
+      },
+    ],
     appliedAt: {
       type: Date,
       default: Date.now,
@@ -37,7 +121,103 @@ const taskApplicationSchema = new mongoose.Schema(
       trim: true,
       maxLength: [500, "Application message cannot exceed 500 characters"],
     },
-    // File submissions for the application
+    // Interview slots (plain date ranges), exported as .ics. Cancelled
+    // slots are kept so calendar exports can cancel the event.
+    interviews: [
+      {
+        start: {
+          type: Date,
+          required: [true, "Interview start is required"],
+        },
+        end: {
+          type: Date,
+          required: [true, "Interview end is required"],
+        },
+        location: {
+          type: String,
+          trim: true,
+          maxLength: [200, "Interview location cannot exceed 200 characters"],
+        },
+        notes: {
+          type: String,
+          trim: true,
+          maxLength: [500, "Interview notes cannot exceed 500 characters"],
+        },
+        scheduledBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        cancelledAt: Date,
+      },
+    ],
+    // Freelancer's proposal. The amount can't exceed the task's payout.
+    bid: {
+      amount: {
+        type: Number,
+        min: [0, "Bid amount cannot be negative"],
+      },
+      deliveryDate: Date,
+      milestones: [
+        {
+          _id: false,
+          title: {
+            type: String,
+            required: [true, "Milestone title is required"],
+            trim: true,
+            maxLength: [100, "Milestone title cannot exceed 100 characters"],
+          },
+          amount: {
+            type: Number,
+            required: [true, "Milestone amount is required"],
+            min: [0, "Milestone amount cannot be negative"],
+          },
+          dueDate: Date,
+        },
+      ],
+    },
+    // Amount owed to the freelancer, fixed when the application is accepted
+    // (the bid amount, or the task's payout when there was no bid)
+    agreedAmount: {
+      type: Number,
+      min: 0,
+    },
+    // The task's milestones as agreed on acceptance, delivered in order.
+    // Amounts are scaled so they add up to agreedAmount.
+    milestones: [
+      {
+        _id: false,
+        milestoneId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        title: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        dueDate: Date,
+        status: {
+          type: String,
+          enum: ["pending", "submitted", "needs_revision", "accepted"],
+          default: "pending",
+        },
+        submittedAt: Date,
+        acceptedAt: Date,
+        paymentStatus: {
+          type: String,
+          enum: ["pending", "paid", "disputed"],
+          default: "pending",
+        },
+        paymentDate: Date,
+      },
+    ],
+    // Every file submitted for the application. `round` is the number of
+    // the submission round the file was uploaded in (unset on files from
+    // before rounds existed).
     submissions: [
       {
         filename: {
@@ -64,6 +244,47 @@ const taskApplicationSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        round: Number,
+      },
+    ],
+    // One round per submit. A round is locked once the admin has reviewed
+    // it: its files can no longer be deleted.
+    submissionRounds: [
+      {
+        _id: false,
+        number: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        // Milestone delivered by this round (milestone tasks only)
+        milestoneId: mongoose.Schema.Types.ObjectId,
+        note: {
+          type: String,
+          trim: true,
+          maxLength: [1000, "Submission note cannot exceed 1000 characters"],
+        },
+        submittedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        review: {
+          verdict: {
+            type: String,
+            enum: ["accepted", "needs_revision"],
+          },
+          comments: {
+            type: String,
+            trim: true,
+            maxLength: [1000, "Review comments cannot exceed 1000 characters"],
+          },
+          reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          reviewedAt: Date,
+        },
+        lockedAt: Date,
       },
     ],
     // Progress tracking
@@ -118,6 +339,58 @@ const taskApplicationSchema = new mongoose.Schema(
     // Deadline tracking
     expectedDelivery: Date,
     actualDelivery: Date,
+    // Set by the deadline job once expectedDelivery passes while the work
+    // is still in progress; cleared when the deadline is extended
+    overdueAt: Date,
+    // Reminder offsets (e.g. "24h") already sent for the current
+    // expectedDelivery
+    deadlineReminders: [
+      {
+        offset: String,
+        sentAt: Date,
+        _id: false,
+      },
+    ],
+    // Deadline extension requests and their outcome; an approved request
+    // moves expectedDelivery
+    deadlineExtensions: [
+      {
+        requestedDate: {
+          type: Date,
+          required: [true, "Requested date is required"],
+        },
+        previousDate: Date,
+        reason: {
+          type: String,
+          required: [true, "A reason is required"],
+          trim: true,
+          maxLength: [500, "Reason cannot exceed 500 characters"],
+        },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        status: {
+          type: String,
+          enum: ["pending", "approved", "denied"],
+          default: "pending",
+        },
+        decidedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        decidedAt: Date,
+        decisionNote: {
+          type: String,
+          trim: true,
+          maxLength: [500, "Decision note cannot exceed 500 characters"],
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -183,6 +456,222 @@ taskApplicationSchema.statics.getUserApplicationStats = async function (
   return stats[0] || {};
 };
 
+// Record the initial status and reject status changes that bypassed
+// transitionTo()
+taskApplicationSchema.pre("save", function (next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        from: null,
+        to: this.status,
+        changedBy: this.userId,
+        changedAt: this.appliedAt,
+      });
+      this.$locals.pendingEvents = [
+        {
+          type: "applied",
+          actor: this.userId,
+          toStatus: this.status,
+          comment: this.message,
+        },
+      ];
+    }
+    return next();
+  }
+
+  // Not reset after saving, so a save retried by a transaction still passes
+  if (
+    this.isModified("status") &&
+    this.$locals.statusTransition !== this.status
+  ) {
+    return next(
+      new Error(
+        "Application status must be changed with transitionTo() so the transition table and history are applied"
+      )
+    );
+  }
+  next();
+});
+
+// Write the timeline events queued by transitionTo() once the change is
+// saved (inside the same transaction when the save was part of one)
+taskApplicationSchema.post("save", async function (doc) {
+  const events = doc.$locals.pendingEvents || [];
+  doc.$locals.pendingEvents = [];
+
+  for (const event of events) {
+    try {
+      await recordApplicationEvent(doc._id, event, {
+        session: doc.$session(),
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to record ${event.type} event for application ${doc._id}: ${error.message}`
+      );
+    }
+  }
+});
+
+// Next statuses reachable from the current one
+taskApplicationSchema.methods.allowedTransitions = function () {
+  return APPLICATION_TRANSITIONS[this.status] || [];
+};
+
+// Instance method to check a status change against the transition table
+taskApplicationSchema.methods.canTransitionTo = function (status) {
+  return this.allowedTransitions().includes(status);
+};
+
+/**
+ * Move the application to a new status and append it to statusHistory.
+ * Throws a 409 AppError listing the allowed next states for invalid moves.
+ * The document is not saved.
+ */
+taskApplicationSchema.methods.transitionTo = function (
+  status,
+  { changedBy, note, metadata } = {}
+) {
+  if (!this.canTransitionTo(status)) {
+    const allowed = this.allowedTransitions();
+    throw new AppError(
+      `Cannot change application status from ${this.status} to ${status}. ${
+        allowed.length > 0
+          ? `Allowed next states: ${allowed.join(", ")}`
+          : `${this.status} is a final state`
+      }`,
+      409,
+      {
+        applicationId: this._id,
+        currentStatus: this.status,
+        requestedStatus: status,
+        allowedTransitions: allowed,
+      }
+    );
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    changedAt: new Date(),
+    note,
+  });
+  this.$locals.pendingEvents = [
+    ...(this.$locals.pendingEvents || []),
+    {
+      type: eventTypeForTransition(this.status, status),
+      actor: changedBy,
+      fromStatus: this.status,
+      toStatus: status,
+      comment: note,
+      metadata,
+    },
+  ];
+  this.status = status;
+  this.$locals.statusTransition = status;
+  return this;
+};
+
+/**
+ * Fix the terms on acceptance: the bid amount wins over the task's payout,
+ * and the task's milestones are copied with amounts scaled to it.
+ * @param {Object} task - Task with payout and milestones
+ */
+taskApplicationSchema.methods.setAgreedTerms = function (task) {
+  this.agreedAmount = this.bid?.amount ?? task?.payout;
+
+  const taskMilestones = task?.milestones || [];
+  const ratio = task?.payout ? this.agreedAmount / task.payout : 1;
+  let allocated = 0;
+
+  this.milestones = taskMilestones.map((milestone, index) => {
+    // The last milestone takes the rounding remainder
+    const amount =
+      index === taskMilestones.length - 1
+        ? Math.round((this.agreedAmount - allocated) * 100) / 100
+        : Math.round(milestone.amount * ratio * 100) / 100;
+    allocated += amount;
+
+    return {
+      milestoneId: milestone._id,
+      title: milestone.title,
+      amount,
+      dueDate: milestone.dueDate,
+    };
+  });
+
+  return this.agreedAmount;
+};
+
+// Milestone to deliver next (the first one not accepted yet)
+taskApplicationSchema.methods.currentMilestone = function () {
+  const milestones = this.milestones || [];
+  return milestones.find((milestone) => milestone.status !== "accepted") || null;
+};
+
+// Agreed milestone by the task milestone's ID
+taskApplicationSchema.methods.findMilestone = function (milestoneId) {
+  return (
+    (this.milestones || []).find((milestone) =>
+      milestone.milestoneId.equals(milestoneId)
+    ) || null
+  );
+};
+
+/**
+ * Status the application moves to once the latest round gets a verdict:
+ * accepting a milestone that isn't the last one keeps the work going.
+ * @param {String} verdict - "accepted" or "needs_revision"
+ * @returns {String} Next application status
+ */
+taskApplicationSchema.methods.statusAfterReview = function (verdict) {
+  if (verdict === "needs_revision") return "needs_revision";
+
+  const milestoneId = this.latestSubmissionRound()?.milestoneId;
+  const remaining = (this.milestones || []).filter(
+    (milestone) =>
+      milestone.status !== "accepted" &&
+      !(milestoneId && milestone.milestoneId.equals(milestoneId))
+  );
+  return remaining.length > 0 ? "accepted" : "completed";
+};
+
+// Overall payment status of a milestone application: paid once every
+// milestone is paid, disputed while any milestone is disputed
+taskApplicationSchema.methods.refreshPaymentStatus = function () {
+  const milestones = this.milestones || [];
+  if (milestones.length === 0) return this.paymentStatus;
+
+  if (milestones.every((milestone) => milestone.paymentStatus === "paid")) {
+    this.paymentStatus = "paid";
+    this.paymentDate = new Date(
+      Math.max(...milestones.map((milestone) => milestone.paymentDate || 0))
+    );
+  } else {
+    this.paymentStatus = milestones.some(
+      (milestone) => milestone.paymentStatus === "disputed"
+    )
+      ? "disputed"
+      : "pending";
+    this.paymentDate = undefined;
+  }
+  return this.paymentStatus;
+};
+
+// Extension request still waiting for a decision, if any
+taskApplicationSchema.methods.pendingDeadlineExtension = function () {
+  return (
+    (this.deadlineExtensions || []).find(
+      (extension) => extension.status === "pending"
+    ) || null
+  );
+};
+
+// Extensions can be requested while the work is in progress
+taskApplicationSchema.methods.canRequestDeadlineExtension = function () {
+  return ["accepted", "needs_revision"].includes(this.status);
+};
+
 // Instance method to check if user can submit files
 taskApplicationSchema.methods.canSubmitFiles = function () {
   return this.status === "accepted" || this.status === "needs_revision";
@@ -193,6 +682,146 @@ taskApplicationSchema.methods.isActive = function () {
   return ["pending", "accepted"].includes(this.status);
 };
 
+// Most recent submission round, or null before the first submit
+taskApplicationSchema.methods.latestSubmissionRound = function () {
+  const rounds = this.submissionRounds || [];
+  return rounds.length > 0 ? rounds[rounds.length - 1] : null;
+};
+
+/**
+ * Open the next submission round with the given files (file info objects,
+ * see getFilesInfo). The document is not saved.
+ */
+taskApplicationSchema.methods.addSubmissionRound = function (
+  files,
+  { note } = {}
+) {
+  const number = (this.latestSubmissionRound()?.number || 0) + 1;
+  const submittedAt = new Date();
+
+  // On milestone tasks the round delivers the current milestone
+  const milestone = this.currentMilestone();
+  if (milestone) {
+    milestone.status = "submitted";
+    milestone.submittedAt = submittedAt;
+  }
+
+  this.submissionRounds.push({
+    number,
+    note,
+    submittedAt,
+    milestoneId: milestone?.milestoneId,
+  });
+  this.submissions.push(...files.map((file) => ({ ...file, round: number })));
+
+  return this.latestSubmissionRound();
+};
+
+/**
+ * Record the admin's verdict on the latest round and lock it.
+ * Throws a 409 AppError if that round has already been reviewed.
+ * The document is not saved.
+ */
+taskApplicationSchema.methods.reviewLatestSubmissionRound = function ({
+  verdict,
+  comments,
+  reviewedBy,
+}) {
+  const round = this.latestSubmissionRound();
+  if (!round) return null;
+
+  if (round.lockedAt) {
+    throw new AppError(
+      `Submission round ${round.number} has already been reviewed`,
+      409
+    );
+  }
+
+  const now = new Date();
+  round.review = { verdict, comments, reviewedBy, reviewedAt: now };
+  round.lockedAt = now;
+
+  const milestone = round.milestoneId && this.findMilestone(round.milestoneId);
+  if (milestone) {
+    milestone.status = verdict;
+    if (verdict === "accepted") {
+      milestone.acceptedAt = now;
+      const accepted = this.milestones.filter(
+        (m) => m.status === "accepted"
+      ).length;
+      this.progress = Math.round((accepted / this.milestones.length) * 100);
+    }
+  }
+  return round;
+};
+
+// Files of a reviewed round are kept as they were reviewed. Files from
+// before rounds existed are locked once the application has been reviewed.
+taskApplicationSchema.methods.isSubmissionLocked = function (submission) {
+  if (!submission.round) {
+    return !!this.adminReview?.reviewedAt;
+  }
+  const round = this.submissionRounds.find(
+    (r) => r.number === submission.round
+  );
+  return !!round?.lockedAt;
+};
+
+// A round with its files, as returned by the API
+taskApplicationSchema.methods.getSubmissionRound = function (number) {
+  const round = this.submissionRounds.find((r) => r.number === number);
+  if (!round) return null;
+
+  return {
+    ...round.toObject(),
+    locked: !!round.lockedAt,
+    files: this.submissions.filter((file) => file.round === number),
+  };
+};
+
+// Every round with its files, oldest first
+taskApplicationSchema.methods.getSubmissionRounds = function () {
+  return this.submissionRounds.map((round) =>
+    this.getSubmissionRound(round.number)
+  );
+};
+
+/**
+ * Compare round `number` with the round before it. Files are matched by
+ * original name; a file with the same name but a different size or type
+ * counts as changed.
+ */
+taskApplicationSchema.methods.compareSubmissionRounds = function (number) {
+  const current = this.getSubmissionRound(number);
+  if (!current) return null;
+
+  const previous = this.getSubmissionRound(number - 1);
+  const previousFiles = new Map(
+    (previous?.files || []).map((file) => [file.originalName, file])
+  );
+  const currentNames = new Set(current.files.map((file) => file.originalName));
+
+  const changes = { added: [], changed: [], unchanged: [], removed: [] };
+  for (const file of current.files) {
+    const before = previousFiles.get(file.originalName);
+    if (!before) {
+      changes.added.push(file);
+    } else if (
+      before.size !== file.size ||
+      before.mimetype !== file.mimetype
+    ) {
+      changes.changed.push({ before, after: file });
+    } else {
+      changes.unchanged.push(file);
+    }
+  }
+  for (const [name, file] of previousFiles) {
+    if (!currentNames.has(name)) changes.removed.push(file);
+  }
+
+  return { current, previous, changes };
+};
+
 const TaskApplication = mongoose.model(
   "TaskApplication",
   taskApplicationSchema
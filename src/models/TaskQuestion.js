@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// A clarification question on a task listing, answered by its owner or an
+// admin
+const taskQuestionSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task ID is required"],
+    },
+    askedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Asker is required"],
+    },
+    question: {
+      type: String,
+      required: [true, "Question is required"],
+      trim: true,
+      maxLength: [1000, "Question cannot exceed 1000 characters"],
+    },
+    answer: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Answer cannot exceed 2000 characters"],
+    },
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    answeredAt: Date,
+    // Moderation: hidden questions are only shown to the task's owner
+    hiddenAt: Date,
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taskQuestionSchema.index({ taskId: 1, createdAt: -1 });
+
+const TaskQuestion = mongoose.model("TaskQuestion", taskQuestionSchema);
+
+export default TaskQuestion;
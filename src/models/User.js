@@ -1,5 +1,15 @@
 import mongoose from "mongoose";
 
+// Emails about applications a user can turn off in their profile
+export const EMAIL_CATEGORIES = [
+  "applicationAccepted",
+  "applicationRejected",
+  "revisionRequested",
+  "applicationCompleted",
+  "paymentSent",
+  "deadlineReminder",
+];
+
 const userSchema = new mongoose.Schema(
   {
     // Basic information
@@ -76,23 +86,94 @@ const userSchema = new mongoose.Schema(
       type: String, // URL to stored image or base64 encoded string
     },
 
+    // Email categories, all on by default
+    emailPreferences: Object.fromEntries(
+      EMAIL_CATEGORIES.map((category) => [
+        category,
+        { type: Boolean, default: true },
+      ])
+    ),
+
     // Authentication related
     role: {
       type: String,
-      enum: ["user", "admin"],
+      // "client" accounts post and manage their own tasks
+      enum: ["user", "client", "admin"],
       default: "user",
     },
+    // Permission bundle for admins. Admins without one have full access.
+    adminRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminRole",
+    },
     activeSessions: [
       {
-        token: String,
+        // SHA-256 of the current access token; tokens are never stored
+        tokenHash: String,
+        // Refresh token rotation: only the hash of the latest refresh token
+        // is kept, familyId stays the same across rotations
+        refreshTokenHash: String,
+        familyId: String,
+        // "impersonation" sessions are opened by an admin acting as the user
+        kind: {
+          type: String,
+          enum: ["login", "impersonation"],
+          default: "login",
+        },
+        impersonatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        readOnly: Boolean,
+        accessExpiresAt: Date,
         expiresAt: Date,
         device: String,
         ipAddress: String,
         createdAt: Date,
+        lastRefreshedAt: Date,
+      },
+    ],
+    // Devices (user agents) the account has signed in from, used to flag
+    // logins from unknown devices. Only the most recent ones are kept.
+    knownDevices: [
+      {
+        _id: false,
+        fingerprint: String,
+        device: String,
+        lastIpAddress: String,
+        firstSeenAt: Date,
+        lastSeenAt: Date,
       },
     ],
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+
+    // Email verification. Accounts created before verification existed have
+    // no value here and are treated as verified (see isEmailVerified)
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+    emailVerificationSentAt: Date,
+
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String,
+      // Secret generated by /2fa/setup, promoted to secret once verified
+      pendingSecret: String,
+      // Hashed one-time backup codes
+      backupCodes: [String],
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        default: -1,
+      },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -104,11 +185,25 @@ userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.activeSessions;
+  delete userObject.knownDevices;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpire;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+    };
+  }
   return userObject;
 };
 
+// Only accounts that went through the verification flow can be unverified
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  "task.created",
+  "application.submitted",
+  "application.completed",
+];
+
+// An admin-managed endpoint that receives signed event payloads
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Webhook name is required"],
+      trim: true,
+      maxLength: [100, "Webhook name cannot exceed 100 characters"],
+    },
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      match: [/^https?:\/\/\S+$/, "Webhook URL must be an http(s) URL"],
+    },
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: WEBHOOK_EVENTS,
+            message: `Event must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+          },
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Subscribe to at least one event",
+      },
+    },
+    // HMAC-SHA256 key for the X-Webhook-Signature header, shown once
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Description cannot exceed 200 characters"],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { WEBHOOK_EVENTS } from "./Webhook.js";
+
+// One payload sent (or to be sent) to a webhook, with every attempt
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: [true, "Webhook ID is required"],
+    },
+    event: {
+      type: String,
+      required: [true, "Event is required"],
+      // "ping" is sent on demand to check an endpoint
+      enum: [...WEBHOOK_EVENTS, "ping"],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A worker claimed the delivery until then; after that it is retried
+    lockedUntil: Date,
+    lastStatusCode: Number,
+    lastError: String,
+    deliveredAt: Date,
+    // Set on manual redeliveries
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+    attemptLog: [
+      {
+        _id: false,
+        attemptedAt: Date,
+        statusCode: Number,
+        durationMs: Number,
+        error: String,
+        // First 1000 characters of the receiver's response
+        responseBody: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+export default WebhookDelivery;
@@ -1,7 +1,10 @@
 import express from "express";
 import {
   bulkUpdateApplicationStatus,
+  cancelInterview,
   checkAdminAccess,
+  compareSubmissionRounds,
+  decideDeadlineExtension,
   createTask,
   deleteTask,
   deleteUser,
@@ -17,15 +20,53 @@ import {
   getPlatformAnalytics,
   getSubmittedApplications,
   getTaskDetails,
+  getTaskProposals,
   getUserDetails,
   getUserSubmissions,
   getUserTaskApplications,
   reviewApplicationSubmission,
+  scheduleInterview,
   updateApplicationStatus,
+  updatePaymentStatus,
   updateTaskDetails,
   updateUserDetails,
 } from "../controllers/adminController.js";
-import { protect } from "../middlewares/auth.js";
+import {
+  assignAdminRole,
+  createAdminRole,
+  deleteAdminRole,
+  getAdminRoles,
+  updateAdminRole,
+} from "../controllers/adminRoleController.js";
+import { startImpersonation } from "../controllers/impersonationController.js";
+import {
+  getAllApiKeys,
+  revokeApiKey,
+} from "../controllers/apiKeyController.js";
+import {
+  clearLoginLockout,
+  getLoginLockouts,
+} from "../controllers/securityController.js";
+import {
+  getSecuritySettings,
+  updateSecuritySettings,
+} from "../controllers/twoFactorController.js";
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  getWebhooks,
+  pingWebhookEndpoint,
+  redeliverWebhookDelivery,
+  updateWebhook,
+} from "../controllers/webhookController.js";
+import {
+  validateGetActivityLogs,
+  validateUpdateUser,
+} from "../middlewares/adminValidation.js";
+import { protect, requirePermission } from "../middlewares/auth.js";
+import PlatformSetting from "../models/PlatformSetting.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 
@@ -36,6 +77,13 @@ const adminAuth = (req, res, next) => {
   // First use the protect middleware
   protect(req, res, (err) => {
     if (err) {
+      // Scope errors from API keys are 403s and say which scope is missing
+      if (err.statusCode === 403) {
+        return res.status(403).json({
+          status: "error",
+          message: err.message,
+        });
+      }
       return res.status(401).json({
         status: "error",
         message: "Authentication required",
@@ -50,6 +98,23 @@ const adminAuth = (req, res, next) => {
       });
     }
 
+    // Finally enforce 2FA for admins when the platform requires it
+    if (!req.user.twoFactor?.enabled) {
+      PlatformSetting.getSettings()
+        .then((settings) => {
+          if (settings.requireAdminTwoFactor) {
+            return res.status(403).json({
+              status: "error",
+              message:
+                "Two-factor authentication is required for admin accounts. Enable it at /api/auth/2fa/setup.",
+            });
+          }
+          next();
+        })
+        .catch(next);
+      return;
+    }
+
     next();
   });
 };
@@ -58,7 +123,7 @@ const adminAuth = (req, res, next) => {
 router.get("/check-access", adminAuth, checkAdminAccess);
 
 // Debug endpoint to check actual database data
-router.get("/debug", adminAuth, async (req, res) => {
+router.get("/debug", adminAuth, requirePermission("analytics:read"), async (req, res) => {
   try {
     const userCount = await User.countDocuments();
     const taskCount = await Task.countDocuments();
@@ -104,59 +169,292 @@ router.get("/debug", adminAuth, async (req, res) => {
 });
 
 // Admin dashboard stats
-router.get("/stats", adminAuth, getAdminStats);
+router.get("/stats", adminAuth, requirePermission("analytics:read"), getAdminStats);
+
+// Platform security settings
+router.get(
+  "/settings/security",
+  adminAuth,
+  requirePermission("security:manage"),
+  getSecuritySettings
+);
+router.put(
+  "/settings/security",
+  adminAuth,
+  requirePermission("security:manage"),
+  updateSecuritySettings
+);
+
+// Login lockouts (brute-force protection)
+router.get(
+  "/security/lockouts",
+  adminAuth,
+  requirePermission("security:manage"),
+  getLoginLockouts
+);
+router.delete(
+  "/security/lockouts/:lockoutId",
+  adminAuth,
+  requirePermission("security:manage"),
+  clearLoginLockout
+);
+
+// API keys across all users
+router.get(
+  "/api-keys",
+  adminAuth,
+  requirePermission("security:manage"),
+  getAllApiKeys
+);
+router.delete(
+  "/api-keys/:keyId",
+  adminAuth,
+  requirePermission("security:manage"),
+  revokeApiKey
+);
+
+// Admin roles and permissions
+router.get("/roles", adminAuth, requirePermission("roles:manage"), getAdminRoles);
+router.post(
+  "/roles",
+  adminAuth,
+  requirePermission("roles:manage"),
+  createAdminRole
+);
+router.put(
+  "/roles/:roleId",
+  adminAuth,
+  requirePermission("roles:manage"),
+  updateAdminRole
+);
+router.delete(
+  "/roles/:roleId",
+  adminAuth,
+  requirePermission("roles:manage"),
+  deleteAdminRole
+);
+
+// Outgoing webhooks
+router.get(
+  "/webhooks",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  getWebhooks
+);
+router.post(
+  "/webhooks",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  createWebhook
+);
+router.put(
+  "/webhooks/:webhookId",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  updateWebhook
+);
+router.delete(
+  "/webhooks/:webhookId",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  deleteWebhook
+);
+router.post(
+  "/webhooks/:webhookId/ping",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  pingWebhookEndpoint
+);
+router.get(
+  "/webhooks/:webhookId/deliveries",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  getWebhookDeliveries
+);
+router.get(
+  "/webhooks/:webhookId/deliveries/:deliveryId",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  getWebhookDelivery
+);
+router.post(
+  "/webhooks/:webhookId/deliveries/:deliveryId/redeliver",
+  adminAuth,
+  requirePermission("webhooks:manage"),
+  redeliverWebhookDelivery
+);
 
 // User management routes
-router.get("/users", adminAuth, getAllUsers);
-router.get("/users/:userId", adminAuth, getUserDetails);
-router.put("/users/:userId", adminAuth, updateUserDetails);
-router.delete("/users/:userId", adminAuth, deleteUser);
+router.get("/users", adminAuth, requirePermission("users:read"), getAllUsers);
+router.get(
+  "/users/:userId",
+  adminAuth,
+  requirePermission("users:read"),
+  getUserDetails
+);
+router.put(
+  "/users/:userId",
+  adminAuth,
+  requirePermission("users:write"),
+  validateUpdateUser,
+  updateUserDetails
+);
+router.delete(
+  "/users/:userId",
+  adminAuth,
+  requirePermission("users:delete"),
+  deleteUser
+);
+router.post(
+  "/users/:userId/impersonate",
+  adminAuth,
+  requirePermission("users:impersonate"),
+  startImpersonation
+);
+router.put(
+  "/users/:userId/admin-role",
+  adminAuth,
+  requirePermission("roles:manage"),
+  assignAdminRole
+);
 
 // Task management routes
-router.get("/tasks", adminAuth, getAllTasks);
-router.get("/tasks/:taskId", adminAuth, getTaskDetails);
-router.post("/tasks", adminAuth, createTask);
-router.put("/tasks/:taskId", adminAuth, updateTaskDetails);
-router.delete("/tasks/:taskId", adminAuth, deleteTask);
+router.get("/tasks", adminAuth, requirePermission("tasks:read"), getAllTasks);
+router.get(
+  "/tasks/:taskId",
+  adminAuth,
+  requirePermission("tasks:read"),
+  getTaskDetails
+);
+router.get(
+  "/tasks/:taskId/proposals",
+  adminAuth,
+  requirePermission("applications:read"),
+  getTaskProposals
+);
+router.post("/tasks", adminAuth, requirePermission("tasks:write"), createTask);
+router.put(
+  "/tasks/:taskId",
+  adminAuth,
+  requirePermission("tasks:write"),
+  updateTaskDetails
+);
+router.delete(
+  "/tasks/:taskId",
+  adminAuth,
+  requirePermission("tasks:delete"),
+  deleteTask
+);
 
 // Application management routes
-router.get("/applications", adminAuth, getAllApplications);
-router.get("/applications/:applicationId", adminAuth, getApplicationDetails);
+router.get(
+  "/applications",
+  adminAuth,
+  requirePermission("applications:read"),
+  getAllApplications
+);
+router.get(
+  "/applications/:applicationId",
+  adminAuth,
+  requirePermission("applications:read"),
+  getApplicationDetails
+);
 router.patch(
   "/applications/:applicationId/status",
   adminAuth,
+  requirePermission("applications:write"),
   updateApplicationStatus
 );
 router.patch(
   "/applications/bulk-update",
   adminAuth,
+  requirePermission("applications:write"),
   bulkUpdateApplicationStatus
 );
+router.patch(
+  "/applications/:applicationId/payment",
+  adminAuth,
+  requirePermission("payments:manage"),
+  updatePaymentStatus
+);
+router.post(
+  "/applications/:applicationId/interviews",
+  adminAuth,
+  requirePermission("applications:write"),
+  scheduleInterview
+);
+router.delete(
+  "/applications/:applicationId/interviews/:interviewId",
+  adminAuth,
+  requirePermission("applications:write"),
+  cancelInterview
+);
+router.patch(
+  "/applications/:applicationId/extensions/:extensionId",
+  adminAuth,
+  requirePermission("applications:write"),
+  decideDeadlineExtension
+);
 
 // Legacy task application routes (for backward compatibility)
-router.get("/task-applications", adminAuth, getUserTaskApplications);
+router.get(
+  "/task-applications",
+  adminAuth,
+  requirePermission("applications:read"),
+  getUserTaskApplications
+);
 
 // Analytics and reporting routes
-router.get("/analytics", adminAuth, getPlatformAnalytics);
-router.get("/activity-logs", adminAuth, getAdminActivityLogs);
+router.get(
+  "/analytics",
+  adminAuth,
+  requirePermission("analytics:read"),
+  getPlatformAnalytics
+);
+router.get(
+  "/activity-logs",
+  adminAuth,
+  requirePermission("audit:read"),
+  validateGetActivityLogs,
+  getAdminActivityLogs
+);
 
-router.get("/user-submissions/:userId", adminAuth, getUserSubmissions);
+router.get(
+  "/user-submissions/:userId",
+  adminAuth,
+  requirePermission("submissions:review"),
+  getUserSubmissions
+);
 
 // Submission management for new workflow
-router.get("/submissions", adminAuth, getSubmittedApplications);
+router.get(
+  "/submissions",
+  adminAuth,
+  requirePermission("submissions:review"),
+  getSubmittedApplications
+);
 router.get(
   "/applications/:applicationId/submissions",
   adminAuth,
+  requirePermission("submissions:review"),
   getApplicationSubmissionDetails
 );
+router.get(
+  "/applications/:applicationId/rounds/compare",
+  adminAuth,
+  requirePermission("submissions:review"),
+  compareSubmissionRounds
+);
 router.get(
   "/applications/:applicationId/submissions/:submissionId/download",
   adminAuth,
+  requirePermission("submissions:review"),
   downloadSubmissionFile
 );
 router.patch(
   "/applications/:applicationId/review",
   adminAuth,
+  requirePermission("submissions:review"),
   reviewApplicationSubmission
 );
 
@@ -164,10 +462,16 @@ router.patch(
 router.get(
   "/submissions/:submissionId/download",
   adminAuth,
+  requirePermission("submissions:review"),
   downloadSubmissionFile
 );
 
 // New route to get completed tasks
-router.get("/completed-tasks", adminAuth, getCompletedTasks);
+router.get(
+  "/completed-tasks",
+  adminAuth,
+  requirePermission("applications:read"),
+  getCompletedTasks
+);
 
 export default router;
@@ -2,9 +2,17 @@ import express from "express";
 import {
   applyToTask,
   deleteSubmissionFile,
+  downloadMessageAttachment,
+  exportInterviewCalendar,
   getApplicationDetails,
+  getApplicationMessages,
+  getApplicationTimeline,
+  getDeadlineExtensions,
   getMyApplicationStats,
   getMyAppliedTasks,
+  markApplicationMessagesRead,
+  requestDeadlineExtension,
+  sendApplicationMessage,
   submitFiles,
   updateProgress,
   withdrawApplication,
@@ -12,15 +20,20 @@ import {
 import {
   validateApplyToTask,
   validateDeleteSubmissionFile,
+  validateDownloadMessageAttachment,
   validateGetApplicationDetails,
+  validateGetApplicationMessages,
   validateGetMyAppliedTasks,
+  validateRequestDeadlineExtension,
+  validateSendApplicationMessage,
   validateSubmitFiles,
   validateUpdateProgress,
   validateWithdrawApplication,
 } from "../middlewares/applicationValidation.js";
-import { protect } from "../middlewares/auth.js";
+import { protect, requireVerifiedEmail } from "../middlewares/auth.js";
 import {
   handleSubmissionUploadError,
+  uploadMessageAttachments,
   uploadTaskSubmission,
 } from "../middlewares/submissionUpload.js";
 
@@ -36,7 +49,12 @@ router.use(protect);
  */
 
 // POST /api/applications/apply/:taskId - Apply to a task
-router.post("/apply/:taskId", validateApplyToTask, applyToTask);
+router.post(
+  "/apply/:taskId",
+  requireVerifiedEmail,
+  validateApplyToTask,
+  applyToTask
+);
 
 // GET /api/applications/my - Get user's applied tasks
 router.get("/my", validateGetMyAppliedTasks, getMyAppliedTasks);
@@ -51,6 +69,34 @@ router.get(
   getApplicationDetails
 );
 
+// GET /api/applications/:applicationId/timeline - Get application event timeline
+router.get(
+  "/:applicationId/timeline",
+  validateGetApplicationDetails,
+  getApplicationTimeline
+);
+
+// GET /api/applications/:applicationId/interviews.ics - Interview slots as a calendar file
+router.get(
+  "/:applicationId/interviews.ics",
+  validateGetApplicationDetails,
+  exportInterviewCalendar
+);
+
+// GET /api/applications/:applicationId/extensions - Deadline extension history
+router.get(
+  "/:applicationId/extensions",
+  validateGetApplicationDetails,
+  getDeadlineExtensions
+);
+
+// POST /api/applications/:applicationId/extensions - Request a later delivery date
+router.post(
+  "/:applicationId/extensions",
+  validateRequestDeadlineExtension,
+  requestDeadlineExtension
+);
+
 // PUT /api/applications/:applicationId/progress - Update application progress
 router.put("/:applicationId/progress", validateUpdateProgress, updateProgress);
 
@@ -61,6 +107,40 @@ router.delete(
   withdrawApplication
 );
 
+/**
+ * Message Thread Routes (applicant and the task's client)
+ */
+
+// GET /api/applications/:applicationId/messages - Thread, newest first
+router.get(
+  "/:applicationId/messages",
+  validateGetApplicationMessages,
+  getApplicationMessages
+);
+
+// POST /api/applications/:applicationId/messages - Post a message with optional attachments
+router.post(
+  "/:applicationId/messages",
+  validateSendApplicationMessage,
+  uploadMessageAttachments,
+  handleSubmissionUploadError,
+  sendApplicationMessage
+);
+
+// PATCH /api/applications/:applicationId/messages/read - Mark the thread as read
+router.patch(
+  "/:applicationId/messages/read",
+  validateGetApplicationDetails,
+  markApplicationMessagesRead
+);
+
+// GET /api/applications/:applicationId/messages/:messageId/attachments/:attachmentId - Download an attachment
+router.get(
+  "/:applicationId/messages/:messageId/attachments/:attachmentId",
+  validateDownloadMessageAttachment,
+  downloadMessageAttachment
+);
+
 /**
  * File Submission Routes
  */
@@ -68,6 +148,7 @@ router.delete(
 // POST /api/applications/:applicationId/submit - Submit files for an application
 router.post(
   "/:applicationId/submit",
+  requireVerifiedEmail,
   validateSubmitFiles,
   uploadTaskSubmission,
   handleSubmissionUploadError,
@@ -1,14 +1,41 @@
 import express from 'express';
 import {
+  forgotPassword,
   getCurrentUser,
   getUserSessions,
   login,
   logout,
   logoutAllSessions,
   logoutSession,
-  register
+  refreshSession,
+  register,
+  resendVerification,
+  resetPassword,
+  verifyEmail,
+  verifyTwoFactorLogin
 } from '../controllers/authController.js';
-import { protect } from '../middlewares/auth.js';
+import {
+  createApiKey,
+  getMyApiKeys,
+  revokeMyApiKey
+} from '../controllers/apiKeyController.js';
+import {
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateBackupCodes,
+  setupTwoFactor,
+  verifyTwoFactorSetup
+} from '../controllers/twoFactorController.js';
+import { stopImpersonation } from '../controllers/impersonationController.js';
+import {
+  allowImpersonatedWrite,
+  protect,
+  refuseImpersonation
+} from '../middlewares/auth.js';
+import {
+  validateForgotPassword,
+  validateResetPassword
+} from '../middlewares/authValidation.js';
 
 const router = express.Router();
 
@@ -26,12 +53,54 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Exchange a 2FA challenge token and code for a session
+ * @access  Public
+ */
+router.post('/login/2fa', verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate the refresh token and issue a new access token
+ * @access  Public
+ */
+router.post('/refresh', refreshSession);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password/:token
+ * @desc    Reset password with a valid reset token
+ * @access  Public
+ */
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.get('/verify-email/:token', verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', protect, refuseImpersonation, resendVerification);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user (current session)
  * @access  Private
  */
-router.post('/logout', protect, logout);
+router.post('/logout', protect, refuseImpersonation, logout);
 
 /**
  * @route   GET /api/auth/me
@@ -52,13 +121,81 @@ router.get('/sessions', protect, getUserSessions);
  * @desc    Logout from a specific session
  * @access  Private
  */
-router.delete('/sessions/:sessionId', protect, logoutSession);
+router.delete('/sessions/:sessionId', protect, refuseImpersonation, logoutSession);
 
 /**
  * @route   DELETE /api/auth/sessions
  * @desc    Logout from all sessions
  * @access  Private
  */
-router.delete('/sessions', protect, logoutAllSessions);
+router.delete('/sessions', protect, refuseImpersonation, logoutAllSessions);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', protect, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, refuseImpersonation, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm 2FA enrollment with a code (returns backup codes)
+ * @access  Private
+ */
+router.post('/2fa/verify', protect, refuseImpersonation, verifyTwoFactorSetup);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Regenerate 2FA backup codes
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', protect, refuseImpersonation, regenerateBackupCodes);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, refuseImpersonation, disableTwoFactor);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List personal API keys
+ * @access  Private
+ */
+router.get('/api-keys', protect, getMyApiKeys);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create a personal API key (returned once)
+ * @access  Private
+ */
+router.post('/api-keys', protect, refuseImpersonation, createApiKey);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:keyId
+ * @desc    Revoke a personal API key
+ * @access  Private
+ */
+router.delete('/api-keys/:keyId', protect, refuseImpersonation, revokeMyApiKey);
+
+/**
+ * @route   POST /api/auth/impersonation/stop
+ * @desc    End the current impersonation session
+ * @access  Private (impersonation token)
+ */
+router.post(
+  '/impersonation/stop',
+  allowImpersonatedWrite,
+  protect,
+  stopImpersonation
+);
 
 export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { streamEvents } from "../controllers/eventController.js";
+import { protect } from "../middlewares/auth.js";
+
+const router = express.Router();
+
+// GET /api/events/stream - Server-Sent Events (Authorization: Bearer <token>)
+router.get("/stream", protect, streamEvents);
+
+export default router;
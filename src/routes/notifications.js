@@ -0,0 +1,39 @@
+import express from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "../controllers/notificationController.js";
+import { protect } from "../middlewares/auth.js";
+import {
+  validateGetNotifications,
+  validateMarkAllRead,
+  validateNotificationId,
+} from "../middlewares/notificationValidation.js";
+
+const router = express.Router();
+
+/**
+ * All notification routes require authentication; users only ever see
+ * their own notifications
+ */
+router.use(protect);
+
+// GET /api/notifications - My notifications (?unread=true&type=&page=&limit=)
+router.get("/", validateGetNotifications, getNotifications);
+
+// GET /api/notifications/unread-count - Unread count, in total and per type
+router.get("/unread-count", getUnreadCount);
+
+// PATCH /api/notifications/read-all - Mark all (or ?type=) as read
+router.patch("/read-all", validateMarkAllRead, markAllNotificationsRead);
+
+// PATCH /api/notifications/:notificationId/read - Mark one as read
+router.patch(
+  "/:notificationId/read",
+  validateNotificationId,
+  markNotificationRead
+);
+
+export default router;
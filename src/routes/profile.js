@@ -5,7 +5,8 @@ import {
     updateProfile,
     uploadProfileImage
 } from '../controllers/profileController.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, refuseImpersonation } from '../middlewares/auth.js';
+import { validateUpdateProfile } from '../middlewares/profileValidation.js';
 import { handleMulterError, uploadProfileImage as uploadMiddleware } from '../middlewares/upload.js';
 
 const router = express.Router();
@@ -27,14 +28,14 @@ router.get('/', getProfile);
  * @desc    Update profile information
  * @access  Private
  */
-router.put('/', updateProfile);
+router.put('/', validateUpdateProfile, updateProfile);
 
 /**
  * @route   PUT /api/profile/password
  * @desc    Update user's password
  * @access  Private
  */
-router.put('/password', updatePassword);
+router.put('/password', refuseImpersonation, updatePassword);
 
 /**
  * @route   POST /api/profile/image
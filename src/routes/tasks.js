@@ -1,17 +1,37 @@
 import express from "express";
 import {
+  answerTaskQuestion,
+  askTaskQuestion,
+  createTask,
+  decideApplicantExtension,
+  deleteTask,
+  getMyCreatedTasks,
   getPriceRange,
   getTaskById,
   getTaskCategories,
   getTaskDifficulties,
+  getTaskQuestions,
   getTasks,
   getTaskStats,
+  getTaskApplicants,
+  moderateTaskQuestion,
   searchTasks,
+  updateApplicantStatus,
+  updateTask,
 } from "../controllers/taskController.js";
+import { protect, restrictTo } from "../middlewares/auth.js";
 import {
+  validateAnswerTaskQuestion,
+  validateAskTaskQuestion,
+  validateCreateTask,
+  validateDecideExtension,
   validateGetTask,
+  validateGetTaskQuestions,
   validateGetTasks,
+  validateModerateTaskQuestion,
   validateSearchTasks,
+  validateUpdateApplicantStatus,
+  validateUpdateTask,
 } from "../middlewares/taskValidation.js";
 
 const router = express.Router();
@@ -38,31 +58,81 @@ router.get("/stats", getTaskStats);
 // GET /api/tasks/price-range - Get price range statistics
 router.get("/price-range", getPriceRange);
 
-// GET /api/tasks/:id - Get a single task by ID
-router.get("/:id", validateGetTask, getTaskById);
-
 /**
- * Protected routes (authentication required)
- * These would be for creating, updating, applying to tasks etc.
- * Currently just showing the structure for future implementation
+ * Client routes (authentication and the client role required).
+ * Clients only ever see and change tasks where they are the clientId.
  */
+const clientOnly = [protect, restrictTo("client")];
 
-// POST /api/tasks - Create a new task (requires authentication)
-// router.post('/', protect, createTask);
+// GET /api/tasks/my/created - Get tasks created by the current client
+router.get("/my/created", clientOnly, getMyCreatedTasks);
 
-// PUT /api/tasks/:id - Update a task (requires authentication)
-// router.put('/:id', protect, updateTask);
+// POST /api/tasks - Create a new task
+router.post("/", clientOnly, validateCreateTask, createTask);
 
-// DELETE /api/tasks/:id - Delete a task (requires authentication)
-// router.delete('/:id', protect, deleteTask);
+// PUT /api/tasks/:id - Update one of the client's tasks
+router.put("/:id", clientOnly, validateUpdateTask, updateTask);
 
-// POST /api/tasks/:id/apply - Apply to a task (requires authentication)
-// router.post('/:id/apply', protect, applyToTask);
+// DELETE /api/tasks/:id - Delete one of the client's tasks
+router.delete("/:id", clientOnly, validateGetTask, deleteTask);
 
-// GET /api/tasks/my/created - Get tasks created by current user (requires authentication)
-// router.get('/my/created', protect, getMyCreatedTasks);
+// GET /api/tasks/:id/applicants - Applicants to one of the client's tasks
+router.get("/:id/applicants", clientOnly, validateGetTask, getTaskApplicants);
 
-// GET /api/tasks/my/applied - Get tasks applied to by current user (requires authentication)
-// router.get('/my/applied', protect, getMyAppliedTasks);
+// PATCH /api/tasks/:id/applicants/:applicationId - Accept or reject an applicant
+router.patch(
+  "/:id/applicants/:applicationId",
+  clientOnly,
+  validateUpdateApplicantStatus,
+  updateApplicantStatus
+);
+
+// PATCH /api/tasks/:id/applicants/:applicationId/extensions/:extensionId - Approve or deny a deadline extension
+router.patch(
+  "/:id/applicants/:applicationId/extensions/:extensionId",
+  clientOnly,
+  validateDecideExtension,
+  decideApplicantExtension
+);
+
+/**
+ * Task Q&A: any logged-in user can read and ask; the task's client answers
+ * and moderates
+ */
+
+// GET /api/tasks/:id/questions - Questions on a task, newest first
+router.get(
+  "/:id/questions",
+  protect,
+  validateGetTaskQuestions,
+  getTaskQuestions
+);
+
+// POST /api/tasks/:id/questions - Ask a question
+router.post(
+  "/:id/questions",
+  protect,
+  validateAskTaskQuestion,
+  askTaskQuestion
+);
+
+// PATCH /api/tasks/:id/questions/:questionId/answer - Answer a question
+router.patch(
+  "/:id/questions/:questionId/answer",
+  clientOnly,
+  validateAnswerTaskQuestion,
+  answerTaskQuestion
+);
+
+// PATCH /api/tasks/:id/questions/:questionId/moderation - Hide or unhide a question
+router.patch(
+  "/:id/questions/:questionId/moderation",
+  clientOnly,
+  validateModerateTaskQuestion,
+  moderateTaskQuestion
+);
+
+// GET /api/tasks/:id - Get a single task by ID
+router.get("/:id", validateGetTask, getTaskById);
 
 export default router;
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+import ApiKey from "../models/ApiKey.js";
+import User from "../models/User.js";
+import AppError from "../utils/appError.js";
+import { hashToken } from "./tokenService.js";
+
+const API_KEY_PREFIX = "cc_";
+
+// Which scope resource each API mount point belongs to. Routes that are not
+// listed here (auth, API key management) cannot be used with an API key.
+const RESOURCE_BY_BASE_URL = {
+  "/api/tasks": "tasks",
+  "/api/applications": "applications",
+  "/api/profile": "profile",
+  "/api/admin": "admin",
+  "/api/completed-tasks": "admin",
+};
+
+/**
+ * Generate a new API key
+ * @returns {Object} key (shown once), prefix and keyHash (stored)
+ */
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+  };
+};
+
+/**
+ * Scope a request needs: "<resource>:read" for GET/HEAD, else ":write"
+ * @param {Object} req - Express request
+ * @returns {String|null} Required scope, or null if keys are not allowed
+ */
+export const scopeForRequest = (req) => {
+  const resource = RESOURCE_BY_BASE_URL[req.baseUrl];
+  if (!resource) return null;
+
+  const access = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  return `${resource}:${access}`;
+};
+
+/**
+ * Resolve an X-API-Key header to its key and owner
+ * @param {String} rawKey - Key from the header
+ * @param {String} ipAddress - Client IP (recorded as last use)
+ * @returns {Object} { apiKey, user }
+ */
+export const authenticateApiKey = async (rawKey, ipAddress) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+
+  if (!apiKey) {
+    throw new AppError("Invalid API key", 401);
+  }
+  if (apiKey.revokedAt) {
+    throw new AppError("This API key has been revoked", 401);
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    throw new AppError("This API key has expired", 401);
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) {
+    throw new AppError("The user belonging to this API key no longer exists.", 401);
+  }
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+  );
+
+  return { apiKey, user };
+};
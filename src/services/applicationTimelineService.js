@@ -0,0 +1,72 @@
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import { notifyApplicationEvent } from "./notificationService.js";
+import { dispatchApplicationWebhook } from "./webhookService.js";
+
+/**
+ * Timeline event type for a status change
+ * @param {String} fromStatus - Previous status (null for a new application)
+ * @param {String} toStatus - New status
+ * @returns {String} Event type
+ */
+export const eventTypeForTransition = (fromStatus, toStatus) => {
+  if (!fromStatus) return "applied";
+  if (toStatus === "submitted" && fromStatus === "needs_revision") {
+    return "resubmitted";
+  }
+  if (toStatus === "needs_revision") return "revision_requested";
+  if (toStatus === "accepted" && fromStatus === "submitted") {
+    return "milestone_accepted";
+  }
+  return toStatus;
+};
+
+/**
+ * Append an event to an application's timeline, notify the applicant or
+ * the task's client when the event concerns them and queue the matching
+ * webhooks
+ * @param {String} applicationId - Application ID
+ * @param {Object} event - { type, actor, fromStatus, toStatus, comment, metadata }
+ * @param {Object} options - { session } to write inside a transaction
+ * @returns {Object} Created event
+ */
+export const recordApplicationEvent = async (
+  applicationId,
+  event,
+  { session } = {}
+) => {
+  const [created] = await ApplicationEvent.create(
+    [{ applicationId, ...event }],
+    { session }
+  );
+  await notifyApplicationEvent(applicationId, event, { session });
+  await dispatchApplicationWebhook(applicationId, event, { session });
+  return created;
+};
+
+/**
+ * Get the timeline of an application, oldest event first
+ * @param {String} applicationId - Application ID
+ * @returns {Array} Events with the actor's name and role
+ */
+export const getApplicationTimeline = async (applicationId) => {
+  const events = await ApplicationEvent.find({ applicationId })
+    .populate("actor", "name email role")
+    .sort({ createdAt: 1, _id: 1 });
+
+  return events.map((event) => ({
+    id: event._id,
+    type: event.type,
+    fromStatus: event.fromStatus,
+    toStatus: event.toStatus,
+    comment: event.comment,
+    metadata: event.metadata,
+    actor: event.actor
+      ? {
+          id: event.actor._id,
+          name: event.actor.name,
+          role: event.actor.role,
+        }
+      : null,
+    createdAt: event.createdAt,
+  }));
+};
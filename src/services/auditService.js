@@ -0,0 +1,129 @@
+import AuditLog from "../models/AuditLog.js";
+import { logger } from "../utils/logger.js";
+
+// Fields captured in before/after snapshots for each entity type
+const AUDITED_FIELDS = {
+  user: ["name", "email", "role", "adminRole", "isActive"],
+  task: [
+    "title",
+    "description",
+    "company",
+    "category",
+    "difficulty",
+    "payout",
+    "milestones",
+    "duration",
+    "status",
+    "deadline",
+    "assignedTo",
+    "requirements",
+    "skills",
+    "tags",
+    "featured",
+    "isActive",
+  ],
+  application: [
+    "status",
+    "feedback",
+    "adminReview",
+    "paymentStatus",
+    "paymentDate",
+    "agreedAmount",
+    "interviews",
+    "expectedDelivery",
+    "deadlineExtensions",
+  ],
+  admin_role: ["name", "description", "permissions"],
+  settings: ["requireAdminTwoFactor"],
+  api_key: ["name", "scopes", "expiresAt", "revokedAt"],
+  login_lockout: ["scope", "identifier", "failures", "lockedUntil", "lockCount"],
+  webhook: ["name", "url", "events", "active", "description"],
+};
+
+/**
+ * Take a plain snapshot of the audited fields of a document
+ * @param {String} entityType - "user", "task", "application", ...
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null} JSON-safe snapshot
+ */
+export const snapshot = (entityType, doc) => {
+  if (!doc) return null;
+
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const fields = AUDITED_FIELDS[entityType] || Object.keys(source);
+  const picked = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+  });
+
+  // Normalizes ObjectIds and Dates to strings
+  return JSON.parse(JSON.stringify(picked));
+};
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array} [{ field, before, after }]
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  return [...fields]
+    .filter(
+      (field) =>
+        JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])
+    )
+    .map((field) => ({
+      field,
+      before: before?.[field],
+      after: after?.[field],
+    }));
+};
+
+/**
+ * Record an admin action. Failures are logged, never thrown: the action
+ * itself has already happened by the time it is audited.
+ * @param {Object} req - Express request (actor, IP, request ID)
+ * @param {Object} entry - { action, entityType, entityId, before, after,
+ *   metadata, actor (defaults to req.user) }
+ */
+export const recordAudit = async (
+  req,
+  {
+    action,
+    entityType,
+    entityId,
+    before = null,
+    after = null,
+    metadata,
+    actor = req.user,
+  }
+) => {
+  try {
+    await AuditLog.create({
+      actor: actor._id,
+      actorName: actor.name,
+      actorEmail: actor.email,
+      action,
+      entityType,
+      entityId: String(entityId),
+      changes: diffSnapshots(before, after),
+      metadata,
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.headers["user-agent"],
+      requestId: req.requestId,
+    });
+  } catch (error) {
+    logger.error(`Audit log write failed for ${action}: ${error.message}`, {
+      entityType,
+      entityId: String(entityId),
+      requestId: req.requestId,
+    });
+  }
+};
@@ -0,0 +1,213 @@
+import config from "../config/index.js";
+import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { logger } from "../utils/logger.js";
+import runInTransaction from "../utils/transaction.js";
+import { recordApplicationEvent } from "./applicationTimelineService.js";
+import { applicationUrl } from "./emailTemplates.js";
+import { queueTemplatedMail } from "./mailOutboxService.js";
+import {
+  OPEN_APPLICANT_STATUSES,
+  syncTaskApplicants,
+} from "./taskAssignmentService.js";
+import { calculateExpirationDate } from "./tokenService.js";
+
+// Applications whose work is still due
+const IN_PROGRESS_STATUSES = ["accepted", "needs_revision"];
+
+/**
+ * Convert a duration string ("72h") to milliseconds
+ * @param {String} duration - Duration string
+ * @returns {Number} Milliseconds
+ */
+const durationToMs = (duration) =>
+  calculateExpirationDate(duration).getTime() - Date.now();
+
+/**
+ * Flag in-progress applications whose expectedDelivery has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Number>} Applications flagged
+ */
+export const flagOverdueApplications = async (now = new Date()) => {
+  const filter = {
+    status: { $in: IN_PROGRESS_STATUSES },
+    expectedDelivery: { $lt: now },
+    overdueAt: null,
+  };
+  const applications = await TaskApplication.find(filter).select(
+    "_id expectedDelivery"
+  );
+
+  let flagged = 0;
+  for (const application of applications) {
+    // Re-check the filter so a concurrent extension isn't overwritten
+    const result = await TaskApplication.updateOne(
+      { ...filter, _id: application._id },
+      { $set: { overdueAt: now } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await recordApplicationEvent(application._id, {
+      type: "overdue",
+      metadata: { expectedDelivery: application.expectedDelivery },
+    });
+    flagged += 1;
+  }
+
+  if (flagged > 0) {
+    logger.info(`⏰ Flagged ${flagged} overdue application(s)`);
+  }
+  return flagged;
+};
+
+/**
+ * Expire open, unassigned tasks whose deadline has passed and cancel their
+ * remaining applications
+ * @param {Date} now - Reference time
+ * @returns {Promise<Number>} Tasks expired
+ */
+export const expireOpenTasks = async (now = new Date()) => {
+  const filter = { status: "open", assignedTo: null, deadline: { $lt: now } };
+  const tasks = await Task.find(filter).select("_id title");
+
+  let expired = 0;
+  for (const task of tasks) {
+    const changed = await runInTransaction(async (session) => {
+      const result = await Task.updateOne(
+        { ...filter, _id: task._id },
+        { $set: { status: "expired" } },
+        { session }
+      );
+      if (result.modifiedCount === 0) return false;
+
+      const applications = await TaskApplication.find({
+        taskId: task._id,
+        status: { $in: [...OPEN_APPLICANT_STATUSES, "waitlisted"] },
+      }).session(session);
+
+      for (const application of applications) {
+        application.transitionTo("cancelled", {
+          note: "The task expired before it was assigned",
+          metadata: { reason: "task_expired" },
+        });
+        await application.save({ session });
+      }
+
+      await syncTaskApplicants(task._id, applications, { session });
+      return true;
+    });
+
+    if (changed) {
+      logger.info(`⌛ Task ${task._id} (${task.title}) expired`);
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Email freelancers whose delivery date is within one of the configured
+ * reminder offsets. Each offset is sent once per expectedDelivery; when
+ * several are due at once only the closest one is sent.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Number>} Reminders queued (or skipped by preference)
+ */
+export const sendDeadlineReminders = async (now = new Date()) => {
+  const offsets = config.deadlineReminderOffsets
+    .map((offset) => ({ offset, ms: durationToMs(offset) }))
+    .filter(({ ms }) => ms > 0)
+    .sort((a, b) => a.ms - b.ms);
+  if (offsets.length === 0) return 0;
+
+  const applications = await TaskApplication.find({
+    status: { $in: IN_PROGRESS_STATUSES },
+    expectedDelivery: {
+      $gt: now,
+      $lte: new Date(now.getTime() + offsets[offsets.length - 1].ms),
+    },
+  })
+    .populate("userId", "name email emailPreferences")
+    .populate("taskId", "title");
+
+  let sent = 0;
+  for (const application of applications) {
+    const remainingMs = application.expectedDelivery - now;
+    const alreadySent = application.deadlineReminders.map(
+      (reminder) => reminder.offset
+    );
+    const due = offsets.filter(
+      ({ offset, ms }) => remainingMs <= ms && !alreadySent.includes(offset)
+    );
+    if (due.length === 0 || !application.userId) continue;
+
+    const { offset } = due[0];
+
+    // Queued through the outbox (which retries failed sends) together with
+    // the reminder record, so a reminder is queued exactly once
+    await runInTransaction(async (session) => {
+      await queueTemplatedMail(
+        application.userId,
+        "deadline_reminder",
+        {
+          taskTitle: application.taskId?.title || "your task",
+          hoursLeft: Math.max(1, Math.round(remainingMs / 3600000)),
+          dueDate: application.expectedDelivery.toUTCString(),
+          link: applicationUrl(application._id),
+        },
+        { session }
+      );
+      await TaskApplication.updateOne(
+        { _id: application._id },
+        {
+          $push: {
+            deadlineReminders: {
+              $each: due.map((reminder) => ({
+                offset: reminder.offset,
+                sentAt: now,
+              })),
+            },
+          },
+        },
+        { session }
+      );
+      await recordApplicationEvent(
+        application._id,
+        {
+          type: "deadline_reminder",
+          metadata: {
+            offset,
+            expectedDelivery: application.expectedDelivery,
+          },
+        },
+        { session }
+      );
+    });
+    sent += 1;
+  }
+
+  if (sent > 0) {
+    logger.info(`📧 Queued ${sent} deadline reminder(s)`);
+  }
+  return sent;
+};
+
+/**
+ * One pass of every deadline rule
+ * @returns {Promise<Object>} { overdue, expired, reminders }
+ */
+export const runDeadlineEnforcement = async () => {
+  const now = new Date();
+  return {
+    overdue: await flagOverdueApplications(now),
+    expired: await expireOpenTasks(now),
+    reminders: await sendDeadlineReminders(now),
+  };
+};
+
+export default {
+  flagOverdueApplications,
+  expireOpenTasks,
+  sendDeadlineReminders,
+  runDeadlineEnforcement,
+};
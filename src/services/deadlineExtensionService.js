@@ -0,0 +1,137 @@
+import Task from "../models/Task.js";
+import AppError from "../utils/appError.js";
+import runInTransaction from "../utils/transaction.js";
+import { recordApplicationEvent } from "./applicationTimelineService.js";
+
+export const EXTENSION_DECISIONS = ["approved", "denied"];
+
+/**
+ * Record a freelancer's request to move their delivery date
+ * @param {Object} application - TaskApplication document
+ * @param {Object} request - { requestedDate, reason, requestedBy }
+ * @returns {Object} The new extension request
+ */
+export const requestDeadlineExtension = async (
+  application,
+  { requestedDate, reason, requestedBy }
+) => {
+  if (!application.canRequestDeadlineExtension()) {
+    throw new AppError(
+      `Extensions can only be requested while the work is in progress (current status: ${application.status})`,
+      409
+    );
+  }
+
+  if (application.pendingDeadlineExtension()) {
+    throw new AppError(
+      "An extension request is already waiting for a decision",
+      409
+    );
+  }
+
+  const currentDate = application.expectedDelivery || new Date();
+  if (new Date(requestedDate) <= currentDate) {
+    throw new AppError(
+      "The new date must be later than the current delivery date",
+      400
+    );
+  }
+
+  application.deadlineExtensions.push({
+    requestedDate,
+    previousDate: application.expectedDelivery,
+    reason,
+    requestedBy,
+    requestedAt: new Date(),
+  });
+  await application.save();
+
+  const extension =
+    application.deadlineExtensions[application.deadlineExtensions.length - 1];
+
+  await recordApplicationEvent(application._id, {
+    type: "extension_requested",
+    actor: requestedBy,
+    comment: reason,
+    metadata: {
+      extensionId: extension._id,
+      previousDate: extension.previousDate,
+      requestedDate: extension.requestedDate,
+    },
+  });
+
+  return extension;
+};
+
+/**
+ * Approve or deny a pending extension request. Approval moves the
+ * application's expectedDelivery, and the task's deadline when the new
+ * date is later, in one transaction.
+ * @param {Object} application - TaskApplication document
+ * @param {String} extensionId - Extension request ID
+ * @param {Object} decision - { decision, note, decidedBy }
+ * @returns {Object} The decided extension request
+ */
+export const decideDeadlineExtension = async (
+  application,
+  extensionId,
+  { decision, note, decidedBy }
+) => {
+  const extension = application.deadlineExtensions.id(extensionId);
+  if (!extension) {
+    throw new AppError("Extension request not found", 404);
+  }
+
+  if (extension.status !== "pending") {
+    throw new AppError(
+      `This extension request was already ${extension.status}`,
+      409
+    );
+  }
+
+  extension.status = decision;
+  extension.decidedBy = decidedBy;
+  extension.decidedAt = new Date();
+  extension.decisionNote = note;
+
+  await runInTransaction(async (session) => {
+    if (decision === "approved") {
+      application.expectedDelivery = extension.requestedDate;
+      // The new date gets its own reminders and is no longer overdue
+      application.overdueAt = undefined;
+      application.deadlineReminders = [];
+
+      const taskId = application.taskId._id || application.taskId;
+      await Task.updateOne(
+        { _id: taskId, deadline: { $lt: extension.requestedDate } },
+        { $set: { deadline: extension.requestedDate } },
+        { session }
+      );
+    }
+
+    await application.save({ session });
+
+    await recordApplicationEvent(
+      application._id,
+      {
+        type: `extension_${decision}`,
+        actor: decidedBy,
+        comment: note,
+        metadata: {
+          extensionId: extension._id,
+          previousDate: extension.previousDate,
+          requestedDate: extension.requestedDate,
+        },
+      },
+      { session }
+    );
+  });
+
+  return extension;
+};
+
+export default {
+  EXTENSION_DECISIONS,
+  requestDeadlineExtension,
+  decideDeadlineExtension,
+};
@@ -0,0 +1,132 @@
+import config from "../config/index.js";
+
+/**
+ * Escape a value for use in HTML
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Assemble a message from paragraphs. The comment (feedback or review
+ * comments) is quoted when present.
+ * @param {Object} data - { name, comment, link }
+ * @param {Array} paragraphs - Body paragraphs (plain text)
+ * @returns {Object} { text, html }
+ */
+const compose = ({ name, comment, link }, paragraphs) => {
+  const blocks = [...paragraphs];
+  if (comment) blocks.push(`Comments: ${comment}`);
+
+  return {
+    text: [
+      `Hi ${name},`,
+      "",
+      ...blocks.flatMap((block) => [block, ""]),
+      `View the application: ${link}`,
+    ].join("\n"),
+    html: `<p>Hi ${escapeHtml(name)},</p>${blocks
+      .map((block) => `<p>${escapeHtml(block)}</p>`)
+      .join("")}<p><a href="${escapeHtml(link)}">View the application</a></p>`,
+  };
+};
+
+/**
+ * Email templates for application updates. Each has the profile
+ * preference (category) that turns it off and builds
+ * { subject, text, html } from { name, taskTitle, comment, amount,
+ * hoursLeft, dueDate, link }.
+ */
+export const EMAIL_TEMPLATES = {
+  application_accepted: {
+    category: "applicationAccepted",
+    build: (data) => ({
+      subject: `You got the job: "${data.taskTitle}"`,
+      ...compose(data, [
+        `Your application for "${data.taskTitle}" was accepted. You can start working on it now.`,
+      ]),
+    }),
+  },
+  application_rejected: {
+    category: "applicationRejected",
+    build: (data) => ({
+      subject: `Update on your application for "${data.taskTitle}"`,
+      ...compose(data, [
+        `Your application for "${data.taskTitle}" was not selected this time.`,
+      ]),
+    }),
+  },
+  revision_requested: {
+    category: "revisionRequested",
+    build: (data) => ({
+      subject: `Changes requested on "${data.taskTitle}"`,
+      ...compose(data, [
+        `Your submission for "${data.taskTitle}" needs a few changes before it can be approved.`,
+      ]),
+    }),
+  },
+  application_completed: {
+    category: "applicationCompleted",
+    build: (data) => ({
+      subject: `Work approved: "${data.taskTitle}"`,
+      ...compose(data, [
+        `Your work on "${data.taskTitle}" was approved and the task is complete.`,
+      ]),
+    }),
+  },
+  payment_sent: {
+    category: "paymentSent",
+    build: (data) => ({
+      subject: `Payment sent for "${data.taskTitle}"`,
+      ...compose(data, [
+        data.amount !== undefined
+          ? `A payment of $${data.amount} for "${data.taskTitle}" has been sent.`
+          : `Your payment for "${data.taskTitle}" has been sent.`,
+      ]),
+    }),
+  },
+  deadline_reminder: {
+    category: "deadlineReminder",
+    build: (data) => ({
+      subject: `Reminder: "${data.taskTitle}" is due in ${data.hoursLeft} hours`,
+      ...compose(data, [
+        `Your delivery for "${data.taskTitle}" is due on ${data.dueDate}.`,
+        "If you need more time, request a deadline extension before it passes.",
+      ]),
+    }),
+  },
+};
+
+/**
+ * Link to an application in the frontend
+ * @param {String} applicationId - Application ID
+ * @returns {String} URL
+ */
+export const applicationUrl = (applicationId) =>
+  `${config.clientUrl}/applications/${applicationId}`;
+
+/**
+ * Build an email from a template
+ * @param {String} template - EMAIL_TEMPLATES key
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+export const renderEmail = (template, data) => {
+  const definition = EMAIL_TEMPLATES[template];
+  if (!definition) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  return definition.build(data);
+};
+
+export default {
+  EMAIL_TEMPLATES,
+  applicationUrl,
+  escapeHtml,
+  renderEmail,
+};
@@ -0,0 +1,242 @@
+import config from "../config/index.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { logger } from "../utils/logger.js";
+import { calculateExpirationDate } from "./tokenService.js";
+
+const MAX_BACKOFF_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a duration string ("15m", "1h") to milliseconds
+ * @param {String} duration - Duration string
+ * @returns {Number} Milliseconds
+ */
+const durationToMs = (duration) =>
+  calculateExpirationDate(duration).getTime() - Date.now();
+
+/**
+ * Limits for a scope
+ * @param {String} scope - "account" or "ip"
+ * @returns {Number} failures allowed before a lockout
+ */
+const maxAttemptsFor = (scope) =>
+  scope === "ip" ? config.loginIpMaxAttempts : config.loginMaxAttempts;
+
+/**
+ * Normalize the identifiers tracked for a login attempt
+ * @param {String} email - Email used to log in
+ * @param {String} ipAddress - Client IP
+ * @returns {Array} [{ scope, identifier, key }]
+ */
+const trackedKeys = (email, ipAddress) => {
+  const keys = [];
+  if (email) {
+    const identifier = String(email).toLowerCase().trim();
+    keys.push({
+      scope: "account",
+      identifier,
+      key: LoginAttempt.keyFor("account", identifier),
+    });
+  }
+  if (ipAddress) {
+    keys.push({
+      scope: "ip",
+      identifier: ipAddress,
+      key: LoginAttempt.keyFor("ip", ipAddress),
+    });
+  }
+  return keys;
+};
+
+/**
+ * Log a security event to the logger and the console
+ * @param {String} event - "LOCKOUT" or "UNLOCK"
+ * @param {Object} details - Event details
+ */
+export const logSecurityEvent = (event, details) => {
+  const icon = event === "LOCKOUT" ? "🔒" : "🔓";
+
+  logger.warn(`${icon} Security event: ${event}`, details);
+
+  console.log("\n" + "=".repeat(60));
+  console.log(`${icon} SECURITY EVENT: ${event}`);
+  console.log("=".repeat(60));
+  Object.entries(details).forEach(([key, value]) => {
+    const printable = value instanceof Date ? value.toISOString() : value;
+    console.log(`   ${key}: ${printable}`);
+  });
+  console.log(`⏰ At: ${new Date().toISOString()}`);
+  console.log("=".repeat(60) + "\n");
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {String} email - Email used to log in
+ * @param {String} ipAddress - Client IP
+ * @returns {Object} { allowed, retryAfter (seconds), reason }
+ */
+export const checkLoginAllowed = async (email, ipAddress) => {
+  const keys = trackedKeys(email, ipAddress);
+  const attempts = await LoginAttempt.find({
+    key: { $in: keys.map((k) => k.key) },
+  });
+  const now = new Date();
+
+  let retryAt = null;
+  let reason = null;
+
+  for (const attempt of attempts) {
+    if (attempt.isLocked()) {
+      if (!retryAt || attempt.lockedUntil > retryAt) {
+        retryAt = attempt.lockedUntil;
+        reason = "locked";
+      }
+      continue;
+    }
+
+    // Lockout ran out: clear it (only one instance wins the update)
+    if (attempt.lockedUntil) {
+      const unlocked = await LoginAttempt.findOneAndUpdate(
+        { _id: attempt._id, lockedUntil: attempt.lockedUntil },
+        { $unset: { lockedUntil: 1, nextAttemptAt: 1 }, $set: { failures: 0 } }
+      );
+      if (unlocked) {
+        logSecurityEvent("UNLOCK", {
+          scope: attempt.scope,
+          identifier: attempt.identifier,
+          reason: "Lockout expired",
+        });
+      }
+      continue;
+    }
+
+    if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+      if (!retryAt || attempt.nextAttemptAt > retryAt) {
+        retryAt = attempt.nextAttemptAt;
+        reason = reason || "backoff";
+      }
+    }
+  }
+
+  if (!retryAt) {
+    return { allowed: true };
+  }
+
+  return {
+    allowed: false,
+    reason,
+    retryAfter: Math.max(1, Math.ceil((retryAt - now) / 1000)),
+  };
+};
+
+/**
+ * Record a failed login for the account and the IP. Applies exponential
+ * backoff and locks the key once the failure limit is reached.
+ * @param {String} email - Email used to log in
+ * @param {String} ipAddress - Client IP
+ * @param {String} cause - Why the attempt failed (logged on lockout)
+ */
+export const recordLoginFailure = async (email, ipAddress, cause) => {
+  const now = new Date();
+  const windowMs = durationToMs(config.loginAttemptWindow);
+
+  for (const { scope, identifier, key } of trackedKeys(email, ipAddress)) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          scope,
+          identifier,
+          lastFailureAt: now,
+          lastIpAddress: ipAddress,
+          expiresAt: new Date(now.getTime() + windowMs),
+        },
+        $setOnInsert: { firstFailureAt: now },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (attempt.failures >= maxAttemptsFor(scope)) {
+      // Each consecutive lockout lasts twice as long as the previous one
+      const lockoutMs = Math.min(
+        durationToMs(config.loginLockoutDuration) * 2 ** attempt.lockCount,
+        MAX_LOCKOUT_MS
+      );
+      const lockedUntil = new Date(now.getTime() + lockoutMs);
+
+      const locked = await LoginAttempt.findOneAndUpdate(
+        {
+          _id: attempt._id,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        {
+          $set: {
+            lockedUntil,
+            failures: 0,
+            expiresAt: new Date(lockedUntil.getTime() + windowMs),
+          },
+          $unset: { nextAttemptAt: 1 },
+          $inc: { lockCount: 1 },
+        },
+        { new: true }
+      );
+
+      if (locked) {
+        logSecurityEvent("LOCKOUT", {
+          scope,
+          identifier,
+          ipAddress,
+          lockedUntil,
+          lockCount: locked.lockCount,
+          cause,
+        });
+      }
+    } else if (attempt.failures >= config.loginBackoffAfter) {
+      const backoffMs = Math.min(
+        1000 * 2 ** (attempt.failures - config.loginBackoffAfter),
+        MAX_BACKOFF_MS
+      );
+      await LoginAttempt.updateOne(
+        { _id: attempt._id },
+        { $set: { nextAttemptAt: new Date(now.getTime() + backoffMs) } }
+      );
+    }
+  }
+};
+
+/**
+ * Clear the account counters after a successful login. The IP counter is
+ * kept so one valid account doesn't reset a credential-stuffing IP.
+ * @param {String} email - Email used to log in
+ */
+export const resetLoginFailures = async (email) => {
+  const [account] = trackedKeys(email, null);
+  if (account) {
+    await LoginAttempt.deleteOne({ key: account.key });
+  }
+};
+
+/**
+ * Manually clear a lockout (admin action)
+ * @param {Object} attempt - LoginAttempt document
+ * @param {Object} admin - Admin user performing the unlock
+ */
+export const clearLockout = async (attempt, admin) => {
+  await LoginAttempt.deleteOne({ _id: attempt._id });
+
+  logSecurityEvent("UNLOCK", {
+    scope: attempt.scope,
+    identifier: attempt.identifier,
+    reason: "Cleared by admin",
+    admin: admin.email,
+  });
+};
+
+export default {
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  clearLockout,
+  logSecurityEvent,
+};
@@ -0,0 +1,186 @@
+import config from "../config/index.js";
+import OutboxEmail from "../models/OutboxEmail.js";
+import { logger } from "../utils/logger.js";
+import { EMAIL_TEMPLATES, renderEmail } from "./emailTemplates.js";
+import { sendMail } from "./mailService.js";
+import { calculateExpirationDate } from "./tokenService.js";
+
+// How long a worker may hold an email before another one retries it
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Retry backoff: 1 minute, doubling each attempt, at most 1 hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Emails sent per worker run
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+/**
+ * Queue an email in the outbox
+ * @param {Object} email - { to, subject, text, html, template, category, userId }
+ * @param {Object} options - { session } to queue inside a transaction
+ * @returns {Object} Outbox entry
+ */
+export const queueMail = async (email, { session } = {}) => {
+  const [queued] = await OutboxEmail.create([email], { session });
+  return queued;
+};
+
+/**
+ * Queue a templated email to a user unless they turned its category off
+ * @param {Object} user - User with name, email and emailPreferences
+ * @param {String} template - EMAIL_TEMPLATES key
+ * @param {Object} data - Template data (the user's name is added)
+ * @param {Object} options - { session }
+ * @returns {Object|null} Outbox entry, null when opted out
+ */
+export const queueTemplatedMail = async (
+  user,
+  template,
+  data,
+  { session } = {}
+) => {
+  const { category } = EMAIL_TEMPLATES[template];
+  if (user.emailPreferences?.[category] === false) return null;
+
+  return queueMail(
+    {
+      to: user.email,
+      ...renderEmail(template, { name: user.name, ...data }),
+      template,
+      category,
+      userId: user._id,
+    },
+    { session }
+  );
+};
+
+/**
+ * Delay before the next attempt
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Milliseconds
+ */
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Claim the next due email. Emails whose claim timed out (a worker died
+ * mid-send) are due again, so several instances can run the worker.
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Claimed email
+ */
+const claimNextEmail = (now) =>
+  OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "sending",
+        lockedUntil: new Date(now.getTime() + CLAIM_TIMEOUT_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+/**
+ * Send due emails from the outbox. Failed sends are retried with
+ * exponential backoff until MAIL_MAX_ATTEMPTS, then marked failed.
+ * @returns {Promise<Object>} { sent, failed }
+ */
+export const processOutbox = async () => {
+  let sent = 0;
+  let failed = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i += 1) {
+    const now = new Date();
+    const email = await claimNextEmail(now);
+    if (!email) break;
+
+    try {
+      await sendMail({
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+      });
+      await OutboxEmail.updateOne(
+        { _id: email._id },
+        {
+          $set: { status: "sent", sentAt: new Date() },
+          $unset: { lockedUntil: 1, lastError: 1 },
+        }
+      );
+      sent += 1;
+    } catch (error) {
+      const giveUp = email.attempts >= config.mailMaxAttempts;
+      await OutboxEmail.updateOne(
+        { _id: email._id },
+        {
+          $set: {
+            status: giveUp ? "failed" : "pending",
+            nextAttemptAt: new Date(Date.now() + retryDelay(email.attempts)),
+            lastError: error.message,
+          },
+          $unset: { lockedUntil: 1 },
+        }
+      );
+      logger.error(
+        `📧 Sending "${email.subject}" to ${email.to} failed (attempt ${email.attempts}${giveUp ? ", giving up" : ""}): ${error.message}`
+      );
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Start the mail worker (every MAIL_WORKER_INTERVAL)
+ */
+export const startMailWorker = () => {
+  if (timer) return;
+
+  const intervalMs =
+    calculateExpirationDate(config.mailWorkerInterval).getTime() - Date.now();
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      logger.error(`Mail worker failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+  logger.info(`📧 Mail worker started (every ${config.mailWorkerInterval})`);
+
+  run();
+};
+
+/**
+ * Stop the mail worker
+ */
+export const stopMailWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  queueMail,
+  queueTemplatedMail,
+  processOutbox,
+  startMailWorker,
+  stopMailWorker,
+};
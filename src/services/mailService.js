@@ -0,0 +1,100 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import { fileURLToPath } from "url";
+import config from "../config/index.js";
+import { logger } from "../utils/logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Resolve the outbox file relative to the project root
+ * @returns {String} Absolute path of the outbox file
+ */
+export const getOutboxPath = () =>
+  path.resolve(__dirname, "../..", config.mailOutboxFile);
+
+let smtpTransporter = null;
+
+/**
+ * Shared nodemailer transporter for the smtp transport, created on first use
+ * @returns {Object} Nodemailer transporter
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: config.smtpHost,
+      port: config.smtpPort,
+      secure: config.smtpSecure,
+      ...(config.smtpUser && {
+        auth: { user: config.smtpUser, pass: config.smtpPass },
+      }),
+    });
+  }
+  return smtpTransporter;
+};
+
+/**
+ * Mail transports. Each transport receives a fully built message
+ * ({ from, to, subject, text, html }) and returns a promise.
+ */
+const transports = {
+  // Log the message to the console only
+  console: async (message) => {
+    console.log("\n" + "=".repeat(60));
+    console.log(`📧 EMAIL SENT (console transport)`);
+    console.log("=".repeat(60));
+    console.log(`📨 To: ${message.to}`);
+    console.log(`📝 Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log("=".repeat(60) + "\n");
+  },
+
+  // Append the message as one JSON line to a local outbox file
+  // (used in development and by the test scripts)
+  file: async (message) => {
+    const outboxPath = getOutboxPath();
+    await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+    await fs.promises.appendFile(
+      outboxPath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+    );
+  },
+
+  // Deliver through an SMTP server (SMTP_HOST/SMTP_PORT, a relay or a local
+  // stand-in such as MailHog)
+  smtp: async (message) => {
+    await getSmtpTransporter().sendMail(message);
+  },
+};
+
+/**
+ * Register a custom mail transport
+ * @param {String} name - Transport name, selected with MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => void
+ */
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - { to, subject, text, html }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = transports[config.mailTransport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.mailTransport}`);
+  }
+
+  const message = { from: config.mailFrom, to, subject, text, html };
+  await transport(message);
+
+  logger.info(`📧 Email "${subject}" sent to ${to} via ${config.mailTransport}`);
+};
+
+export default {
+  sendMail,
+  registerMailTransport,
+  getOutboxPath,
+};
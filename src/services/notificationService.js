@@ -0,0 +1,294 @@
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import { logger } from "../utils/logger.js";
+import { applicationUrl } from "./emailTemplates.js";
+import { queueTemplatedMail } from "./mailOutboxService.js";
+
+/**
+ * Who hears about each application event and how it reads. "applicant" is
+ * the freelancer, "client" the task's owner. Events with an email template
+ * also email the applicant.
+ */
+const APPLICATION_NOTIFICATIONS = {
+  applied: {
+    to: "client",
+    type: "new_applicant",
+    title: (task) => `New applicant for "${task}"`,
+  },
+  shortlisted: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `You were shortlisted for "${task}"`,
+  },
+  interview: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `You were invited to interview for "${task}"`,
+  },
+  interview_scheduled: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `Interview scheduled for "${task}"`,
+  },
+  interview_cancelled: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `Interview cancelled for "${task}"`,
+  },
+  waitlisted: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `You are on the waitlist for "${task}"`,
+  },
+  accepted: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `Your application for "${task}" was accepted`,
+    email: "application_accepted",
+  },
+  rejected: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `Your application for "${task}" was not selected`,
+    email: "application_rejected",
+  },
+  cancelled: {
+    to: "applicant",
+    type: "application_status",
+    title: (task) => `Your application for "${task}" was cancelled`,
+  },
+  submitted: {
+    to: "client",
+    type: "application_status",
+    title: (task) => `New submission for "${task}"`,
+  },
+  resubmitted: {
+    to: "client",
+    type: "application_status",
+    title: (task) => `Revised submission for "${task}"`,
+  },
+  revision_requested: {
+    to: "applicant",
+    type: "submission_review",
+    title: (task) => `Changes requested on "${task}"`,
+    email: "revision_requested",
+  },
+  milestone_accepted: {
+    to: "applicant",
+    type: "submission_review",
+    title: (task) => `Milestone accepted on "${task}"`,
+  },
+  completed: {
+    to: "applicant",
+    type: "submission_review",
+    title: (task) => `Your work on "${task}" was approved`,
+    email: "application_completed",
+  },
+  extension_requested: {
+    to: "client",
+    type: "deadline",
+    title: (task) => `Deadline extension requested on "${task}"`,
+  },
+  extension_approved: {
+    to: "applicant",
+    type: "deadline",
+    title: (task) => `Your deadline extension for "${task}" was approved`,
+  },
+  extension_denied: {
+    to: "applicant",
+    type: "deadline",
+    title: (task) => `Your deadline extension for "${task}" was denied`,
+  },
+  deadline_reminder: {
+    to: "applicant",
+    type: "deadline",
+    title: (task) => `"${task}" is due soon`,
+  },
+  overdue: {
+    to: "applicant",
+    type: "deadline",
+    title: (task) => `"${task}" is past its delivery date`,
+  },
+  paid: {
+    to: "applicant",
+    type: "payment",
+    title: (task) => `Payment sent for "${task}"`,
+    email: "payment_sent",
+  },
+};
+
+/**
+ * Create a notification
+ * @param {Object} notification - { recipient, type, title, message, entityType, entityId, metadata }
+ * @param {Object} options - { session } to write inside a transaction
+ * @returns {Object} Created notification
+ */
+export const createNotification = async (notification, { session } = {}) => {
+  const [created] = await Notification.create([notification], { session });
+  return created;
+};
+
+/**
+ * Notify the applicant or the task's client about an application event and
+ * queue the matching email. Never notifies the user who caused the event.
+ * @param {String} applicationId - Application ID
+ * @param {Object} event - Timeline event ({ type, actor, comment, metadata })
+ * @param {Object} options - { session }
+ */
+export const notifyApplicationEvent = async (
+  applicationId,
+  event,
+  { session } = {}
+) => {
+  const rule = APPLICATION_NOTIFICATIONS[event.type];
+  if (!rule) return;
+
+  try {
+    // Looked up by name: the application model records events itself
+    const application = await mongoose
+      .model("TaskApplication")
+      .findById(applicationId)
+      .select("userId taskId")
+      .populate("userId", "name email emailPreferences")
+      .populate("taskId", "title clientId")
+      .session(session || null);
+    if (!application || !application.userId) return;
+
+    const applicant = application.userId;
+    const taskTitle = application.taskId?.title || "your task";
+    const recipient =
+      rule.to === "client" ? application.taskId?.clientId : applicant._id;
+    if (!recipient || (event.actor && recipient.equals(event.actor))) return;
+
+    await createNotification(
+      {
+        recipient,
+        type: rule.type,
+        title: rule.title(taskTitle),
+        message: event.comment,
+        entityType: "application",
+        entityId: String(applicationId),
+        metadata: { event: event.type, taskId: application.taskId?._id },
+      },
+      { session }
+    );
+
+    if (rule.email) {
+      await queueTemplatedMail(
+        applicant,
+        rule.email,
+        {
+          taskTitle,
+          comment: event.comment,
+          amount: event.metadata?.amount,
+          link: applicationUrl(applicationId),
+        },
+        { session }
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `Notification for ${event.type} on application ${applicationId} failed: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Warn a user about a login from a device they haven't used before
+ * @param {Object} user - User document
+ * @param {Object} device - { device, ipAddress }
+ */
+export const notifyNewDeviceLogin = async (user, { device, ipAddress }) => {
+  const deviceName = String(device).slice(0, 200);
+  try {
+    await createNotification({
+      recipient: user._id,
+      type: "security",
+      title: "New sign-in from an unrecognized device",
+      message: `${deviceName} (${ipAddress}) signed in to your account. If this wasn't you, change your password and log out of all devices.`,
+      entityType: "session",
+      metadata: { device, ipAddress },
+    });
+  } catch (error) {
+    logger.error(
+      `New device notification for user ${user._id} failed: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Tell the applicant and the task's client about a new message in an
+ * application thread (not the sender; admins read threads on demand)
+ * @param {Object} application - Application with taskId populated (title, clientId)
+ * @param {Object} message - ApplicationMessage document
+ * @param {Object} sender - User who sent it
+ */
+export const notifyApplicationMessage = async (application, message, sender) => {
+  const recipients = [application.userId, application.taskId?.clientId].filter(
+    (userId) => userId && !userId.equals(sender._id)
+  );
+  const taskTitle = application.taskId?.title || "your task";
+  const preview = message.body
+    ? message.body.slice(0, 200)
+    : `${message.attachments.length} attachment(s)`;
+
+  try {
+    await Promise.all(
+      recipients.map((recipient) =>
+        createNotification({
+          recipient,
+          type: "message",
+          title: `New message from ${sender.name} on "${taskTitle}"`,
+          message: preview,
+          entityType: "application",
+          entityId: String(application._id),
+          metadata: { messageId: message._id, taskId: application.taskId?._id },
+        })
+      )
+    );
+  } catch (error) {
+    logger.error(
+      `Message notification on application ${application._id} failed: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Tell a task's client about a new question on the listing, or the asker
+ * about its answer
+ * @param {String} kind - "asked" or "answered"
+ * @param {Object} task - Task (title, clientId)
+ * @param {Object} question - TaskQuestion document
+ */
+export const notifyTaskQuestion = async (kind, task, question) => {
+  const asked = kind === "asked";
+  const recipient = asked ? task.clientId : question.askedBy;
+  const actor = asked ? question.askedBy : question.answeredBy;
+  if (!recipient || recipient.equals(actor)) return;
+
+  try {
+    await createNotification({
+      recipient,
+      type: "task_question",
+      title: asked
+        ? `New question on "${task.title}"`
+        : `Your question on "${task.title}" was answered`,
+      message: (asked ? question.question : question.answer).slice(0, 200),
+      entityType: "task",
+      entityId: String(task._id),
+      metadata: { questionId: question._id },
+    });
+  } catch (error) {
+    logger.error(
+      `Question notification on task ${task._id} failed: ${error.message}`
+    );
+  }
+};
+
+export default {
+  createNotification,
+  notifyApplicationEvent,
+  notifyNewDeviceLogin,
+  notifyApplicationMessage,
+  notifyTaskQuestion,
+};
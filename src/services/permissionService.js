@@ -0,0 +1,15 @@
+import AdminRole, { ADMIN_PERMISSIONS } from "../models/AdminRole.js";
+
+/**
+ * Resolve the admin permissions of a user. Admins without an assigned
+ * admin role keep full access, so existing accounts work unchanged.
+ * @param {Object} user - User document
+ * @returns {Array} Granted permissions
+ */
+export const getAdminPermissions = async (user) => {
+  if (!user || user.role !== "admin") return [];
+  if (!user.adminRole) return [...ADMIN_PERMISSIONS];
+
+  const adminRole = await AdminRole.findById(user.adminRole);
+  return adminRole ? adminRole.permissions : [];
+};
@@ -0,0 +1,317 @@
+import config from "../config/index.js";
+import ApplicationEvent from "../models/ApplicationEvent.js";
+import Notification from "../models/Notification.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { logger } from "../utils/logger.js";
+import { supportsTransactions } from "../utils/transaction.js";
+import { calculateExpirationDate } from "./tokenService.js";
+
+// Application events pushed to the admins channel
+const ADMIN_EVENT_TYPES = ["submitted", "resubmitted"];
+
+// Polling re-reads this far back so writes committed late (transactions,
+// clock skew between instances) are not missed; duplicates are skipped
+const POLL_OVERLAP_MS = 5000;
+
+// A failed change stream is reopened after this delay (times the number of
+// consecutive failures), up to this many times before polling takes over
+const CHANGE_STREAM_RESTART_DELAY_MS = 2000;
+const CHANGE_STREAM_MAX_RESTARTS = 3;
+
+// Open streams per channel ("user:<id>" or "admins")
+const channels = new Map();
+
+let adapters = [];
+
+/**
+ * Register a stream on channels
+ * @param {Array} channelNames - Channels to listen on
+ * @param {Object} stream - { send: (eventName, data) => void, end: () => void }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (channelNames, stream) => {
+  for (const name of channelNames) {
+    if (!channels.has(name)) channels.set(name, new Set());
+    channels.get(name).add(stream);
+  }
+
+  return () => {
+    for (const name of channelNames) {
+      const streams = channels.get(name);
+      if (!streams) continue;
+      streams.delete(stream);
+      if (streams.size === 0) channels.delete(name);
+    }
+  };
+};
+
+/**
+ * Push an event to every stream on a channel of this instance
+ * @param {String} channel - Channel name
+ * @param {String} eventName - SSE event name
+ * @param {Object} data - Payload
+ */
+export const publish = (channel, eventName, data) => {
+  const streams = channels.get(channel);
+  if (!streams) return;
+
+  for (const stream of streams) {
+    try {
+      stream.send(eventName, data);
+    } catch (error) {
+      logger.error(`Realtime push on ${channel} failed: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Channel of a user
+ * @param {String} userId - User ID
+ * @returns {String} Channel name
+ */
+export const userChannel = (userId) => `user:${userId}`;
+
+export const ADMIN_CHANNEL = "admins";
+
+/**
+ * Route a new timeline event to the applicant, the task's client and, for
+ * new submissions, the admins
+ * @param {Object} event - ApplicationEvent document
+ */
+const routeApplicationEvent = async (event) => {
+  if (channels.size === 0) return;
+
+  const application = await TaskApplication.findById(event.applicationId)
+    .select("userId taskId status")
+    .populate("taskId", "title clientId");
+  if (!application) return;
+
+  const payload = {
+    applicationId: application._id,
+    taskId: application.taskId?._id,
+    taskTitle: application.taskId?.title,
+    type: event.type,
+    fromStatus: event.fromStatus,
+    toStatus: event.toStatus,
+    status: application.status,
+    comment: event.comment,
+    metadata: event.metadata,
+    createdAt: event.createdAt,
+  };
+
+  const recipients = new Set([String(application.userId)]);
+  if (application.taskId?.clientId) {
+    recipients.add(String(application.taskId.clientId));
+  }
+  for (const userId of recipients) {
+    publish(userChannel(userId), "application", payload);
+  }
+
+  if (ADMIN_EVENT_TYPES.includes(event.type)) {
+    publish(ADMIN_CHANNEL, "submission", payload);
+  }
+};
+
+/**
+ * Route a new notification to its recipient
+ * @param {Object} notification - Notification document
+ */
+const routeNotification = async (notification) => {
+  publish(userChannel(notification.recipient), "notification", {
+    id: notification._id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    entityType: notification.entityType,
+    entityId: notification.entityId,
+    createdAt: notification.createdAt,
+  });
+};
+
+// Collections fanned out to the streams
+const sources = [
+  { model: ApplicationEvent, route: routeApplicationEvent },
+  { model: Notification, route: routeNotification },
+];
+
+/**
+ * Deliver inserts through a MongoDB change stream (replica sets). A stream
+ * that errors or closes is reopened from its last resume token; after
+ * repeated failures the source falls back to polling.
+ * @param {Object} source - { model, route }
+ * @returns {Object} { stop }
+ */
+const createChangeStreamAdapter = (source) => {
+  const { model, route } = source;
+  let stream = null;
+  let fallback = null;
+  let resumeToken = null;
+  let failures = 0;
+  let restartTimer = null;
+  let stopped = false;
+
+  const open = () => {
+    const options = resumeToken ? { resumeAfter: resumeToken } : {};
+    const current = model.watch(
+      [{ $match: { operationType: "insert" } }],
+      options
+    );
+    stream = current;
+
+    current.on("change", (change) => {
+      resumeToken = change._id;
+      failures = 0;
+      route(model.hydrate(change.fullDocument)).catch((error) =>
+        logger.error(`Realtime routing failed: ${error.message}`)
+      );
+    });
+    current.on("error", (error) => {
+      logger.error(
+        `Change stream on ${model.collection.name} failed: ${error.message}`
+      );
+      recover(current);
+    });
+    current.on("close", () => recover(current));
+  };
+
+  const recover = (failed) => {
+    // Ignore the close that follows an error, and anything after stop()
+    if (stopped || failed !== stream) return;
+    stream = null;
+    if (failed) Promise.resolve(failed.close()).catch(() => {});
+    failures += 1;
+
+    if (failures > CHANGE_STREAM_MAX_RESTARTS) {
+      logger.warn(
+        `Change stream on ${model.collection.name} keeps failing, falling back to polling`
+      );
+      fallback = createPollingAdapter(source);
+      return;
+    }
+
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      if (stopped) return;
+      try {
+        open();
+      } catch (error) {
+        logger.error(
+          `Reopening change stream on ${model.collection.name} failed: ${error.message}`
+        );
+        recover(null);
+      }
+    }, CHANGE_STREAM_RESTART_DELAY_MS * failures);
+    restartTimer.unref();
+  };
+
+  open();
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearTimeout(restartTimer);
+      if (fallback) fallback.stop();
+      if (stream) await stream.close();
+    },
+  };
+};
+
+/**
+ * Deliver inserts by polling createdAt (standalone servers)
+ * @param {Object} source - { model, route }
+ * @returns {Object} { stop }
+ */
+const createPollingAdapter = ({ model, route }) => {
+  const intervalMs =
+    calculateExpirationDate(config.realtimePollInterval).getTime() -
+    Date.now();
+  let cursor = new Date();
+  // Documents already delivered inside the overlap window: id -> createdAt
+  const delivered = new Map();
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    // Nobody is listening: skip ahead instead of replaying later
+    if (channels.size === 0) {
+      cursor = new Date();
+      delivered.clear();
+      return;
+    }
+    polling = true;
+
+    try {
+      const since = new Date(cursor.getTime() - POLL_OVERLAP_MS);
+      const documents = await model
+        .find({ createdAt: { $gt: since } })
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(500);
+
+      for (const document of documents) {
+        const id = String(document._id);
+        if (delivered.has(id)) continue;
+        delivered.set(id, document.createdAt);
+        if (document.createdAt > cursor) cursor = document.createdAt;
+        await route(document);
+      }
+
+      for (const [id, createdAt] of delivered) {
+        if (createdAt <= since) delivered.delete(id);
+      }
+    } catch (error) {
+      logger.error(
+        `Polling ${model.collection.name} for realtime events failed: ${error.message}`
+      );
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+/**
+ * Start fanning out new events to the open streams. REALTIME_ADAPTER
+ * picks "changestream" or "polling"; "auto" uses change streams when the
+ * server supports them.
+ */
+export const startRealtimeFanout = async () => {
+  if (adapters.length > 0) return;
+
+  let adapter = config.realtimeAdapter;
+  if (adapter === "auto") {
+    adapter = (await supportsTransactions()) ? "changestream" : "polling";
+  }
+
+  const create =
+    adapter === "changestream"
+      ? createChangeStreamAdapter
+      : createPollingAdapter;
+  adapters = sources.map(create);
+
+  logger.info(`📡 Realtime fan-out started (${adapter})`);
+};
+
+/**
+ * Stop the fan-out adapters and end the open streams (clients reconnect to
+ * another instance)
+ */
+export const stopRealtimeFanout = async () => {
+  await Promise.all(adapters.map((adapter) => adapter.stop()));
+  adapters = [];
+
+  const streams = new Set([...channels.values()].flatMap((set) => [...set]));
+  streams.forEach((stream) => stream.end());
+};
+
+export default {
+  subscribe,
+  publish,
+  userChannel,
+  ADMIN_CHANNEL,
+  startRealtimeFanout,
+  stopRealtimeFanout,
+};
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import os from "os";
+import config from "../config/index.js";
+import JobLock from "../models/JobLock.js";
+import { logger } from "../utils/logger.js";
+import { runDeadlineEnforcement } from "./deadlineEnforcementService.js";
+import { calculateExpirationDate } from "./tokenService.js";
+
+// Identifies this process as a lease owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+// Background jobs run by the scheduler, one lease each
+const jobs = [{ name: "deadline-enforcement", run: runDeadlineEnforcement }];
+
+let timer = null;
+let running = false;
+
+/**
+ * Run every job this instance holds the lease for. The lease outlives two
+ * intervals so the holder keeps it between runs; if it dies another
+ * instance takes over once the lease expires.
+ * @param {Number} intervalMs - Scheduler interval
+ */
+const tick = async (intervalMs) => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of jobs) {
+      try {
+        const acquired = await JobLock.acquire(
+          job.name,
+          instanceId,
+          intervalMs * 2
+        );
+        if (!acquired) continue;
+
+        await job.run();
+      } catch (error) {
+        logger.error(`Scheduled job ${job.name} failed: ${error.message}`);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the background scheduler (SCHEDULER_ENABLED=false turns it off)
+ */
+export const startScheduler = () => {
+  if (timer || !config.schedulerEnabled) return;
+
+  const intervalMs =
+    calculateExpirationDate(config.schedulerInterval).getTime() - Date.now();
+  timer = setInterval(() => tick(intervalMs), intervalMs);
+  timer.unref();
+
+  logger.info(
+    `🕒 Scheduler started (every ${config.schedulerInterval}, instance ${instanceId})`
+  );
+
+  // First run right away instead of waiting a full interval
+  tick(intervalMs);
+};
+
+/**
+ * Stop the scheduler and release the leases held by this instance
+ */
+export const stopScheduler = async () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+
+  await Promise.all(jobs.map((job) => JobLock.release(job.name, instanceId)));
+  logger.info("🕒 Scheduler stopped");
+};
+
+export default {
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,429 @@
+import crypto from "crypto";
+import config from "../config/index.js";
+import BlacklistedToken from "../models/BlacklistedToken.js";
+import {
+  calculateExpirationDate,
+  decodeToken,
+  generateRefreshToken,
+  generateToken,
+  hashToken,
+} from "./tokenService.js";
+import { logger } from "../utils/logger.js";
+import { notifyNewDeviceLogin } from "./notificationService.js";
+
+// Devices remembered per user for new-device alerts
+const MAX_KNOWN_DEVICES = 20;
+
+/**
+ * Remember the device a login comes from
+ * @param {Object} user - User document (saved by the caller)
+ * @param {String} userAgent - User agent string from request
+ * @param {String} ipAddress - IP address of the user
+ * @returns {Boolean} Whether the device is new for an account that has
+ * signed in before
+ */
+const trackLoginDevice = (user, userAgent, ipAddress) => {
+  const fingerprint = hashToken(userAgent);
+  const now = new Date();
+  user.knownDevices = user.knownDevices || [];
+
+  const known = user.knownDevices.find(
+    (device) => device.fingerprint === fingerprint
+  );
+  if (known) {
+    known.lastSeenAt = now;
+    known.lastIpAddress = ipAddress;
+    return false;
+  }
+
+  const isFirstDevice = user.knownDevices.length === 0;
+  user.knownDevices.push({
+    fingerprint,
+    device: userAgent,
+    lastIpAddress: ipAddress,
+    firstSeenAt: now,
+    lastSeenAt: now,
+  });
+  if (user.knownDevices.length > MAX_KNOWN_DEVICES) {
+    user.knownDevices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    user.knownDevices = user.knownDevices.slice(0, MAX_KNOWN_DEVICES);
+  }
+  return !isFirstDevice;
+};
+
+/**
+ * Mint an access/refresh token pair for a session family
+ * @param {Object} user - User document
+ * @param {String} familyId - Session family the tokens belong to
+ * @returns {Object} token, refreshToken and their expiration dates
+ */
+const issueSessionTokens = (user, familyId) => {
+  const token = generateToken(
+    { userId: user._id, email: user.email, familyId },
+    config.jwtExpiresIn
+  );
+  const refreshToken = generateRefreshToken(
+    { userId: user._id, familyId },
+    config.jwtRefreshExpiresIn
+  );
+
+  return {
+    token,
+    refreshToken,
+    accessExpiresAt: calculateExpirationDate(config.jwtExpiresIn),
+    expiresAt: calculateExpirationDate(config.jwtRefreshExpiresIn),
+  };
+};
+
+/**
+ * Add a token hash to the blacklist until the token would have expired
+ * anyway
+ * @param {Object} entry - { tokenHash, userId, type, familyId, expiresAt }
+ */
+const blacklistTokenHash = async ({
+  tokenHash,
+  userId,
+  type,
+  familyId,
+  expiresAt,
+}) => {
+  if (!tokenHash || !expiresAt || new Date(expiresAt) <= new Date()) return;
+
+  try {
+    await BlacklistedToken.create({
+      tokenHash,
+      userId,
+      type,
+      familyId,
+      expiresAt,
+    });
+  } catch (error) {
+    // Already blacklisted
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Add a token to the blacklist until it would have expired anyway
+ * @param {String} token - JWT to blacklist
+ * @param {String} userId - Owner of the token
+ * @param {String} type - "access", "refresh" or "challenge"
+ */
+export const blacklistToken = async (token, userId, type = "access") => {
+  const decoded = decodeToken(token);
+  if (!decoded || !decoded.exp) return;
+
+  await blacklistTokenHash({
+    tokenHash: hashToken(token),
+    userId,
+    type,
+    familyId: decoded.familyId,
+    expiresAt: new Date(decoded.exp * 1000),
+  });
+};
+
+/**
+ * Blacklist the current access token of a session. Sessions only keep the
+ * token's hash, so its expiry comes from the session.
+ * @param {Object} session - activeSessions subdocument
+ * @param {String} userId - Owner of the session
+ */
+export const blacklistSessionToken = (session, userId) =>
+  blacklistTokenHash({
+    tokenHash: session.tokenHash,
+    userId,
+    type: "access",
+    familyId: session.familyId,
+    expiresAt: session.accessExpiresAt,
+  });
+
+/**
+ * Check whether a token was blacklisted
+ * @param {String} token - JWT
+ * @returns {Boolean} True when blacklisted
+ */
+export const isTokenBlacklisted = async (token) => {
+  const entry = await BlacklistedToken.exists({ tokenHash: hashToken(token) });
+  return !!entry;
+};
+
+/**
+ * Create a session token for the user
+ * @param {Object} user - User document
+ * @param {String} userAgent - User agent string from request
+ * @param {String} ipAddress - IP address of the user
+ * @returns {Object} token, refresh token and user data
+ */
+export const createUserSession = async (
+  user,
+  userAgent = "Unknown device",
+  ipAddress = "Unknown IP"
+) => {
+  // Every login starts a new refresh token family
+  const familyId = crypto.randomUUID();
+  const { token, refreshToken, accessExpiresAt, expiresAt } =
+    issueSessionTokens(user, familyId);
+
+  // Limit the number of active sessions
+  if (
+    user.activeSessions &&
+    user.activeSessions.length >= config.maxActiveSessions
+  ) {
+    // Sort by creation date and remove the oldest session
+    user.activeSessions.sort((a, b) => a.createdAt - b.createdAt);
+    const removedSession = user.activeSessions.shift();
+
+    // Calculate session duration
+    const sessionDuration = new Date() - new Date(removedSession.createdAt);
+
+    // Log session removal
+    logger.info(`🗑️  Session removed for user ${user.name} (${user.email})`, {
+      userId: user._id,
+      removedSessionDevice: removedSession.device,
+      removedSessionCreated: removedSession.createdAt,
+      sessionDuration: Math.round(sessionDuration / 1000 / 60) + " minutes",
+      reason: "Maximum sessions limit reached",
+    });
+
+    // Print session end message to console
+    console.log("\n" + "=".repeat(60));
+    console.log(`🗑️  SESSION ENDED (LIMIT REACHED)`);
+    console.log("=".repeat(60));
+    console.log(`👤 User: ${user.name} (${user.email})`);
+    console.log(`🆔 User ID: ${user._id}`);
+    console.log(`📱 Device: ${removedSession.device}`);
+    console.log(`🌐 IP Address: ${removedSession.ipAddress || "Unknown"}`);
+    console.log(
+      `⏰ Started: ${new Date(removedSession.createdAt).toISOString()}`
+    );
+    console.log(`⏰ Ended: ${new Date().toISOString()}`);
+    console.log(
+      `⏱️  Duration: ${Math.round(sessionDuration / 1000 / 60)} minutes`
+    );
+    console.log(`🎯 Reason: Maximum sessions limit reached`);
+    console.log("=".repeat(60) + "\n");
+  }
+
+  // Add the new session
+  user.activeSessions = user.activeSessions || [];
+  const sessionData = {
+    tokenHash: hashToken(token),
+    refreshTokenHash: hashToken(refreshToken),
+    familyId,
+    accessExpiresAt,
+    expiresAt,
+    device: userAgent,
+    ipAddress,
+    createdAt: new Date(),
+    lastRefreshedAt: new Date(),
+  };
+
+  user.activeSessions.push(sessionData);
+  const isNewDevice = trackLoginDevice(user, userAgent, ipAddress);
+
+  await user.save({ validateBeforeSave: false });
+
+  if (isNewDevice) {
+    await notifyNewDeviceLogin(user, { device: userAgent, ipAddress });
+  }
+
+  // Log successful session creation
+  logger.info(`🔐 New session created for user: ${user.name} (${user.email})`, {
+    userId: user._id,
+    familyId,
+    device: userAgent,
+    ipAddress,
+    expiresAt,
+    totalActiveSessions: user.activeSessions.length,
+  });
+
+  // Print to console for immediate visibility
+  console.log("\n" + "=".repeat(60));
+  console.log(`🔐 USER SESSION CREATED`);
+  console.log("=".repeat(60));
+  console.log(`👤 User: ${user.name} (${user.email})`);
+  console.log(`🆔 User ID: ${user._id}`);
+  console.log(`📱 Device: ${userAgent}`);
+  console.log(`🌐 IP Address: ${ipAddress}`);
+  console.log(`⏰ Created: ${new Date().toISOString()}`);
+  console.log(`⏳ Access token expires: ${accessExpiresAt.toISOString()}`);
+  console.log(`⏳ Session expires: ${expiresAt.toISOString()}`);
+  console.log(`📊 Active Sessions: ${user.activeSessions.length}`);
+  console.log(`🔑 Token: ${token.substring(0, 20)}...`);
+  console.log("=".repeat(60) + "\n");
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+    },
+  };
+};
+
+/**
+ * Start an impersonation session: an admin acting as another user. The
+ * session is short-lived, has no refresh token and is flagged on the token
+ * and in activeSessions (kind "impersonation").
+ * @param {Object} admin - Admin starting the impersonation
+ * @param {Object} user - User document being impersonated
+ * @param {Object} options - { readOnly, userAgent, ipAddress }
+ * @returns {Object} token, sessionId and expiresAt
+ */
+export const createImpersonationSession = async (
+  admin,
+  user,
+  { readOnly = true, userAgent = "Unknown device", ipAddress = "Unknown IP" }
+) => {
+  const token = generateToken(
+    {
+      userId: user._id,
+      email: user.email,
+      impersonatedBy: admin._id,
+      readOnly,
+    },
+    config.impersonationExpiresIn
+  );
+  const expiresAt = calculateExpirationDate(config.impersonationExpiresIn);
+
+  user.activeSessions = user.activeSessions || [];
+  user.activeSessions.push({
+    tokenHash: hashToken(token),
+    kind: "impersonation",
+    impersonatedBy: admin._id,
+    readOnly,
+    accessExpiresAt: expiresAt,
+    expiresAt,
+    device: userAgent,
+    ipAddress,
+    createdAt: new Date(),
+  });
+  await user.save({ validateBeforeSave: false });
+
+  const session = user.activeSessions[user.activeSessions.length - 1];
+
+  logger.warn(`🎭 Impersonation started: ${admin.email} as ${user.email}`, {
+    adminId: admin._id,
+    userId: user._id,
+    readOnly,
+    expiresAt,
+  });
+
+  console.log("\n" + "=".repeat(60));
+  console.log(`🎭 IMPERSONATION STARTED`);
+  console.log("=".repeat(60));
+  console.log(`👑 Admin: ${admin.name} (${admin.email})`);
+  console.log(`👤 As user: ${user.name} (${user.email})`);
+  console.log(`🔒 Read-only: ${readOnly}`);
+  console.log(`⏳ Expires: ${expiresAt.toISOString()}`);
+  console.log("=".repeat(60) + "\n");
+
+  return { token, sessionId: session._id, expiresAt };
+};
+
+/**
+ * Rotate the tokens of an existing session. The previous access and
+ * refresh tokens are blacklisted so that replaying them can be detected.
+ * @param {Object} user - User document owning the session
+ * @param {Object} session - activeSessions subdocument to rotate
+ * @param {String} presentedRefreshToken - Refresh token being exchanged
+ * @returns {Object} new token and refreshToken
+ */
+export const rotateSessionTokens = async (
+  user,
+  session,
+  presentedRefreshToken
+) => {
+  const previousAccess = {
+    tokenHash: session.tokenHash,
+    familyId: session.familyId,
+    accessExpiresAt: session.accessExpiresAt,
+  };
+  const { token, refreshToken, accessExpiresAt } = issueSessionTokens(
+    user,
+    session.familyId
+  );
+
+  // The refresh token expiry is kept: rotation never extends a session
+  session.tokenHash = hashToken(token);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.accessExpiresAt = accessExpiresAt;
+  session.lastRefreshedAt = new Date();
+
+  await user.save({ validateBeforeSave: false });
+
+  await Promise.all([
+    blacklistSessionToken(previousAccess, user._id),
+    blacklistToken(presentedRefreshToken, user._id, "refresh"),
+  ]);
+
+  return { token, refreshToken };
+};
+
+/**
+ * Revoke a whole session family, e.g. after refresh token reuse
+ * @param {Object} user - User document owning the session
+ * @param {String} familyId - Family to revoke
+ * @param {String} reason - Reason recorded in the logs
+ * @returns {Boolean} whether a session was revoked
+ */
+export const revokeSessionFamily = async (user, familyId, reason) => {
+  const session = user.activeSessions.find((s) => s.familyId === familyId);
+  if (!session) return false;
+
+  user.activeSessions = user.activeSessions.filter(
+    (s) => s.familyId !== familyId
+  );
+  await user.save({ validateBeforeSave: false });
+  await blacklistSessionToken(session, user._id);
+
+  logger.warn(`🚨 Session family revoked for user: ${user.name} (${user.email})`, {
+    userId: user._id,
+    familyId,
+    device: session.device,
+    ipAddress: session.ipAddress,
+    reason,
+  });
+
+  console.log("\n" + "=".repeat(60));
+  console.log(`🚨 SESSION REVOKED`);
+  console.log("=".repeat(60));
+  console.log(`👤 User: ${user.name} (${user.email})`);
+  console.log(`🆔 User ID: ${user._id}`);
+  console.log(`📱 Device: ${session.device}`);
+  console.log(`🌐 IP Address: ${session.ipAddress || "Unknown"}`);
+  console.log(`🎯 Reason: ${reason}`);
+  console.log("=".repeat(60) + "\n");
+
+  return true;
+};
+
+/**
+ * Revoke every active session of a user (e.g. after a password reset)
+ * @param {Object} user - User document
+ * @param {String} reason - Reason recorded in the logs
+ * @returns {Number} number of sessions revoked
+ */
+export const revokeAllSessions = async (user, reason) => {
+  const sessions = user.activeSessions || [];
+
+  await Promise.all(
+    sessions.map((session) => blacklistSessionToken(session, user._id))
+  );
+
+  user.activeSessions = [];
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(
+    `🔒 All sessions revoked for user: ${user.name} (${user.email})`,
+    {
+      userId: user._id,
+      revokedSessions: sessions.length,
+      reason,
+    }
+  );
+
+  return sessions.length;
+};
@@ -0,0 +1,181 @@
+import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import AppError from "../utils/appError.js";
+import runInTransaction from "../utils/transaction.js";
+
+// What to do with the other open applicants once a task is assigned
+export const REMAINING_APPLICANT_ACTIONS = ["keep", "reject", "waitlist"];
+
+// Applicants still in the running for a task
+export const OPEN_APPLICANT_STATUSES = ["pending", "shortlisted", "interview"];
+
+const DEFAULT_REMAINING_MESSAGES = {
+  reject: "This task has been assigned to another applicant.",
+  waitlist:
+    "This task has been assigned to another applicant. You are on the waitlist in case it opens up again.",
+};
+
+/**
+ * Status shown on the task's embedded applicant entry for an application
+ * status (everything after acceptance stays "accepted")
+ * @param {String} applicationStatus - TaskApplication status
+ * @returns {String} Task.applicants[].status
+ */
+export const applicantStatusFor = (applicationStatus) =>
+  [
+    "pending",
+    "shortlisted",
+    "interview",
+    "waitlisted",
+    "rejected",
+    "cancelled",
+  ].includes(applicationStatus)
+    ? applicationStatus
+    : "accepted";
+
+/**
+ * Mirror application statuses on the task's embedded applicants
+ * @param {String} taskId - Task ID
+ * @param {Array} applications - [{ userId, status }]
+ * @param {Object} options - { session }
+ */
+export const syncTaskApplicants = async (
+  taskId,
+  applications,
+  { session } = {}
+) => {
+  if (!taskId) return;
+
+  for (const application of applications) {
+    const userId = application.userId._id || application.userId;
+    await Task.updateOne(
+      { _id: taskId, "applicants.user": userId },
+      {
+        $set: { "applicants.$.status": applicantStatusFor(application.status) },
+      },
+      { session }
+    );
+  }
+};
+
+/**
+ * Claim a task for an applicant: it must still be open and unassigned (409
+ * otherwise). Atomic, so two concurrent accepts cannot both win.
+ * @param {Object} application - TaskApplication document
+ * @param {Object} options - { session }
+ * @returns {Object} Task (payout, milestones)
+ */
+export const claimTask = async (application, { session } = {}) => {
+  const task = await Task.findOneAndUpdate(
+    {
+      _id: application.taskId._id || application.taskId,
+      status: "open",
+      assignedTo: null,
+    },
+    {
+      $set: {
+        assignedTo: application.userId._id || application.userId,
+        status: "in_progress",
+      },
+    },
+    { session, new: true, projection: "payout milestones" }
+  );
+  if (!task) {
+    throw new AppError("This task is no longer open for new assignments", 409);
+  }
+  return task;
+};
+
+/**
+ * Undo claimTask() when the rest of the assignment failed and no
+ * transaction rolled it back
+ * @param {Object} application - TaskApplication document
+ */
+export const releaseTask = async (application) => {
+  await Task.updateOne(
+    {
+      _id: application.taskId._id || application.taskId,
+      assignedTo: application.userId._id || application.userId,
+      status: "in_progress",
+    },
+    { $set: { assignedTo: null, status: "open" } }
+  );
+};
+
+/**
+ * Accept an application and assign its task to the applicant. The task is
+ * claimed first (see claimTask()), then the application is saved and the
+ * other open applicants are kept, rejected or waitlisted.
+ *
+ * On a replica set all of this is one transaction. A standalone mongod has
+ * no transactions: if saving the application fails the claim is released,
+ * so nobody is rejected or waitlisted for a task that was not assigned, but
+ * a database error while closing the other applicants leaves the ones
+ * already closed as they are (the task stays assigned to this applicant).
+ *
+ * The application must already be moved to "accepted" with transitionTo();
+ * its agreed amount and milestones are fixed here.
+ * @param {Object} application - TaskApplication document
+ * @param {Object} options - { changedBy, remainingApplicants, message,
+ *   session, task } (pass a session to join the caller's transaction, and
+ *   the task when the caller already claimed it)
+ * @returns {Array} Applications closed by the assignment
+ */
+export const assignTaskToApplication = async (
+  application,
+  { changedBy, remainingApplicants = "keep", message, session, task } = {}
+) => {
+  const taskId = application.taskId._id || application.taskId;
+  const userId = application.userId._id || application.userId;
+  const note = message || DEFAULT_REMAINING_MESSAGES[remainingApplicants];
+
+  const assign = async (session) => {
+    const claimedTask = task || (await claimTask(application, { session }));
+
+    try {
+      application.setAgreedTerms(claimedTask);
+      await application.save({ session });
+    } catch (error) {
+      if (!session && !task) await releaseTask(application);
+      throw error;
+    }
+
+    const closed = [];
+    if (remainingApplicants !== "keep") {
+      const others = await TaskApplication.find({
+        taskId,
+        _id: { $ne: application._id },
+        status: { $in: OPEN_APPLICANT_STATUSES },
+      }).session(session);
+
+      for (const other of others) {
+        other.transitionTo(
+          remainingApplicants === "reject" ? "rejected" : "waitlisted",
+          {
+            changedBy,
+            note,
+            metadata: { reason: "task_assigned", assignedTo: userId },
+          }
+        );
+        other.feedback = { comment: note, providedAt: new Date() };
+        await other.save({ session });
+        closed.push(other);
+      }
+    }
+
+    await syncTaskApplicants(taskId, [application, ...closed], { session });
+    return closed;
+  };
+
+  return session !== undefined ? assign(session) : runInTransaction(assign);
+};
+
+export default {
+  REMAINING_APPLICANT_ACTIONS,
+  OPEN_APPLICANT_STATUSES,
+  applicantStatusFor,
+  syncTaskApplicants,
+  claimTask,
+  releaseTask,
+  assignTaskToApplication,
+};
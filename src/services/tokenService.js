@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 
@@ -8,7 +9,30 @@ import config from '../config/index.js';
  * @returns {String} JWT token
  */
 export const generateToken = (payload, expiresIn = '7d') => {
-  return jwt.sign(payload, config.jwtSecret, { expiresIn });
+  // A unique jwtid keeps two tokens minted in the same second distinct
+  return jwt.sign(payload, config.jwtSecret, {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+/**
+ * Generate a refresh token for a session family
+ * @param {Object} payload - Must contain userId and familyId
+ * @param {String} expiresIn - Token expiration time
+ * @returns {String} JWT refresh token
+ */
+export const generateRefreshToken = (payload, expiresIn = '30d') => {
+  return generateToken({ ...payload, type: 'refresh' }, expiresIn);
+};
+
+/**
+ * Hash a token for storage (refresh tokens are never stored in plain text)
+ * @param {String} token - Token to hash
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 /**
@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import { hashToken } from "./tokenService.js";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string (RFC 4648, padding and case ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+};
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Counter value
+ * @returns {String} Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Current TOTP time step
+ * @returns {Number} Time step
+ */
+const currentTimeStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the TOTP code for the current time step
+ * @param {String} secret - Base32 secret
+ * @returns {String} Code
+ */
+export const generateTotp = (secret) => hotp(secret, currentTimeStep());
+
+/**
+ * Build the otpauth:// URI used by authenticator apps (rendered as a QR code
+ * by the frontend)
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ * @param {String} issuer - Name shown in the authenticator app
+ * @returns {String} otpauth URI
+ */
+export const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} lastUsedStep - Last accepted step (prevents replay)
+ * @returns {Number|null} Matched time step, or null if invalid
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || "").trim())) return null;
+
+  const normalizedCode = String(code).trim();
+  const step = currentTimeStep();
+
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (candidate <= lastUsedStep) continue;
+    const expected = hotp(secret, candidate);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate one-time backup codes
+ * @param {Number} count - Number of codes
+ * @returns {Object} codes (plain, shown once) and hashes (stored)
+ */
+export const generateBackupCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashBackupCode(code)) };
+};
+
+/**
+ * Hash a backup code for storage/comparison
+ * @param {String} code - Backup code
+ * @returns {String} Hash
+ */
+export const hashBackupCode = (code) =>
+  hashToken(String(code).trim().toLowerCase());
+
+/**
+ * Check a second factor for a user with 2FA enabled. Accepts either a TOTP
+ * code or an unused backup code. The user document is updated (last used
+ * step / consumed backup code) but not saved.
+ * @param {Object} user - User document
+ * @param {String} code - TOTP or backup code
+ * @returns {String|null} "totp", "backup_code", or null if invalid
+ */
+export const verifyUserSecondFactor = (user, code) => {
+  if (!user.twoFactor || !user.twoFactor.enabled || !code) return null;
+
+  const step = verifyTotp(
+    user.twoFactor.secret,
+    code,
+    user.twoFactor.lastUsedStep
+  );
+  if (step !== null) {
+    user.twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  const codeHash = hashBackupCode(code);
+  if (user.twoFactor.backupCodes.includes(codeHash)) {
+    user.twoFactor.backupCodes = user.twoFactor.backupCodes.filter(
+      (hash) => hash !== codeHash
+    );
+    return "backup_code";
+  }
+
+  return null;
+};
@@ -0,0 +1,512 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import mongoose from "mongoose";
+import net from "net";
+import config from "../config/index.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { logger } from "../utils/logger.js";
+import { calculateExpirationDate } from "./tokenService.js";
+
+// Webhook event for each application timeline event
+const APPLICATION_WEBHOOK_EVENTS = {
+  submitted: "application.submitted",
+  resubmitted: "application.submitted",
+  completed: "application.completed",
+};
+
+// How long a worker may hold a delivery before another one retries it
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Retry backoff: 30 seconds, doubling each attempt, at most 1 hour
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Deliveries sent per worker run
+const BATCH_SIZE = 20;
+
+// Addresses webhooks may not reach: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, unspecified and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+let timer = null;
+let running = false;
+
+/**
+ * Generate a webhook signing secret
+ * @returns {String} Secret
+ */
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(32).toString("hex")}`;
+
+/**
+ * Whether an address is in a range webhooks may not reach (BlockList also
+ * matches IPv4-mapped IPv6 addresses against the IPv4 ranges)
+ * @param {String} address - IP address
+ * @returns {Boolean} True when blocked
+ */
+const isBlockedAddress = (address) =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/**
+ * Resolve a webhook URL's host and check that it is an http(s) URL whose
+ * host doesn't resolve to a private, loopback or link-local address, unless
+ * the host is in WEBHOOK_ALLOWED_HOSTS
+ * @param {String} url - Webhook URL
+ * @returns {Promise<Object>} { error }, or { address, family } to connect
+ *   to (no address for allowed hosts: they are resolved as usual)
+ */
+const resolveWebhookTarget = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: "Webhook URL must be an http(s) URL" };
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return { error: "Webhook URL must be an http(s) URL" };
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (config.webhookAllowedHosts.includes(host)) return {};
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return { error: `Webhook host ${host} could not be resolved` };
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return {
+      error: `Webhook host ${host} resolves to a private, loopback or link-local address`,
+    };
+  }
+  return addresses[0];
+};
+
+/**
+ * Check that a webhook URL may be delivered to (see resolveWebhookTarget).
+ * Run when a webhook is saved; deliveries resolve the host again.
+ * @param {String} url - Webhook URL
+ * @returns {Promise<String|null>} Error message, or null if allowed
+ */
+export const validateWebhookTarget = async (url) =>
+  (await resolveWebhookTarget(url)).error || null;
+
+/**
+ * DNS lookup that always answers with an address that was already checked,
+ * so the host can't be re-pointed between the check and the connection
+ * @param {Object} target - { address, family }
+ * @returns {Function} lookup for http(s).Agent
+ */
+const pinnedLookup =
+  ({ address, family }) =>
+  (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+
+/**
+ * Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the
+ * webhook's secret, hex encoded. Receivers recompute it from the
+ * X-Webhook-Timestamp header and the raw body.
+ * @param {String} secret - Webhook secret
+ * @param {String|Number} timestamp - Unix seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} Hex signature
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Queue a delivery of an event to every active webhook subscribed to it
+ * @param {String} event - WEBHOOK_EVENTS entry
+ * @param {Object} data - Event data
+ * @param {Object} options - { session } to queue inside a transaction
+ * @returns {Promise<Array>} Created deliveries
+ */
+export const dispatchWebhookEvent = async (event, data, { session } = {}) => {
+  const webhooks = await Webhook.find({ active: true, events: event })
+    .select("_id")
+    .session(session || null);
+  if (webhooks.length === 0) return [];
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date(),
+    data,
+  };
+
+  return WebhookDelivery.create(
+    webhooks.map((webhook) => ({ webhookId: webhook._id, event, payload })),
+    { session, ordered: true }
+  );
+};
+
+/**
+ * Queue webhooks for an application timeline event (submissions and
+ * completions)
+ * @param {String} applicationId - Application ID
+ * @param {Object} event - Timeline event
+ * @param {Object} options - { session }
+ */
+export const dispatchApplicationWebhook = async (
+  applicationId,
+  event,
+  { session } = {}
+) => {
+  const webhookEvent = APPLICATION_WEBHOOK_EVENTS[event.type];
+  if (!webhookEvent) return;
+
+  try {
+    // Looked up by name: the application model records events itself
+    const application = await mongoose
+      .model("TaskApplication")
+      .findById(applicationId)
+      .select("taskId userId status agreedAmount progress")
+      .session(session || null);
+    if (!application) return;
+
+    await dispatchWebhookEvent(
+      webhookEvent,
+      {
+        application: {
+          id: application._id,
+          taskId: application.taskId,
+          userId: application.userId,
+          status: application.status,
+          agreedAmount: application.agreedAmount,
+          progress: application.progress,
+        },
+        change: {
+          type: event.type,
+          fromStatus: event.fromStatus,
+          toStatus: event.toStatus,
+          actor: event.actor,
+          metadata: event.metadata,
+        },
+      },
+      { session }
+    );
+  } catch (error) {
+    logger.error(
+      `Webhook dispatch for ${event.type} on application ${applicationId} failed: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Queue task.created webhooks for a new task
+ * @param {Object} task - Task document
+ */
+export const dispatchTaskCreatedWebhook = async (task) => {
+  try {
+    await dispatchWebhookEvent("task.created", {
+      task: {
+        id: task._id,
+        title: task.title,
+        category: task.category,
+        difficulty: task.difficulty,
+        payout: task.payout,
+        status: task.status,
+        deadline: task.deadline,
+        clientId: task.clientId,
+        createdAt: task.createdAt,
+      },
+    });
+  } catch (error) {
+    logger.error(
+      `Webhook dispatch for new task ${task._id} failed: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Queue a manual redelivery of a past delivery (same payload, new attempts)
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Object} New delivery
+ */
+export const redeliverWebhook = (delivery) =>
+  WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+  });
+
+/**
+ * Queue a test delivery to one webhook
+ * @param {Object} webhook - Webhook document
+ * @returns {Object} Delivery
+ */
+export const pingWebhook = (webhook) =>
+  WebhookDelivery.create({
+    webhookId: webhook._id,
+    event: "ping",
+    payload: {
+      id: crypto.randomUUID(),
+      event: "ping",
+      createdAt: new Date(),
+      data: { webhookId: webhook._id, events: webhook.events },
+    },
+  });
+
+/**
+ * Delay before the next attempt
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Milliseconds
+ */
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Claim the next due delivery. Deliveries whose claim timed out (a worker
+ * died mid-send) are due again.
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Claimed delivery
+ */
+const claimNextDelivery = (now) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "sending",
+        lockedUntil: new Date(now.getTime() + CLAIM_TIMEOUT_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+/**
+ * POST a body to a URL, connecting only to the given address. Redirects
+ * are not followed.
+ * @param {String} url - Target URL
+ * @param {Object} target - { address, family } (no address: normal DNS)
+ * @param {Object} request - { headers, body }
+ * @returns {Promise<Object>} { statusCode, responseBody } (first 1000 chars)
+ */
+const postToTarget = (url, target, { headers, body }) =>
+  new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const client = parsed.protocol === "https:" ? https : http;
+
+    const request = client.request(
+      parsed,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        agent: target.address
+          ? new client.Agent({ lookup: pinnedLookup(target) })
+          : undefined,
+        signal: AbortSignal.timeout(config.webhookTimeout),
+      },
+      (response) => {
+        let responseBody = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          if (responseBody.length < 1000) responseBody += chunk;
+        });
+        response.on("end", () =>
+          resolve({
+            statusCode: response.statusCode,
+            responseBody: responseBody.slice(0, 1000),
+          })
+        );
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * POST a delivery to its webhook. The host is checked again before every
+ * delivery, so a host re-pointed later is caught too, and the request goes
+ * to the address that was checked.
+ * @param {Object} webhook - Webhook with its secret
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} { statusCode, responseBody }
+ */
+const postDelivery = async (webhook, delivery) => {
+  const target = await resolveWebhookTarget(webhook.url);
+  if (target.error) {
+    throw new Error(target.error);
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return postToTarget(webhook.url, target, {
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "CodeAndCash-Webhooks/1.0",
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": String(delivery._id),
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": `sha256=${signWebhookPayload(
+        webhook.secret,
+        timestamp,
+        body
+      )}`,
+    },
+    body,
+  });
+};
+
+/**
+ * Send due deliveries. Non-2xx responses and network errors are retried
+ * with exponential backoff until WEBHOOK_MAX_ATTEMPTS, then marked failed.
+ * @returns {Promise<Object>} { succeeded, failed }
+ */
+export const processWebhookDeliveries = async () => {
+  let succeeded = 0;
+  let failed = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i += 1) {
+    const now = new Date();
+    const delivery = await claimNextDelivery(now);
+    if (!delivery) break;
+
+    const webhook = await Webhook.findById(delivery.webhookId).select(
+      "+secret"
+    );
+    const attempt = { attemptedAt: now };
+    const startedAt = Date.now();
+
+    if (!webhook || !webhook.active) {
+      attempt.error = "Webhook was deleted or deactivated";
+    } else {
+      try {
+        Object.assign(attempt, await postDelivery(webhook, delivery));
+        if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+          attempt.error = `Receiver responded with ${attempt.statusCode}`;
+        }
+      } catch (error) {
+        attempt.error = error.message;
+      }
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const update = {
+      $push: { attemptLog: attempt },
+      $unset: { lockedUntil: 1 },
+    };
+    if (!attempt.error) {
+      update.$set = {
+        status: "succeeded",
+        deliveredAt: new Date(),
+        lastStatusCode: attempt.statusCode,
+      };
+      succeeded += 1;
+    } else {
+      const giveUp =
+        !webhook ||
+        !webhook.active ||
+        delivery.attempts >= config.webhookMaxAttempts;
+      update.$set = {
+        status: giveUp ? "failed" : "pending",
+        nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts)),
+        lastStatusCode: attempt.statusCode,
+        lastError: attempt.error,
+      };
+      logger.warn(
+        `🪝 Webhook delivery ${delivery._id} (${delivery.event}) failed on attempt ${delivery.attempts}${giveUp ? ", giving up" : ""}: ${attempt.error}`
+      );
+      failed += 1;
+    }
+    await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  }
+
+  return { succeeded, failed };
+};
+
+/**
+ * Start the webhook worker (every WEBHOOK_WORKER_INTERVAL)
+ */
+export const startWebhookWorker = () => {
+  if (timer) return;
+
+  const intervalMs =
+    calculateExpirationDate(config.webhookWorkerInterval).getTime() -
+    Date.now();
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processWebhookDeliveries();
+    } catch (error) {
+      logger.error(`Webhook worker failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+  logger.info(
+    `🪝 Webhook worker started (every ${config.webhookWorkerInterval})`
+  );
+
+  run();
+};
+
+/**
+ * Stop the webhook worker
+ */
+export const stopWebhookWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  generateWebhookSecret,
+  validateWebhookTarget,
+  signWebhookPayload,
+  dispatchWebhookEvent,
+  dispatchApplicationWebhook,
+  dispatchTaskCreatedWebhook,
+  redeliverWebhook,
+  pingWebhook,
+  processWebhookDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
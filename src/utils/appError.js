@@ -1,7 +1,9 @@
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+    // Optional structured data for the client (validation errors, etc.)
+    if (details !== undefined) this.details = details;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
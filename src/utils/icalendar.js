@@ -0,0 +1,81 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for interview slots
+ */
+
+/**
+ * Format a date as a UTC iCalendar timestamp (20250101T093000Z)
+ * @param {Date} date - Date to format
+ * @returns {String} Timestamp
+ */
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape a text value (commas, semicolons, backslashes and newlines)
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line at 75 octets as required by the spec
+ * @param {String} line - Content line
+ * @returns {String} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut -= 1;
+    chunks.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  chunks.push(rest);
+  return chunks.join("\r\n");
+};
+
+/**
+ * Build an .ics calendar
+ * @param {Array} events - [{ uid, start, end, summary, description, location, cancelled }]
+ * @param {Object} options - { name } calendar name
+ * @returns {String} Calendar file content
+ */
+export const buildCalendar = (events, { name } = {}) => {
+  const now = formatDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Code and Cash//Interviews//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description
+        ? [`DESCRIPTION:${escapeText(event.description)}`]
+        : []),
+      ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+      `STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+export default { buildCalendar };
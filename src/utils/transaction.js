@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { logger } from "./logger.js";
+
+let transactionSupport = null;
+
+/**
+ * Transactions (and change streams) need a replica set or a sharded
+ * cluster; a standalone mongod (local development) rejects them. Checked
+ * once per process.
+ * @returns {Promise<Boolean>}
+ */
+export const supportsTransactions = () => {
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.db
+      .admin()
+      .command({ hello: 1 })
+      .then((hello) => {
+        const supported = !!hello.setName || hello.msg === "isdbgrid";
+        if (!supported) {
+          logger.warn(
+            "MongoDB is running standalone: multi-document updates will run without a transaction"
+          );
+        }
+        return supported;
+      })
+      .catch((error) => {
+        transactionSupport = null;
+        throw error;
+      });
+  }
+  return transactionSupport;
+};
+
+/**
+ * Run a function inside a MongoDB transaction. The function receives the
+ * session to pass to every read and write (null when the server can't run
+ * transactions).
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise} Result of fn
+ */
+const runInTransaction = async (fn) => {
+  if (!(await supportsTransactions())) {
+    return fn(null);
+  }
+  return mongoose.connection.transaction(fn);
+};
+
+export default runInTransaction;
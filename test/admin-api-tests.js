@@ -211,6 +211,92 @@ const testRegularUserAccessDenied = async () => {
   }
 };
 
+const testListAdminRoles = async () => {
+  try {
+    console.log("\\n🛡️ Testing Admin Roles...");
+
+    const { response, data } = await makeRequest("/admin/roles", {
+      token: adminToken,
+    });
+
+    const roleNames = data?.data?.roles?.map((role) => role.name) || [];
+    if (response?.ok && roleNames.includes("support")) {
+      logTest(
+        "List Admin Roles",
+        "PASS",
+        `Roles: ${roleNames.join(", ")}`
+      );
+      return true;
+    } else {
+      logTest(
+        "List Admin Roles",
+        "FAIL",
+        `Expected built-in roles, got ${response?.status}`
+      );
+      return false;
+    }
+  } catch (error) {
+    logTest("List Admin Roles", "FAIL", `Error: ${error.message}`);
+    return false;
+  }
+};
+
+const testImpersonation = async () => {
+  try {
+    console.log("\\n🎭 Testing Impersonation...");
+
+    const { response, data } = await makeRequest(
+      `/admin/users/${testUserId}/impersonate`,
+      {
+        method: "POST",
+        token: adminToken,
+        body: JSON.stringify({ reason: "Admin API tests" }),
+      }
+    );
+    const impersonationToken = data?.data?.token;
+    if (!response?.ok || !impersonationToken) {
+      logTest("Impersonation", "FAIL", `Start returned ${response?.status}`);
+      return false;
+    }
+
+    const { response: readResponse } = await makeRequest("/applications/my", {
+      token: impersonationToken,
+    });
+    const { response: writeResponse } = await makeRequest("/profile", {
+      method: "PUT",
+      token: impersonationToken,
+      body: JSON.stringify({ bio: "Changed while impersonating" }),
+    });
+    const { response: stopResponse } = await makeRequest(
+      "/auth/impersonation/stop",
+      { method: "POST", token: impersonationToken }
+    );
+
+    if (
+      readResponse?.ok &&
+      writeResponse?.status === 403 &&
+      stopResponse?.ok
+    ) {
+      logTest(
+        "Impersonation",
+        "PASS",
+        "Read allowed, write refused (read-only), stop succeeded"
+      );
+      return true;
+    } else {
+      logTest(
+        "Impersonation",
+        "FAIL",
+        `read ${readResponse?.status}, write ${writeResponse?.status}, stop ${stopResponse?.status}`
+      );
+      return false;
+    }
+  } catch (error) {
+    logTest("Impersonation", "FAIL", `Error: ${error.message}`);
+    return false;
+  }
+};
+
 const testGetAllUsers = async () => {
   try {
     console.log("\\n👥 Testing Get All Users...");
@@ -515,6 +601,8 @@ const runAdminTests = async () => {
   // Run admin tests
   await testAdminStatsAccess();
   await testRegularUserAccessDenied();
+  await testListAdminRoles();
+  await testImpersonation();
   await testGetAllUsers();
   await testGetAllTasks();
   await testCreateTask();
@@ -0,0 +1,246 @@
+/**
+ * Admin Permissions Testing Script
+ *
+ * Tests fine-grained admin permissions with a second admin limited to a
+ * custom role: routes outside the role are refused, and the admin cannot
+ * grant permissions they don't hold, edit their own role or take over
+ * accounts with more access. Needs the full-access admin from
+ * scripts/create-admin.js (without 2FA).
+ * Run with: node test/admin-permission-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+} from "./helpers.js";
+
+const testConfig = {
+  delegate: {
+    name: "Delegate Admin",
+    email: `delegate-admin-${Date.now()}@example.com`,
+    password: "delegate123",
+  },
+  target: {
+    name: "Permission Target",
+    email: `permission-target-${Date.now()}@example.com`,
+    password: "target123",
+  },
+  role: {
+    name: `delegate-${Date.now()}`,
+    description: "Created by the admin permission tests",
+    permissions: ["users:read", "users:write", "roles:manage"],
+  },
+};
+
+const getUserId = async (token) => {
+  const { data } = await makeRequest("/auth/me", { token });
+  return data.data?.user?.id;
+};
+
+/**
+ * Main test runner
+ */
+const runAdminPermissionTests = async () => {
+  console.log("🧪 Starting Admin Permission Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const delegateId = await getUserId(await registerUser(testConfig.delegate));
+  const targetId = await getUserId(await registerUser(testConfig.target));
+  if (!adminToken || !delegateId || !targetId) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+  const adminId = await getUserId(adminToken);
+
+  const { data: roleData } = await makeRequest("/admin/roles", {
+    method: "POST",
+    token: adminToken,
+    body: JSON.stringify(testConfig.role),
+  });
+  const roleId = roleData.data?.role?._id;
+
+  try {
+    const { response: promoteResponse } = await makeRequest(
+      `/admin/users/${delegateId}`,
+      {
+        method: "PUT",
+        token: adminToken,
+        body: JSON.stringify({ role: "admin" }),
+      }
+    );
+    const { response: assignResponse } = await makeRequest(
+      `/admin/users/${delegateId}/admin-role`,
+      {
+        method: "PUT",
+        token: adminToken,
+        body: JSON.stringify({ roleId }),
+      }
+    );
+    logTest(
+      "Assign Admin Role",
+      promoteResponse.status === 200 && assignResponse.status === 200
+        ? "PASS"
+        : "FAIL",
+      `Promote ${promoteResponse.status}, assign ${assignResponse.status}`
+    );
+
+    const { data: delegateLogin } = await makeRequest("/auth/login", {
+      method: "POST",
+      body: JSON.stringify(testConfig.delegate),
+    });
+    const delegateToken = delegateLogin.token;
+
+    const { data: accessData } = await makeRequest("/admin/check-access", {
+      token: delegateToken,
+    });
+    const permissions = accessData.data?.permissions || [];
+    logTest(
+      "Permissions Resolved From Role",
+      permissions.length === testConfig.role.permissions.length &&
+        testConfig.role.permissions.every((p) => permissions.includes(p))
+        ? "PASS"
+        : "FAIL",
+      `Permissions: ${permissions.join(", ")}`
+    );
+
+    const { response: usersResponse } = await makeRequest("/admin/users", {
+      token: delegateToken,
+    });
+    logTest(
+      "Granted Route Allowed",
+      usersResponse.status === 200 ? "PASS" : "FAIL",
+      `GET /admin/users status ${usersResponse.status}`
+    );
+
+    const { response: tasksResponse, data: tasksData } = await makeRequest(
+      "/admin/tasks",
+      { token: delegateToken }
+    );
+    logTest(
+      "Missing Permission Refused",
+      tasksResponse.status === 403 ? "PASS" : "FAIL",
+      `GET /admin/tasks status ${tasksResponse.status}: ${tasksData.message}`
+    );
+
+    // No one can hand out more than they hold
+    const { response: escalateResponse } = await makeRequest("/admin/roles", {
+      method: "POST",
+      token: delegateToken,
+      body: JSON.stringify({
+        name: `escalated-${Date.now()}`,
+        permissions: ["users:read", "tasks:delete"],
+      }),
+    });
+    logTest(
+      "Cannot Grant Unheld Permission",
+      escalateResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${escalateResponse.status}`
+    );
+
+    const { response: ownRoleResponse } = await makeRequest(
+      `/admin/roles/${roleId}`,
+      {
+        method: "PUT",
+        token: delegateToken,
+        body: JSON.stringify({
+          permissions: [...testConfig.role.permissions, "users:delete"],
+        }),
+      }
+    );
+    logTest(
+      "Cannot Edit Own Role",
+      ownRoleResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${ownRoleResponse.status}`
+    );
+
+    // Making someone a full-access admin needs every permission
+    const { response: grantAdminResponse } = await makeRequest(
+      `/admin/users/${targetId}`,
+      {
+        method: "PUT",
+        token: delegateToken,
+        body: JSON.stringify({ role: "admin" }),
+      }
+    );
+    logTest(
+      "Cannot Create Full Admin",
+      grantAdminResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${grantAdminResponse.status}`
+    );
+
+    const { response: takeoverResponse } = await makeRequest(
+      `/admin/users/${adminId}`,
+      {
+        method: "PUT",
+        token: delegateToken,
+        body: JSON.stringify({ email: `taken-over-${Date.now()}@example.com` }),
+      }
+    );
+    logTest(
+      "Cannot Edit Admin With More Access",
+      takeoverResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${takeoverResponse.status}`
+    );
+
+    const { response: demoteResponse } = await makeRequest(
+      `/admin/users/${adminId}/admin-role`,
+      {
+        method: "PUT",
+        token: delegateToken,
+        body: JSON.stringify({ roleId }),
+      }
+    );
+    logTest(
+      "Cannot Restrict Admin With More Access",
+      demoteResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${demoteResponse.status}`
+    );
+
+    // Within their own permissions the delegate can still edit users
+    const { response: editResponse } = await makeRequest(
+      `/admin/users/${targetId}`,
+      {
+        method: "PUT",
+        token: delegateToken,
+        body: JSON.stringify({ name: "Renamed By Delegate" }),
+      }
+    );
+    logTest(
+      "Granted Write Allowed",
+      editResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${editResponse.status}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/users/${delegateId}`, {
+      method: "PUT",
+      token: adminToken,
+      body: JSON.stringify({ role: "user" }),
+    });
+    for (const userId of [delegateId, targetId]) {
+      await makeRequest(`/admin/users/${userId}`, {
+        method: "DELETE",
+        token: adminToken,
+      });
+    }
+    await makeRequest(`/admin/roles/${roleId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Admin Permission Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAdminPermissionTests();
+}
+
+export { runAdminPermissionTests };
@@ -0,0 +1,153 @@
+/**
+ * API Key Testing Script
+ *
+ * Tests personal API keys: creation, X-API-Key authentication, scope
+ * enforcement and revocation.
+ * Run with: node test/api-key-tests.js
+ */
+
+import fetch from "node-fetch";
+
+const API_BASE_URL = "http://localhost:5001/api";
+
+const testConfig = {
+  testUser: {
+    name: "API Key Test User",
+    email: `apikey-test-${Date.now()}@example.com`,
+    password: "apikeytest123",
+  },
+};
+
+/**
+ * Test helper functions
+ */
+const logTest = (testName, status, message) => {
+  const statusIcon = status === "PASS" ? "✅" : "❌";
+  console.log(`${statusIcon} ${testName}: ${message}`);
+};
+
+const makeRequest = async (endpoint, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.token && { Authorization: `Bearer ${options.token}` }),
+      ...(options.apiKey && { "X-API-Key": options.apiKey }),
+      ...options.headers,
+    },
+    ...options,
+  });
+
+  const data = await response.json();
+  return { response, data };
+};
+
+/**
+ * Main test runner
+ */
+const runApiKeyTests = async () => {
+  console.log("🧪 Starting API Key Tests...\n");
+
+  const { data: registerData } = await makeRequest("/auth/register", {
+    method: "POST",
+    body: JSON.stringify(testConfig.testUser),
+  });
+  const token = registerData.token;
+  if (!token) {
+    console.log("❌ Could not register test user. Tests stopped.");
+    process.exit(1);
+  }
+
+  // Non-admins cannot request admin scopes
+  const { response: adminScopeResponse } = await makeRequest("/auth/api-keys", {
+    method: "POST",
+    token,
+    body: JSON.stringify({ name: "admin", scopes: ["admin:read"] }),
+  });
+  logTest(
+    "Admin Scope Rejected",
+    adminScopeResponse.status === 403 ? "PASS" : "FAIL",
+    `Status ${adminScopeResponse.status}`
+  );
+
+  const { response: createResponse, data: createData } = await makeRequest(
+    "/auth/api-keys",
+    {
+      method: "POST",
+      token,
+      body: JSON.stringify({
+        name: "CI",
+        scopes: ["applications:read"],
+        expiresInDays: 30,
+      }),
+    }
+  );
+  const apiKey = createData.data?.key;
+  logTest(
+    "Create API Key",
+    createResponse.status === 201 && apiKey ? "PASS" : "FAIL",
+    createData.message
+  );
+  if (!apiKey) process.exit(1);
+
+  const { response: readResponse } = await makeRequest(
+    "/applications/my",
+    { apiKey }
+  );
+  logTest(
+    "Read With API Key",
+    readResponse.ok ? "PASS" : "FAIL",
+    `Status ${readResponse.status}`
+  );
+
+  // The key has no applications:write scope
+  const { response: writeResponse } = await makeRequest(
+    "/applications/apply/000000000000000000000000",
+    { method: "POST", apiKey, body: JSON.stringify({}) }
+  );
+  logTest(
+    "Missing Scope Rejected",
+    writeResponse.status === 403 ? "PASS" : "FAIL",
+    `Status ${writeResponse.status}`
+  );
+
+  // API keys cannot manage sessions or other keys
+  const { response: authResponse } = await makeRequest("/auth/api-keys", {
+    apiKey,
+  });
+  logTest(
+    "Auth Endpoints Blocked",
+    authResponse.status === 403 ? "PASS" : "FAIL",
+    `Status ${authResponse.status}`
+  );
+
+  const { data: listData } = await makeRequest("/auth/api-keys", { token });
+  const created = listData.data?.apiKeys?.[0];
+  logTest(
+    "List API Keys",
+    created && !created.keyHash && created.lastUsedAt ? "PASS" : "FAIL",
+    `${listData.data?.apiKeys?.length || 0} keys, last used ${created?.lastUsedAt}`
+  );
+
+  await makeRequest(`/auth/api-keys/${created.id}`, {
+    method: "DELETE",
+    token,
+  });
+  const { response: revokedResponse } = await makeRequest(
+    "/applications/my",
+    { apiKey }
+  );
+  logTest(
+    "Revoked Key Rejected",
+    revokedResponse.status === 401 ? "PASS" : "FAIL",
+    `Status ${revokedResponse.status}`
+  );
+
+  console.log("\n🏁 API Key Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runApiKeyTests();
+}
+
+export { runApiKeyTests };
@@ -0,0 +1,315 @@
+/**
+ * Application Lifecycle Testing Script
+ *
+ * Walks one application through the whole pipeline: apply (a bid above
+ * the payout is refused), client accepts, submit, revision requested,
+ * resubmit, approved, paid. Checks the timeline events, and that invalid
+ * transitions and repeated payments get a 409. The server must run with
+ * MAIL_TRANSPORT=file (email verification link) and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/application-lifecycle-tests.js
+ */
+
+import fetch, { Blob, FormData } from "node-fetch";
+import {
+  API_BASE_URL,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Lifecycle Client",
+    email: `lifecycle-client-${Date.now()}@example.com`,
+    password: "lifecycle123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Lifecycle Freelancer",
+    email: `lifecycle-freelancer-${Date.now()}@example.com`,
+    password: "lifecycle123",
+  },
+  task: {
+    title: "Lifecycle test task",
+    description: "Created by the application lifecycle tests",
+    company: "Lifecycle Co",
+    category: "backend",
+    difficulty: "easy",
+    payout: 200,
+    duration: 7,
+  },
+};
+
+// Upload a small PDF as a submission round
+const submitWork = async (applicationId, token, note) => {
+  const form = new FormData();
+  form.append(
+    "files",
+    new Blob(["%PDF-1.4\n% lifecycle test\n"], { type: "application/pdf" }),
+    "work.pdf"
+  );
+  form.append("note", note);
+
+  const response = await fetch(
+    `${API_BASE_URL}/applications/${applicationId}/submit`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  const data = await response.json();
+  return { response, data };
+};
+
+/**
+ * Main test runner
+ */
+const runApplicationLifecycleTests = async () => {
+  console.log("🧪 Starting Application Lifecycle Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (!adminToken || !clientToken || !freelancerToken) {
+    console.log("❌ Could not log in the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const verified = await verifyEmail(testConfig.freelancer.email);
+  logTest(
+    "Verify Freelancer Email",
+    verified ? "PASS" : "FAIL",
+    verified ? "Email verified" : "No verification email in the outbox"
+  );
+
+  const { response: taskResponse, data: taskData } = await makeRequest(
+    "/tasks",
+    {
+      method: "POST",
+      token: clientToken,
+      body: JSON.stringify(testConfig.task),
+    }
+  );
+  const taskId = taskData.data?.task?._id;
+  logTest(
+    "Client Creates Task",
+    taskResponse.status === 201 ? "PASS" : "FAIL",
+    `Status ${taskResponse.status}`
+  );
+  if (!taskId) return;
+
+  try {
+    // Bids can't exceed the payout
+    const { response: highBidResponse } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({
+          bid: { amount: testConfig.task.payout + 50 },
+        }),
+      }
+    );
+    logTest(
+      "Bid Above Payout Rejected",
+      highBidResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${highBidResponse.status}`
+    );
+
+    const { response: applyResponse, data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({
+          message: "Happy to take this on",
+          bid: { amount: 150 },
+        }),
+      }
+    );
+    const applicationId = applyData.data?._id;
+    logTest(
+      "Apply With Bid",
+      applyResponse.status === 201 && applyData.data?.status === "pending"
+        ? "PASS"
+        : "FAIL",
+      `Status ${applyResponse.status}, application ${applyData.data?.status}`
+    );
+    if (!applicationId) return;
+
+    // Nothing was submitted, so there is nothing to approve
+    const { response: earlyReviewResponse, data: earlyReviewData } =
+      await makeRequest(`/admin/applications/${applicationId}/review`, {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({ status: "accepted" }),
+      });
+    logTest(
+      "Review Before Submission Rejected",
+      earlyReviewResponse.status === 409 &&
+        Array.isArray(earlyReviewData.details?.allowedTransitions)
+        ? "PASS"
+        : "FAIL",
+      `Status ${earlyReviewResponse.status}, allowed: ${earlyReviewData.details?.allowedTransitions}`
+    );
+
+    const { response: acceptResponse, data: acceptData } = await makeRequest(
+      `/tasks/${taskId}/applicants/${applicationId}`,
+      {
+        method: "PATCH",
+        token: clientToken,
+        body: JSON.stringify({ status: "accepted" }),
+      }
+    );
+    logTest(
+      "Client Accepts Applicant",
+      acceptResponse.status === 200 &&
+        acceptData.data?.application?.agreedAmount === 150
+        ? "PASS"
+        : "FAIL",
+      `Status ${acceptResponse.status}, agreed amount ${acceptData.data?.application?.agreedAmount}`
+    );
+
+    const { response: submitResponse } = await submitWork(
+      applicationId,
+      freelancerToken,
+      "First delivery"
+    );
+    logTest(
+      "Submit Work",
+      submitResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${submitResponse.status}`
+    );
+
+    const { data: revisionData } = await makeRequest(
+      `/admin/applications/${applicationId}/review`,
+      {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({
+          status: "needs_revision",
+          comments: "Please add tests",
+        }),
+      }
+    );
+    logTest(
+      "Request Revision",
+      revisionData.data?.status === "needs_revision" ? "PASS" : "FAIL",
+      `Application ${revisionData.data?.status}`
+    );
+
+    const { response: resubmitResponse, data: resubmitData } =
+      await submitWork(applicationId, freelancerToken, "With tests");
+    logTest(
+      "Resubmit Work",
+      resubmitResponse.status === 200 &&
+        resubmitData.data?.round?.number === 2
+        ? "PASS"
+        : "FAIL",
+      `Status ${resubmitResponse.status}, round ${resubmitData.data?.round?.number}`
+    );
+
+    const { data: approveData } = await makeRequest(
+      `/admin/applications/${applicationId}/review`,
+      {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({ status: "accepted", comments: "Looks good" }),
+      }
+    );
+    logTest(
+      "Approve Work",
+      approveData.data?.status === "completed" ? "PASS" : "FAIL",
+      `Application ${approveData.data?.status}`
+    );
+
+    // Completed is a final state
+    const { response: cancelResponse } = await makeRequest(
+      `/admin/applications/${applicationId}/status`,
+      {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({ status: "cancelled" }),
+      }
+    );
+    logTest(
+      "Invalid Transition Rejected",
+      cancelResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${cancelResponse.status}`
+    );
+
+    const { response: payResponse, data: payData } = await makeRequest(
+      `/admin/applications/${applicationId}/payment`,
+      {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({ paymentStatus: "paid" }),
+      }
+    );
+    logTest(
+      "Mark Paid",
+      payResponse.status === 200 && payData.data?.paymentStatus === "paid"
+        ? "PASS"
+        : "FAIL",
+      `Status ${payResponse.status}, payment ${payData.data?.paymentStatus}`
+    );
+
+    const { response: payAgainResponse } = await makeRequest(
+      `/admin/applications/${applicationId}/payment`,
+      {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({ paymentStatus: "paid" }),
+      }
+    );
+    logTest(
+      "Repeated Payment Rejected",
+      payAgainResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${payAgainResponse.status}`
+    );
+
+    // Every step is on the timeline, in order
+    const { data: timelineData } = await makeRequest(
+      `/applications/${applicationId}/timeline`,
+      { token: freelancerToken }
+    );
+    const types = (timelineData.data?.timeline || []).map((e) => e.type);
+    const expected = [
+      "applied",
+      "accepted",
+      "submitted",
+      "revision_requested",
+      "resubmitted",
+      "completed",
+      "paid",
+    ];
+    logTest(
+      "Timeline Events",
+      JSON.stringify(types) === JSON.stringify(expected) ? "PASS" : "FAIL",
+      types.join(" → ")
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Application Lifecycle Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runApplicationLifecycleTests();
+}
+
+export { runApplicationLifecycleTests };
@@ -0,0 +1,236 @@
+/**
+ * Application Message Testing Script
+ *
+ * Tests the message thread of an application: the applicant and the task's
+ * client can post (with attachments), read receipts are tracked, and anyone
+ * else gets a 404. The server must run with MAIL_TRANSPORT=file (email
+ * verification link) and the admin from scripts/create-admin.js must exist.
+ * Run with: node test/application-message-tests.js
+ */
+
+import fetch, { Blob, FormData } from "node-fetch";
+import {
+  API_BASE_URL,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Message Client",
+    email: `message-client-${Date.now()}@example.com`,
+    password: "message123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Message Freelancer",
+    email: `message-freelancer-${Date.now()}@example.com`,
+    password: "message123",
+  },
+  outsider: {
+    name: "Message Outsider",
+    email: `message-outsider-${Date.now()}@example.com`,
+    password: "message123",
+  },
+  task: {
+    title: "Message test task",
+    description: "Created by the application message tests",
+    company: "Message Co",
+    category: "design",
+    difficulty: "easy",
+    payout: 80,
+    duration: 5,
+  },
+};
+
+// Post a message with a small PDF attached
+const sendWithAttachment = async (applicationId, token, body) => {
+  const form = new FormData();
+  form.append("body", body);
+  form.append(
+    "files",
+    new Blob(["%PDF-1.4\n% message test\n"], { type: "application/pdf" }),
+    "brief.pdf"
+  );
+
+  const response = await fetch(
+    `${API_BASE_URL}/applications/${applicationId}/messages`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  const data = await response.json();
+  return { response, data };
+};
+
+/**
+ * Main test runner
+ */
+const runApplicationMessageTests = async () => {
+  console.log("🧪 Starting Application Message Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  const outsiderToken = await registerUser(testConfig.outsider);
+  if (
+    !adminToken ||
+    !clientToken ||
+    !freelancerToken ||
+    !outsiderToken ||
+    !(await verifyEmail(testConfig.freelancer.email))
+  ) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  try {
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      { method: "POST", token: freelancerToken, body: JSON.stringify({}) }
+    );
+    const applicationId = applyData.data?._id;
+    const threadUrl = `/applications/${applicationId}/messages`;
+
+    const { response: sendResponse, data: sendData } = await makeRequest(
+      threadUrl,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({ body: "Is the brief final?" }),
+      }
+    );
+    logTest(
+      "Applicant Posts Message",
+      sendResponse.status === 201 &&
+        sendData.data?.message?.senderRole === "applicant"
+        ? "PASS"
+        : "FAIL",
+      `Status ${sendResponse.status}, role ${sendData.data?.message?.senderRole}`
+    );
+
+    const { response: emptyResponse } = await makeRequest(threadUrl, {
+      method: "POST",
+      token: freelancerToken,
+      body: JSON.stringify({ body: "   " }),
+    });
+    logTest(
+      "Empty Message Rejected",
+      emptyResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${emptyResponse.status}`
+    );
+
+    // Non-participants can't see or post to the thread
+    const { response: outsiderReadResponse } = await makeRequest(threadUrl, {
+      token: outsiderToken,
+    });
+    logTest(
+      "Non-Participant Cannot Read",
+      outsiderReadResponse.status === 404 ? "PASS" : "FAIL",
+      `Status ${outsiderReadResponse.status}`
+    );
+
+    const { response: outsiderSendResponse } = await makeRequest(threadUrl, {
+      method: "POST",
+      token: outsiderToken,
+      body: JSON.stringify({ body: "Let me in" }),
+    });
+    logTest(
+      "Non-Participant Cannot Post",
+      outsiderSendResponse.status === 404 ? "PASS" : "FAIL",
+      `Status ${outsiderSendResponse.status}`
+    );
+
+    const { data: clientThreadData } = await makeRequest(threadUrl, {
+      token: clientToken,
+    });
+    logTest(
+      "Client Sees Unread Message",
+      clientThreadData.data?.unreadCount === 1 ? "PASS" : "FAIL",
+      `${clientThreadData.data?.unreadCount} unread`
+    );
+
+    const { data: readData } = await makeRequest(`${threadUrl}/read`, {
+      method: "PATCH",
+      token: clientToken,
+    });
+    const { data: applicantThreadData } = await makeRequest(threadUrl, {
+      token: freelancerToken,
+    });
+    const sent = applicantThreadData.data?.messages?.[0];
+    logTest(
+      "Read Receipt",
+      readData.data?.updatedCount === 1 && sent?.readBy?.length === 1
+        ? "PASS"
+        : "FAIL",
+      `${readData.data?.updatedCount} marked, ${sent?.readBy?.length} receipts`
+    );
+
+    const { response: replyResponse, data: replyData } =
+      await sendWithAttachment(applicationId, clientToken, "Here it is");
+    const reply = replyData.data?.message;
+    logTest(
+      "Client Replies With Attachment",
+      replyResponse.status === 201 &&
+        reply?.senderRole === "client" &&
+        reply.attachments?.length === 1
+        ? "PASS"
+        : "FAIL",
+      `Status ${replyResponse.status}, ${reply?.attachments?.length} attachments`
+    );
+
+    const attachmentUrl = `${API_BASE_URL}${threadUrl}/${reply?.id}/attachments/${reply?.attachments?.[0]?.id}`;
+    const downloadResponse = await fetch(attachmentUrl, {
+      headers: { Authorization: `Bearer ${freelancerToken}` },
+    });
+    logTest(
+      "Applicant Downloads Attachment",
+      downloadResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${downloadResponse.status}`
+    );
+
+    const outsiderDownloadResponse = await fetch(attachmentUrl, {
+      headers: { Authorization: `Bearer ${outsiderToken}` },
+    });
+    logTest(
+      "Non-Participant Cannot Download",
+      outsiderDownloadResponse.status === 404 ? "PASS" : "FAIL",
+      `Status ${outsiderDownloadResponse.status}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Application Message Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runApplicationMessageTests();
+}
+
+export { runApplicationMessageTests };
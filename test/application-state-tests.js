@@ -0,0 +1,263 @@
+/**
+ * Application State Machine Testing Script
+ *
+ * Tests that every status-changing endpoint follows the application
+ * transition table: moves it doesn't allow get a 409 listing the allowed
+ * next states, final states stay final, and withdrawing an accepted
+ * application frees the task for another applicant. The server must run
+ * with MAIL_TRANSPORT=file (email verification links) and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/application-state-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "State Client",
+    email: `state-client-${Date.now()}@example.com`,
+    password: "state123",
+    role: "client",
+  },
+  freelancers: ["first", "second", "third"].map((name) => ({
+    name: `State Freelancer ${name}`,
+    email: `state-${name}-${Date.now()}@example.com`,
+    password: "state123",
+  })),
+  task: {
+    title: "State machine test task",
+    description: "Created by the application state machine tests",
+    company: "State Co",
+    category: "backend",
+    difficulty: "easy",
+    payout: 100,
+    duration: 5,
+  },
+};
+
+/**
+ * Main test runner
+ */
+const runApplicationStateTests = async () => {
+  console.log("🧪 Starting Application State Machine Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerTokens = [];
+  for (const freelancer of testConfig.freelancers) {
+    freelancerTokens.push(await registerUser(freelancer));
+  }
+  if (!adminToken || !clientToken || freelancerTokens.some((t) => !t)) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  for (const freelancer of testConfig.freelancers) {
+    if (!(await verifyEmail(freelancer.email))) {
+      console.log("❌ No verification email in the outbox. Tests stopped.");
+      process.exit(1);
+    }
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const clientDecides = (applicationId, status) =>
+    makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status }),
+    });
+  const adminSets = (applicationId, status) =>
+    makeRequest(`/admin/applications/${applicationId}/status`, {
+      method: "PATCH",
+      token: adminToken,
+      body: JSON.stringify({ status }),
+    });
+  const withdraw = (applicationId, token) =>
+    makeRequest(`/applications/${applicationId}/withdraw`, {
+      method: "DELETE",
+      token,
+    });
+  const getTask = async () => {
+    const { data } = await makeRequest(`/admin/tasks/${taskId}`, {
+      token: adminToken,
+    });
+    return data.data?.task;
+  };
+
+  try {
+    const applicationIds = [];
+    for (const token of freelancerTokens) {
+      const { data } = await makeRequest(`/applications/apply/${taskId}`, {
+        method: "POST",
+        token,
+        body: JSON.stringify({ message: "Interested" }),
+      });
+      applicationIds.push(data.data?._id);
+    }
+    logTest(
+      "Apply",
+      applicationIds.every(Boolean) ? "PASS" : "FAIL",
+      `${applicationIds.filter(Boolean).length} applications`
+    );
+    const [firstId, secondId, thirdId] = applicationIds;
+
+    // Rejected is a final state
+    await clientDecides(firstId, "rejected");
+    const { response: reopenResponse, data: reopenData } =
+      await clientDecides(firstId, "accepted");
+    logTest(
+      "Final State Stays Final",
+      reopenResponse.status === 409 &&
+        reopenData.details?.allowedTransitions?.length === 0
+        ? "PASS"
+        : "FAIL",
+      `Status ${reopenResponse.status}: ${reopenData.message}`
+    );
+
+    // The admin endpoint follows the same table
+    await adminSets(secondId, "shortlisted");
+    const { response: backResponse, data: backData } = await adminSets(
+      secondId,
+      "pending"
+    );
+    logTest(
+      "Admin Invalid Transition",
+      backResponse.status === 409 &&
+        backData.details?.currentStatus === "shortlisted" &&
+        backData.details?.allowedTransitions?.includes("interview")
+        ? "PASS"
+        : "FAIL",
+      `Status ${backResponse.status}, allowed: ${backData.details?.allowedTransitions}`
+    );
+
+    // One invalid application rejects the whole batch
+    const { response: bulkResponse, data: bulkData } = await makeRequest(
+      "/admin/applications/bulk-update",
+      {
+        method: "PATCH",
+        token: adminToken,
+        body: JSON.stringify({
+          applicationIds: [firstId, thirdId],
+          status: "waitlisted",
+        }),
+      }
+    );
+    const { data: thirdData } = await makeRequest(
+      `/applications/${thirdId}`,
+      { token: freelancerTokens[2] }
+    );
+    logTest(
+      "Bulk Update All Or Nothing",
+      bulkResponse.status === 409 &&
+        bulkData.details?.invalid?.length === 1 &&
+        thirdData.data?.status === "pending"
+        ? "PASS"
+        : "FAIL",
+      `Status ${bulkResponse.status}, third application ${thirdData.data?.status}`
+    );
+
+    const { response: acceptResponse } = await clientDecides(
+      secondId,
+      "accepted"
+    );
+    const assignedTask = await getTask();
+    logTest(
+      "Accept Assigns Task",
+      acceptResponse.status === 200 &&
+        assignedTask?.status === "in_progress" &&
+        assignedTask?.assignedTo
+        ? "PASS"
+        : "FAIL",
+      `Status ${acceptResponse.status}, task ${assignedTask?.status}`
+    );
+
+    // Withdrawing the accepted application opens the task again
+    const { response: withdrawResponse, data: withdrawData } = await withdraw(
+      secondId,
+      freelancerTokens[1]
+    );
+    const freedTask = await getTask();
+    logTest(
+      "Withdraw Frees Task",
+      withdrawResponse.status === 200 &&
+        withdrawData.data?.status === "cancelled" &&
+        freedTask?.status === "open" &&
+        !freedTask?.assignedTo
+        ? "PASS"
+        : "FAIL",
+      `Status ${withdrawResponse.status}, task ${freedTask?.status}`
+    );
+
+    const { response: withdrawAgainResponse } = await withdraw(
+      secondId,
+      freelancerTokens[1]
+    );
+    logTest(
+      "Cannot Withdraw Twice",
+      withdrawAgainResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${withdrawAgainResponse.status}`
+    );
+
+    const { response: reassignResponse } = await clientDecides(
+      thirdId,
+      "accepted"
+    );
+    logTest(
+      "Freed Task Can Be Reassigned",
+      reassignResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${reassignResponse.status}`
+    );
+
+    const { data: timelineData } = await makeRequest(
+      `/applications/${secondId}/timeline`,
+      { token: freelancerTokens[1] }
+    );
+    const statuses = (timelineData.data?.timeline || []).map(
+      (event) => event.toStatus
+    );
+    logTest(
+      "Transitions Recorded",
+      ["shortlisted", "accepted", "cancelled"].every((status) =>
+        statuses.includes(status)
+      )
+        ? "PASS"
+        : "FAIL",
+      `Statuses: ${statuses.join(", ")}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Application State Machine Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runApplicationStateTests();
+}
+
+export { runApplicationStateTests };
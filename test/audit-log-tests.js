@@ -0,0 +1,194 @@
+/**
+ * Admin Audit Log Testing Script
+ *
+ * Tests the admin audit log: admin writes are recorded with the actor,
+ * the request ID and a field-level diff, the filters find them, bad
+ * filters are rejected and non-admins cannot read the log. Needs the
+ * full-access admin from scripts/create-admin.js (without 2FA).
+ * Run with: node test/audit-log-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+} from "./helpers.js";
+
+const testConfig = {
+  user: {
+    name: "Audited User",
+    email: `audited-${Date.now()}@example.com`,
+    password: "audited123",
+  },
+  renamedTo: "Audited User Renamed",
+  requestId: `audit-test-${Date.now()}`,
+};
+
+/**
+ * Main test runner
+ */
+const runAuditLogTests = async () => {
+  console.log("🧪 Starting Audit Log Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const userToken = await registerUser(testConfig.user);
+  const { data: meData } = await makeRequest("/auth/me", {
+    token: userToken,
+  });
+  const userId = meData.data?.user?.id;
+  const { data: adminMeData } = await makeRequest("/auth/me", {
+    token: adminToken,
+  });
+  const adminId = adminMeData.data?.user?.id;
+  if (!adminToken || !userId || !adminId) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const getLogs = (query, token = adminToken) =>
+    makeRequest(`/admin/activity-logs?${query}`, { token });
+
+  let userDeleted = false;
+  try {
+    const { response: updateResponse } = await makeRequest(
+      `/admin/users/${userId}`,
+      {
+        method: "PUT",
+        token: adminToken,
+        headers: { "X-Request-Id": testConfig.requestId },
+        body: JSON.stringify({ name: testConfig.renamedTo }),
+      }
+    );
+    logTest(
+      "Admin Updates User",
+      updateResponse.status === 200 &&
+        updateResponse.headers.get("x-request-id") === testConfig.requestId
+        ? "PASS"
+        : "FAIL",
+      `Status ${updateResponse.status}`
+    );
+
+    const { data: byRequestData } = await getLogs(
+      `requestId=${testConfig.requestId}`
+    );
+    const logs = byRequestData.data?.logs || [];
+    const entry = logs[0];
+    const nameChange = entry?.changes?.find(
+      (change) => change.field === "name"
+    );
+    logTest(
+      "Update Recorded",
+      logs.length === 1 &&
+        entry.action === "UPDATE_USER" &&
+        entry.entityType === "user" &&
+        entry.entityId === userId &&
+        entry.adminId === adminId
+        ? "PASS"
+        : "FAIL",
+      `${logs.length} entries: ${entry?.action} by ${entry?.adminEmail}`
+    );
+    logTest(
+      "Field Changes Recorded",
+      nameChange?.before === testConfig.user.name &&
+        nameChange?.after === testConfig.renamedTo &&
+        entry.changes.length === 1
+        ? "PASS"
+        : "FAIL",
+      `Changes: ${JSON.stringify(entry?.changes)}`
+    );
+
+    // Action names are matched case-insensitively
+    const { data: byActionData } = await getLogs(
+      `action=update_user&entityType=user&entityId=${userId}&adminId=${adminId}`
+    );
+    logTest(
+      "Filter By Action And Entity",
+      byActionData.data?.logs?.some((log) => log.id === entry?.id) &&
+        byActionData.data.logs.every(
+          (log) => log.action === "UPDATE_USER" && log.entityId === userId
+        )
+        ? "PASS"
+        : "FAIL",
+      `${byActionData.data?.logs?.length} entries`
+    );
+
+    const { data: futureData } = await getLogs(
+      `entityId=${userId}&from=${new Date(Date.now() + 60000).toISOString()}`
+    );
+    logTest(
+      "Filter By Date",
+      futureData.data?.logs?.length === 0 ? "PASS" : "FAIL",
+      `${futureData.data?.logs?.length} entries after now`
+    );
+
+    const invalidFilters = [
+      "action=DROP_DATABASE",
+      "entityType=planet",
+      "adminId=not-an-id",
+      "from=yesterday",
+      "limit=1000",
+    ];
+    const invalidStatuses = [];
+    for (const query of invalidFilters) {
+      const { response } = await getLogs(query);
+      invalidStatuses.push(response.status);
+    }
+    logTest(
+      "Invalid Filters Rejected",
+      invalidStatuses.every((status) => status === 400) ? "PASS" : "FAIL",
+      `Statuses: ${invalidStatuses.join(", ")}`
+    );
+
+    const { response: userLogsResponse } = await getLogs("", userToken);
+    logTest(
+      "Non-Admin Refused",
+      userLogsResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${userLogsResponse.status}`
+    );
+
+    // Deletions keep a snapshot of the deleted record
+    const { response: deleteResponse } = await makeRequest(
+      `/admin/users/${userId}`,
+      { method: "DELETE", token: adminToken }
+    );
+    userDeleted = deleteResponse.status === 200;
+    const { data: deleteLogData } = await getLogs(
+      `action=DELETE_USER&entityId=${userId}`
+    );
+    const deleted = deleteLogData.data?.logs?.[0];
+    logTest(
+      "Deletion Recorded",
+      deleted?.changes?.some(
+        (change) =>
+          change.field === "email" &&
+          change.before === testConfig.user.email &&
+          change.after === undefined
+      )
+        ? "PASS"
+        : "FAIL",
+      `Changes: ${JSON.stringify(deleted?.changes)}`
+    );
+  } finally {
+    // Cleanup
+    if (!userDeleted) {
+      await makeRequest(`/admin/users/${userId}`, {
+        method: "DELETE",
+        token: adminToken,
+      });
+    }
+  }
+
+  console.log("\n🏁 Audit Log Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAuditLogTests();
+}
+
+export { runAuditLogTests };
@@ -0,0 +1,217 @@
+/**
+ * Bulk Accept Testing Script
+ *
+ * Tests assigning tasks through the admin bulk update: only one
+ * application per task can be accepted, accepting closes the remaining
+ * applicants (waitlisted here), and tasks that are already assigned
+ * refuse further acceptances, in bulk or one at a time. The server must
+ * run with MAIL_TRANSPORT=file (email verification links) and the admin
+ * from scripts/create-admin.js must exist.
+ * Run with: node test/bulk-accept-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Bulk Client",
+    email: `bulk-client-${Date.now()}@example.com`,
+    password: "bulk123",
+    role: "client",
+  },
+  freelancers: ["first", "second", "third"].map((name) => ({
+    name: `Bulk Freelancer ${name}`,
+    email: `bulk-${name}-${Date.now()}@example.com`,
+    password: "bulk123",
+  })),
+  tasks: ["one", "two"].map((name) => ({
+    title: `Bulk accept test task ${name}`,
+    description: "Created by the bulk accept tests",
+    company: "Bulk Co",
+    category: "frontend",
+    difficulty: "easy",
+    payout: 80,
+    duration: 3,
+  })),
+};
+
+/**
+ * Main test runner
+ */
+const runBulkAcceptTests = async () => {
+  console.log("🧪 Starting Bulk Accept Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerTokens = [];
+  for (const freelancer of testConfig.freelancers) {
+    freelancerTokens.push(await registerUser(freelancer));
+  }
+  if (!adminToken || !clientToken || freelancerTokens.some((t) => !t)) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  for (const freelancer of testConfig.freelancers) {
+    if (!(await verifyEmail(freelancer.email))) {
+      console.log("❌ No verification email in the outbox. Tests stopped.");
+      process.exit(1);
+    }
+  }
+
+  const taskIds = [];
+  for (const task of testConfig.tasks) {
+    const { data } = await makeRequest("/tasks", {
+      method: "POST",
+      token: clientToken,
+      body: JSON.stringify(task),
+    });
+    taskIds.push(data.data?.task?._id);
+  }
+  if (taskIds.some((id) => !id)) {
+    console.log("❌ Could not create the test tasks. Tests stopped.");
+    process.exit(1);
+  }
+
+  const apply = async (taskId, token) => {
+    const { data } = await makeRequest(`/applications/apply/${taskId}`, {
+      method: "POST",
+      token,
+      body: JSON.stringify({ message: "Interested" }),
+    });
+    return data.data?._id;
+  };
+  const bulkUpdate = (applicationIds, status, extra = {}) =>
+    makeRequest("/admin/applications/bulk-update", {
+      method: "PATCH",
+      token: adminToken,
+      body: JSON.stringify({ applicationIds, status, ...extra }),
+    });
+  const getTask = async (taskId) => {
+    const { data } = await makeRequest(`/admin/tasks/${taskId}`, {
+      token: adminToken,
+    });
+    return data.data;
+  };
+
+  try {
+    const [first, second, third] = freelancerTokens;
+    const [taskOne, taskTwo] = taskIds;
+
+    // Everyone applies to task one; the second and third also to task two
+    const oneFirst = await apply(taskOne, first);
+    const oneSecond = await apply(taskOne, second);
+    const oneThird = await apply(taskOne, third);
+    const twoSecond = await apply(taskTwo, second);
+    const twoThird = await apply(taskTwo, third);
+
+    const { response: duplicateResponse, data: duplicateData } =
+      await bulkUpdate([oneFirst, oneSecond], "accepted");
+    logTest(
+      "One Acceptance Per Task",
+      duplicateResponse.status === 409 &&
+        duplicateData.details?.duplicatedTasks?.includes(taskOne)
+        ? "PASS"
+        : "FAIL",
+      `Status ${duplicateResponse.status}: ${duplicateData.message}`
+    );
+
+    const { response: acceptResponse, data: acceptData } = await bulkUpdate(
+      [oneFirst, twoSecond],
+      "accepted",
+      { remainingApplicants: "waitlist" }
+    );
+    const closed = acceptData.data?.closedApplications || [];
+    const closedIds = closed.map((entry) => entry.applicationId);
+    logTest(
+      "Bulk Accept",
+      acceptResponse.status === 200 && acceptData.data?.updatedCount === 2
+        ? "PASS"
+        : "FAIL",
+      `Status ${acceptResponse.status}: ${acceptData.message}`
+    );
+    logTest(
+      "Remaining Applicants Waitlisted",
+      closed.length === 3 &&
+        [oneSecond, oneThird, twoThird].every((id) => closedIds.includes(id)) &&
+        closed.every((entry) => entry.status === "waitlisted")
+        ? "PASS"
+        : "FAIL",
+      `${closed.length} closed: ${closed.map((c) => c.status).join(", ")}`
+    );
+
+    const assignedOne = (await getTask(taskOne))?.task;
+    const assignedTwo = (await getTask(taskTwo))?.task;
+    logTest(
+      "Tasks Assigned",
+      assignedOne?.status === "in_progress" &&
+        assignedOne?.assignedTo?.email === testConfig.freelancers[0].email &&
+        assignedTwo?.status === "in_progress" &&
+        assignedTwo?.assignedTo?.email === testConfig.freelancers[1].email
+        ? "PASS"
+        : "FAIL",
+      `Task one ${assignedOne?.status}, task two ${assignedTwo?.status}`
+    );
+
+    // Waitlisted applicants can be accepted, but not on an assigned task
+    const { response: assignedBulkResponse } = await bulkUpdate(
+      [oneThird],
+      "accepted"
+    );
+    logTest(
+      "Assigned Task Refuses Bulk Accept",
+      assignedBulkResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${assignedBulkResponse.status}`
+    );
+
+    const { response: assignedClientResponse } = await makeRequest(
+      `/tasks/${taskTwo}/applicants/${twoThird}`,
+      {
+        method: "PATCH",
+        token: clientToken,
+        body: JSON.stringify({ status: "accepted" }),
+      }
+    );
+    logTest(
+      "Assigned Task Refuses Single Accept",
+      assignedClientResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${assignedClientResponse.status}`
+    );
+
+    const stillWaiting = (await getTask(taskOne))?.applications?.find(
+      (application) => application._id === oneThird
+    );
+    logTest(
+      "Refused Accept Changes Nothing",
+      stillWaiting?.status === "waitlisted" ? "PASS" : "FAIL",
+      `Third applicant ${stillWaiting?.status}`
+    );
+  } finally {
+    // Cleanup
+    for (const taskId of taskIds) {
+      await makeRequest(`/admin/tasks/${taskId}`, {
+        method: "DELETE",
+        token: adminToken,
+      });
+    }
+  }
+
+  console.log("\n🏁 Bulk Accept Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBulkAcceptTests();
+}
+
+export { runBulkAcceptTests };
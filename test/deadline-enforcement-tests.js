@@ -0,0 +1,226 @@
+/**
+ * Deadline Enforcement Testing Script
+ *
+ * Tests the deadline enforcement job: in-progress work past its delivery
+ * date is flagged overdue once, open tasks past their deadline expire and
+ * cancel their remaining applications, and freelancers get a reminder
+ * before their delivery date. Deadlines can't be set in the past through
+ * the API, so the script moves them in the database (MONGO_URI from .env)
+ * and runs one pass of the job itself. The server must run with
+ * MAIL_TRANSPORT=file (email verification links) and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/deadline-enforcement-tests.js
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Task from "../src/models/Task.js";
+import TaskApplication from "../src/models/TaskApplication.js";
+import { runDeadlineEnforcement } from "../src/services/deadlineEnforcementService.js";
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+dotenv.config();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const testConfig = {
+  client: {
+    name: "Deadline Client",
+    email: `deadline-client-${Date.now()}@example.com`,
+    password: "deadline123",
+    role: "client",
+  },
+  freelancers: ["late", "waiting", "reminded"].map((name) => ({
+    name: `Deadline Freelancer ${name}`,
+    email: `deadline-${name}-${Date.now()}@example.com`,
+    password: "deadline123",
+  })),
+  tasks: ["late", "expiring", "reminded"].map((name) => ({
+    title: `Deadline enforcement test task ${name}`,
+    description: "Created by the deadline enforcement tests",
+    company: "Deadline Co",
+    category: "backend",
+    difficulty: "easy",
+    payout: 90,
+    duration: 5,
+  })),
+};
+
+/**
+ * Main test runner
+ */
+const runDeadlineEnforcementTests = async () => {
+  console.log("🧪 Starting Deadline Enforcement Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerTokens = [];
+  for (const freelancer of testConfig.freelancers) {
+    freelancerTokens.push(await registerUser(freelancer));
+  }
+  if (!adminToken || !clientToken || freelancerTokens.some((t) => !t)) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  for (const freelancer of testConfig.freelancers) {
+    if (!(await verifyEmail(freelancer.email))) {
+      console.log("❌ No verification email in the outbox. Tests stopped.");
+      process.exit(1);
+    }
+  }
+
+  const taskIds = [];
+  for (const task of testConfig.tasks) {
+    const { data } = await makeRequest("/tasks", {
+      method: "POST",
+      token: clientToken,
+      body: JSON.stringify(task),
+    });
+    taskIds.push(data.data?.task?._id);
+  }
+  if (taskIds.some((id) => !id)) {
+    console.log("❌ Could not create the test tasks. Tests stopped.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const apply = async (taskId, token) => {
+    const { data } = await makeRequest(`/applications/apply/${taskId}`, {
+      method: "POST",
+      token,
+      body: JSON.stringify({ message: "Interested" }),
+    });
+    return data.data?._id;
+  };
+  const accept = (taskId, applicationId) =>
+    makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+  const getApplication = async (applicationId, token) => {
+    const { data } = await makeRequest(`/applications/${applicationId}`, {
+      token,
+    });
+    return data.data;
+  };
+  const timelineTypes = async (applicationId, token) => {
+    const { data } = await makeRequest(
+      `/applications/${applicationId}/timeline`,
+      { token }
+    );
+    return (data.data?.timeline || []).map((event) => event.type);
+  };
+
+  try {
+    const [lateToken, waitingToken, remindedToken] = freelancerTokens;
+    const [lateTaskId, expiringTaskId, remindedTaskId] = taskIds;
+
+    const lateId = await apply(lateTaskId, lateToken);
+    const waitingId = await apply(expiringTaskId, waitingToken);
+    const remindedId = await apply(remindedTaskId, remindedToken);
+    await accept(lateTaskId, lateId);
+    await accept(remindedTaskId, remindedId);
+
+    // Delivery due an hour ago, an open task past its deadline, and a
+    // delivery due within the default 24h reminder
+    await TaskApplication.updateOne(
+      { _id: lateId },
+      { $set: { expectedDelivery: new Date(Date.now() - HOUR_MS) } }
+    );
+    await Task.updateOne(
+      { _id: expiringTaskId },
+      { $set: { deadline: new Date(Date.now() - HOUR_MS) } }
+    );
+    await TaskApplication.updateOne(
+      { _id: remindedId },
+      { $set: { expectedDelivery: new Date(Date.now() + 12 * HOUR_MS) } }
+    );
+
+    // The server's scheduler may get there first; either way the outcome
+    // is the same
+    await runDeadlineEnforcement();
+
+    const late = await getApplication(lateId, lateToken);
+    logTest(
+      "Late Work Flagged Overdue",
+      late?.overdueAt &&
+        late.status === "accepted" &&
+        (await timelineTypes(lateId, lateToken)).includes("overdue")
+        ? "PASS"
+        : "FAIL",
+      `Overdue at ${late?.overdueAt}, status ${late?.status}`
+    );
+
+    const { data: expiredData } = await makeRequest(
+      `/admin/tasks/${expiringTaskId}`,
+      { token: adminToken }
+    );
+    const waiting = await getApplication(waitingId, waitingToken);
+    logTest(
+      "Open Task Expired",
+      expiredData.data?.task?.status === "expired" &&
+        waiting?.status === "cancelled"
+        ? "PASS"
+        : "FAIL",
+      `Task ${expiredData.data?.task?.status}, application ${waiting?.status}`
+    );
+
+    const reminded = await getApplication(remindedId, remindedToken);
+    logTest(
+      "Deadline Reminder Sent",
+      (await timelineTypes(remindedId, remindedToken)).includes(
+        "deadline_reminder"
+      ) && !reminded?.overdueAt
+        ? "PASS"
+        : "FAIL",
+      `Application ${reminded?.status}, overdue ${reminded?.overdueAt || "no"}`
+    );
+
+    // A second pass must not repeat any of it
+    await runDeadlineEnforcement();
+    const overdueEvents = (await timelineTypes(lateId, lateToken)).filter(
+      (type) => type === "overdue"
+    );
+    const reminderEvents = (
+      await timelineTypes(remindedId, remindedToken)
+    ).filter((type) => type === "deadline_reminder");
+    logTest(
+      "Second Pass Changes Nothing",
+      overdueEvents.length === 1 && reminderEvents.length === 1
+        ? "PASS"
+        : "FAIL",
+      `${overdueEvents.length} overdue, ${reminderEvents.length} reminder events`
+    );
+  } finally {
+    // Cleanup
+    for (const taskId of taskIds) {
+      await makeRequest(`/admin/tasks/${taskId}`, {
+        method: "DELETE",
+        token: adminToken,
+      });
+    }
+    await mongoose.disconnect();
+  }
+
+  console.log("\n🏁 Deadline Enforcement Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeadlineEnforcementTests();
+}
+
+export { runDeadlineEnforcementTests };
@@ -0,0 +1,246 @@
+/**
+ * Deadline Extension Testing Script
+ *
+ * Tests extension requests on an accepted application: the freelancer
+ * requests a later date, only the task's client decides, an approval moves
+ * the delivery date and a denial leaves it. The server must run with
+ * MAIL_TRANSPORT=file (email verification link) and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/deadline-extension-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const testConfig = {
+  client: {
+    name: "Extension Client",
+    email: `extension-client-${Date.now()}@example.com`,
+    password: "extension123",
+    role: "client",
+  },
+  otherClient: {
+    name: "Other Extension Client",
+    email: `extension-other-${Date.now()}@example.com`,
+    password: "extension123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Extension Freelancer",
+    email: `extension-freelancer-${Date.now()}@example.com`,
+    password: "extension123",
+  },
+  task: {
+    title: "Extension test task",
+    description: "Created by the deadline extension tests",
+    company: "Extension Co",
+    category: "frontend",
+    difficulty: "easy",
+    payout: 100,
+    duration: 7,
+  },
+};
+
+/**
+ * Main test runner
+ */
+const runDeadlineExtensionTests = async () => {
+  console.log("🧪 Starting Deadline Extension Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const otherClientToken = await registerUser(testConfig.otherClient);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (
+    !adminToken ||
+    !clientToken ||
+    !otherClientToken ||
+    !freelancerToken ||
+    !(await verifyEmail(testConfig.freelancer.email))
+  ) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const requestExtension = (applicationId, days) =>
+    makeRequest(`/applications/${applicationId}/extensions`, {
+      method: "POST",
+      token: freelancerToken,
+      body: JSON.stringify({
+        newDate: new Date(Date.now() + days * DAY_MS).toISOString(),
+        reason: "The scope grew",
+      }),
+    });
+  const decide = (applicationId, extensionId, decision, token) =>
+    makeRequest(
+      `/tasks/${taskId}/applicants/${applicationId}/extensions/${extensionId}`,
+      {
+        method: "PATCH",
+        token,
+        body: JSON.stringify({ decision, note: `Extension ${decision}` }),
+      }
+    );
+
+  try {
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({
+          bid: {
+            amount: 100,
+            deliveryDate: new Date(Date.now() + 7 * DAY_MS).toISOString(),
+          },
+        }),
+      }
+    );
+    const applicationId = applyData.data?._id;
+
+    // Only work in progress can be extended
+    const { response: pendingResponse } = await requestExtension(
+      applicationId,
+      20
+    );
+    logTest(
+      "Extension Needs Accepted Work",
+      pendingResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${pendingResponse.status}`
+    );
+
+    await makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+
+    const { response: requestResponse, data: requestData } =
+      await requestExtension(applicationId, 20);
+    const firstExtension = requestData.data?.extension;
+    logTest(
+      "Request Extension",
+      requestResponse.status === 201 && firstExtension?.status === "pending"
+        ? "PASS"
+        : "FAIL",
+      `Status ${requestResponse.status}`
+    );
+
+    const { response: duplicateResponse } = await requestExtension(
+      applicationId,
+      25
+    );
+    logTest(
+      "One Pending Request At A Time",
+      duplicateResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${duplicateResponse.status}`
+    );
+
+    const { response: otherClientResponse } = await decide(
+      applicationId,
+      firstExtension?._id,
+      "approved",
+      otherClientToken
+    );
+    logTest(
+      "Other Client Cannot Decide",
+      otherClientResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${otherClientResponse.status}`
+    );
+
+    const { response: approveResponse, data: approveData } = await decide(
+      applicationId,
+      firstExtension?._id,
+      "approved",
+      clientToken
+    );
+    logTest(
+      "Approve Extension",
+      approveResponse.status === 200 &&
+        approveData.data?.expectedDelivery === firstExtension?.requestedDate
+        ? "PASS"
+        : "FAIL",
+      `Status ${approveResponse.status}, delivery ${approveData.data?.expectedDelivery}`
+    );
+
+    const { response: decidedResponse } = await decide(
+      applicationId,
+      firstExtension?._id,
+      "denied",
+      clientToken
+    );
+    logTest(
+      "Decided Request Is Final",
+      decidedResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${decidedResponse.status}`
+    );
+
+    const { data: secondRequestData } = await requestExtension(
+      applicationId,
+      40
+    );
+    const { response: denyResponse, data: denyData } = await decide(
+      applicationId,
+      secondRequestData.data?.extension?._id,
+      "denied",
+      clientToken
+    );
+    logTest(
+      "Deny Extension",
+      denyResponse.status === 200 &&
+        denyData.data?.expectedDelivery === firstExtension?.requestedDate
+        ? "PASS"
+        : "FAIL",
+      `Status ${denyResponse.status}, delivery ${denyData.data?.expectedDelivery}`
+    );
+
+    const { data: historyData } = await makeRequest(
+      `/applications/${applicationId}/extensions`,
+      { token: freelancerToken }
+    );
+    const statuses = (historyData.data?.extensions || []).map(
+      (extension) => extension.status
+    );
+    logTest(
+      "Extension History",
+      statuses.join(",") === "approved,denied" ? "PASS" : "FAIL",
+      statuses.join(", ")
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Deadline Extension Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeadlineExtensionTests();
+}
+
+export { runDeadlineExtensionTests };
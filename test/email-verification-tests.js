@@ -0,0 +1,153 @@
+/**
+ * Email Verification Testing Script
+ *
+ * Tests that new accounts must verify their email address before applying
+ * to tasks: applying is refused until the link from the verification email
+ * is opened, resends are throttled, and bad links are rejected. The server
+ * must run with MAIL_TRANSPORT=file (email verification links) and the
+ * admin from scripts/create-admin.js must exist.
+ * Run with: node test/email-verification-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Verification Client",
+    email: `verification-client-${Date.now()}@example.com`,
+    password: "verify123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Verification Freelancer",
+    email: `verification-freelancer-${Date.now()}@example.com`,
+    password: "verify123",
+  },
+  task: {
+    title: "Email verification test task",
+    description: "Created by the email verification tests",
+    company: "Verify Co",
+    category: "frontend",
+    difficulty: "easy",
+    payout: 50,
+    duration: 2,
+  },
+};
+
+/**
+ * Main test runner
+ */
+const runEmailVerificationTests = async () => {
+  console.log("🧪 Starting Email Verification Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (!adminToken || !clientToken || !freelancerToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const apply = () =>
+    makeRequest(`/applications/apply/${taskId}`, {
+      method: "POST",
+      token: freelancerToken,
+      body: JSON.stringify({ message: "Interested" }),
+    });
+  const resend = () =>
+    makeRequest("/auth/resend-verification", {
+      method: "POST",
+      token: freelancerToken,
+    });
+  const isVerified = async () => {
+    const { data } = await makeRequest("/auth/me", { token: freelancerToken });
+    return data.data?.user?.emailVerified;
+  };
+
+  try {
+    const verifiedAtStart = await isVerified();
+    const { response: unverifiedResponse, data: unverifiedData } =
+      await apply();
+    logTest(
+      "Unverified User Cannot Apply",
+      verifiedAtStart === false && unverifiedResponse.status === 403
+        ? "PASS"
+        : "FAIL",
+      `Status ${unverifiedResponse.status}: ${unverifiedData.message}`
+    );
+
+    // Registration just sent an email
+    const { response: throttledResponse } = await resend();
+    logTest(
+      "Resend Throttled",
+      throttledResponse.status === 429 ? "PASS" : "FAIL",
+      `Status ${throttledResponse.status}`
+    );
+
+    const { response: badLinkResponse } = await makeRequest(
+      `/auth/verify-email/${"0".repeat(64)}`
+    );
+    logTest(
+      "Invalid Link Rejected",
+      badLinkResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${badLinkResponse.status}`
+    );
+
+    const verified = await verifyEmail(testConfig.freelancer.email);
+    logTest(
+      "Verify Email",
+      verified && (await isVerified()) === true ? "PASS" : "FAIL",
+      verified ? "Link from the outbox accepted" : "Link not accepted"
+    );
+
+    const { response: alreadyVerifiedResponse } = await resend();
+    logTest(
+      "No Resend Once Verified",
+      alreadyVerifiedResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${alreadyVerifiedResponse.status}`
+    );
+
+    const { response: applyResponse, data: applyData } = await apply();
+    logTest(
+      "Verified User Can Apply",
+      applyResponse.status === 201 ? "PASS" : "FAIL",
+      `Status ${applyResponse.status}: ${applyData.message}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Email Verification Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runEmailVerificationTests();
+}
+
+export { runEmailVerificationTests };
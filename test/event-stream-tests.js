@@ -0,0 +1,271 @@
+/**
+ * Event Stream Testing Script
+ *
+ * Tests the Server-Sent Events stream: each user hears about their own
+ * applications and notifications, admins also get new submissions, and
+ * API keys cannot open a stream. Events reach the stream through the
+ * realtime fan-out, so each check waits a few seconds. The server must
+ * run with MAIL_TRANSPORT=file (email verification link) and the admin
+ * from scripts/create-admin.js must exist (without 2FA).
+ * Run with: node test/event-stream-tests.js
+ */
+
+import fetch, { Blob, FormData } from "node-fetch";
+import {
+  API_BASE_URL,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const EVENT_TIMEOUT_MS = 10000;
+
+const testConfig = {
+  client: {
+    name: "Stream Client",
+    email: `stream-client-${Date.now()}@example.com`,
+    password: "stream123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Stream Freelancer",
+    email: `stream-freelancer-${Date.now()}@example.com`,
+    password: "stream123",
+  },
+  task: {
+    title: "Event stream test task",
+    description: "Created by the event stream tests",
+    company: "Stream Co",
+    category: "frontend",
+    difficulty: "easy",
+    payout: 60,
+    duration: 3,
+  },
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Open an event stream and collect its events in the background
+ * @param {Object} headers - Auth headers
+ * @returns {Object} { response, waitFor(name, predicate), close() }
+ */
+const openStream = async (headers) => {
+  const controller = new AbortController();
+  const response = await fetch(`${API_BASE_URL}/events/stream`, {
+    headers,
+    signal: controller.signal,
+  });
+
+  const events = [];
+  if (response.ok) {
+    (async () => {
+      let buffer = "";
+      try {
+        for await (const chunk of response.body) {
+          buffer += chunk.toString();
+          let end;
+          while ((end = buffer.indexOf("\n\n")) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const name = block.match(/^event: (.+)$/m)?.[1];
+            const data = block.match(/^data: (.+)$/m)?.[1];
+            if (name) events.push({ name, data: JSON.parse(data) });
+          }
+        }
+      } catch {
+        // Aborted by close()
+      }
+    })();
+  }
+
+  const waitFor = async (name, predicate = () => true) => {
+    const deadline = Date.now() + EVENT_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const event = events.find(
+        (event) => event.name === name && predicate(event.data)
+      );
+      if (event) return event.data;
+      await delay(100);
+    }
+    return null;
+  };
+
+  return { response, waitFor, close: () => controller.abort() };
+};
+
+// Upload a small PDF as a submission round
+const submitWork = async (applicationId, token) => {
+  const form = new FormData();
+  form.append(
+    "files",
+    new Blob(["%PDF-1.4\n% event stream test\n"], { type: "application/pdf" }),
+    "work.pdf"
+  );
+
+  const response = await fetch(
+    `${API_BASE_URL}/applications/${applicationId}/submit`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  const data = await response.json();
+  return { response, data };
+};
+
+/**
+ * Main test runner
+ */
+const runEventStreamTests = async () => {
+  console.log("🧪 Starting Event Stream Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (!adminToken || !clientToken || !freelancerToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+  if (!(await verifyEmail(testConfig.freelancer.email))) {
+    console.log("❌ No verification email in the outbox. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const streams = [];
+  const open = async (token) => {
+    const stream = await openStream({ Authorization: `Bearer ${token}` });
+    streams.push(stream);
+    return stream;
+  };
+
+  try {
+    const { data: keyData } = await makeRequest("/auth/api-keys", {
+      method: "POST",
+      token: freelancerToken,
+      body: JSON.stringify({ name: "Stream", scopes: ["applications:read"] }),
+    });
+    const keyStream = await openStream({ "X-API-Key": keyData.data?.key });
+    logTest(
+      "API Key Refused",
+      keyStream.response.status === 403 ? "PASS" : "FAIL",
+      `Status ${keyStream.response.status}`
+    );
+
+    const { response: unauthenticatedResponse } = await openStream({});
+    logTest(
+      "Login Required",
+      unauthenticatedResponse.status === 401 ? "PASS" : "FAIL",
+      `Status ${unauthenticatedResponse.status}`
+    );
+
+    const clientStream = await open(clientToken);
+    const freelancerStream = await open(freelancerToken);
+    const adminStream = await open(adminToken);
+    const freelancerReady = await freelancerStream.waitFor("ready");
+    const adminReady = await adminStream.waitFor("ready");
+    logTest(
+      "Streams Open",
+      clientStream.response.headers
+        .get("content-type")
+        ?.includes("text/event-stream") &&
+        freelancerReady?.channels?.join() === "user" &&
+        adminReady?.channels?.includes("admins")
+        ? "PASS"
+        : "FAIL",
+      `Freelancer ${freelancerReady?.channels}, admin ${adminReady?.channels}`
+    );
+
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({ message: "Interested" }),
+      }
+    );
+    const applicationId = applyData.data?._id;
+    const applied = await clientStream.waitFor(
+      "application",
+      (data) => data.applicationId === applicationId && data.type === "applied"
+    );
+    logTest(
+      "Client Hears About Applicant",
+      applied?.taskId === taskId ? "PASS" : "FAIL",
+      applied ? `Event ${applied.type}` : "No event"
+    );
+
+    await makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+    const accepted = await freelancerStream.waitFor(
+      "application",
+      (data) =>
+        data.applicationId === applicationId && data.toStatus === "accepted"
+    );
+    const notification = await freelancerStream.waitFor(
+      "notification",
+      (data) => data.entityId === applicationId
+    );
+    logTest(
+      "Freelancer Hears About Acceptance",
+      accepted?.status === "accepted" && notification?.type ? "PASS" : "FAIL",
+      `Application ${accepted?.status}, notification ${notification?.title}`
+    );
+
+    await submitWork(applicationId, freelancerToken);
+    const submission = await adminStream.waitFor(
+      "submission",
+      (data) => data.applicationId === applicationId
+    );
+    logTest(
+      "Admins Hear About Submissions",
+      submission?.type === "submitted" ? "PASS" : "FAIL",
+      submission ? `Event ${submission.type}` : "No event"
+    );
+
+    // Submissions go to the admins channel only
+    const leaked = await freelancerStream.waitFor("submission", () => true);
+    logTest(
+      "Admin Events Stay With Admins",
+      !leaked ? "PASS" : "FAIL",
+      leaked ? "Freelancer got a submission event" : "No submission event"
+    );
+  } finally {
+    // Cleanup
+    streams.forEach((stream) => stream.close());
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Event Stream Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runEventStreamTests();
+}
+
+export { runEventStreamTests };
@@ -0,0 +1,72 @@
+/**
+ * Shared helpers for the API test scripts
+ *
+ * Each script talks to a running server on port 5001. Scripts that verify
+ * email addresses need it to run with MAIL_TRANSPORT=file so the
+ * verification links can be read back from the outbox file.
+ */
+
+import fs from "fs";
+import fetch from "node-fetch";
+import path from "path";
+
+export const API_BASE_URL = "http://localhost:5001/api";
+export const OUTBOX_FILE = path.resolve(
+  process.env.MAIL_OUTBOX_FILE || "outbox/mail.jsonl"
+);
+
+// The admin created by scripts/create-admin.js
+export const adminCredentials = {
+  email: process.env.ADMIN_EMAIL || "admin@codeandcash.com",
+  password: process.env.ADMIN_PASSWORD || "admin123456",
+};
+
+export const logTest = (testName, status, message) => {
+  const statusIcon = status === "PASS" ? "✅" : "❌";
+  console.log(`${statusIcon} ${testName}: ${message}`);
+};
+
+export const makeRequest = async (endpoint, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.token && { Authorization: `Bearer ${options.token}` }),
+      ...options.headers,
+    },
+    ...options,
+  });
+
+  const data = await response.json();
+  return { response, data };
+};
+
+// Find the verification token in the latest email sent to the given address
+export const readVerificationTokenFromOutbox = (email) => {
+  if (!fs.existsSync(OUTBOX_FILE)) return null;
+
+  const messages = fs
+    .readFileSync(OUTBOX_FILE, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .filter((message) => message.to === email);
+
+  const latest = messages[messages.length - 1];
+  const match = latest && latest.text.match(/verify-email\/([a-f0-9]+)/);
+  return match ? match[1] : null;
+};
+
+export const registerUser = async (user) => {
+  const { data } = await makeRequest("/auth/register", {
+    method: "POST",
+    body: JSON.stringify(user),
+  });
+  return data.token;
+};
+
+export const verifyEmail = async (email) => {
+  const token = readVerificationTokenFromOutbox(email);
+  if (!token) return false;
+  const { response } = await makeRequest(`/auth/verify-email/${token}`);
+  return response.ok;
+};
@@ -0,0 +1,191 @@
+/**
+ * Impersonation Testing Script
+ *
+ * Tests admin impersonation ("log in as user"): sessions are read-only by
+ * default, account security changes are always refused, writes in a
+ * writable session are audited with the admin as the actor, and stopping
+ * ends the session. Needs the full-access admin from
+ * scripts/create-admin.js (without 2FA).
+ * Run with: node test/impersonation-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+} from "./helpers.js";
+
+const testConfig = {
+  user: {
+    name: "Impersonated User",
+    email: `impersonated-${Date.now()}@example.com`,
+    password: "impersonated123",
+  },
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Main test runner
+ */
+const runImpersonationTests = async () => {
+  console.log("🧪 Starting Impersonation Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const userToken = await registerUser(testConfig.user);
+  const { data: meData } = await makeRequest("/auth/me", {
+    token: userToken,
+  });
+  const userId = meData.data?.user?.id;
+  const { data: adminMeData } = await makeRequest("/auth/me", {
+    token: adminToken,
+  });
+  const adminId = adminMeData.data?.user?.id;
+  if (!adminToken || !userId || !adminId) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const impersonate = (targetId, body = {}) =>
+    makeRequest(`/admin/users/${targetId}/impersonate`, {
+      method: "POST",
+      token: adminToken,
+      body: JSON.stringify(body),
+    });
+  const updateBio = (token, bio) =>
+    makeRequest("/profile", {
+      method: "PUT",
+      token,
+      body: JSON.stringify({ bio }),
+    });
+
+  try {
+    const { response: selfResponse } = await impersonate(adminId);
+    logTest(
+      "Cannot Impersonate Self",
+      selfResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${selfResponse.status}`
+    );
+
+    const { response: startResponse, data: startData } = await impersonate(
+      userId,
+      { reason: "Impersonation tests" }
+    );
+    const readOnlyToken = startData.data?.token;
+    logTest(
+      "Start Impersonation",
+      startResponse.status === 201 && startData.data?.readOnly === true
+        ? "PASS"
+        : "FAIL",
+      startData.message
+    );
+
+    const { data: impersonatedMe } = await makeRequest("/auth/me", {
+      token: readOnlyToken,
+    });
+    logTest(
+      "Acting As User",
+      impersonatedMe.data?.user?.id === userId &&
+        impersonatedMe.data?.impersonation?.readOnly === true
+        ? "PASS"
+        : "FAIL",
+      `Impersonation: ${JSON.stringify(impersonatedMe.data?.impersonation)}`
+    );
+
+    const { response: readOnlyWriteResponse } = await updateBio(
+      readOnlyToken,
+      "Written in a read-only session"
+    );
+    logTest(
+      "Read-Only Session Refuses Writes",
+      readOnlyWriteResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${readOnlyWriteResponse.status}`
+    );
+
+    const { response: stopResponse } = await makeRequest(
+      "/auth/impersonation/stop",
+      { method: "POST", token: readOnlyToken }
+    );
+    const { response: stoppedResponse } = await makeRequest("/auth/me", {
+      token: readOnlyToken,
+    });
+    logTest(
+      "Stop Impersonation",
+      stopResponse.status === 200 && stoppedResponse.status === 401
+        ? "PASS"
+        : "FAIL",
+      `Stop ${stopResponse.status}, token afterwards ${stoppedResponse.status}`
+    );
+
+    const { data: writableData } = await impersonate(userId, {
+      readOnly: false,
+      reason: "Impersonation tests",
+    });
+    const writableToken = writableData.data?.token;
+
+    // Security settings stay off limits even in a writable session
+    const { response: twoFactorResponse } = await makeRequest(
+      "/auth/2fa/setup",
+      { method: "POST", token: writableToken }
+    );
+    logTest(
+      "Security Changes Refused",
+      twoFactorResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${twoFactorResponse.status}`
+    );
+
+    const { response: writeResponse } = await updateBio(
+      writableToken,
+      "Written by support"
+    );
+    logTest(
+      "Writable Session Allows Writes",
+      writeResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${writeResponse.status}`
+    );
+
+    // The entry is written once the response has been sent
+    await delay(500);
+    const { data: logsData } = await makeRequest(
+      `/admin/activity-logs?action=IMPERSONATED_REQUEST&entityId=${userId}`,
+      { token: adminToken }
+    );
+    const audited = (logsData.data?.logs || []).find(
+      (log) => log.metadata?.path === "/api/profile"
+    );
+    logTest(
+      "Write Audited As Admin",
+      audited?.adminId === adminId &&
+        audited?.metadata?.method === "PUT" &&
+        audited?.metadata?.statusCode === 200
+        ? "PASS"
+        : "FAIL",
+      `Actor ${audited?.adminEmail}, ${audited?.metadata?.method} ${audited?.metadata?.path}`
+    );
+
+    await makeRequest("/auth/impersonation/stop", {
+      method: "POST",
+      token: writableToken,
+    });
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/users/${userId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Impersonation Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runImpersonationTests();
+}
+
+export { runImpersonationTests };
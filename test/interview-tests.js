@@ -0,0 +1,271 @@
+/**
+ * Shortlist and Interview Testing Script
+ *
+ * Tests the shortlist and interview stages: applications move through
+ * shortlisted and interview, interviews can only be scheduled at the
+ * interview stage and in the future, the applicant can download them as a
+ * calendar file, cancelled slots show as cancelled, and the client can
+ * hire straight from the interview stage. The server must run with
+ * MAIL_TRANSPORT=file (email verification link) and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/interview-tests.js
+ */
+
+import fetch from "node-fetch";
+import {
+  API_BASE_URL,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const testConfig = {
+  client: {
+    name: "Interview Client",
+    email: `interview-client-${Date.now()}@example.com`,
+    password: "interview123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Interview Freelancer",
+    email: `interview-freelancer-${Date.now()}@example.com`,
+    password: "interview123",
+  },
+  task: {
+    title: "Interview test task",
+    description: "Created by the shortlist and interview tests",
+    company: "Interview Co",
+    category: "design",
+    difficulty: "medium",
+    payout: 150,
+    duration: 6,
+  },
+  slot: {
+    start: new Date(Date.now() + 24 * HOUR_MS).toISOString(),
+    end: new Date(Date.now() + 25 * HOUR_MS).toISOString(),
+    location: "https://meet.example.com/interview",
+    notes: "Portfolio walkthrough",
+  },
+};
+
+// The calendar export is plain text, not JSON
+const downloadCalendar = async (applicationId, token) => {
+  const response = await fetch(
+    `${API_BASE_URL}/applications/${applicationId}/interviews.ics`,
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  const text = await response.text();
+  return { response, text };
+};
+
+/**
+ * Main test runner
+ */
+const runInterviewTests = async () => {
+  console.log("🧪 Starting Shortlist and Interview Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (!adminToken || !clientToken || !freelancerToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+  if (!(await verifyEmail(testConfig.freelancer.email))) {
+    console.log("❌ No verification email in the outbox. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const adminSets = (applicationId, status) =>
+    makeRequest(`/admin/applications/${applicationId}/status`, {
+      method: "PATCH",
+      token: adminToken,
+      body: JSON.stringify({ status }),
+    });
+  const schedule = (applicationId, slot) =>
+    makeRequest(`/admin/applications/${applicationId}/interviews`, {
+      method: "POST",
+      token: adminToken,
+      body: JSON.stringify(slot),
+    });
+  const cancel = (applicationId, interviewId) =>
+    makeRequest(
+      `/admin/applications/${applicationId}/interviews/${interviewId}`,
+      { method: "DELETE", token: adminToken }
+    );
+
+  try {
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({ message: "Interested" }),
+      }
+    );
+    const applicationId = applyData.data?._id;
+
+    const { response: earlyResponse } = await schedule(
+      applicationId,
+      testConfig.slot
+    );
+    logTest(
+      "Schedule Needs Interview Stage",
+      earlyResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${earlyResponse.status}`
+    );
+
+    const { response: shortlistResponse } = await adminSets(
+      applicationId,
+      "shortlisted"
+    );
+    const { response: interviewResponse, data: interviewData } =
+      await adminSets(applicationId, "interview");
+    logTest(
+      "Shortlist Then Interview",
+      shortlistResponse.status === 200 && interviewResponse.status === 200
+        ? "PASS"
+        : "FAIL",
+      `Shortlist ${shortlistResponse.status}, interview ${interviewResponse.status}: ${interviewData.message}`
+    );
+
+    const { response: pastResponse } = await schedule(applicationId, {
+      start: new Date(Date.now() - 2 * HOUR_MS).toISOString(),
+      end: new Date(Date.now() - HOUR_MS).toISOString(),
+    });
+    const { response: backwardsResponse } = await schedule(applicationId, {
+      start: testConfig.slot.end,
+      end: testConfig.slot.start,
+    });
+    logTest(
+      "Invalid Slots Rejected",
+      pastResponse.status === 400 && backwardsResponse.status === 400
+        ? "PASS"
+        : "FAIL",
+      `Past ${pastResponse.status}, end before start ${backwardsResponse.status}`
+    );
+
+    const { response: scheduleResponse, data: scheduleData } = await schedule(
+      applicationId,
+      testConfig.slot
+    );
+    const interviewId = scheduleData.data?.interview?._id;
+    logTest(
+      "Schedule Interview",
+      scheduleResponse.status === 201 && interviewId ? "PASS" : "FAIL",
+      `Status ${scheduleResponse.status}: ${scheduleData.message}`
+    );
+
+    const { response: calendarResponse, text: calendar } =
+      await downloadCalendar(applicationId, freelancerToken);
+    logTest(
+      "Calendar Export",
+      calendarResponse.status === 200 &&
+        calendarResponse.headers
+          .get("content-type")
+          ?.includes("text/calendar") &&
+        calendar.includes("BEGIN:VEVENT") &&
+        calendar.includes("STATUS:CONFIRMED")
+        ? "PASS"
+        : "FAIL",
+      `Status ${calendarResponse.status}`
+    );
+
+    const { response: cancelResponse } = await cancel(
+      applicationId,
+      interviewId
+    );
+    const { response: cancelAgainResponse } = await cancel(
+      applicationId,
+      interviewId
+    );
+    logTest(
+      "Cancel Interview",
+      cancelResponse.status === 200 && cancelAgainResponse.status === 400
+        ? "PASS"
+        : "FAIL",
+      `Cancel ${cancelResponse.status}, again ${cancelAgainResponse.status}`
+    );
+
+    const { text: cancelledCalendar } = await downloadCalendar(
+      applicationId,
+      freelancerToken
+    );
+    logTest(
+      "Cancelled Slot In Calendar",
+      cancelledCalendar.includes("STATUS:CANCELLED") ? "PASS" : "FAIL",
+      cancelledCalendar.includes("STATUS:CANCELLED")
+        ? "Slot marked cancelled"
+        : "Slot not marked cancelled"
+    );
+
+    const { data: timelineData } = await makeRequest(
+      `/applications/${applicationId}/timeline`,
+      { token: freelancerToken }
+    );
+    const types = (timelineData.data?.timeline || []).map(
+      (event) => event.type
+    );
+    const statuses = (timelineData.data?.timeline || []).map(
+      (event) => event.toStatus
+    );
+    logTest(
+      "Interview Events Recorded",
+      types.includes("interview_scheduled") &&
+        types.includes("interview_cancelled") &&
+        statuses.includes("shortlisted") &&
+        statuses.includes("interview")
+        ? "PASS"
+        : "FAIL",
+      `Events: ${types.join(", ")}`
+    );
+
+    const { response: hireResponse } = await makeRequest(
+      `/tasks/${taskId}/applicants/${applicationId}`,
+      {
+        method: "PATCH",
+        token: clientToken,
+        body: JSON.stringify({ status: "accepted" }),
+      }
+    );
+    logTest(
+      "Hire From Interview Stage",
+      hireResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${hireResponse.status}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Shortlist and Interview Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInterviewTests();
+}
+
+export { runInterviewTests };
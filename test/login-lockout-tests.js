@@ -0,0 +1,170 @@
+/**
+ * Login Lockout Testing Script
+ *
+ * Tests brute-force protection on /api/auth/login: failed logins back off,
+ * the account locks after LOGIN_MAX_ATTEMPTS failures (even the right
+ * password is refused), and an admin can clear the lockout. Expects the
+ * default limits (3 failures before backoff, 5 before a lockout) and the
+ * admin from scripts/create-admin.js.
+ * Run with: node test/login-lockout-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+} from "./helpers.js";
+
+const testConfig = {
+  user: {
+    name: "Lockout Test User",
+    email: `lockout-test-${Date.now()}@example.com`,
+    password: "lockout123",
+  },
+  wrongPassword: "not-the-password",
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const login = (password) =>
+  makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify({ email: testConfig.user.email, password }),
+  });
+
+// Log in with the wrong password, waiting out any backoff first
+const failLogin = async () => {
+  let result = await login(testConfig.wrongPassword);
+  while (result.response.status === 429) {
+    const retryAfter = Number(result.response.headers.get("retry-after"));
+    await delay(retryAfter * 1000 + 100);
+    result = await login(testConfig.wrongPassword);
+  }
+  return result;
+};
+
+/**
+ * Main test runner
+ */
+const runLoginLockoutTests = async () => {
+  console.log("🧪 Starting Login Lockout Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const userToken = await registerUser(testConfig.user);
+  if (!adminToken || !userToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const lockoutsUrl = `/admin/security/lockouts?search=${encodeURIComponent(
+    testConfig.user.email
+  )}`;
+
+  let ipAddress;
+  try {
+    const failures = [];
+    for (let i = 0; i < 3; i++) {
+      const { response } = await login(testConfig.wrongPassword);
+      failures.push(response.status);
+    }
+    logTest(
+      "Wrong Password",
+      failures.every((status) => status === 401) ? "PASS" : "FAIL",
+      `Statuses ${failures.join(", ")}`
+    );
+
+    // After 3 failures every attempt waits, the right password included
+    const { response: backoffResponse } = await login(
+      testConfig.user.password
+    );
+    logTest(
+      "Backoff After Failures",
+      backoffResponse.status === 429 &&
+        backoffResponse.headers.get("retry-after")
+        ? "PASS"
+        : "FAIL",
+      `Status ${backoffResponse.status}, Retry-After ${backoffResponse.headers.get(
+        "retry-after"
+      )}`
+    );
+
+    // Failures 4 and 5 lock the account
+    await failLogin();
+    await failLogin();
+
+    const { response: lockedResponse, data: lockedData } = await login(
+      testConfig.user.password
+    );
+    logTest(
+      "Account Locked",
+      lockedResponse.status === 429 && /minute/.test(lockedData.message)
+        ? "PASS"
+        : "FAIL",
+      `Status ${lockedResponse.status}: ${lockedData.message}`
+    );
+
+    const { data: lockoutsData } = await makeRequest(lockoutsUrl, {
+      token: adminToken,
+    });
+    const lockout = (lockoutsData.data?.lockouts || []).find(
+      (entry) => entry.scope === "account"
+    );
+    ipAddress = lockout?.lastIpAddress;
+    logTest(
+      "Admin Sees Lockout",
+      lockout?.isLocked === true ? "PASS" : "FAIL",
+      `Locked: ${lockout?.isLocked}`
+    );
+
+    const { response: clearResponse } = await makeRequest(
+      `/admin/security/lockouts/${lockout?.id}`,
+      { method: "DELETE", token: adminToken }
+    );
+    logTest(
+      "Admin Clears Lockout",
+      clearResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${clearResponse.status}`
+    );
+
+    const { response: unlockedResponse, data: unlockedData } = await login(
+      testConfig.user.password
+    );
+    logTest(
+      "Login After Unlock",
+      unlockedResponse.status === 200 && unlockedData.token ? "PASS" : "FAIL",
+      `Status ${unlockedResponse.status}`
+    );
+  } finally {
+    // Cleanup: the IP counter survives a successful login, clear it so
+    // later runs from this machine are not locked out
+    const { data: ipData } = await makeRequest(
+      `/admin/security/lockouts?scope=ip&search=${encodeURIComponent(
+        ipAddress || ""
+      )}`,
+      { token: adminToken }
+    );
+    const ipEntry = (ipData.data?.lockouts || []).find(
+      (entry) => ipAddress && entry.identifier === ipAddress
+    );
+    if (ipEntry) {
+      await makeRequest(`/admin/security/lockouts/${ipEntry.id}`, {
+        method: "DELETE",
+        token: adminToken,
+      });
+    }
+  }
+
+  console.log("\n🏁 Login Lockout Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runLoginLockoutTests();
+}
+
+export { runLoginLockoutTests };
@@ -0,0 +1,212 @@
+/**
+ * Email Outbox Testing Script
+ *
+ * Tests application emails sent through the outbox: decisions queue a
+ * templated email that the mail worker delivers, user-supplied text is
+ * escaped in the HTML part, and a category turned off in the profile
+ * preferences is not sent. Emails are read back from the outbox file, so
+ * the server must run with MAIL_TRANSPORT=file, and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/mail-outbox-tests.js
+ */
+
+import fs from "fs";
+import {
+  OUTBOX_FILE,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+// The worker runs every MAIL_WORKER_INTERVAL (10s by default)
+const DELIVERY_TIMEOUT_MS = 25000;
+
+const testConfig = {
+  client: {
+    name: "Outbox Client",
+    email: `outbox-client-${Date.now()}@example.com`,
+    password: "outbox123",
+    role: "client",
+  },
+  accepted: {
+    name: "Outbox <Accepted> & Co",
+    email: `outbox-accepted-${Date.now()}@example.com`,
+    password: "outbox123",
+  },
+  optedOut: {
+    name: "Outbox Opted Out",
+    email: `outbox-opted-out-${Date.now()}@example.com`,
+    password: "outbox123",
+  },
+  task: {
+    title: "Outbox test task",
+    description: "Created by the email outbox tests",
+    company: "Outbox Co",
+    category: "devops",
+    difficulty: "easy",
+    payout: 40,
+    duration: 2,
+  },
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Emails delivered to the address whose subject matches
+const readOutbox = (email, subjectPattern) => {
+  if (!fs.existsSync(OUTBOX_FILE)) return [];
+
+  return fs
+    .readFileSync(OUTBOX_FILE, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .filter(
+      (message) => message.to === email && subjectPattern.test(message.subject)
+    );
+};
+
+const waitForEmail = async (email, subjectPattern) => {
+  const deadline = Date.now() + DELIVERY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const [message] = readOutbox(email, subjectPattern);
+    if (message) return message;
+    await delay(500);
+  }
+  return null;
+};
+
+/**
+ * Main test runner
+ */
+const runMailOutboxTests = async () => {
+  console.log("🧪 Starting Email Outbox Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const acceptedToken = await registerUser(testConfig.accepted);
+  const optedOutToken = await registerUser(testConfig.optedOut);
+  if (!adminToken || !clientToken || !acceptedToken || !optedOutToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  for (const freelancer of [testConfig.accepted, testConfig.optedOut]) {
+    if (!(await verifyEmail(freelancer.email))) {
+      console.log("❌ No verification email in the outbox. Tests stopped.");
+      process.exit(1);
+    }
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const apply = async (token) => {
+    const { data } = await makeRequest(`/applications/apply/${taskId}`, {
+      method: "POST",
+      token,
+      body: JSON.stringify({ message: "Interested" }),
+    });
+    return data.data?._id;
+  };
+  const decide = (applicationId, status) =>
+    makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status }),
+    });
+
+  try {
+    const { response: badPreferenceResponse } = await makeRequest("/profile", {
+      method: "PUT",
+      token: optedOutToken,
+      body: JSON.stringify({ emailPreferences: { newsletter: false } }),
+    });
+    const { response: preferenceResponse, data: preferenceData } =
+      await makeRequest("/profile", {
+        method: "PUT",
+        token: optedOutToken,
+        body: JSON.stringify({
+          emailPreferences: { applicationRejected: false },
+        }),
+      });
+    const preferences = preferenceData.data?.user?.emailPreferences;
+    logTest(
+      "Email Preferences",
+      badPreferenceResponse.status === 400 &&
+        preferenceResponse.status === 200 &&
+        preferences?.applicationRejected === false &&
+        preferences?.applicationAccepted === true
+        ? "PASS"
+        : "FAIL",
+      `Invalid category ${badPreferenceResponse.status}, update ${preferenceResponse.status}`
+    );
+
+    const acceptedId = await apply(acceptedToken);
+    const optedOutId = await apply(optedOutToken);
+    await decide(optedOutId, "rejected");
+    await decide(acceptedId, "accepted");
+
+    const acceptedEmail = await waitForEmail(
+      testConfig.accepted.email,
+      /You got the job/
+    );
+    logTest(
+      "Decision Email Delivered",
+      acceptedEmail?.text?.includes(testConfig.task.title) &&
+        acceptedEmail.text.includes(acceptedId)
+        ? "PASS"
+        : "FAIL",
+      acceptedEmail ? acceptedEmail.subject : "No email in the outbox"
+    );
+
+    logTest(
+      "HTML Escaped",
+      acceptedEmail?.html?.includes("Outbox &lt;Accepted&gt; &amp; Co") &&
+        !acceptedEmail.html.includes("<Accepted>")
+        ? "PASS"
+        : "FAIL",
+      acceptedEmail?.html?.match(/<p>Hi [^<]*<\/p>/)?.[0] || "No HTML part"
+    );
+
+    // The acceptance went out after the rejection would have, so anything
+    // queued for the opted-out freelancer has been delivered by now
+    const rejectionEmails = readOutbox(
+      testConfig.optedOut.email,
+      /Update on your application/
+    );
+    logTest(
+      "Opted-Out Category Not Sent",
+      acceptedEmail && rejectionEmails.length === 0 ? "PASS" : "FAIL",
+      `${rejectionEmails.length} rejection emails`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Email Outbox Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMailOutboxTests();
+}
+
+export { runMailOutboxTests };
@@ -0,0 +1,240 @@
+/**
+ * Milestone Testing Script
+ *
+ * Tests milestone deliveries and payouts on a task split in two milestones:
+ * milestones are delivered in order, only accepted milestones can be paid,
+ * and the application is paid once every milestone is. The server must run
+ * with MAIL_TRANSPORT=file (email verification link) and the admin from
+ * scripts/create-admin.js must exist.
+ * Run with: node test/milestone-tests.js
+ */
+
+import fetch, { Blob, FormData } from "node-fetch";
+import {
+  API_BASE_URL,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Milestone Client",
+    email: `milestone-client-${Date.now()}@example.com`,
+    password: "milestone123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Milestone Freelancer",
+    email: `milestone-freelancer-${Date.now()}@example.com`,
+    password: "milestone123",
+  },
+  task: {
+    title: "Milestone test task",
+    description: "Created by the milestone tests, paid in two parts",
+    company: "Milestone Co",
+    category: "fullstack",
+    difficulty: "medium",
+    payout: 200,
+    duration: 14,
+    milestones: [
+      { title: "Design", amount: 80 },
+      { title: "Build", amount: 120 },
+    ],
+  },
+};
+
+// Upload a small PDF as a submission round (for the given milestone)
+const submitWork = async (applicationId, token, milestoneId) => {
+  const form = new FormData();
+  form.append(
+    "files",
+    new Blob(["%PDF-1.4\n% milestone test\n"], { type: "application/pdf" }),
+    "milestone.pdf"
+  );
+  if (milestoneId) form.append("milestoneId", milestoneId);
+
+  const response = await fetch(
+    `${API_BASE_URL}/applications/${applicationId}/submit`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  const data = await response.json();
+  return { response, data };
+};
+
+/**
+ * Main test runner
+ */
+const runMilestoneTests = async () => {
+  console.log("🧪 Starting Milestone Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (
+    !adminToken ||
+    !clientToken ||
+    !freelancerToken ||
+    !(await verifyEmail(testConfig.freelancer.email))
+  ) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const pay = (applicationId, milestoneId) =>
+    makeRequest(`/admin/applications/${applicationId}/payment`, {
+      method: "PATCH",
+      token: adminToken,
+      body: JSON.stringify({ paymentStatus: "paid", milestoneId }),
+    });
+  const approve = (applicationId) =>
+    makeRequest(`/admin/applications/${applicationId}/review`, {
+      method: "PATCH",
+      token: adminToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+
+  try {
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      { method: "POST", token: freelancerToken, body: JSON.stringify({}) }
+    );
+    const applicationId = applyData.data?._id;
+    await makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+
+    const { data: detailsData } = await makeRequest(
+      `/applications/${applicationId}`,
+      { token: freelancerToken }
+    );
+    const [design, build] = detailsData.data?.milestones || [];
+    logTest(
+      "Agreed Milestones",
+      design?.amount === 80 && build?.amount === 120 ? "PASS" : "FAIL",
+      `${detailsData.data?.milestones?.length || 0} milestones`
+    );
+    if (!design || !build) return;
+
+    const { response: earlyPayResponse } = await pay(
+      applicationId,
+      design.milestoneId
+    );
+    logTest(
+      "Unaccepted Milestone Not Payable",
+      earlyPayResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${earlyPayResponse.status}`
+    );
+
+    const { response: noMilestoneResponse } = await pay(applicationId);
+    logTest(
+      "Milestone Required For Payment",
+      noMilestoneResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${noMilestoneResponse.status}`
+    );
+
+    const { response: outOfOrderResponse } = await submitWork(
+      applicationId,
+      freelancerToken,
+      build.milestoneId
+    );
+    logTest(
+      "Milestones Delivered In Order",
+      outOfOrderResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${outOfOrderResponse.status}`
+    );
+
+    // First milestone: delivered, accepted, paid
+    await submitWork(applicationId, freelancerToken, design.milestoneId);
+    const { data: firstReviewData } = await approve(applicationId);
+    logTest(
+      "First Milestone Accepted",
+      firstReviewData.data?.status === "accepted" ? "PASS" : "FAIL",
+      `Application ${firstReviewData.data?.status}`
+    );
+
+    const { response: secondEarlyResponse } = await pay(
+      applicationId,
+      build.milestoneId
+    );
+    logTest(
+      "Second Milestone Not Payable Yet",
+      secondEarlyResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${secondEarlyResponse.status}`
+    );
+
+    const { response: firstPayResponse, data: firstPayData } = await pay(
+      applicationId,
+      design.milestoneId
+    );
+    logTest(
+      "Pay First Milestone",
+      firstPayResponse.status === 200 &&
+        firstPayData.data?.milestone?.paymentStatus === "paid" &&
+        firstPayData.data?.paymentStatus === "pending"
+        ? "PASS"
+        : "FAIL",
+      `Status ${firstPayResponse.status}, application payment ${firstPayData.data?.paymentStatus}`
+    );
+
+    // Second milestone completes the application
+    await submitWork(applicationId, freelancerToken);
+    const { data: secondReviewData } = await approve(applicationId);
+    logTest(
+      "Last Milestone Completes",
+      secondReviewData.data?.status === "completed" ? "PASS" : "FAIL",
+      `Application ${secondReviewData.data?.status}`
+    );
+
+    const { response: secondPayResponse, data: secondPayData } = await pay(
+      applicationId,
+      build.milestoneId
+    );
+    logTest(
+      "Paid Once Every Milestone Is",
+      secondPayResponse.status === 200 &&
+        secondPayData.data?.paymentStatus === "paid"
+        ? "PASS"
+        : "FAIL",
+      `Status ${secondPayResponse.status}, application payment ${secondPayData.data?.paymentStatus}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Milestone Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMilestoneTests();
+}
+
+export { runMilestoneTests };
@@ -0,0 +1,218 @@
+/**
+ * Notification Center Testing Script
+ *
+ * Tests the in-app notification center: application events notify the
+ * other party, notifications can be filtered and counted per type, marked
+ * read one at a time or all at once, and only by their recipient. The
+ * server must run with MAIL_TRANSPORT=file (email verification link) and
+ * the admin from scripts/create-admin.js must exist.
+ * Run with: node test/notification-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Notification Client",
+    email: `notification-client-${Date.now()}@example.com`,
+    password: "notify123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Notification Freelancer",
+    email: `notification-freelancer-${Date.now()}@example.com`,
+    password: "notify123",
+  },
+  task: {
+    title: "Notification test task",
+    description: "Created by the notification center tests",
+    company: "Notify Co",
+    category: "mobile",
+    difficulty: "easy",
+    payout: 70,
+    duration: 3,
+  },
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Main test runner
+ */
+const runNotificationTests = async () => {
+  console.log("🧪 Starting Notification Center Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (!adminToken || !clientToken || !freelancerToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+  if (!(await verifyEmail(testConfig.freelancer.email))) {
+    console.log("❌ No verification email in the outbox. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const getNotifications = (token, query = "") =>
+    makeRequest(`/notifications${query}`, { token });
+  const getUnreadCount = async (token) => {
+    const { data } = await makeRequest("/notifications/unread-count", {
+      token,
+    });
+    return data.data;
+  };
+  const markRead = (token, notificationId) =>
+    makeRequest(`/notifications/${notificationId}/read`, {
+      method: "PATCH",
+      token,
+    });
+
+  try {
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({ message: "Interested" }),
+      }
+    );
+    const applicationId = applyData.data?._id;
+    await makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+    // Notifications are written alongside the timeline events
+    await delay(500);
+
+    const { data: clientData } = await getNotifications(
+      clientToken,
+      "?type=new_applicant"
+    );
+    const applicantNotification = clientData.data?.notifications?.[0];
+    logTest(
+      "Client Notified Of Applicant",
+      clientData.data?.notifications?.length === 1 &&
+        applicantNotification.entityId === applicationId &&
+        applicantNotification.read === false
+        ? "PASS"
+        : "FAIL",
+      applicantNotification?.title
+    );
+
+    const { data: freelancerData } = await getNotifications(
+      freelancerToken,
+      "?unread=true&type=application_status"
+    );
+    const acceptedNotification = freelancerData.data?.notifications?.find(
+      (notification) => notification.metadata?.event === "accepted"
+    );
+    logTest(
+      "Freelancer Notified Of Acceptance",
+      acceptedNotification?.title?.includes(testConfig.task.title)
+        ? "PASS"
+        : "FAIL",
+      acceptedNotification?.title
+    );
+
+    const countBefore = await getUnreadCount(clientToken);
+    const { response: markResponse, data: markData } = await markRead(
+      clientToken,
+      applicantNotification?.id
+    );
+    const countAfter = await getUnreadCount(clientToken);
+    logTest(
+      "Mark Notification Read",
+      markResponse.status === 200 &&
+        markData.data?.notification?.read === true &&
+        countBefore?.byType?.new_applicant === 1 &&
+        !countAfter?.byType?.new_applicant &&
+        countAfter.unreadCount === countBefore.unreadCount - 1
+        ? "PASS"
+        : "FAIL",
+      `Unread ${countBefore?.unreadCount} → ${countAfter?.unreadCount}`
+    );
+
+    // Someone else's notification looks like it doesn't exist
+    const { response: foreignResponse } = await markRead(
+      freelancerToken,
+      applicantNotification?.id
+    );
+    logTest(
+      "Only Recipient Can Mark Read",
+      foreignResponse.status === 404 ? "PASS" : "FAIL",
+      `Status ${foreignResponse.status}`
+    );
+
+    const { response: badTypeResponse } = await getNotifications(
+      clientToken,
+      "?type=everything"
+    );
+    const { response: badIdResponse } = await markRead(clientToken, "123");
+    logTest(
+      "Invalid Requests Rejected",
+      badTypeResponse.status === 400 && badIdResponse.status === 400
+        ? "PASS"
+        : "FAIL",
+      `Bad type ${badTypeResponse.status}, bad ID ${badIdResponse.status}`
+    );
+
+    const { data: readAllData } = await makeRequest(
+      "/notifications/read-all?type=application_status",
+      { method: "PATCH", token: freelancerToken }
+    );
+    const freelancerCount = await getUnreadCount(freelancerToken);
+    const { data: readData } = await getNotifications(
+      freelancerToken,
+      "?unread=false&type=application_status"
+    );
+    logTest(
+      "Mark All Of A Type Read",
+      readAllData.data?.markedCount >= 1 &&
+        !freelancerCount?.byType?.application_status &&
+        readData.data?.notifications?.some(
+          (notification) => notification.id === acceptedNotification?.id
+        )
+        ? "PASS"
+        : "FAIL",
+      `${readAllData.data?.markedCount} marked read`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Notification Center Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runNotificationTests();
+}
+
+export { runNotificationTests };
@@ -0,0 +1,190 @@
+/**
+ * Password Reset Testing Script
+ *
+ * Tests the forgot-password / reset-password flow. The server must run
+ * with MAIL_TRANSPORT=file so the reset email can be read from the outbox.
+ * Run with: node test/password-reset-tests.js
+ */
+
+import fs from "fs";
+import fetch from "node-fetch";
+import path from "path";
+
+const API_BASE_URL = "http://localhost:5001/api";
+const OUTBOX_FILE = path.resolve(
+  process.env.MAIL_OUTBOX_FILE || "outbox/mail.jsonl"
+);
+
+const testConfig = {
+  testUser: {
+    name: "Reset Test User",
+    email: `reset-test-${Date.now()}@example.com`,
+    password: "resettest123",
+  },
+  newPassword: "resettest456",
+};
+
+/**
+ * Test helper functions
+ */
+const logTest = (testName, status, message) => {
+  const statusIcon = status === "PASS" ? "✅" : "❌";
+  console.log(`${statusIcon} ${testName}: ${message}`);
+};
+
+const makeRequest = async (endpoint, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.token && { Authorization: `Bearer ${options.token}` }),
+      ...options.headers,
+    },
+    ...options,
+  });
+
+  const data = await response.json();
+  return { response, data };
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Find the reset token in the most recent email sent to the given address
+const readResetTokenFromOutbox = (email) => {
+  if (!fs.existsSync(OUTBOX_FILE)) return null;
+
+  const messages = fs
+    .readFileSync(OUTBOX_FILE, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .filter((message) => message.to === email);
+
+  const latest = messages[messages.length - 1];
+  const match = latest && latest.text.match(/reset-password\/([a-f0-9]+)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Main test runner
+ */
+const runPasswordResetTests = async () => {
+  console.log("🧪 Starting Password Reset Tests...\n");
+
+  const { data: registerData } = await makeRequest("/auth/register", {
+    method: "POST",
+    body: JSON.stringify(testConfig.testUser),
+  });
+  const sessionToken = registerData.token;
+  if (!sessionToken) {
+    console.log("❌ Could not register test user. Tests stopped.");
+    process.exit(1);
+  }
+
+  // Unknown emails get the same response as known ones
+  const { response: unknownResponse } = await makeRequest(
+    "/auth/forgot-password",
+    {
+      method: "POST",
+      body: JSON.stringify({ email: `nobody-${Date.now()}@example.com` }),
+    }
+  );
+  logTest(
+    "Forgot Password (unknown email)",
+    unknownResponse.status === 200 ? "PASS" : "FAIL",
+    `Status ${unknownResponse.status}`
+  );
+
+  // Malformed input is a validation error, not a server error
+  const { response: malformedResponse } = await makeRequest(
+    "/auth/forgot-password",
+    {
+      method: "POST",
+      body: JSON.stringify({ email: ["someone@example.com"] }),
+    }
+  );
+  logTest(
+    "Forgot Password (malformed email)",
+    malformedResponse.status === 400 ? "PASS" : "FAIL",
+    `Status ${malformedResponse.status}`
+  );
+
+  const { response: forgotResponse } = await makeRequest(
+    "/auth/forgot-password",
+    {
+      method: "POST",
+      body: JSON.stringify({ email: testConfig.testUser.email }),
+    }
+  );
+  logTest(
+    "Forgot Password",
+    forgotResponse.status === 200 ? "PASS" : "FAIL",
+    `Status ${forgotResponse.status}`
+  );
+
+  await delay(500);
+  const resetToken = readResetTokenFromOutbox(testConfig.testUser.email);
+  if (!resetToken) {
+    logTest("Reset Email", "FAIL", `No reset email found in ${OUTBOX_FILE}`);
+    process.exit(1);
+  }
+  logTest("Reset Email", "PASS", "Reset link written to the outbox");
+
+  const { response: resetResponse, data: resetData } = await makeRequest(
+    `/auth/reset-password/${resetToken}`,
+    {
+      method: "POST",
+      body: JSON.stringify({ password: testConfig.newPassword }),
+    }
+  );
+  logTest(
+    "Reset Password",
+    resetResponse.ok ? "PASS" : "FAIL",
+    resetData.message
+  );
+
+  // The token is single use
+  const { response: reuseResponse } = await makeRequest(
+    `/auth/reset-password/${resetToken}`,
+    {
+      method: "POST",
+      body: JSON.stringify({ password: "anotherpassword" }),
+    }
+  );
+  logTest(
+    "Reset Token Single Use",
+    reuseResponse.status === 400 ? "PASS" : "FAIL",
+    `Status ${reuseResponse.status}`
+  );
+
+  // Existing sessions were revoked
+  const { response: meResponse } = await makeRequest("/auth/me", {
+    token: sessionToken,
+  });
+  logTest(
+    "Sessions Revoked",
+    meResponse.status === 401 ? "PASS" : "FAIL",
+    `Old session status ${meResponse.status}`
+  );
+
+  const { response: loginResponse } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify({
+      email: testConfig.testUser.email,
+      password: testConfig.newPassword,
+    }),
+  });
+  logTest(
+    "Login With New Password",
+    loginResponse.ok ? "PASS" : "FAIL",
+    `Status ${loginResponse.status}`
+  );
+
+  console.log("\n🏁 Password Reset Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runPasswordResetTests();
+}
+
+export { runPasswordResetTests };
@@ -0,0 +1,233 @@
+/**
+ * Proposal Testing Script
+ *
+ * Tests bid-based proposals: bids are validated (positive amount, future
+ * delivery date, milestones adding up to the amount), the admin proposal
+ * comparison sorts and summarises them (applications without a bid count
+ * at the task's payout), and accepting a proposal agrees its amount. The
+ * server must run with MAIL_TRANSPORT=file (email verification links) and
+ * the admin from scripts/create-admin.js must exist.
+ * Run with: node test/proposal-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const inDays = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+const testConfig = {
+  client: {
+    name: "Proposal Client",
+    email: `proposal-client-${Date.now()}@example.com`,
+    password: "proposal123",
+    role: "client",
+  },
+  freelancers: ["milestones", "cheap", "nobid"].map((name) => ({
+    name: `Proposal Freelancer ${name}`,
+    email: `proposal-${name}-${Date.now()}@example.com`,
+    password: "proposal123",
+  })),
+  task: {
+    title: "Proposal test task",
+    description: "Created by the proposal tests",
+    company: "Proposal Co",
+    category: "fullstack",
+    difficulty: "medium",
+    payout: 300,
+    duration: 10,
+  },
+};
+
+/**
+ * Main test runner
+ */
+const runProposalTests = async () => {
+  console.log("🧪 Starting Proposal Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerTokens = [];
+  for (const freelancer of testConfig.freelancers) {
+    freelancerTokens.push(await registerUser(freelancer));
+  }
+  if (!adminToken || !clientToken || freelancerTokens.some((t) => !t)) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  for (const freelancer of testConfig.freelancers) {
+    if (!(await verifyEmail(freelancer.email))) {
+      console.log("❌ No verification email in the outbox. Tests stopped.");
+      process.exit(1);
+    }
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const apply = (token, body) =>
+    makeRequest(`/applications/apply/${taskId}`, {
+      method: "POST",
+      token,
+      body: JSON.stringify({ message: "Interested", ...body }),
+    });
+  const getProposals = (query = "") =>
+    makeRequest(`/admin/tasks/${taskId}/proposals${query}`, {
+      token: adminToken,
+    });
+
+  try {
+    const [milestoneToken, cheapToken, noBidToken] = freelancerTokens;
+
+    const invalidBids = [
+      { amount: -10 },
+      { amount: 200, deliveryDate: inDays(-1) },
+      {
+        amount: 250,
+        milestones: [
+          { title: "Design", amount: 100 },
+          { title: "Build", amount: 100 },
+        ],
+      },
+      {
+        amount: 250,
+        deliveryDate: inDays(5),
+        milestones: [{ title: "Everything", amount: 250, dueDate: inDays(6) }],
+      },
+    ];
+    const invalidStatuses = [];
+    for (const bid of invalidBids) {
+      const { response } = await apply(milestoneToken, { bid });
+      invalidStatuses.push(response.status);
+    }
+    logTest(
+      "Invalid Bids Rejected",
+      invalidStatuses.every((status) => status === 400) ? "PASS" : "FAIL",
+      `Statuses: ${invalidStatuses.join(", ")}`
+    );
+
+    const { response: milestoneResponse, data: milestoneData } = await apply(
+      milestoneToken,
+      {
+        bid: {
+          amount: 250,
+          deliveryDate: inDays(5),
+          milestones: [
+            { title: "Design", amount: 100, dueDate: inDays(2) },
+            { title: "Build", amount: 150, dueDate: inDays(5) },
+          ],
+        },
+      }
+    );
+    const { response: cheapResponse } = await apply(cheapToken, {
+      bid: { amount: 200, deliveryDate: inDays(8) },
+    });
+    const { response: noBidResponse } = await apply(noBidToken);
+    logTest(
+      "Apply With Proposals",
+      [milestoneResponse, cheapResponse, noBidResponse].every(
+        (response) => response.status === 201
+      ) && milestoneData.data?.bid?.milestones?.length === 2
+        ? "PASS"
+        : "FAIL",
+      `Statuses ${milestoneResponse.status}, ${cheapResponse.status}, ${noBidResponse.status}`
+    );
+    const milestoneApplicationId = milestoneData.data?._id;
+
+    const { response: byAmountResponse, data: byAmountData } =
+      await getProposals("?sortBy=amount");
+    const proposals = byAmountData.data?.proposals || [];
+    const summary = byAmountData.data?.summary;
+    logTest(
+      "Proposals Sorted By Amount",
+      byAmountResponse.status === 200 &&
+        proposals.map((proposal) => proposal.amount).join() === "200,250,300" &&
+        proposals[2]?.hasBid === false
+        ? "PASS"
+        : "FAIL",
+      `Amounts: ${proposals.map((proposal) => proposal.amount).join(", ")}`
+    );
+    logTest(
+      "Proposal Summary",
+      summary?.total === 3 &&
+        summary?.withBid === 2 &&
+        summary?.lowestAmount === 200 &&
+        summary?.highestAmount === 300 &&
+        summary?.averageAmount === 250
+        ? "PASS"
+        : "FAIL",
+      `Summary: ${JSON.stringify(summary)}`
+    );
+
+    const { data: byDateData } = await getProposals(
+      "?sortBy=deliveryDate&sortOrder=asc"
+    );
+    logTest(
+      "Proposals Sorted By Delivery Date",
+      byDateData.data?.proposals?.[0]?.applicationId ===
+        milestoneApplicationId &&
+        byDateData.data.proposals[0].discountFromPayout === 50
+        ? "PASS"
+        : "FAIL",
+      `First: ${byDateData.data?.proposals?.[0]?.amount}`
+    );
+
+    const { response: badSortResponse } = await getProposals("?sortBy=rating");
+    logTest(
+      "Invalid Sort Rejected",
+      badSortResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${badSortResponse.status}`
+    );
+
+    const { response: acceptResponse, data: acceptData } = await makeRequest(
+      `/tasks/${taskId}/applicants/${milestoneApplicationId}`,
+      {
+        method: "PATCH",
+        token: clientToken,
+        body: JSON.stringify({ status: "accepted" }),
+      }
+    );
+    logTest(
+      "Accepted Proposal Sets Agreed Amount",
+      acceptResponse.status === 200 &&
+        acceptData.data?.application?.agreedAmount === 250
+        ? "PASS"
+        : "FAIL",
+      `Status ${acceptResponse.status}, agreed amount ${acceptData.data?.application?.agreedAmount}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Proposal Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runProposalTests();
+}
+
+export { runProposalTests };
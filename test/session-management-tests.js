@@ -324,6 +324,110 @@ const testLogout = async () => {
   }
 };
 
+const testRefreshTokenRotation = async () => {
+  try {
+    console.log("\n🔄 Testing Refresh Token Rotation...");
+
+    const { response: loginResponse, data: loginData } = await makeRequest(
+      "/auth/login",
+      {
+        method: "POST",
+        body: JSON.stringify({
+          email: testConfig.testUser.email,
+          password: testConfig.testUser.password,
+        }),
+      }
+    );
+
+    if (!loginResponse.ok || !loginData.refreshToken) {
+      logTest("Refresh Token Issued", "FAIL", "Login returned no refresh token");
+      return false;
+    }
+    logTest("Refresh Token Issued", "PASS", "Login returned a refresh token");
+
+    const originalRefreshToken = loginData.refreshToken;
+
+    // Exchange the refresh token for a new pair
+    const { response, data } = await makeRequest("/auth/refresh", {
+      method: "POST",
+      body: JSON.stringify({ refreshToken: originalRefreshToken }),
+    });
+
+    if (
+      !response.ok ||
+      !data.token ||
+      !data.refreshToken ||
+      data.refreshToken === originalRefreshToken
+    ) {
+      logTest("Refresh Rotation", "FAIL", `Refresh failed: ${data.message}`);
+      return false;
+    }
+    logTest("Refresh Rotation", "PASS", "New access and refresh tokens issued");
+
+    // The rotated-out access token must no longer work
+    const { response: oldTokenResponse } = await makeRequest("/auth/me", {
+      token: loginData.token,
+    });
+    const { response: newTokenResponse } = await makeRequest("/auth/me", {
+      token: data.token,
+    });
+
+    if (oldTokenResponse.status === 401 && newTokenResponse.ok) {
+      logTest(
+        "Old Access Token Invalidated",
+        "PASS",
+        "Only the rotated access token is accepted"
+      );
+    } else {
+      logTest(
+        "Old Access Token Invalidated",
+        "FAIL",
+        `Old token status ${oldTokenResponse.status}, new token status ${newTokenResponse.status}`
+      );
+      return false;
+    }
+
+    // Replaying the old refresh token revokes the whole session family
+    const { response: reuseResponse } = await makeRequest("/auth/refresh", {
+      method: "POST",
+      body: JSON.stringify({ refreshToken: originalRefreshToken }),
+    });
+    const { response: afterReuseResponse } = await makeRequest("/auth/me", {
+      token: data.token,
+    });
+    const { response: rotatedRefreshResponse } = await makeRequest(
+      "/auth/refresh",
+      {
+        method: "POST",
+        body: JSON.stringify({ refreshToken: data.refreshToken }),
+      }
+    );
+
+    if (
+      reuseResponse.status === 401 &&
+      afterReuseResponse.status === 401 &&
+      rotatedRefreshResponse.status === 401
+    ) {
+      logTest(
+        "Refresh Token Reuse Detection",
+        "PASS",
+        "Reused refresh token revoked the session family"
+      );
+      return true;
+    } else {
+      logTest(
+        "Refresh Token Reuse Detection",
+        "FAIL",
+        "Session family still usable after refresh token reuse"
+      );
+      return false;
+    }
+  } catch (error) {
+    logTest("Refresh Token Rotation", "FAIL", `Error: ${error.message}`);
+    return false;
+  }
+};
+
 const testSessionDuration = async () => {
   try {
     console.log("\n⏱️ Testing Session Duration Tracking...");
@@ -490,6 +594,7 @@ const runSessionTests = async () => {
   await testMultipleLogins();
   await testConcurrentSessions();
   await testSessionDuration();
+  await testRefreshTokenRotation();
   await testLogout();
 
   console.log("\n🏁 Session Management Tests completed!");
@@ -512,6 +617,7 @@ export {
   testInvalidSessionHandling,
   testLogout,
   testMultipleLogins,
+  testRefreshTokenRotation,
   testSessionDuration,
   testSessionValidation,
 };
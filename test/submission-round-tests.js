@@ -0,0 +1,277 @@
+/**
+ * Submission Rounds Testing Script
+ *
+ * Tests versioned submission rounds: every submit opens a numbered round
+ * with its own files, a reviewed round is locked (its files can no longer
+ * be deleted), and the admin can compare a round with the one before it.
+ * The server must run with MAIL_TRANSPORT=file (email verification link)
+ * and the admin from scripts/create-admin.js must exist.
+ * Run with: node test/submission-round-tests.js
+ */
+
+import fetch, { Blob, FormData } from "node-fetch";
+import {
+  API_BASE_URL,
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+  verifyEmail,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Rounds Client",
+    email: `rounds-client-${Date.now()}@example.com`,
+    password: "rounds123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Rounds Freelancer",
+    email: `rounds-freelancer-${Date.now()}@example.com`,
+    password: "rounds123",
+  },
+  task: {
+    title: "Submission rounds test task",
+    description: "Created by the submission rounds tests",
+    company: "Rounds Co",
+    category: "backend",
+    difficulty: "easy",
+    payout: 120,
+    duration: 4,
+  },
+};
+
+// Upload small PDFs as a submission round: files is [[name, content], ...]
+const submitWork = async (applicationId, token, files, note) => {
+  const form = new FormData();
+  for (const [name, content] of files) {
+    form.append(
+      "files",
+      new Blob([`%PDF-1.4\n% ${content}\n`], { type: "application/pdf" }),
+      name
+    );
+  }
+  form.append("note", note);
+
+  const response = await fetch(
+    `${API_BASE_URL}/applications/${applicationId}/submit`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  const data = await response.json();
+  return { response, data };
+};
+
+const names = (files = []) => files.map((file) => file.originalName).sort();
+
+/**
+ * Main test runner
+ */
+const runSubmissionRoundTests = async () => {
+  console.log("🧪 Starting Submission Round Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const freelancerToken = await registerUser(testConfig.freelancer);
+  if (!adminToken || !clientToken || !freelancerToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+  if (!(await verifyEmail(testConfig.freelancer.email))) {
+    console.log("❌ No verification email in the outbox. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const compare = (applicationId, query = "") =>
+    makeRequest(`/admin/applications/${applicationId}/rounds/compare${query}`, {
+      token: adminToken,
+    });
+
+  try {
+    const { data: applyData } = await makeRequest(
+      `/applications/apply/${taskId}`,
+      {
+        method: "POST",
+        token: freelancerToken,
+        body: JSON.stringify({ message: "Interested" }),
+      }
+    );
+    const applicationId = applyData.data?._id;
+    await makeRequest(`/tasks/${taskId}/applicants/${applicationId}`, {
+      method: "PATCH",
+      token: clientToken,
+      body: JSON.stringify({ status: "accepted" }),
+    });
+
+    const { response: emptyCompareResponse } = await compare(applicationId);
+    logTest(
+      "No Rounds Yet",
+      emptyCompareResponse.status === 404 ? "PASS" : "FAIL",
+      `Status ${emptyCompareResponse.status}`
+    );
+
+    const { response: firstResponse, data: firstData } = await submitWork(
+      applicationId,
+      freelancerToken,
+      [
+        ["report.pdf", "first draft"],
+        ["notes.pdf", "notes"],
+      ],
+      "First delivery"
+    );
+    const firstRound = firstData.data?.round;
+    logTest(
+      "First Round",
+      firstResponse.status === 200 &&
+        firstRound?.number === 1 &&
+        firstRound?.note === "First delivery" &&
+        firstRound?.files?.length === 2 &&
+        firstRound?.locked === false
+        ? "PASS"
+        : "FAIL",
+      `Status ${firstResponse.status}, round ${firstRound?.number} with ${firstRound?.files?.length} files`
+    );
+
+    await makeRequest(`/admin/applications/${applicationId}/review`, {
+      method: "PATCH",
+      token: adminToken,
+      body: JSON.stringify({
+        status: "needs_revision",
+        comments: "Expand the report",
+      }),
+    });
+
+    // The reviewed round is kept as it was reviewed
+    const lockedFileId = firstRound?.files?.[0]?._id;
+    const { response: lockedDeleteResponse } = await makeRequest(
+      `/applications/${applicationId}/submissions/${lockedFileId}`,
+      { method: "DELETE", token: freelancerToken }
+    );
+    logTest(
+      "Reviewed Round Locked",
+      lockedDeleteResponse.status === 409 ? "PASS" : "FAIL",
+      `Status ${lockedDeleteResponse.status}`
+    );
+
+    const { response: secondResponse, data: secondData } = await submitWork(
+      applicationId,
+      freelancerToken,
+      [
+        ["report.pdf", "second draft, now with a longer report"],
+        ["appendix.pdf", "appendix"],
+      ],
+      "Expanded report"
+    );
+    const secondRound = secondData.data?.round;
+    logTest(
+      "Second Round",
+      secondResponse.status === 200 &&
+        secondRound?.number === 2 &&
+        secondRound?.files?.length === 2
+        ? "PASS"
+        : "FAIL",
+      `Status ${secondResponse.status}, round ${secondRound?.number} with ${secondRound?.files?.length} files`
+    );
+
+    const { data: compareData } = await compare(applicationId);
+    const changes = compareData.data?.changes;
+    logTest(
+      "Compare Latest Round",
+      compareData.data?.current?.number === 2 &&
+        compareData.data?.previous?.number === 1 &&
+        compareData.data?.totalRounds === 2 &&
+        names(changes?.added).join() === "appendix.pdf" &&
+        changes?.changed?.[0]?.after?.originalName === "report.pdf" &&
+        names(changes?.removed).join() === "notes.pdf" &&
+        changes?.unchanged?.length === 0
+        ? "PASS"
+        : "FAIL",
+      `Added ${names(changes?.added)}, changed ${changes?.changed?.length}, removed ${names(changes?.removed)}`
+    );
+
+    const { data: firstCompareData } = await compare(applicationId, "?round=1");
+    logTest(
+      "Compare First Round",
+      firstCompareData.data?.current?.number === 1 &&
+        !firstCompareData.data?.previous &&
+        firstCompareData.data?.changes?.added?.length === 2
+        ? "PASS"
+        : "FAIL",
+      `${firstCompareData.data?.changes?.added?.length} files added`
+    );
+
+    const { response: missingRoundResponse } = await compare(
+      applicationId,
+      "?round=5"
+    );
+    logTest(
+      "Unknown Round",
+      missingRoundResponse.status === 404 ? "PASS" : "FAIL",
+      `Status ${missingRoundResponse.status}`
+    );
+
+    const { data: detailsData } = await makeRequest(
+      `/applications/${applicationId}`,
+      { token: freelancerToken }
+    );
+    const rounds = detailsData.data?.submissionRounds || [];
+    logTest(
+      "Rounds In Application Details",
+      rounds.length === 2 &&
+        rounds[0].locked === true &&
+        rounds[1].locked === false &&
+        detailsData.data?.submissions?.length === 4
+        ? "PASS"
+        : "FAIL",
+      `${rounds.length} rounds, locked: ${rounds.map((round) => round.locked)}`
+    );
+
+    // Files of the round under review can still be replaced
+    const openFileId = secondRound?.files?.find(
+      (file) => file.originalName === "appendix.pdf"
+    )?._id;
+    const { response: openDeleteResponse } = await makeRequest(
+      `/applications/${applicationId}/submissions/${openFileId}`,
+      { method: "DELETE", token: freelancerToken }
+    );
+    logTest(
+      "Open Round Editable",
+      openDeleteResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${openDeleteResponse.status}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Submission Round Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSubmissionRoundTests();
+}
+
+export { runSubmissionRoundTests };
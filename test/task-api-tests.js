@@ -10,11 +10,11 @@ const BASE_URL = "http://localhost:5001/api";
 async function makeRequest(url, options = {}) {
   try {
     const response = await fetch(url, {
+      ...options,
       headers: {
         "Content-Type": "application/json",
         ...options.headers,
       },
-      ...options,
     });
 
     const data = await response.json();
@@ -108,8 +108,129 @@ const testCases = [
     endpoint: "/tasks/search?q=react",
     expectedStatus: 200,
   },
+  {
+    name: "Create task requires login",
+    method: "POST",
+    endpoint: "/tasks",
+    expectedStatus: 401,
+  },
+  {
+    name: "My created tasks requires login",
+    method: "GET",
+    endpoint: "/tasks/my/created",
+    expectedStatus: 401,
+  },
 ];
 
+// Accounts and task used by the ownership test cases
+const ownershipConfig = {
+  owner: {
+    name: "Task Owner",
+    email: `task-owner-${Date.now()}@example.com`,
+    password: "taskowner123",
+    role: "client",
+  },
+  otherClient: {
+    name: "Other Client",
+    email: `task-other-${Date.now()}@example.com`,
+    password: "taskother123",
+    role: "client",
+  },
+  freelancer: {
+    name: "Task Freelancer",
+    email: `task-freelancer-${Date.now()}@example.com`,
+    password: "taskfreelancer123",
+    role: "user",
+  },
+  task: {
+    title: "Ownership test task",
+    description: "Created by the task API ownership tests",
+    company: "Ownership Co",
+    category: "backend",
+    difficulty: "easy",
+    payout: 100,
+    duration: 7,
+  },
+};
+
+/**
+ * Test cases for task ownership. `as` names the account from
+ * ownershipConfig whose token is sent. The task's owner is checked before
+ * the applicant is looked up, so any application ID shows the 403.
+ */
+const ownershipTestCases = (taskId) => [
+  {
+    name: "Freelancer cannot create tasks",
+    method: "POST",
+    endpoint: "/tasks",
+    as: "freelancer",
+    body: ownershipConfig.task,
+    expectedStatus: 403,
+  },
+  {
+    name: "Other client cannot update task",
+    method: "PUT",
+    endpoint: `/tasks/${taskId}`,
+    as: "otherClient",
+    body: { title: "Hijacked task title" },
+    expectedStatus: 403,
+  },
+  {
+    name: "Other client cannot view applicants",
+    method: "GET",
+    endpoint: `/tasks/${taskId}/applicants`,
+    as: "otherClient",
+    expectedStatus: 403,
+  },
+  {
+    name: "Other client cannot accept applicants",
+    method: "PATCH",
+    endpoint: `/tasks/${taskId}/applicants/000000000000000000000000`,
+    as: "otherClient",
+    body: { status: "accepted" },
+    expectedStatus: 403,
+  },
+  {
+    name: "Other client cannot delete task",
+    method: "DELETE",
+    endpoint: `/tasks/${taskId}`,
+    as: "otherClient",
+    expectedStatus: 403,
+  },
+  {
+    name: "Owner can update task",
+    method: "PUT",
+    endpoint: `/tasks/${taskId}`,
+    as: "owner",
+    body: { title: "Updated ownership task" },
+    expectedStatus: 200,
+  },
+];
+
+/**
+ * Register the ownership test accounts and create the owner's task
+ * @returns {Object|null} Tokens by account name and the task ID
+ */
+async function setupOwnershipTests() {
+  const tokens = {};
+  for (const account of ["owner", "otherClient", "freelancer"]) {
+    const result = await makeRequest(`${BASE_URL}/auth/register`, {
+      method: "POST",
+      body: JSON.stringify(ownershipConfig[account]),
+    });
+    if (!result.data?.token) return null;
+    tokens[account] = result.data.token;
+  }
+
+  const result = await makeRequest(`${BASE_URL}/tasks`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokens.owner}` },
+    body: JSON.stringify(ownershipConfig.task),
+  });
+  const taskId = result.data?.data?.task?._id;
+  return taskId ? { tokens, taskId } : null;
+}
+
 /**
  * Run all test cases
  */
@@ -119,15 +240,35 @@ async function runTests() {
   let passed = 0;
   let failed = 0;
 
-  for (const testCase of testCases) {
+  const ownership = await setupOwnershipTests();
+  if (!ownership) {
+    logger.error("❌ Could not set up the ownership test accounts");
+  }
+  const allTestCases = [
+    ...testCases,
+    ...(ownership
+      ? ownershipTestCases(ownership.taskId).map((testCase) => ({
+          ...testCase,
+          token: ownership.tokens[testCase.as],
+        }))
+      : []),
+  ];
+
+  for (const testCase of allTestCases) {
     const url = `${BASE_URL}${testCase.endpoint}`;
 
     logger.info(`Testing: ${testCase.name}`);
     logger.info(`${testCase.method} ${url}`);
 
-    const result = await makeRequest(url, { method: testCase.method });
+    const result = await makeRequest(url, {
+      method: testCase.method,
+      ...(testCase.token && {
+        headers: { Authorization: `Bearer ${testCase.token}` },
+      }),
+      ...(testCase.body && { body: JSON.stringify(testCase.body) }),
+    });
 
-    if (result.success && result.status === testCase.expectedStatus) {
+    if (result.status === testCase.expectedStatus) {
       logger.info(`✅ PASSED - Status: ${result.status}`);
 
       // Log some data details for successful requests
@@ -166,6 +307,14 @@ async function runTests() {
     logger.info(""); // Empty line for readability
   }
 
+  // Cleanup
+  if (ownership) {
+    await makeRequest(`${BASE_URL}/tasks/${ownership.taskId}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${ownership.tokens.owner}` },
+    });
+  }
+
   // Summary
   logger.info("📊 Test Results Summary:");
   logger.info(`✅ Passed: ${passed}`);
@@ -0,0 +1,221 @@
+/**
+ * Task Q&A Testing Script
+ *
+ * Tests public questions on a task listing: anyone logged in can ask, only
+ * the task's client answers and moderates, and hidden questions are only
+ * listed for the client. Needs the admin from scripts/create-admin.js (for
+ * the cleanup).
+ * Run with: node test/task-question-tests.js
+ */
+
+import {
+  adminCredentials,
+  logTest,
+  makeRequest,
+  registerUser,
+} from "./helpers.js";
+
+const testConfig = {
+  client: {
+    name: "Question Client",
+    email: `question-client-${Date.now()}@example.com`,
+    password: "question123",
+    role: "client",
+  },
+  otherClient: {
+    name: "Other Question Client",
+    email: `question-other-${Date.now()}@example.com`,
+    password: "question123",
+    role: "client",
+  },
+  asker: {
+    name: "Question Asker",
+    email: `question-asker-${Date.now()}@example.com`,
+    password: "question123",
+  },
+  task: {
+    title: "Question test task",
+    description: "Created by the task Q&A tests",
+    company: "Question Co",
+    category: "mobile",
+    difficulty: "medium",
+    payout: 120,
+    duration: 10,
+  },
+};
+
+/**
+ * Main test runner
+ */
+const runTaskQuestionTests = async () => {
+  console.log("🧪 Starting Task Q&A Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const adminToken = loginData.token;
+  const clientToken = await registerUser(testConfig.client);
+  const otherClientToken = await registerUser(testConfig.otherClient);
+  const askerToken = await registerUser(testConfig.asker);
+  if (!adminToken || !clientToken || !otherClientToken || !askerToken) {
+    console.log("❌ Could not set up the test users. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: taskData } = await makeRequest("/tasks", {
+    method: "POST",
+    token: clientToken,
+    body: JSON.stringify(testConfig.task),
+  });
+  const taskId = taskData.data?.task?._id;
+  if (!taskId) {
+    console.log("❌ Could not create the test task. Tests stopped.");
+    process.exit(1);
+  }
+
+  const questionsUrl = `/tasks/${taskId}/questions`;
+  const answer = (questionId, token) =>
+    makeRequest(`${questionsUrl}/${questionId}/answer`, {
+      method: "PATCH",
+      token,
+      body: JSON.stringify({ answer: "Yes, React Native is fine." }),
+    });
+  const moderate = (questionId, action, token) =>
+    makeRequest(`${questionsUrl}/${questionId}/moderation`, {
+      method: "PATCH",
+      token,
+      body: JSON.stringify({ action, reason: "Off topic" }),
+    });
+
+  try {
+    const { response: askResponse, data: askData } = await makeRequest(
+      questionsUrl,
+      {
+        method: "POST",
+        token: askerToken,
+        body: JSON.stringify({ question: "Can I use React Native?" }),
+      }
+    );
+    const question = askData.data?.question;
+    logTest(
+      "Ask Question",
+      askResponse.status === 201 && question?.answer === null
+        ? "PASS"
+        : "FAIL",
+      `Status ${askResponse.status}`
+    );
+
+    const { data: spamData } = await makeRequest(questionsUrl, {
+      method: "POST",
+      token: askerToken,
+      body: JSON.stringify({ question: "Buy cheap followers at spam.example" }),
+    });
+    const spam = spamData.data?.question;
+
+    // Only the task's client answers
+    const { response: askerAnswerResponse } = await answer(
+      question?.id,
+      askerToken
+    );
+    logTest(
+      "Freelancer Cannot Answer",
+      askerAnswerResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${askerAnswerResponse.status}`
+    );
+
+    const { response: otherAnswerResponse } = await answer(
+      question?.id,
+      otherClientToken
+    );
+    logTest(
+      "Other Client Cannot Answer",
+      otherAnswerResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${otherAnswerResponse.status}`
+    );
+
+    const { response: answerResponse, data: answerData } = await answer(
+      question?.id,
+      clientToken
+    );
+    logTest(
+      "Owner Answers",
+      answerResponse.status === 200 && answerData.data?.question?.answer
+        ? "PASS"
+        : "FAIL",
+      `Status ${answerResponse.status}`
+    );
+
+    const { response: otherModerateResponse } = await moderate(
+      spam?.id,
+      "hide",
+      otherClientToken
+    );
+    logTest(
+      "Other Client Cannot Moderate",
+      otherModerateResponse.status === 403 ? "PASS" : "FAIL",
+      `Status ${otherModerateResponse.status}`
+    );
+
+    const { response: hideResponse } = await moderate(
+      spam?.id,
+      "hide",
+      clientToken
+    );
+    logTest(
+      "Owner Hides Question",
+      hideResponse.status === 200 ? "PASS" : "FAIL",
+      `Status ${hideResponse.status}`
+    );
+
+    // Hidden questions are only listed for the owner
+    const { data: publicData } = await makeRequest(questionsUrl, {
+      token: askerToken,
+    });
+    const publicIds = (publicData.data?.questions || []).map((q) => q.id);
+    logTest(
+      "Hidden Question Not Listed",
+      publicIds.includes(question?.id) && !publicIds.includes(spam?.id)
+        ? "PASS"
+        : "FAIL",
+      `${publicIds.length} questions listed`
+    );
+
+    const { data: ownerData } = await makeRequest(questionsUrl, {
+      token: clientToken,
+    });
+    const hidden = (ownerData.data?.questions || []).find(
+      (q) => q.id === spam?.id
+    );
+    logTest(
+      "Owner Sees Hidden Question",
+      hidden?.hidden === true ? "PASS" : "FAIL",
+      `Hidden: ${hidden?.hidden}`
+    );
+
+    const { response: answerHiddenResponse } = await answer(
+      spam?.id,
+      clientToken
+    );
+    logTest(
+      "Hidden Question Cannot Be Answered",
+      answerHiddenResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${answerHiddenResponse.status}`
+    );
+  } finally {
+    // Cleanup
+    await makeRequest(`/admin/tasks/${taskId}`, {
+      method: "DELETE",
+      token: adminToken,
+    });
+  }
+
+  console.log("\n🏁 Task Q&A Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTaskQuestionTests();
+}
+
+export { runTaskQuestionTests };
@@ -0,0 +1,211 @@
+/**
+ * Two-Factor Authentication Testing Script
+ *
+ * Tests TOTP enrollment and the two-step login: the password alone only
+ * returns a challenge, wrong and replayed codes are refused, challenges and
+ * backup codes are single use. Codes are generated with the server's own
+ * TOTP implementation.
+ * Run with: node test/two-factor-tests.js
+ */
+
+import { generateTotp } from "../src/services/totpService.js";
+import { logTest, makeRequest, registerUser } from "./helpers.js";
+
+const TOTP_PERIOD_MS = 30 * 1000;
+
+const testConfig = {
+  user: {
+    name: "Two Factor User",
+    email: `two-factor-${Date.now()}@example.com`,
+    password: "twofactor123",
+  },
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const currentTimeStep = () => Math.floor(Date.now() / TOTP_PERIOD_MS);
+
+const startLogin = async () => {
+  const { data } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(testConfig.user),
+  });
+  return data.challengeToken;
+};
+
+// Failed codes count towards the login backoff: wait it out instead of
+// reporting a 429
+const completeLogin = async (challengeToken, code) => {
+  let result;
+  do {
+    if (result) {
+      const retryAfter = Number(result.response.headers.get("retry-after"));
+      await delay(retryAfter * 1000 + 100);
+    }
+    result = await makeRequest("/auth/login/2fa", {
+      method: "POST",
+      body: JSON.stringify({ challengeToken, code }),
+    });
+  } while (result.response.status === 429);
+  return result;
+};
+
+/**
+ * Main test runner
+ */
+const runTwoFactorTests = async () => {
+  console.log("🧪 Starting Two-Factor Authentication Tests...\n");
+
+  const userToken = await registerUser(testConfig.user);
+  if (!userToken) {
+    console.log("❌ Could not register the test user. Tests stopped.");
+    process.exit(1);
+  }
+
+  const { data: setupData } = await makeRequest("/auth/2fa/setup", {
+    method: "POST",
+    token: userToken,
+  });
+  const secret = setupData.data?.secret;
+  logTest(
+    "Start Enrollment",
+    secret && setupData.data?.otpauthUrl?.startsWith("otpauth://totp/")
+      ? "PASS"
+      : "FAIL",
+    setupData.message
+  );
+
+  const { response: wrongSetupResponse } = await makeRequest(
+    "/auth/2fa/verify",
+    {
+      method: "POST",
+      token: userToken,
+      body: JSON.stringify({ code: "12345" }),
+    }
+  );
+  logTest(
+    "Enrollment Refuses Bad Code",
+    wrongSetupResponse.status === 400 ? "PASS" : "FAIL",
+    `Status ${wrongSetupResponse.status}`
+  );
+
+  const setupCode = generateTotp(secret);
+  const setupStep = currentTimeStep();
+  const { response: verifyResponse, data: verifyData } = await makeRequest(
+    "/auth/2fa/verify",
+    {
+      method: "POST",
+      token: userToken,
+      body: JSON.stringify({ code: setupCode }),
+    }
+  );
+  const backupCodes = verifyData.data?.backupCodes || [];
+  logTest(
+    "Enable 2FA",
+    verifyResponse.status === 200 && backupCodes.length === 10
+      ? "PASS"
+      : "FAIL",
+    `Status ${verifyResponse.status}, ${backupCodes.length} backup codes`
+  );
+
+  // The password alone no longer opens a session
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(testConfig.user),
+  });
+  logTest(
+    "Password Returns Challenge",
+    loginData.twoFactorRequired === true &&
+      loginData.challengeToken &&
+      !loginData.token
+      ? "PASS"
+      : "FAIL",
+    loginData.message
+  );
+
+  const { response: wrongResponse } = await completeLogin(
+    loginData.challengeToken,
+    "000000"
+  );
+  logTest(
+    "Wrong Code Refused",
+    wrongResponse.status === 401 ? "PASS" : "FAIL",
+    `Status ${wrongResponse.status}`
+  );
+
+  // The code used for enrollment cannot be used again
+  const { response: replayResponse } = await completeLogin(
+    loginData.challengeToken,
+    setupCode
+  );
+  logTest(
+    "Replayed Code Refused",
+    replayResponse.status === 401 ? "PASS" : "FAIL",
+    `Status ${replayResponse.status}`
+  );
+
+  const { response: backupResponse, data: backupData } = await completeLogin(
+    loginData.challengeToken,
+    backupCodes[0]
+  );
+  logTest(
+    "Login With Backup Code",
+    backupResponse.status === 200 && backupData.token ? "PASS" : "FAIL",
+    `Status ${backupResponse.status}`
+  );
+
+  const { response: reusedChallengeResponse } = await completeLogin(
+    loginData.challengeToken,
+    backupCodes[1]
+  );
+  logTest(
+    "Challenge Single Use",
+    reusedChallengeResponse.status === 401 ? "PASS" : "FAIL",
+    `Status ${reusedChallengeResponse.status}`
+  );
+
+  const { response: reusedBackupResponse } = await completeLogin(
+    await startLogin(),
+    backupCodes[0]
+  );
+  logTest(
+    "Backup Code Single Use",
+    reusedBackupResponse.status === 401 ? "PASS" : "FAIL",
+    `Status ${reusedBackupResponse.status}`
+  );
+
+  // A fresh code needs a later time step than the one used for enrollment
+  while (currentTimeStep() <= setupStep) {
+    await delay(1000);
+  }
+  const { response: totpResponse, data: totpData } = await completeLogin(
+    await startLogin(),
+    generateTotp(secret)
+  );
+  logTest(
+    "Login With TOTP Code",
+    totpResponse.status === 200 && totpData.token ? "PASS" : "FAIL",
+    `Status ${totpResponse.status}`
+  );
+
+  const { data: statusData } = await makeRequest("/auth/2fa", {
+    token: totpData.token,
+  });
+  logTest(
+    "2FA Status",
+    statusData.data?.enabled === true &&
+      statusData.data?.backupCodesRemaining === 9
+      ? "PASS"
+      : "FAIL",
+    `Enabled: ${statusData.data?.enabled}, ${statusData.data?.backupCodesRemaining} backup codes left`
+  );
+
+  console.log("\n🏁 Two-Factor Authentication Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTwoFactorTests();
+}
+
+export { runTwoFactorTests };
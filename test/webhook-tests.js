@@ -0,0 +1,290 @@
+/**
+ * Webhook Testing Script
+ *
+ * Tests admin-managed webhooks against a local receiver: signed ping and
+ * task.created deliveries, the delivery log, failed attempts and
+ * redelivery. Needs the admin from scripts/create-admin.js, and the server
+ * started with WEBHOOK_ALLOWED_HOSTS=localhost so it may reach the receiver.
+ * Run with: node test/webhook-tests.js
+ */
+
+import fetch from "node-fetch";
+import { createWebhookReceiver } from "../scripts/webhook-receiver.js";
+
+const API_BASE_URL = "http://localhost:5001/api";
+const RECEIVER_PORT = 5055;
+
+const adminCredentials = {
+  email: process.env.ADMIN_EMAIL || "admin@codeandcash.com",
+  password: process.env.ADMIN_PASSWORD || "admin123456",
+};
+
+/**
+ * Test helper functions
+ */
+const logTest = (testName, status, message) => {
+  const statusIcon = status === "PASS" ? "✅" : "❌";
+  console.log(`${statusIcon} ${testName}: ${message}`);
+};
+
+const makeRequest = async (endpoint, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.token && { Authorization: `Bearer ${options.token}` }),
+      ...options.headers,
+    },
+    ...options,
+  });
+
+  const data = await response.json();
+  return { response, data };
+};
+
+/**
+ * Wait until an attempt left a delivery in one of the given statuses (the
+ * worker runs every few seconds)
+ */
+const waitForDelivery = async (token, webhookId, deliveryId, statuses) => {
+  for (let i = 0; i < 30; i += 1) {
+    const { data } = await makeRequest(
+      `/admin/webhooks/${webhookId}/deliveries/${deliveryId}`,
+      { token }
+    );
+    const delivery = data.data?.delivery;
+    if (delivery?.attempts > 0 && statuses.includes(delivery.status)) {
+      return delivery;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  return null;
+};
+
+/**
+ * Main test runner
+ */
+const runWebhookTests = async () => {
+  console.log("🧪 Starting Webhook Tests...\n");
+
+  const { data: loginData } = await makeRequest("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(adminCredentials),
+  });
+  const token = loginData.token;
+  if (!token) {
+    console.log("❌ Could not log in as admin. Tests stopped.");
+    process.exit(1);
+  }
+
+  const received = [];
+  let responseStatus = 200;
+  let secret = null;
+  const receiver = createWebhookReceiver({
+    get secret() {
+      return secret;
+    },
+    status: () => responseStatus,
+    onDelivery: (delivery) => received.push(delivery),
+  });
+  await new Promise((resolve) => receiver.listen(RECEIVER_PORT, resolve));
+
+  try {
+    const { response: invalidResponse } = await makeRequest("/admin/webhooks", {
+      method: "POST",
+      token,
+      body: JSON.stringify({
+        name: "Invalid",
+        url: `http://localhost:${RECEIVER_PORT}/webhooks`,
+        events: ["task.deleted"],
+      }),
+    });
+    logTest(
+      "Unknown Event Rejected",
+      invalidResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${invalidResponse.status}`
+    );
+
+    const { response: privateResponse } = await makeRequest("/admin/webhooks", {
+      method: "POST",
+      token,
+      body: JSON.stringify({
+        name: "Metadata",
+        url: "http://169.254.169.254/latest/meta-data",
+        events: ["task.created"],
+      }),
+    });
+    logTest(
+      "Private Target Rejected",
+      privateResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${privateResponse.status}`
+    );
+
+    const { response: activeResponse } = await makeRequest("/admin/webhooks", {
+      method: "POST",
+      token,
+      body: JSON.stringify({
+        name: "String active",
+        url: `http://localhost:${RECEIVER_PORT}/webhooks`,
+        events: ["task.created"],
+        active: "false",
+      }),
+    });
+    logTest(
+      "Non-Boolean Active Rejected",
+      activeResponse.status === 400 ? "PASS" : "FAIL",
+      `Status ${activeResponse.status}`
+    );
+
+    const { response: createResponse, data: createData } = await makeRequest(
+      "/admin/webhooks",
+      {
+        method: "POST",
+        token,
+        body: JSON.stringify({
+          name: `Test receiver ${Date.now()}`,
+          url: `http://localhost:${RECEIVER_PORT}/webhooks`,
+          events: ["task.created", "application.submitted"],
+        }),
+      }
+    );
+    const webhook = createData.data?.webhook;
+    secret = createData.data?.secret;
+    logTest(
+      "Create Webhook",
+      createResponse.status === 201 && secret?.startsWith("whsec_")
+        ? "PASS"
+        : "FAIL",
+      `Status ${createResponse.status}, secret returned: ${Boolean(secret)}`
+    );
+    if (!webhook) return;
+
+    const { data: listData } = await makeRequest("/admin/webhooks", { token });
+    const listed = listData.data?.webhooks?.find((w) => w._id === webhook._id);
+    logTest(
+      "Secret Not Listed",
+      listed && !listed.secret ? "PASS" : "FAIL",
+      `${listData.data?.webhooks?.length || 0} webhooks`
+    );
+
+    // Signed ping
+    const { data: pingData } = await makeRequest(
+      `/admin/webhooks/${webhook._id}/ping`,
+      { method: "POST", token }
+    );
+    const ping = await waitForDelivery(
+      token,
+      webhook._id,
+      pingData.data?.delivery?.id,
+      ["succeeded", "failed"]
+    );
+    const pingReceived = received.find(
+      (r) => r.headers["x-webhook-delivery"] === ping?.id
+    );
+    logTest(
+      "Ping Delivered And Signed",
+      ping?.status === "succeeded" && pingReceived?.verified === true
+        ? "PASS"
+        : "FAIL",
+      `Status ${ping?.status}, signature ${pingReceived?.verified}`
+    );
+    logTest(
+      "Delivery Log",
+      ping?.attemptLog?.[0]?.statusCode === 200 ? "PASS" : "FAIL",
+      `${ping?.attemptLog?.length || 0} attempts, code ${ping?.lastStatusCode}`
+    );
+
+    // task.created from the admin panel
+    const { data: taskData } = await makeRequest("/admin/tasks", {
+      method: "POST",
+      token,
+      body: JSON.stringify({
+        title: "Webhook test task",
+        description: "Created by the webhook tests",
+        category: "backend",
+        difficulty: "easy",
+        payout: 50,
+      }),
+    });
+    const taskId = taskData.data?.task?._id;
+    for (let i = 0; i < 30; i += 1) {
+      if (received.some((r) => r.payload?.data?.task?.id === taskId)) break;
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+    const taskDelivery = received.find(
+      (r) => r.payload?.data?.task?.id === taskId
+    );
+    logTest(
+      "Task Created Delivered",
+      taskDelivery?.headers["x-webhook-event"] === "task.created" &&
+        taskDelivery.verified
+        ? "PASS"
+        : "FAIL",
+      `Event ${taskDelivery?.headers["x-webhook-event"]}`
+    );
+
+    // Failed attempt is logged and scheduled for a retry
+    responseStatus = 500;
+    const { data: failingPingData } = await makeRequest(
+      `/admin/webhooks/${webhook._id}/ping`,
+      { method: "POST", token }
+    );
+    const failing = await waitForDelivery(
+      token,
+      webhook._id,
+      failingPingData.data?.delivery?.id,
+      ["pending", "failed"]
+    );
+    responseStatus = 200;
+    logTest(
+      "Failed Attempt Retried",
+      failing?.status === "pending" &&
+        failing.lastStatusCode === 500 &&
+        new Date(failing.nextAttemptAt) > new Date()
+        ? "PASS"
+        : "FAIL",
+      `Status ${failing?.status}, code ${failing?.lastStatusCode}, next attempt ${failing?.nextAttemptAt}`
+    );
+
+    // Redeliver the ping
+    const { response: redeliverResponse, data: redeliverData } =
+      await makeRequest(
+        `/admin/webhooks/${webhook._id}/deliveries/${ping?.id}/redeliver`,
+        { method: "POST", token }
+      );
+    const redelivery = await waitForDelivery(
+      token,
+      webhook._id,
+      redeliverData.data?.delivery?.id,
+      ["succeeded", "failed"]
+    );
+    logTest(
+      "Redeliver",
+      redeliverResponse.status === 202 &&
+        redelivery?.status === "succeeded" &&
+        redelivery.redeliveryOf === ping?.id
+        ? "PASS"
+        : "FAIL",
+      `Status ${redelivery?.status}`
+    );
+
+    // Cleanup
+    await makeRequest(`/admin/webhooks/${webhook._id}`, {
+      method: "DELETE",
+      token,
+    });
+    if (taskId) {
+      await makeRequest(`/admin/tasks/${taskId}`, { method: "DELETE", token });
+    }
+  } finally {
+    receiver.close();
+  }
+
+  console.log("\n🏁 Webhook Tests completed!");
+};
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWebhookTests();
+}
+
+export { runWebhookTests };